@@ -31,33 +31,63 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
+import express from 'express';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { createHash, createPublicKey, randomUUID, verify } from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildASTSchema, execute, getOperationAST, getVariableValues, GraphQLError, isInputType, Kind, parse, specifiedRules, typeFromAST, validate } from 'graphql';
 
-// Create server with explicit error handling
-const server = new Server(
-  {
-    name: "deso-mcp-final",
-    version: "3.0.0", // Updated with comprehensive debugging tools
-  },
-  {
+const REPOSITORIES = ['docs', 'core', 'identity', 'frontend', 'backend', 'deso-js', 'deso-chat', 'deso-ui', 'graphql'];
+
+const SERVER_INFO = {
+  name: "deso-mcp-final",
+  version: "3.0.0", // Updated with comprehensive debugging tools
+};
+
+// Create server with explicit error handling. A Server binds to exactly one
+// transport, so stdio uses a single instance and every HTTP session gets its own.
+function createServer() {
+  const server = new Server(SERVER_INFO, {
     capabilities: {
       tools: {},
+      resources: {},
+      prompts: {},
     },
-  }
-);
+  });
 
-// Add error handling
-server.onerror = (error) => {
-  console.error("DeSo MCP Server error:", error);
-};
+  // Add error handling
+  server.onerror = (error) => {
+    console.error("DeSo MCP Server error:", error);
+  };
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, callTool);
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+
+  return server;
+}
 
 // List tools handler with explicit error handling
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   try {
     const tools = [
       {
@@ -104,26 +134,30 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "generate_deso_code",
-        description: "Generate comprehensive code examples for DeSo operations using deso-js SDK",
+        description: "Generate working code for any DeSo API catalog endpoint, including the build-sign-submit sequence for transactions",
         inputSchema: {
           type: "object",
           properties: {
             operation: {
               type: "string",
-              description: "DeSo operation (e.g., 'follow', 'post', 'buy-creator-coin', 'send-diamonds')"
+              description: "Catalog endpoint (e.g. 'send-diamonds', 'create-nft-bid'), deso-js function (e.g. 'sendDiamonds') or shortcut ('follow', 'post', 'buy-creator-coin', 'nft-bid', ...)"
             },
             language: {
               type: "string",
-              enum: ["javascript", "typescript", "react", "curl"],
-              description: "Programming language/framework"
+              enum: ["javascript", "typescript", "react", "curl", "python", "go"],
+              description: "Programming language/framework (python and go target backend services that sign with their own key)"
             },
             includeAuth: {
               type: "boolean",
-              description: "Include authentication setup"
+              description: "Include the identity.login() call instead of assuming a logged-in user"
             },
             fullExample: {
               type: "boolean",
-              description: "Generate complete working example"
+              description: "Add configure() and spell out direct API calls (build, sign and submit for transactions); for python and go, add a runnable entry point"
+            },
+            nodeUrl: {
+              type: "string",
+              description: "Node the generated code calls, e.g. http://localhost:17001 for the --mock-node server (default: https://node.deso.org)"
             }
           },
           required: ["operation", "language"]
@@ -254,20 +288,24 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "deso_graphql_helper",
-        description: "GraphQL query builder and schema explorer for DeSo blockchain data. Helps write GraphQL queries to get user data, posts, followers, and more from the DeSo GraphQL API.",
+        description: "GraphQL query builder and schema explorer for DeSo blockchain data. Helps write GraphQL queries to get user data, posts, followers, and more from the DeSo GraphQL API, validates queries against the bundled schema with line and column positions, estimates query cost (depth, connection fan-out, unbounded lists) with cheaper rewrites, generates TypeScript result and variables types for a query, and generates cursor pagination loops and React infinite-scroll hooks for any connection.",
         inputSchema: {
           type: "object",
           properties: {
             action: {
               type: "string",
-              enum: ["query", "schema", "examples", "build", "explain"],
+              enum: ["query", "schema", "examples", "build", "explain", "validate", "analyze", "types", "paginate"],
               description: "Action to perform with GraphQL"
             },
             queryType: {
               type: "string",
-              enum: ["user", "posts", "followers", "following", "likes", "diamonds", "messages", "nfts", "custom"],
+              enum: ["user", "posts", "followers", "following", "likes", "diamonds", "messages", "nfts", "staking", "validators", "dao-orders", "associations", "derived-keys", "blocks", "transactions", "dashboard", "custom"],
               description: "Type of query to build or explain"
             },
+            typeName: {
+              type: "string",
+              description: "GraphQL type to describe with the schema action (e.g., 'Account', 'Nft', 'ValidatorEntry', 'PostFilter'); omit to list the entity types"
+            },
             username: {
               type: "string",
               description: "Username to query for (e.g., 'nader')"
@@ -278,15 +316,186 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             question: {
               type: "string",
-              description: "Natural language question to convert to GraphQL (e.g., 'how many followers does nader have?')"
+              description: "Natural language question to convert to GraphQL (e.g., 'how many followers does nader have?', 'top 5 posts by diamonds from nader last week')"
             },
             customQuery: {
               type: "string",
-              description: "Custom GraphQL query to explain or validate"
+              description: "Custom GraphQL query to explain, validate, analyze or generate TypeScript types for"
+            },
+            variables: {
+              type: "object",
+              description: "Variable values to check with the validate action, or to size pages with the analyze action (a JSON string is accepted too)"
+            },
+            connection: {
+              type: "string",
+              description: "Connection to paginate: a root field ('posts'), Type.field for a nested one ('Account.followers'), or a type name to list its connections"
+            },
+            pageSize: {
+              type: "integer",
+              minimum: 1,
+              description: "Rows per page for the paginate action (default: 20; larger sizes are lowered to 100)"
+            },
+            maxPages: {
+              type: "integer",
+              minimum: 1,
+              description: "Most pages one pagination run may read (default: 10)"
             }
           },
           required: ["action"]
         }
+      },
+      {
+        name: "validate_deso_request",
+        description: "Check a request body against the DeSo API catalog before sending it. Reports missing required params, unknown keys with did-you-mean suggestions, wrong types, out-of-range values and malformed public keys.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            endpoint: {
+              type: "string",
+              description: "Endpoint name as listed by deso_api_explorer (e.g. 'create-follow-txn-stateless')"
+            },
+            body: {
+              type: "object",
+              description: "Request body to check (a JSON string is accepted too)"
+            }
+          },
+          required: ["endpoint", "body"]
+        }
+      },
+      {
+        name: "export_deso_api",
+        description: "Export the DeSo API catalog as a machine-readable document: an OpenAPI 3.1 spec with paths, request bodies and response schemas for client generation, Postman or published API docs, or a TypeScript .d.ts module with request and response interfaces for every endpoint.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            format: {
+              type: "string",
+              enum: ["openapi", "typescript"],
+              description: "Export format"
+            },
+            category: {
+              type: "string",
+              enum: ["social", "financial", "nft", "dao", "tokens", "access", "associations", "derived-keys", "messages", "data", "notifications", "media", "admin", "blockchain", "identity", "all"],
+              description: "Limit the export to one category (default: all)"
+            }
+          },
+          required: ["format"]
+        }
+      },
+      {
+        name: "scaffold_deso_app",
+        description: "Scaffold a complete, runnable DeSo project as a set of files: package.json, configure() setup with spending limits, DeSo Identity login, routing and one working feature built on a deso-ui example layout (feed, encrypted messages, profile page or media gallery). Templates: Vite + React, Next.js App Router, or Node scripts that sign with a key from the environment.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            template: {
+              type: "string",
+              enum: ["vite-react", "nextjs", "node"],
+              description: "Project template"
+            },
+            layout: {
+              type: "string",
+              enum: ["twitter-clone", "messaging-app", "profile-page", "media-gallery"],
+              description: "deso-ui example layout whose feature to build (default: twitter-clone)"
+            },
+            appName: {
+              type: "string",
+              description: "App name shown in the UI and at login; slugified for package.json (default: DeSo App)"
+            },
+            network: {
+              type: "string",
+              enum: ["mainnet", "testnet"],
+              description: "Default network in the generated .env.example and config (default: mainnet)"
+            },
+            format: {
+              type: "string",
+              enum: ["markdown", "json"],
+              description: "markdown for a readable walkthrough, json for a { path: contents } file map (default: markdown)"
+            }
+          },
+          required: ["template"]
+        }
+      },
+      {
+        name: "build_deso_spending_limits",
+        description: "Build the spendingLimitOptions for configure() from the operations an app performs (posting, messaging, NFT bidding, DAO orders, ...) and a DESO budget. Produces GlobalDESOLimit, TransactionCountLimitMap, CreatorCoinOperationLimitMap, DAOCoinOperationLimitMap, NFTOperationLimitMap, DAOCoinLimitOrderLimitMap and access group entries, and explains what each entry allows.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: ["post", "like", "follow", "update-profile", "diamonds", "send-deso", "messaging", "group-chat", "create-nft", "nft-bid", "nft-sell", "nft-transfer", "creator-coin-trade", "creator-coin-transfer", "dao-coin-orders", "dao-coin-transfer", "dao-coin-manage"]
+              },
+              description: "Operations the app signs with the derived key"
+            },
+            desoBudget: {
+              type: "number",
+              description: "Most DESO the key may spend in total, fees included (GlobalDESOLimit; default: 1)"
+            },
+            counts: {
+              type: "object",
+              additionalProperties: {
+                oneOf: [{ type: "integer", minimum: 1 }, { type: "string", enum: ["UNLIMITED"] }]
+              },
+              description: "Transaction count per operation, e.g. { \"post\": 20, \"nft-bid\": 5 }; defaults are UNLIMITED for social operations and 10 for financial ones"
+            },
+            creators: {
+              type: "array",
+              items: { type: "string" },
+              description: "Creator public keys to restrict creator coin operations to (default: any creator)"
+            },
+            daoCoins: {
+              type: "array",
+              items: { type: "string" },
+              description: "DAO coin public keys for DAO operations; required for dao-coin-orders (default: any DAO coin)"
+            },
+            nftPosts: {
+              type: "array",
+              items: { type: "string" },
+              description: "NFT post hashes to restrict NFT operations to (default: any NFT)"
+            },
+            publicKey: {
+              type: "string",
+              description: "Logged-in user's public key, to scope access group limits to their groups (default: \"\", for configure() before login)"
+            }
+          },
+          required: ["operations"]
+        }
+      },
+      {
+        name: "decode_deso_public_key",
+        description: "Decode and convert a DeSo public key offline: verifies the Base58Check checksum and that the key is a point on secp256k1, identifies mainnet (BC1YL…) or testnet (tBC…), and returns the key as mainnet and testnet Base58Check, compressed hex and uncompressed hex. Accepts any of those forms as input.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            publicKey: {
+              type: "string",
+              description: "Base58Check DeSo public key, or a compressed (66 hex characters) or uncompressed (130 hex characters) secp256k1 public key"
+            }
+          },
+          required: ["publicKey"]
+        }
+      },
+      {
+        name: "decode_deso_transaction",
+        description: "Decode a DeSo TransactionHex offline into its inputs, outputs, transaction type, metadata fields, transactor public key, ExtraData, signature, and (for version 1 transactions) fee and nonce. Use it to check that a transaction built by a stateless endpoint matches what the user intended before signing it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            transactionHex: {
+              type: "string",
+              description: "TransactionHex from a construction endpoint (e.g. submit-post), signed or unsigned"
+            },
+            network: {
+              type: "string",
+              enum: ["mainnet", "testnet"],
+              description: "Network to render public keys for (default: mainnet)"
+            }
+          },
+          required: ["transactionHex"]
+        }
       }
     ];
     
@@ -296,10 +505,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     console.error("Error in DeSo ListTools:", error);
     throw error;
   }
-});
+}
 
 // Call tool handler with your comprehensive implementations
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request) {
   try {
     const { name, arguments: args } = request.params;
     
@@ -326,6 +535,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return await desoUIComponents(args);
       case "deso_graphql_helper":
         return await desoGraphQLHelper(args);
+      case "validate_deso_request":
+        return await validateDesoRequest(args);
+      case "export_deso_api":
+        return await exportDesoApi(args);
+      case "scaffold_deso_app":
+        return await scaffoldDesoApp(args);
+      case "build_deso_spending_limits":
+        return await buildDesoSpendingLimits(args);
+      case "decode_deso_public_key":
+        return await decodeDesoPublicKey(args);
+      case "decode_deso_transaction":
+        return await decodeDesoTransaction(args);
       default:
         throw new Error(`Unknown DeSo tool: ${name}`);
     }
@@ -333,498 +554,182 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     console.error("Error in DeSo CallTool:", error);
     throw error;
   }
-});
+}
 
-// COMPREHENSIVE DeSo API Implementation (from original mcp-server.js)
-async function exploreDesoApi(args) {
-  const { category = 'all', endpoint, includeCode = false } = args;
+// Complete API Details, loaded once from catalog/*.json at startup (see loadApiCatalog)
+let API_DETAILS = {};
+let API_CATALOG_VERSION = null;
+let API_RESPONSE_SHAPES = {};
+
+const CATALOG_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalog');
+
+// Load the endpoint catalog and validate every file against its JSON Schema, so a
+// bad contribution fails at startup instead of rendering a broken endpoint card
+async function loadApiCatalog(catalogDir = CATALOG_DIR) {
+  const readJson = async (file) => JSON.parse(await fs.readFile(path.join(catalogDir, file), 'utf-8'));
   
-  // Complete API Details from original comprehensive server (FULLY RESTORED)
-  const apiDetails = {
-          social: {
-        description: "Social interaction endpoints for posts, follows, likes, diamonds, and messaging",
-        backendFile: "routes/transaction.go, routes/post.go, routes/new_message.go",
-        documentation: {
-          tutorials: ["docs/deso-tutorial-build-apps.md"],
-          architecture: ["docs/architecture-overview/"],
-          examples: ["docs/deso-applications.md"]
-        },
-      endpoints: {
-        "create-follow-txn-stateless": {
-          method: "POST",
-          url: "/api/v0/create-follow-txn-stateless",
-          handler: "CreateFollowTxnStateless",
-          description: "Creates unsigned follow/unfollow transaction",  
-          desoJs: "updateFollowingStatus",
-          params: {
-            required: ["FollowerPublicKeyBase58Check", "FollowedPublicKeyBase58Check", "IsUnfollow", "MinFeeRateNanosPerKB"],
-            optional: ["TransactionFees"]
-          }
-        },
-        "submit-post": {
-          method: "POST",
-          url: "/api/v0/submit-post",
-          handler: "SubmitPost",
-          description: "Submit new post or modify existing post",
-          desoJs: "submitPost",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "BodyObj", "MinFeeRateNanosPerKB"],
-            optional: ["PostHashHexToModify", "ParentStakeID", "RepostedPostHashHex", "PostExtraData", "IsHidden"]
-          }
-        },
-        "create-like-stateless": {
-          method: "POST",
-          url: "/api/v0/create-like-stateless",
-          handler: "CreateLikeStateless",
-          description: "Creates unsigned like/unlike transaction",
-          desoJs: "updateLikeStatus",
-          params: {
-            required: ["ReaderPublicKeyBase58Check", "LikedPostHashHex", "IsUnlike", "MinFeeRateNanosPerKB"],
-            optional: ["TransactionFees"]
-          }
-        },
-        "update-profile": {
-          method: "POST",
-          url: "/api/v0/update-profile", 
-          handler: "UpdateProfile",
-          description: "Update user profile information",
-          desoJs: "updateProfile",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "NewCreatorBasisPoints", "NewStakeMultipleBasisPoints", "MinFeeRateNanosPerKB"],
-            optional: ["ProfilePublicKeyBase58Check", "NewUsername", "NewDescription", "NewProfilePic", "IsHidden", "ExtraData"]
-          }
-        },
-        "send-diamonds": {
-          method: "POST",
-          url: "/api/v0/send-diamonds",
-          handler: "SendDiamonds",
-          description: "Send diamond tips to posts",
-          desoJs: "sendDiamonds", 
-          params: {
-            required: ["SenderPublicKeyBase58Check", "ReceiverPublicKeyBase58Check", "DiamondPostHashHex", "DiamondLevel", "MinFeeRateNanosPerKB"],
-            optional: ["ExtraData", "TransactionFees"]
-          }
-        }
-      }
-    },
-    messages: {
-      description: "Modern DeSo messaging system with DM and group chat support",
-      backendFile: "routes/new_message.go",
-      documentation: {
-        endpoints: ["docs/deso-backend/api/messages-endpoints.md"],
-        transactions: ["docs/deso-backend/construct-transactions/social-transactions-api.md"]
-      },
-      endpoints: {
-        "send-dm-message": {
-          method: "POST",
-          url: "/api/v0/send-dm-message",
-          handler: "SendDmMessage",
-          description: "Send private message between users (replaces deprecated send-message-stateless)",
-          desoJs: "sendDMMessage",
-          params: {
-            required: [
-              "SenderAccessGroupOwnerPublicKeyBase58Check",
-              "SenderAccessGroupPublicKeyBase58Check", 
-              "SenderAccessGroupKeyName",
-              "RecipientAccessGroupOwnerPublicKeyBase58Check",
-              "RecipientAccessGroupPublicKeyBase58Check",
-              "RecipientAccessGroupKeyName",
-              "EncryptedMessageText",
-              "MinFeeRateNanosPerKB"
-            ],
-            optional: ["TransactionFees", "ExtraData"]
-          }
-        },
-        "update-dm-message": {
-          method: "POST",
-          url: "/api/v0/update-dm-message",
-          handler: "UpdateDmMessage", 
-          description: "Update existing direct message",
-          desoJs: "updateDMMessage",
-          params: {
-            required: [
-              "SenderAccessGroupOwnerPublicKey",
-              "SenderAccessGroupPublicKey",
-              "SenderAccessGroupKeyName",
-              "RecipientAccessGroupOwnerPublicKey", 
-              "RecipientAccessGroupPublicKey",
-              "RecipientAccessGroupKeyName",
-              "EncryptedMessageText",
-              "TimestampNanosString"
-            ],
-            optional: ["MinFeeRateNanosPerKB", "TransactionFees", "ExtraData"]
-          }
-        },
-        "get-user-dm-threads-ordered-by-timestamp": {
-          method: "POST",
-          url: "/api/v0/get-user-dm-threads-ordered-by-timestamp",
-          handler: "GetUserDmThreadsOrderedByTimestamp",
-          description: "Get user's DM conversation list ordered by most recent message",
-          desoJs: "getAllMessageThreads",
-          params: {
-            required: ["UserPublicKeyBase58Check"],
-            optional: []
-          }
-        },
-        "get-paginated-messages-for-dm-thread": {
-          method: "POST", 
-          url: "/api/v0/get-paginated-messages-for-dm-thread",
-          handler: "GetPaginatedMessagesForDmThread",
-          description: "Get messages for specific DM conversation with pagination",
-          desoJs: "getPaginatedDMThread",
-          params: {
-            required: [
-              "UserGroupOwnerPublicKeyBase58Check",
-              "UserGroupKeyName", 
-              "PartyGroupOwnerPublicKeyBase58Check",
-              "PartyGroupKeyName",
-              "MaxMessagesToFetch"
-            ],
-            optional: ["StartTimestampString", "StartTimestamp"]
-          }
-        },
-        "send-group-chat-message": {
-          method: "POST",
-          url: "/api/v0/send-group-chat-message", 
-          handler: "SendGroupChatMessage",
-          description: "Send message to group chat",
-          desoJs: "sendGroupChatMessage",
-          params: {
-            required: [
-              "SenderAccessGroupOwnerPublicKey",
-              "SenderAccessGroupPublicKeyBase58Check",
-              "SenderAccessGroupKeyName", 
-              "RecipientAccessGroupOwnerPublicKeyBase58Check",
-              "RecipientAccessGroupPublicKeyBase58Check",
-              "RecipientAccessGroupKeyName",
-              "EncryptedMessageText"
-            ],
-            optional: ["MinFeeRateNanosPerKB", "TransactionFees", "ExtraData"]
-          }
-        },
-        "update-group-chat-message": {
-          method: "POST",
-          url: "/api/v0/update-group-chat-message",
-          handler: "UpdateGroupChatMessage", 
-          description: "Update existing group chat message",
-          desoJs: "updateGroupChatMessage",
-          params: {
-            required: [
-              "SenderAccessGroupOwnerPublicKey",
-              "SenderAccessGroupPublicKey",
-              "SenderAccessGroupKeyName",
-              "RecipientAccessGroupOwnerPublicKey",
-              "RecipientAccessGroupPublicKey", 
-              "RecipientAccessGroupKeyName",
-              "EncryptedMessageText",
-              "TimestampNanosString"
-            ],
-            optional: ["MinFeeRateNanosPerKB", "TransactionFees", "ExtraData"]
-          }
-        },
-        "get-user-group-chat-threads-ordered-by-timestamp": {
-          method: "POST",
-          url: "/api/v0/get-user-group-chat-threads-ordered-by-timestamp", 
-          handler: "GetUserGroupChatThreadsOrderedByTimestamp",
-          description: "Get user's group chat list ordered by most recent message",
-          desoJs: "getAllMessageThreads", 
-          params: {
-            required: ["UserPublicKeyBase58Check"],
-            optional: []
-          }
-        },
-        "get-paginated-messages-for-group-chat-thread": {
-          method: "POST",
-          url: "/api/v0/get-paginated-messages-for-group-chat-thread",
-          handler: "GetPaginatedMessagesForGroupChatThread",
-          description: "Get messages for specific group chat with pagination", 
-          desoJs: "getPaginatedGroupChatThread",
-          params: {
-            required: [
-              "UserPublicKeyBase58Check",
-              "AccessGroupKeyName", 
-              "MaxMessagesToFetch"
-            ],
-            optional: ["StartTimestampString", "StartTimestamp"]
-          }
-        },
-        "get-all-user-message-threads": {
-          method: "POST",
-          url: "/api/v0/get-all-user-message-threads",
-          handler: "GetAllUserMessageThreads", 
-          description: "Get all user conversations (DMs + group chats) ordered by timestamp",
-          desoJs: "getAllMessageThreads",
-          params: {
-            required: ["UserPublicKeyBase58Check"],
-            optional: []
-          }
-        },
-        "send-message-stateless": {
-          method: "POST",
-          url: "/api/v0/send-message-stateless",
-          handler: "SendMessageStateless",
-          description: "⚠️ DEPRECATED - Use send-dm-message instead. Legacy message sending endpoint",
-          desoJs: "sendDMMessage (maps to new endpoint)",
-          params: {
-            required: ["SenderPublicKeyBase58Check", "RecipientPublicKeyBase58Check", "MessageText", "MinFeeRateNanosPerKB"],
-            optional: ["EncryptedMessageText", "SenderMessagingPublicKey", "SenderMessagingKeyName", "RecipientMessagingPublicKey", "RecipientMessagingKeyName", "ExtraData"],
-            deprecated: true
-          }
-        }
-      }
-    },
-    financial: {
-      description: "Financial transactions including creator coins, DeSo transfers, and diamonds",
-      backendFile: "routes/transaction.go",
-      endpoints: {
-        "buy-or-sell-creator-coin": {
-          method: "POST",
-          url: "/api/v0/buy-or-sell-creator-coin",
-          handler: "BuyOrSellCreatorCoin",
-          description: "Buy or sell creator coins",
-          desoJs: "buyCreatorCoin / sellCreatorCoin",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "CreatorPublicKeyBase58Check", "OperationType", "MinFeeRateNanosPerKB"],
-            optional: ["DeSoToSellNanos", "CreatorCoinToSellNanos", "MinDeSoExpectedNanos", "MinCreatorCoinExpectedNanos"]
-          }
-        },
-        "send-deso": {
-          method: "POST",
-          url: "/api/v0/send-deso", 
-          handler: "SendDeSo",
-          description: "Send DeSo to another user",
-          desoJs: "sendDeso",
-          params: {
-            required: ["SenderPublicKeyBase58Check", "RecipientPublicKeyOrUsername", "AmountNanos", "MinFeeRateNanosPerKB"],
-            optional: ["ExtraData", "TransactionFees"]
-          }
-        },
-        "transfer-creator-coin": {
-          method: "POST",
-          url: "/api/v0/transfer-creator-coin",
-          handler: "TransferCreatorCoin", 
-          description: "Transfer creator coins between users",
-          desoJs: "transferCreatorCoin",
-          params: {
-            required: ["SenderPublicKeyBase58Check", "CreatorPublicKeyBase58Check", "ReceiverUsernameOrPublicKeyBase58Check", "CreatorCoinToTransferNanos", "MinFeeRateNanosPerKB"],
-            optional: ["TransactionFees"]
-          }
-        },
-        "exchange-bitcoin-stateless": {
-          method: "POST",
-          url: "/api/v0/exchange-bitcoin-stateless",
-          handler: "ExchangeBitcoinStateless",
-          description: "Exchange Bitcoin for DeSo",
-          desoJs: "exchangeBitcoin",
-          params: {
-            required: ["PublicKeyBase58Check", "BurnAmountSatoshis", "FeeRateSatoshisPerKB", "LatestBitcionAPIResponse", "BTCDepositAddress"],
-            optional: ["DerivedPublicKeyBase58Check", "Broadcast", "SignedHashes"]
-          }
-        }
-      }
-    },
-    nft: {
-      description: "NFT transaction endpoints for minting, bidding, transferring, and burning NFTs",
-      backendFile: "routes/nft.go",
-      endpoints: {
-        "create-nft": {
-          method: "POST",
-          url: "/api/v0/create-nft",
-          handler: "CreateNFT",
-          description: "Create/mint a new NFT from a post",
-          desoJs: "createNft",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "NFTPostHashHex", "NumCopies", "MinFeeRateNanosPerKB"],
-            optional: ["NFTRoyaltyToCreatorBasisPoints", "NFTRoyaltyToCoinBasisPoints", "HasUnlockable", "IsForSale"]
-          }
-        },
-        "create-nft-bid": {
-          method: "POST",
-          url: "/api/v0/create-nft-bid",
-          handler: "CreateNFTBid",
-          description: "Place a bid on an NFT",
-          desoJs: "createNftBid",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "NFTPostHashHex", "SerialNumber", "BidAmountNanos", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        },
-        "accept-nft-bid": {
-          method: "POST",
-          url: "/api/v0/accept-nft-bid",
-          handler: "AcceptNFTBid",
-          description: "Accept a bid on an NFT",
-          desoJs: "acceptNftBid",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "NFTPostHashHex", "SerialNumber", "BidderPublicKeyBase58Check", "BidAmountNanos", "MinFeeRateNanosPerKB"],
-            optional: ["UnlockableText"]
-          }
-        },
-        "transfer-nft": {
-          method: "POST",
-          url: "/api/v0/transfer-nft",
-          handler: "TransferNFT",
-          description: "Transfer NFT to another user",
-          desoJs: "transferNft",
-          params: {
-            required: ["SenderPublicKeyBase58Check", "ReceiverPublicKeyBase58Check", "NFTPostHashHex", "SerialNumber", "MinFeeRateNanosPerKB"],
-            optional: ["UnlockableText"]
-          }
-        },
-        "burn-nft": {
-          method: "POST",
-          url: "/api/v0/burn-nft",
-          handler: "BurnNFT",
-          description: "Burn/destroy an NFT",
-          desoJs: "burnNft",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "NFTPostHashHex", "SerialNumber", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        }
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+  const parametersSchema = await readJson('schema/parameters.schema.json');
+  const responsesSchema = await readJson('schema/responses.schema.json');
+  ajv.addSchema([parametersSchema, responsesSchema]);
+  const validateParameters = ajv.getSchema(parametersSchema.$id);
+  const validateResponses = ajv.getSchema(responsesSchema.$id);
+  const validateIndex = ajv.compile(await readJson('schema/index.schema.json'));
+  const validateCategory = ajv.compile(await readJson('schema/category.schema.json'));
+  
+  const index = await readJson('index.json');
+  if (!validateIndex(index)) {
+    throw new Error(`Invalid catalog/index.json: ${ajv.errorsText(validateIndex.errors, { dataVar: 'index' })}`);
+  }
+  
+  const { parameters: sharedParameters } = await readJson('parameters.json');
+  if (!validateParameters({ parameters: sharedParameters })) {
+    throw new Error(`Invalid catalog/parameters.json: ${ajv.errorsText(validateParameters.errors, { dataVar: 'parameters' })}`);
+  }
+  
+  const { shapes } = await readJson('responses.json');
+  if (!validateResponses({ shapes })) {
+    throw new Error(`Invalid catalog/responses.json: ${ajv.errorsText(validateResponses.errors, { dataVar: 'shapes' })}`);
+  }
+  for (const [shape, { fields }] of Object.entries(shapes)) {
+    checkResponseShapeReferences(`Response shape "${shape}"`, fields, shapes);
+  }
+  
+  const categories = {};
+  const endpointOwners = {};
+  for (const name of index.categories) {
+    const data = await readJson(`${name}.json`);
+    if (!validateCategory(data)) {
+      throw new Error(`Invalid catalog/${name}.json: ${ajv.errorsText(validateCategory.errors, { dataVar: name })}`);
+    }
+    if (data.category !== name) {
+      throw new Error(`catalog/${name}.json declares category "${data.category}"`);
+    }
+    
+    // Endpoints are looked up by name alone, so names must be unique across categories
+    for (const [endpoint, details] of Object.entries(data.endpoints)) {
+      if (endpointOwners[endpoint]) {
+        throw new Error(`Endpoint "${endpoint}" is defined in both ${endpointOwners[endpoint]} and ${name}`);
       }
-    },
-    dao: {
-      description: "DAO Coin operations including minting, burning, transfers, and limit orders",
-      backendFile: "routes/transaction.go",
-      endpoints: {
-        "dao-coin": {
-          method: "POST",
-          url: "/api/v0/dao-coin",
-          handler: "DAOCoin",
-          description: "Mint, burn, or disable minting for DAO coins",
-          desoJs: "daoCoin",
-          params: {
-            required: ["UpdaterPublicKeyBase58Check", "ProfilePublicKeyBase58CheckOrUsername", "OperationType", "MinFeeRateNanosPerKB"],
-            optional: ["CoinsToMintNanos", "CoinsToBurnNanos", "TransferRestrictionStatus"]
-          }
-        },
-        "transfer-dao-coin": {
-          method: "POST",
-          url: "/api/v0/transfer-dao-coin",
-          handler: "TransferDAOCoin",
-          description: "Transfer DAO coins between users",
-          desoJs: "transferDAOCoin",
-          params: {
-            required: ["SenderPublicKeyBase58Check", "ProfilePublicKeyBase58CheckOrUsername", "ReceiverPublicKeyBase58CheckOrUsername", "DAOCoinToTransferNanos", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        },
-        "create-dao-coin-limit-order": {
-          method: "POST",
-          url: "/api/v0/create-dao-coin-limit-order",
-          handler: "CreateDAOCoinLimitOrder",
-          description: "Create limit orders for DAO coin trading",
-          desoJs: "createDAOCoinLimitOrder",
-          params: {
-            required: ["TransactorPublicKeyBase58Check", "BuyingDAOCoinCreatorPublicKeyBase58Check", "SellingDAOCoinCreatorPublicKeyBase58Check", "Price", "Quantity", "OperationType", "FillType", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        },
-        "create-dao-coin-market-order": {
-          method: "POST",
-          url: "/api/v0/create-dao-coin-market-order",
-          handler: "CreateDAOCoinMarketOrder",
-          description: "Create market orders for DAO coin trading",
-          desoJs: "createDAOCoinMarketOrder",
-          params: {
-            required: ["TransactorPublicKeyBase58Check", "BuyingDAOCoinCreatorPublicKeyBase58Check", "SellingDAOCoinCreatorPublicKeyBase58Check", "Quantity", "OperationType", "FillType", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        },
-        "cancel-dao-coin-limit-order": {
-          method: "POST",
-          url: "/api/v0/cancel-dao-coin-limit-order",
-          handler: "CancelDAOCoinLimitOrder",
-          description: "Cancel existing DAO coin limit orders",
-          desoJs: "cancelDAOCoinLimitOrder",
-          params: {
-            required: ["TransactorPublicKeyBase58Check", "CancelOrderID", "MinFeeRateNanosPerKB"],
-            optional: []
-          }
-        }
+      endpointOwners[endpoint] = name;
+      
+      const seen = new Set();
+      for (const kind of ['required', 'optional']) {
+        details.params[kind] = resolveCatalogParameters(endpoint, details.params[kind], sharedParameters, seen);
       }
-    },
-    access: {
-      description: "Access group management for DeSo messaging and permissions",
-      backendFile: "routes/access_group.go",
-      documentation: {
-        endpoints: ["docs/deso-backend/api/access-group-endpoints.md"],
-        transactions: ["docs/deso-backend/construct-transactions/access-groups-api.md"]
-      },
-      endpoints: {
-        "get-all-user-access-groups": {
-          method: "POST",
-          url: "/api/v0/get-all-user-access-groups",
-          handler: "GetAllUserAccessGroups",
-          description: "Get all access groups owned by and member of for a user",
-          desoJs: "getAllUserAccessGroups",
-          params: {
-            required: ["PublicKeyBase58Check"],
-            optional: []
-          }
-        },
-        "check-party-access-groups": {
-          method: "POST",
-          url: "/api/v0/check-party-access-groups",
-          handler: "CheckPartyAccessGroups",
-          description: "Check if both sender and receiver have requested access groups",
-          desoJs: "checkPartyAccessGroups",
-          params: {
-            required: [
-              "SenderPublicKeyBase58Check",
-              "SenderAccessGroupKeyName", 
-              "RecipientPublicKeyBase58Check",
-              "RecipientAccessGroupKeyName"
-            ],
-            optional: []
-          }
-        },
-        "create-access-group": {
-          method: "POST",
-          url: "/api/v0/create-access-group",
-          handler: "CreateAccessGroup",
-          description: "Create a new access group for messaging",
-          desoJs: "createAccessGroup",
-          params: {
-            required: [
-              "AccessGroupOwnerPublicKeyBase58Check",
-              "AccessGroupPublicKeyBase58Check",
-              "AccessGroupKeyName",
-              "MinFeeRateNanosPerKB"
-            ],
-            optional: ["TransactionFees", "ExtraData"]
-          }
-        }
+      details.response = resolveCatalogResponse(endpoint, details.response, shapes);
+    }
+    
+    const { $schema, category, ...info } = data;
+    categories[name] = info;
+  }
+  
+  return { version: index.version, categories, shapes };
+}
+
+// Fill API_DETAILS and friends; main() calls this before serving and the tests before calling tools
+async function initApiCatalog(catalogDir = CATALOG_DIR) {
+  ({ version: API_CATALOG_VERSION, categories: API_DETAILS, shapes: API_RESPONSE_SHAPES } = await loadApiCatalog(catalogDir));
+}
+
+// Every "shape" named by a field, array item or map value must exist in catalog/responses.json
+function checkResponseShapeReferences(owner, fields, shapes) {
+  for (const [name, field] of Object.entries(fields)) {
+    for (const ref of [field.shape, field.items?.shape, field.values?.shape]) {
+      if (ref && !shapes[ref]) {
+        throw new Error(`${owner} field "${name}" references unknown response shape "${ref}"`);
       }
     }
+    if (field.fields) checkResponseShapeReferences(owner, field.fields, shapes);
+  }
+}
+
+// Flatten an endpoint response into { shape, description, fields }: the named shape's
+// fields first, then the endpoint's own. Nested shapes stay referenced by name.
+function resolveCatalogResponse(endpoint, response, shapes) {
+  const base = response.shape ? shapes[response.shape] : null;
+  if (response.shape && !base) {
+    throw new Error(`Endpoint "${endpoint}" references unknown response shape "${response.shape}"`);
+  }
+  const fields = { ...base?.fields, ...response.fields };
+  checkResponseShapeReferences(`Endpoint "${endpoint}" response`, fields, shapes);
+  
+  return {
+    shape: response.shape || null,
+    description: response.description || base?.description || null,
+    fields
   };
+}
 
-  if (endpoint) {
-    for (const [cat, info] of Object.entries(apiDetails)) {
-      if (info.endpoints[endpoint]) {
-        const ep = info.endpoints[endpoint];
-        let result = `# ${endpoint}\n\n`;
-        result += `**Category:** ${cat.toUpperCase()}\n`;
-        result += `**Description:** ${ep.description}\n\n`;
-        result += `**API Details:**\n`;
-        result += `- Method: ${ep.method}\n`;
-        result += `- URL: ${ep.url}\n`;
-        result += `- Backend Handler: ${ep.handler}\n`;
-        result += `- Backend File: ${info.backendFile}\n`;
-        result += `- deso-js Function: ${ep.desoJs}\n\n`;
-        
-        result += `**Parameters:**\n`;
-        result += `- Required: ${ep.params.required.join(', ') || 'None'}\n`;
-        result += `- Optional: ${ep.params.optional.join(', ') || 'None'}\n\n`;
-        
-        if (includeCode) {
-          result += generateEndpointExample(endpoint, ep);
-        }
-        
-        return { content: [{ type: "text", text: result }] };
+// Expand parameter references into full { name, type, description, units, example, constraints }
+// objects: a string names a shared definition, an object overrides (or defines) it inline
+function resolveCatalogParameters(endpoint, refs, sharedParameters, seen) {
+  return refs.map(ref => {
+    const name = typeof ref === 'string' ? ref : ref.name;
+    const resolved = { name, ...sharedParameters[name], ...(typeof ref === 'string' ? {} : ref) };
+    
+    if (!resolved.type || !resolved.description || !('example' in resolved)) {
+      throw new Error(`Endpoint "${endpoint}" parameter "${name}" needs a definition in catalog/parameters.json or an inline type, description and example`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Endpoint "${endpoint}" lists parameter "${name}" more than once`);
+    }
+    seen.add(name);
+    
+    return resolved;
+  });
+}
+
+// Find an endpoint by name across all catalog categories
+function findCatalogEndpoint(endpoint) {
+  for (const [category, info] of Object.entries(API_DETAILS)) {
+    if (info.endpoints[endpoint]) {
+      return { category, info, details: info.endpoints[endpoint] };
+    }
+  }
+  return null;
+}
+
+// Tools report bad arguments in their result text, like unknown endpoints, so the caller can correct them
+function invalidArgument(title, problem) {
+  return { content: [{ type: "text", text: `# ❌ ${title}\n\n${problem}\n` }] };
+}
+
+// Rank catalog endpoints against a free-text query (name, description, handler, SDK function, params, response fields)
+function searchApiCatalog(query) {
+  const searchTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = [];
+  
+  for (const [category, info] of Object.entries(API_DETAILS)) {
+    for (const [endpoint, details] of Object.entries(info.endpoints)) {
+      const haystack = [
+        endpoint, details.description, details.handler, details.desoJs || '',
+        ...details.params.required.map(p => p.name), ...details.params.optional.map(p => p.name),
+        ...Object.keys(details.response.fields)
+      ].join(' ').toLowerCase();
+      const score = searchTerms.filter(term => haystack.includes(term)).length;
+      if (score > 0) {
+        matches.push({ category, endpoint, details, score });
       }
     }
+  }
+  
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+// COMPREHENSIVE DeSo API Implementation (from original mcp-server.js)
+async function exploreDesoApi(args) {
+  const { category = 'all', endpoint, includeCode = false } = args;
+  
+  const apiDetails = API_DETAILS;
+
+  if (endpoint) {
+    const match = findCatalogEndpoint(endpoint);
+    if (match) {
+      const result = formatEndpointCard(endpoint, match.category, includeCode);
+      return { content: [{ type: "text", text: result }] };
+    }
     return { content: [{ type: "text", text: `Endpoint "${endpoint}" not found` }] };
   }
 
@@ -839,7 +744,7 @@ async function exploreDesoApi(args) {
         result += `### ${ep}\n`;
         result += `${details.description}\n`;
         result += `- ${details.method} ${details.url}\n`;
-        result += `- deso-js: ${details.desoJs}\n\n`;
+        result += `- deso-js: ${details.desoJs || 'none (direct API call)'}\n\n`;
       }
     }
     return { content: [{ type: "text", text: result }] };
@@ -856,9 +761,9 @@ async function exploreDesoApi(args) {
       result += `${details.description}\n\n`;
       result += `**API:** ${details.method} ${details.url}\n`;
       result += `**Handler:** ${details.handler}\n`;
-      result += `**deso-js:** ${details.desoJs}\n\n`;
-      result += `**Required Params:** ${details.params.required.join(', ') || 'None'}\n`;
-      result += `**Optional Params:** ${details.params.optional.join(', ') || 'None'}\n\n`;
+      result += `**deso-js:** ${details.desoJs || 'none (direct API call)'}\n\n`;
+      result += `**Required Params:** ${details.params.required.map(p => p.name).join(', ') || 'None'}\n`;
+      result += `**Optional Params:** ${details.params.optional.map(p => p.name).join(', ') || 'None'}\n\n`;
     }
     
     return { content: [{ type: "text", text: result }] };
@@ -909,6 +814,8 @@ configure({
 });
 \`\`\`
 
+Use \`build_deso_spending_limits\` to build \`spendingLimitOptions\` for the operations your app performs.
+
 ## React Native Setup
 
 For React Native, provide storage and browser handlers:
@@ -1113,104 +1020,1579 @@ const followers = await getFollowersForUser({
   return { content: [{ type: "text", text: `Topic "${topic}" not found. Available: ${Object.keys(guides).join(', ')}` }] };
 }
 
+// Catalog-driven code generation: any endpoint known to deso_api_explorer (or a shortcut /
+// deso-js function name for one) becomes a working snippet in the requested language
 async function generateDesoCode(args) {
-  const { operation, language, includeAuth = false, fullExample = false } = args;
-  
-  const examples = {
-    follow: {
-      javascript: `// Follow a user using deso-js
-import { updateFollowingStatus${includeAuth ? ', identity' : ''} } from 'deso-protocol';
+  const { operation, language, includeAuth = false, fullExample = false, nodeUrl = CODEGEN_DEFAULT_NODE_URL } = args;
+
+  const generators = {
+    javascript: (spec, options) => generateScriptCode(spec, options, false),
+    typescript: (spec, options) => generateScriptCode(spec, options, true),
+    react: generateReactCode,
+    curl: generateCurlCode,
+    python: generatePythonCode,
+    go: generateGoCode
+  };
+  if (!generators[language]) {
+    return invalidArgument(language ? `Unknown Language: ${language}` : 'Missing Language', `Available: ${Object.keys(generators).join(', ')}`);
+  }
+  if (typeof operation !== 'string' || operation.trim() === '') {
+    return invalidArgument('Missing Operation', 'Pass `operation`: a catalog endpoint name (e.g. `send-diamonds`), a deso-js function name (e.g. `sendDiamonds`) or a shortcut such as `follow`.');
+  }
+  const node = parseCodegenNodeUrl(nodeUrl);
+  if (!node) {
+    return invalidArgument(`Invalid Node URL: ${nodeUrl}`, 'Pass the http(s) address of a DeSo node with no query string, such as `https://node.deso.org`, `https://test.deso.org` or `http://localhost:17001` for the --mock-node server.');
+  }
 
-${includeAuth ? `// Login first
-await identity.login();
-const currentUser = identity.snapshot().currentUser;
-` : ''}
-const result = await updateFollowingStatus({
-  FollowerPublicKeyBase58Check: ${includeAuth ? 'currentUser.publicKey' : "'YOUR_PUBLIC_KEY'"},
-  FollowedPublicKeyBase58Check: 'BC1YLiQ86kwXaVaUVwKyKF5uo2Kxt8SSeZ2CzGTAVp2TRb4VJeFHLqd',
-  IsUnfollow: false
-});
+  const spec = resolveCodegenOperation(operation, node);
+  if (!spec) {
+    const allEndpoints = Object.values(API_DETAILS).flatMap(info => Object.keys(info.endpoints));
+    // Qualified shortcut names ("dao-limit-order") end with the shortcut itself
+    const qualified = Object.keys(CODEGEN_OPERATION_ALIASES).filter(alias => operation.trim().toLowerCase().replace(/[\s_]+/g, '-').endsWith(`-${alias}`));
+    const suggestions = [...new Set([...qualified, ...suggestNames(operation, [...Object.keys(CODEGEN_OPERATION_ALIASES), ...allEndpoints])])].slice(0, 3);
+    let text = `# ❌ Unknown Operation: ${operation}\n\n`;
+    if (suggestions.length > 0) {
+      const shortcutFor = (name) => Object.keys(CODEGEN_OPERATION_ALIASES).find(a => a !== name && CODEGEN_OPERATION_ALIASES[a].endpoint === name);
+      text += `Did you mean ${suggestions.map(s => `\`${s}\`${shortcutFor(s) ? ` (shortcut \`${shortcutFor(s)}\`)` : ''}`).join(' or ')}?\n\n`;
+    }
+    text += `Operations are catalog endpoint names (e.g. \`send-diamonds\`, \`create-nft-bid\`), deso-js function names (e.g. \`sendDiamonds\`) or one of these shortcuts: ${Object.keys(CODEGEN_OPERATION_ALIASES).map(a => `\`${a}\``).join(', ')}.\n`;
+    text += `Use \`deso_api_explorer\` with \`category: "all"\` to list the known endpoints.\n`;
+    return { content: [{ type: "text", text }] };
+  }
 
-console.log('Follow successful:', result);`,
+  const { code, notes } = generators[language](spec, { includeAuth, fullExample });
+  const { endpoint, category, details } = spec;
+  const fences = { javascript: 'javascript', typescript: 'typescript', react: 'jsx', curl: 'bash', python: 'python', go: 'go' };
+
+  let text = `# DeSo Code Generator\n\n`;
+  text += `**Operation:** ${operation}${operation !== endpoint ? ` → \`${endpoint}\`` : ''}  \n`;
+  text += `**Language:** ${language}  \n`;
+  text += `**Include Auth:** ${includeAuth}\n\n`;
+  text += `**Endpoint:** ${details.method} ${spec.url} (${category.toUpperCase()}) — ${details.description}\n`;
+  text += `**deso-js:** ${spec.sdkFunction || 'none (direct API call)'}\n`;
+  if (spec.isTransaction) {
+    const signStep = language === 'python' || language === 'go' ? 'your `Signer`' : '`identity.signTx`';
+    text += `**Flow:** build (\`${endpoint}\`) → sign (${signStep}) → submit (\`submit-transaction\`)\n`;
+  }
+  text += `\n## Generated Code:\n\n\`\`\`${fences[language]}\n${code}\n\`\`\`\n\n`;
 
-      react: `// React Follow Button Component
-import React, { useState } from 'react';
-import { updateFollowingStatus, identity } from 'deso-protocol';
+  const allNotes = [...notes, ...describeCodegenParameters(spec), ...describeCodegenResponse(spec)];
+  if (allNotes.length > 0) {
+    text += `## Notes\n\n${allNotes.map(note => `- ${note}`).join('\n')}\n\n`;
+  }
+  text += `Full parameter and response reference: \`deso_api_explorer\` with \`endpoint: "${endpoint}"\`. Check a modified body with \`validate_deso_request\` before sending it.\n\n`;
+  text += `Your DeSo MCP server is generating code! ⚡`;
 
-function FollowButton({ userToFollow }) {
-  const [isFollowing, setIsFollowing] = useState(false);
-  const [loading, setLoading] = useState(false);
-  
-  const handleFollow = async () => {
-    setLoading(true);
-    try {
-      const currentUser = identity.snapshot().currentUser;
-      
-      await updateFollowingStatus({
-        FollowerPublicKeyBase58Check: currentUser.publicKey,
-        FollowedPublicKeyBase58Check: userToFollow.PublicKeyBase58Check,
-        IsUnfollow: isFollowing
-      });
-      
-      setIsFollowing(!isFollowing);
-    } catch (error) {
-      console.error('Follow error:', error);
-    } finally {
-      setLoading(false);
+  return { content: [{ type: "text", text }] };
+}
+
+// Functions deso-protocol 3.4.1 exports, and the methods of its `identity` export. SDK templates
+// are only generated for catalog `desoJs` names found here; anything else gets the direct API call.
+const DESO_JS_EXPORTS = new Set(`
+  acceptNFTBid acceptNFTTransfer addAccessGroupMembers adminGetAllUserGlobalMetadata
+  adminGetBuyDesoFeeBasisPoints adminGetGlobalParams adminGetHotFeedAlgorithm
+  adminGetHotFeedUserMultiplier adminGetMempoolStats adminGetNFTDrop
+  adminGetUSDCentsToDESOReserveExchangeRate adminGetUnfilteredHotFeed adminGetUserAdminData
+  adminGetUserGlobalMetadata adminGetUsernameVerificationAuditLog adminGetVerifiedUsers
+  adminGetWyreWalletOrderQuotation adminGetWyreWalletOrderReservation
+  adminGetWyreWalletOrdersForUser adminGrantVerificationBadge adminNodeControl adminPinPost
+  adminRemoveNilPosts adminRemoveVerificationBadge adminReprocessBitcoinBlock
+  adminSetBuyDesoFeeBasisPoints adminSetUSDCentsToDESOReserveExchangeRate adminSwapIdentity
+  adminUpdateGlobalFeed adminUpdateGlobalParams adminUpdateHotFeedAlgorithm
+  adminUpdateHotFeedPostMultiplier adminUpdateHotFeedUserMultiplier adminUpdateNFTDrop
+  adminUpdateUserGlobalMetadata authorizeDerivedKey authorizeDerivedKeyAMM blockPublicKey
+  bs58PublicKeyToBytes bs58PublicKeyToCompressedBytes bufToUvarint64 bufToVarint64
+  buildAcceptNFTTransferMetadata buildProfilePictureUrl buildProxyImageURL burnDeSoToken burnNFT
+  buyCreatorCoin buyDeSoTokenMarketOrder cancelDeSoTokenLimitOrder cancelTwapOrder
+  checkPartyAccessGroups cleanURL coinLockup coinLockupTransfer coinUnlock concatUint8Arrays
+  configure constructAcceptNFTBidTransaction constructAcceptNFTTransfer
+  constructAddAccessGroupMembersTransaction constructAdminUpdateGlobalParamsTransaction
+  constructAuthorizeDerivedKey constructBurnDeSoTokenTransaction constructBurnNFTTransation
+  constructCoinLockupTransaction constructCoinLockupTransferTransaction
+  constructCoinUnlockTransaction constructCreateAccessGroupTransaction
+  constructCreateNFTTransaction constructCreatePostAssociationTransaction
+  constructCreateUserAssociationTransaction constructDeletePostAssociationTransaction
+  constructDeleteUserAssociationTransaction constructDiamondTransaction
+  constructDisableMintingDeSoToken constructFollowTransaction constructLikeTransaction
+  constructMintDeSoTokenTransaction constructNFTBidTransaction
+  constructRegisterAsValidatorTransaction constructRemoveAccessGroupMembersTransaction
+  constructSendDMTransaction constructSendDeSoTransaction constructSendGroupChatMessageTransaction
+  constructStakeTransaction constructSubmitPost constructTransferDeSoToken constructTransferNFT
+  constructUnjailValidatorTransaction constructUnlockStakeTransaction
+  constructUnregisterAsValidatorTransaction constructUnstakeTransaction
+  constructUpdateAccessGroupMembersTransaction constructUpdateAccessGroupTransaction
+  constructUpdateCoinLockupParamsTransaction constructUpdateDMTransaction
+  constructUpdateDeSoTokenTransferRestrictionStatusTransaction
+  constructUpdateGroupChatMessageTransaction constructUpdateNFTTransaction
+  constructUpdateProfileTransaction countPostAssociation countPostAssociations
+  countUserAssociation countUserAssociations createAccessGroup createDeSoTokenLimitOrder
+  createDeSoTokenMarketOrder createDeSoTokenMarketOrderWithFee createDerivedKeyAMM createNFT
+  createNFTBid createNewCoin createPostAssociation createTwapOrder createUserAssociation
+  decodeBytesToUTF8 decodePublicKey decrypt decryptChatMessage deletePII deletePostAssociation
+  deleteUserAssociation deriveAccessGroupKeyPair disableMintingDeSoToken encodeUTF8ToBytes encrypt
+  encryptChatMessage generateDerivedKeyPayload getAccessGroupInfo getAccessGroupMemberInfo
+  getAllAccessGroups getAllAccessGroupsMemberOnly getAllAccessGroupsOwned getAllBidsForNFT
+  getAllMessageThreads getAllMessagingGroupKeys getAppState getBlock getBlockTemplate
+  getBulkAccessGroups getCoinProperties getDMThreads getDiamondedPosts getDiamondsForPost
+  getDiamondsForUser getExchangeRates getFollowersForUser getFullTikTokURL getGlobalParams
+  getGroupChatThreads getHodlersForUser getHolders getHotFeed getIsFollowing getIsHodling
+  getIsHolding getLikesForPost getLinkPreview getMyTwapOrders getNFTBidsForUser
+  getNFTCollectionSummary getNFTEntriesForPost getNFTShowcase getNFTsForUser getNextNFTShowcase
+  getNotifications getPaginatedAccessGroupMembers getPaginatedDMThread getPaginatedGroupChatThread
+  getPostAssociation getPostAssociations getPostsForUser getPostsHashHexList getPostsStateless
+  getProfiles getPublicKeyForUsername getQuoteRepostsForPost getRepostsForPost getSharedPrivateKey
+  getSharedSecret getSignedJWT getSinglePost getSingleProfile getTransaction getTransactionInfo
+  getTransactionSpendingLimitFromHex getTransactionSpendingLimitHex getUnreadNotificationsCount
+  getUserAssociation getUserAssociations getUserDerivedKeys getUserGlobalMetadata getUserMetadata
+  getUsernameForPublicKey getUsersStateless getVideoStatus healthCheck identity instanceToType
+  isValidBS58PublicKey kdf keygen mintDeSoToken pollForVideoReady publicKeyToBase58Check
+  registerAsValidator registerMessagingGroupKey removeAccessGroupMembers resendVerifyEmail
+  sellCreatorCoin sellDeSoTokenMarketOrder sendDMMessage sendDeso sendDiamonds
+  sendGroupChatMessage sendMessage setNotificationMetadata sha256X2 sign signTx stake submitBlock
+  submitPost transferCreatorCoin transferDeSoToken transferNFT uint64ToBufBigEndian
+  unJailValidator unRegisterAsValidator unlockStake unstake updateAccessGroup
+  updateAccessGroupMembers updateCoinLockupParams updateCoinProperties updateDMMessage
+  updateDeSoTokenTransferRestrictionStatus updateFollowingStatus updateGroupChatMessage
+  updateLikeStatus updateNFT updateProfile updateUserGlobalMetadata uploadImage uploadVideo
+  uvarint64ToBuf varint64ToBuf verifyEmail waitForTransactionFound
+`.trim().split(/\s+/));
+
+const DESO_JS_IDENTITY_METHODS = new Set(`
+  accessGroupStandardDerivation configure decryptAccessGroupKeyPair decryptMessage derive
+  desoAddressToEthereumAddress encryptMessage ethereumAddressToDesoAddress getDeso
+  handleRedirectURI hasPermissions jwt login loginWithAutoDerive logout
+  refreshDerivedKeyPermissions requestPermissions setActiveUser signAndSubmit signAndSubmitAtomic
+  signAndSubmitTx signTx snapshot submitAtomicTx submitTx subscribe unsubscribe verifyPhoneNumber
+`.trim().split(/\s+/));
+
+// deso-protocol functions whose TypeScript signatures reject the catalog request or response: they
+// require params the endpoint treats as optional, name fields differently, or type the response
+// wrongly. TypeScript output calls their endpoints directly so it compiles under --strict.
+const DESO_JS_UNTYPED_CALLS = new Set([
+  'authorizeDerivedKey', 'countUserAssociations', 'createNFT', 'getAllBidsForNFT', 'getDiamondsForPost',
+  'getLikesForPost', 'getPaginatedDMThread', 'getPaginatedGroupChatThread', 'getPostAssociations',
+  'getPostsForUser', 'getProfiles', 'getUnreadNotificationsCount', 'getUserAssociations', 'getVideoStatus',
+  'sendDMMessage', 'sendGroupChatMessage', 'updateDMMessage', 'updateGroupChatMessage', 'updateProfile'
+]);
+
+// The SDK function named first in a catalog `desoJs` entry ("buyCreatorCoin / sellCreatorCoin",
+// "identity.login"), or null when deso-protocol does not export it
+function desoJsFunction(desoJs) {
+  const name = desoJs?.match(/^[\w.]+/)[0];
+  if (!name) return null;
+  const [root, method] = name.split('.');
+  const exported = method ? root === 'identity' && DESO_JS_IDENTITY_METHODS.has(method) : DESO_JS_EXPORTS.has(root);
+  return exported ? name : null;
+}
+
+// Shortcut operation names for generate_deso_code. `preset` pins parameter values, `include`
+// adds optional params the operation needs in practice, and `desoJs` picks the SDK function
+// when one endpoint backs several (`sdkFixed` params are set by that function itself and left
+// out of its arguments).
+const CODEGEN_OPERATION_ALIASES = {
+  follow: { endpoint: 'create-follow-txn-stateless', preset: { IsUnfollow: false } },
+  unfollow: { endpoint: 'create-follow-txn-stateless', preset: { IsUnfollow: true } },
+  post: { endpoint: 'submit-post' },
+  like: { endpoint: 'create-like-stateless', preset: { IsUnlike: false } },
+  unlike: { endpoint: 'create-like-stateless', preset: { IsUnlike: true } },
+  'send-diamond': { endpoint: 'send-diamonds' },
+  'buy-creator-coin': {
+    endpoint: 'buy-or-sell-creator-coin', preset: { OperationType: 'buy' }, include: ['DeSoToSellNanos', 'MinCreatorCoinExpectedNanos'],
+    desoJs: 'buyCreatorCoin', sdkFixed: ['OperationType']
+  },
+  'sell-creator-coin': {
+    endpoint: 'buy-or-sell-creator-coin', preset: { OperationType: 'sell' }, include: ['CreatorCoinToSellNanos', 'MinDeSoExpectedNanos'],
+    desoJs: 'sellCreatorCoin', sdkFixed: ['OperationType']
+  },
+  'buy-or-sell-creator-coin': {
+    endpoint: 'buy-or-sell-creator-coin', preset: { OperationType: 'buy' }, include: ['DeSoToSellNanos', 'MinCreatorCoinExpectedNanos'],
+    desoJs: 'buyCreatorCoin', sdkFixed: ['OperationType']
+  },
+  'transfer-deso': { endpoint: 'send-deso' },
+  'mint-nft': { endpoint: 'create-nft' },
+  'nft-bid': { endpoint: 'create-nft-bid' },
+  'send-dm': { endpoint: 'send-dm-message' },
+  'send-message': { endpoint: 'send-dm-message' },
+  'limit-order': { endpoint: 'create-dao-coin-limit-order' },
+  'dao-coin-limit-order': { endpoint: 'create-dao-coin-limit-order' },
+  'market-order': { endpoint: 'create-dao-coin-market-order' },
+  'get-profile': { endpoint: 'get-single-profile' },
+  'get-posts': { endpoint: 'get-posts-stateless' },
+  'get-messages': { endpoint: 'get-all-user-message-threads' },
+  login: { endpoint: 'log-in' }
+};
+
+const CODEGEN_DEFAULT_NODE_URL = 'https://node.deso.org';
+
+// Normalize the nodeUrl argument to an origin plus optional path without a trailing slash, or null when it
+// is not an http(s) URL that can be pasted into a string literal or shell command as is
+function parseCodegenNodeUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password || url.search || url.hash) return null;
+  const path = url.pathname.replace(/\/+$/, '');
+  return /^[\w.~%/-]*$/.test(path) ? `${url.origin}${path}` : null;
+}
+
+// Request params that name the acting user; generated code fills them from identity
+const CODEGEN_ACTOR_PARAM = /^(Follower|Updater|Reader|Sender|Transactor|Owner|User|UserGroupOwner|AccessGroupOwner|SenderAccessGroupOwner|Admin)?PublicKey(Base58Check)?$/;
+
+// Resolve an operation to a catalog endpoint plus everything the language generators need:
+// shortcut aliases first, then endpoint names, then deso-js function names
+function resolveCodegenOperation(operation, nodeUrl = CODEGEN_DEFAULT_NODE_URL) {
+  const normalized = operation.trim().replace(/[\s_]+/g, '-');
+  let aliasName = CODEGEN_OPERATION_ALIASES[normalized.toLowerCase()] ? normalized.toLowerCase() : null;
+  let alias = aliasName ? CODEGEN_OPERATION_ALIASES[aliasName] : null;
+  let match = findCatalogEndpoint(alias ? alias.endpoint : normalized) || findCatalogEndpoint(normalized.toLowerCase());
+
+  if (!match) {
+    const sdkName = normalized.replace(/^identity\./, '').toLowerCase();
+    aliasName = Object.keys(CODEGEN_OPERATION_ALIASES).find(name => CODEGEN_OPERATION_ALIASES[name].desoJs?.toLowerCase() === sdkName) || null;
+    alias = aliasName ? CODEGEN_OPERATION_ALIASES[aliasName] : null;
+    for (const [category, info] of Object.entries(API_DETAILS)) {
+      const endpoint = alias?.endpoint || Object.keys(info.endpoints).find(ep => (info.endpoints[ep].desoJs || '')
+        .split('/').map(fn => fn.trim().match(/^[\w.]*/)[0].replace(/^identity\./, '').toLowerCase()).includes(sdkName));
+      if (endpoint && info.endpoints[endpoint]) {
+        match = { category, info, details: info.endpoints[endpoint] };
+        break;
+      }
     }
+  }
+  if (!match) return null;
+
+  const { category, info, details } = match;
+  const endpoint = Object.keys(info.endpoints).find(ep => info.endpoints[ep] === details);
+  const preset = alias?.preset || {};
+  const isTransaction = details.response.shape === 'TransactionConstructionResponse';
+  const isUpload = details.params.required.some(p => p.constraints?.format === 'binary');
+  // An endpoint backed by several SDK functions only gets one through an alias that pins its mode,
+  // and identity methods (identity.submitTx) take positional arguments rather than the request body
+  const sdkName = alias?.desoJs || !details.desoJs?.includes(' / ') ? desoJsFunction(alias?.desoJs || details.desoJs) : null;
+  const sdkFunction = sdkName?.includes('.') ? null : sdkName;
+
+  // Endpoints whose params are all optional (lookups by key or username) show the first optional one
+  const chosen = details.params.required.length > 0 ? details.params.required : details.params.optional.slice(0, 1);
+  const presetOnly = details.params.optional.filter(p => (p.name in preset || alias?.include?.includes(p.name)) && !chosen.includes(p));
+  const actor = isTransaction ? details.params.required[0] : chosen.find(p => CODEGEN_ACTOR_PARAM.test(p.name));
+  const params = [...chosen, ...presetOnly].map(p => ({
+    ...p,
+    value: p.name in preset ? preset[p.name] : p.example,
+    actor: p === actor,
+    sdkFixed: (alias?.sdkFixed || []).includes(p.name)
+  }));
+
+  return {
+    endpoint,
+    category,
+    details,
+    url: `${info.baseUrl || nodeUrl}${details.url}`,
+    nodeUrl,
+    typeName: catalogTypeName(endpoint),
+    label: (aliasName && aliasName !== endpoint ? aliasName : endpoint.replace(/-(txn-)?stateless$/, ''))
+      .split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    sdkFunction,
+    isTransaction,
+    isUpload,
+    isIdentity: details.method === 'WINDOW' || details.method === 'IFRAME',
+    params
   };
-  
-  return (
-    <button onClick={handleFollow} disabled={loading}>
-      {loading ? 'Loading...' : isFollowing ? 'Unfollow' : 'Follow'}
-    </button>
-  );
-}`
-    },
-    
-    post: {
-      javascript: `// Create a post using deso-js
-import { submitPost${includeAuth ? ', identity' : ''} } from 'deso-protocol';
+}
 
-${includeAuth ? `// Login first
-await identity.login();
-const currentUser = identity.snapshot().currentUser;
-` : ''}
-const result = await submitPost({
-  UpdaterPublicKeyBase58Check: ${includeAuth ? 'currentUser.publicKey' : "'YOUR_PUBLIC_KEY'"},
-  BodyObj: {
-    Body: 'Hello DeSo! This is my first post using the SDK.',
-    ImageURLs: [],
-    VideoURLs: []
+// deso-js drives the identity window and iframe protocol, so each identity endpoint is one SDK call
+const IDENTITY_CODEGEN_CALLS = {
+  'log-in': () => [
+    `await identity.login();`,
+    `const { currentUser } = await identity.snapshot();`,
+    `console.log('Logged in as', currentUser?.publicKey);`
+  ],
+  logout: () => [`await identity.logout();`],
+  derive: (example) => [
+    `const derivedKey = await identity.derive(${example('transactionSpendingLimitResponse')});`,
+    `console.log('Derived key:', derivedKey.derivedPublicKeyBase58Check);`
+  ],
+  approve: () => [
+    `// Ask the user to approve a broader spending limit for this app`,
+    `await identity.requestPermissions({`,
+    `  GlobalDESOLimit: 1000000000,`,
+    `  TransactionCountLimitMap: { SUBMIT_POST: 10 }`,
+    `});`
+  ],
+  'get-deso': () => [`await identity.login({ getFreeDeso: true });`],
+  sign: (example) => [
+    `// TransactionHex comes from any stateless endpoint`,
+    `const TransactionHex = ${example('transactionHex')};`,
+    `const signedTransactionHex = await identity.signTx(TransactionHex);`
+  ],
+  jwt: () => [
+    `// Short-lived (about 10 minutes): request a fresh one for each authenticated call`,
+    `const jwt = await identity.jwt();`
+  ],
+  encrypt: (example) => [
+    `const encryptedMessage = await identity.encryptMessage(${example('recipientPublicKey')}, ${example('message')});`
+  ],
+  decrypt: (example, typed) => [
+    `// messageEntry comes from a messaging endpoint (e.g. getPaginatedDMThread) and accessGroups`,
+    `// from getAllAccessGroups (AccessGroupsOwned and AccessGroupsMember combined)`,
+    `const decryptMessageText = async (${typed ? '...[messageEntry, accessGroups]: Parameters<typeof identity.decryptMessage>' : 'messageEntry, accessGroups'}) => {`,
+    `  const decrypted = await identity.decryptMessage(messageEntry, accessGroups);`,
+    `  return decrypted.DecryptedMessage;`,
+    `};`
+  ]
+};
+
+function identityCodegenLines(spec, typed = false) {
+  const example = (name) => formatExampleValue(spec.params.find(p => p.name === name)?.value ?? '', '');
+  return IDENTITY_CODEGEN_CALLS[spec.endpoint](example, typed);
+}
+
+// JavaScript expression for a request param: the logged-in user for the actor, a fresh JWT,
+// the selected file for uploads, otherwise the catalog example
+function codegenValue(param, spec, indent, actorExpression) {
+  if (param.actor && actorExpression) return actorExpression;
+  if (param.constraints?.format === 'jwt' && actorExpression) return 'await identity.jwt()';
+  if (param.constraints?.format === 'binary') return 'file';
+  return formatExampleValue(param.value, indent);
+}
+
+function formatCodegenObject(spec, indent, actorExpression, { includeFixed = true } = {}) {
+  const entries = spec.params
+    .filter(p => includeFixed || !p.sdkFixed)
+    .map(p => {
+      const value = codegenValue(p, spec, `${indent}  `, actorExpression);
+      return value === p.name ? `${indent}  ${p.name}` : `${indent}  ${p.name}: ${value}`;
+    });
+  return entries.length > 0 ? `{\n${entries.join(',\n')}\n${indent}}` : '{}';
+}
+
+function indentLines(lines, indent) {
+  return lines.flatMap(line => line.split('\n')).map(line => (line ? `${indent}${line}` : line));
+}
+
+// Lines that put the logged-in user in `currentUser`, failing clearly when nobody is logged in
+function codegenLoginLines(spec, includeAuth) {
+  const lines = includeAuth
+    ? [`// Log in with DeSo Identity (opens the identity window)`, `await identity.login();`]
+    : [`// Assumes the user already logged in with identity.login()`];
+  lines.push(`const { currentUser } = await identity.snapshot();`);
+  lines.push(`if (!currentUser) {`);
+  lines.push(`  throw new Error('Log in with identity.login() before calling ${spec.endpoint}');`);
+  lines.push(`}`);
+  return lines;
+}
+
+// The JSON helpers the direct-call flows use; the backend reports failures as { error }
+function codegenFetchHelpers(method, typed) {
+  if (method === 'GET') {
+    return [
+      `// GET from the node and surface the backend's { error } message on failure`,
+      `async function getJson${typed ? '<TResponse>' : ''}(path${typed ? ': string' : ''})${typed ? ': Promise<TResponse>' : ''} {`,
+      `  const response = await fetch(\`\${NODE_URL}\${path}\`);`,
+      `  const data = await response.json().catch(() => ({}));`,
+      `  if (!response.ok) {`,
+      `    throw new Error(${typed ? '(data as { error?: string })' : 'data'}.error || \`\${path} failed with HTTP \${response.status}\`);`,
+      `  }`,
+      `  return data${typed ? ' as TResponse' : ''};`,
+      `}`
+    ];
+  }
+  return [
+    `// POST a JSON body to the node and surface the backend's { error } message on failure`,
+    `async function postJson${typed ? '<TResponse>' : ''}(path${typed ? ': string' : ''}, body${typed ? ': unknown' : ''})${typed ? ': Promise<TResponse>' : ''} {`,
+    `  const response = await fetch(\`\${NODE_URL}\${path}\`, {`,
+    `    method: 'POST',`,
+    `    headers: { 'Content-Type': 'application/json' },`,
+    `    body: JSON.stringify(body)`,
+    `  });`,
+    `  const data = await response.json().catch(() => ({}));`,
+    `  if (!response.ok) {`,
+    `    throw new Error(${typed ? '(data as { error?: string })' : 'data'}.error || \`\${path} failed with HTTP \${response.status}\`);`,
+    `  }`,
+    `  return data${typed ? ' as TResponse' : ''};`,
+    `}`
+  ];
+}
+
+// Statements that perform the request itself, ending with `resultVariable` holding the outcome.
+// Shared by the script and React generators; the caller handles imports and login.
+function codegenCallLines(spec, { typed, direct, actorExpression, resultVariable = 'result' }) {
+  const { details, typeName } = spec;
+  const requestType = typed ? `: ${typeName}Request` : '';
+  const responseType = (name) => (typed ? `<${name}>` : '');
+
+  if (spec.isIdentity) {
+    return identityCodegenLines(spec, typed);
+  }
+
+  if (spec.isUpload) {
+    const fields = spec.params.map(p => `formData.append('${p.name}', ${codegenValue(p, spec, '', actorExpression)});`);
+    if (!direct) {
+      return [
+        `const ${resultVariable} = await ${spec.sdkFunction}(${formatCodegenObject(spec, '', actorExpression)});`
+      ];
+    }
+    return [
+      `const formData = new FormData();`,
+      ...fields,
+      `const uploadResponse = await fetch(\`\${NODE_URL}${details.url}\`, { method: 'POST', body: formData });`,
+      `const ${resultVariable} = await uploadResponse.json().catch(() => ({}));`,
+      `if (!uploadResponse.ok) {`,
+      `  throw new Error(${resultVariable}.error || \`${details.url} failed with HTTP \${uploadResponse.status}\`);`,
+      `}`
+    ];
+  }
+
+  if (spec.isTransaction && direct) {
+    return [
+      `// 1. Build: the stateless endpoint returns an unsigned transaction`,
+      `const request${requestType} = ${formatCodegenObject(spec, '', actorExpression)};`,
+      `const { TransactionHex } = await postJson${responseType(`${typeName}Response`)}('${details.url}', request);`,
+      ``,
+      `// 2. Sign with the logged-in user's key (identity asks for approval when needed)`,
+      `const signedTransactionHex = await identity.signTx(TransactionHex);`,
+      ``,
+      `// 3. Submit the signed transaction to the network`,
+      `const ${resultVariable} = await postJson${responseType('SubmitTransactionResponse')}('/api/v0/submit-transaction', {`,
+      `  TransactionHex: signedTransactionHex`,
+      `});`
+    ];
+  }
+
+  if (spec.isTransaction) {
+    return [
+      `// ${spec.sdkFunction} builds the transaction, signs it with the logged-in user's key and submits it`,
+      `const { submittedTransactionResponse: ${resultVariable} } = await ${spec.sdkFunction}(${formatCodegenObject(spec, '', actorExpression, { includeFixed: false })});`,
+      `// null when the call is made with { broadcast: false }`,
+      `if (!${resultVariable}) {`,
+      `  throw new Error('${spec.sdkFunction} did not submit the transaction');`,
+      `}`
+    ];
+  }
+
+  if (!direct) {
+    return [`const ${resultVariable} = await ${spec.sdkFunction}(${formatCodegenObject(spec, '', actorExpression)});`];
+  }
+
+  if (details.method === 'GET') {
+    const path = details.url.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const param = spec.params.find(p => p.name === name);
+      return param ? `\${encodeURIComponent(${codegenValue(param, spec, '', actorExpression)})}` : placeholder;
+    });
+    return [`const ${resultVariable} = await getJson${responseType(`${typeName}Response`)}(\`${path}\`);`];
+  }
+
+  return [
+    `const request${requestType} = ${formatCodegenObject(spec, '', actorExpression)};`,
+    `const ${resultVariable} = await postJson${responseType(`${typeName}Response`)}('${details.url}', request);`
+  ];
+}
+
+function codegenImports(spec, { typed, direct, needsIdentity, configure = false, react = false }) {
+  const names = new Set();
+  if (configure) names.add('configure');
+  if (needsIdentity || spec.isIdentity) names.add('identity');
+  if (!direct && spec.sdkFunction && !spec.isIdentity) names.add(spec.sdkFunction);
+
+  const lines = [];
+  if (react) lines.push(`import { ${react.join(', ')} } from 'react';`);
+  if (names.size > 0) lines.push(`import { ${[...names].sort().join(', ')} } from 'deso-protocol';`);
+  if (typed && direct && !spec.isIdentity && !spec.isUpload) {
+    const types = spec.details.method === 'GET' ? [`${spec.typeName}Response`] : [`${spec.typeName}Request`, `${spec.typeName}Response`];
+    if (spec.isTransaction) types.push('SubmitTransactionResponse');
+    // Generated by export_deso_api with format: "typescript"
+    lines.push(`import type { ${[...new Set(types)].join(', ')} } from './deso-api';`);
+  }
+  return lines;
+}
+
+// deso-js sends its own requests (and identity's) to the node given to configure()
+function codegenConfigureLines(spec, direct) {
+  return [
+    `configure({`,
+    `  appName: 'My DeSo App',`,
+    `  nodeURI: ${direct ? 'NODE_URL' : `'${spec.nodeUrl}'`},`,
+    `  MinFeeRateNanosPerKB: 1000`,
+    `});`
+  ];
+}
+
+// JavaScript and TypeScript: the deso-js call when there is one, otherwise (or with fullExample)
+// the direct fetch flow, which for transactions spells out build → sign → submit
+function generateScriptCode(spec, { includeAuth, fullExample }, typed) {
+  const untyped = typed && DESO_JS_UNTYPED_CALLS.has(spec.sdkFunction);
+  const direct = !spec.isIdentity && (fullExample || !spec.sdkFunction || untyped);
+  const needsUser = !spec.isIdentity && (spec.isTransaction || spec.isUpload || (includeAuth && spec.params.some(p => p.actor)));
+  const needsIdentity = needsUser || includeAuth || (direct && spec.isTransaction);
+  const notes = [];
+
+  const lines = [`// ${spec.label} (${spec.endpoint}) with ${direct ? 'direct API calls' : 'deso-js'}`];
+  // configure() only affects deso-js calls, so plain fetch flows without a signer skip it
+  const configure = (fullExample || spec.nodeUrl !== CODEGEN_DEFAULT_NODE_URL) && (!direct || needsIdentity);
+  lines.push(...codegenImports(spec, { typed, direct, needsIdentity, configure }));
+  lines.push('');
+
+  if (direct) {
+    lines.push(`const NODE_URL = '${spec.nodeUrl}';`);
+    lines.push('');
+  }
+  if (configure) {
+    lines.push(...codegenConfigureLines(spec, direct));
+    lines.push('');
+  }
+  if (direct && !spec.isUpload) {
+    lines.push(...codegenFetchHelpers(spec.details.method, typed));
+    lines.push('');
+  }
+  if (needsUser) {
+    lines.push(...codegenLoginLines(spec, includeAuth));
+    lines.push('');
+  } else if (includeAuth && !spec.isIdentity) {
+    lines.push(`await identity.login();`);
+    lines.push('');
+  }
+  if (spec.isUpload) {
+    lines.push(`const file${typed ? ': File' : ''} = ${typed ? '(document.querySelector(\'input[type="file"]\') as HTMLInputElement).files![0]' : 'document.querySelector(\'input[type="file"]\').files[0]'};`);
+    lines.push('');
+  }
+
+  lines.push(...codegenCallLines(spec, { typed, direct, actorExpression: needsUser ? 'currentUser.publicKey' : null }));
+  if (!spec.isIdentity) {
+    lines.push('');
+    lines.push(spec.isTransaction
+      ? `console.log('Transaction submitted:', result.TxnHashHex);`
+      : `console.log('${spec.endpoint} response:', ${codegenResultPreview(spec, 'result')});`);
+  }
+
+  if (spec.isTransaction && !direct) {
+    notes.push(`\`${spec.sdkFunction}\` runs build → sign → submit in one call and resolves to \`{ constructedTransactionResponse, submittedTransactionResponse }\`. Pass \`fullExample: true\` to see each step spelled out with \`fetch\`.`);
+  }
+  if (untyped && !fullExample) {
+    notes.push(`deso-protocol's TypeScript signature for \`${spec.sdkFunction}\` does not match this endpoint's request and response, so this calls the endpoint directly. From JavaScript, \`${spec.sdkFunction}\` works too.`);
+  }
+  if (typed && direct && !spec.isIdentity && !spec.isUpload) {
+    notes.push(`Types come from \`deso-api.d.ts\`: save the output of \`export_deso_api\` with \`format: "typescript"\` next to this file.`);
+  }
+  if (spec.isIdentity) {
+    notes.push(`Identity ${spec.details.method === 'WINDOW' ? 'window' : 'iframe'} APIs are browser-only; deso-js handles the postMessage protocol.`);
+  }
+
+  return { code: lines.join('\n'), notes };
+}
+
+// The part of a response worth logging: its first documented field, or the whole body
+function codegenResultPreview(spec, variable, optional = false) {
+  const [first] = Object.keys(spec.details.response.fields);
+  return first ? `${variable}${optional ? '?.' : '.'}${first}` : variable;
+}
+
+// React: a hook plus a small component for reads, an action component (button or file input)
+// with loading and error state for transactions, uploads and identity calls
+function generateReactCode(spec, { includeAuth, fullExample }) {
+  const direct = !spec.isIdentity && (fullExample || !spec.sdkFunction);
+  const componentName = spec.label.replace(/\s+/g, '');
+  const notes = [];
+  const lines = [];
+
+  const isAction = spec.isTransaction || spec.isUpload || spec.isIdentity;
+  if (!isAction) {
+    const hookName = `use${spec.typeName}`;
+    const hasActor = spec.params.some(p => p.actor);
+    const needsIdentity = hasActor && spec.params.some(p => p.constraints?.format === 'jwt');
+    const configure = spec.nodeUrl !== CODEGEN_DEFAULT_NODE_URL && (!direct || needsIdentity);
+    lines.push(...codegenImports(spec, { direct, needsIdentity, configure, react: ['useEffect', 'useState'] }));
+    lines.push('');
+    if (direct) {
+      lines.push(`const NODE_URL = '${spec.nodeUrl}';`);
+      lines.push('');
+      lines.push(...codegenFetchHelpers(spec.details.method, false));
+      lines.push('');
+    }
+    if (configure) {
+      lines.push(...codegenConfigureLines(spec, direct));
+      lines.push('');
+    }
+    lines.push(`// Fetches ${spec.endpoint}${hasActor ? ' for publicKey and refetches when it changes' : ' once on mount'}`);
+    lines.push(`export function ${hookName}(${hasActor ? 'publicKey' : ''}) {`);
+    lines.push(`  const [data, setData] = useState(null);`);
+    lines.push(`  const [error, setError] = useState(null);`);
+    lines.push(`  const [loading, setLoading] = useState(true);`);
+    lines.push('');
+    lines.push(`  useEffect(() => {`);
+    if (hasActor) {
+      lines.push(`    if (!publicKey) {`);
+      lines.push(`      setLoading(false);`);
+      lines.push(`      return;`);
+      lines.push(`    }`);
+    }
+    lines.push(`    let cancelled = false;`);
+    lines.push(`    setLoading(true);`);
+    lines.push('');
+    lines.push(`    const load = async () => {`);
+    lines.push(...indentLines(codegenCallLines(spec, { direct, actorExpression: hasActor ? 'publicKey' : null }), '      '));
+    lines.push(`      return result;`);
+    lines.push(`    };`);
+    lines.push('');
+    lines.push(`    load()`);
+    lines.push(`      .then((result) => { if (!cancelled) { setData(result); setError(null); } })`);
+    lines.push(`      .catch((err) => { if (!cancelled) setError(err); })`);
+    lines.push(`      .finally(() => { if (!cancelled) setLoading(false); });`);
+    lines.push('');
+    lines.push(`    return () => { cancelled = true; };`);
+    lines.push(`  }, [${hasActor ? 'publicKey' : ''}]);`);
+    lines.push('');
+    lines.push(`  return { data, error, loading };`);
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`export function ${componentName}(${hasActor ? '{ publicKey }' : ''}) {`);
+    lines.push(`  const { data, error, loading } = ${hookName}(${hasActor ? 'publicKey' : ''});`);
+    lines.push('');
+    lines.push(`  if (loading) return <p>Loading...</p>;`);
+    lines.push(`  if (error) return <p role="alert">{error.message}</p>;`);
+    lines.push(`  return <pre>{JSON.stringify(${codegenResultPreview(spec, 'data', true)}, null, 2)}</pre>;`);
+    lines.push(`}`);
+    if (hasActor) {
+      notes.push(`Pass the logged-in user's key, e.g. \`<${componentName} publicKey={currentUser.PublicKeyBase58Check} />\` with \`currentUser\` from \`identity.subscribe\`.`);
+    }
+    return { code: lines.join('\n'), notes };
+  }
+
+  const needsUser = spec.isTransaction || spec.isUpload;
+  const actionName = spec.isUpload ? `${componentName}Input` : `${componentName}Button`;
+  const configure = spec.nodeUrl !== CODEGEN_DEFAULT_NODE_URL;
+  lines.push(...codegenImports(spec, { direct, needsIdentity: true, configure, react: ['useState'] }));
+  lines.push('');
+  if (direct) {
+    lines.push(`const NODE_URL = '${spec.nodeUrl}';`);
+    lines.push('');
+    if (!spec.isUpload) {
+      lines.push(...codegenFetchHelpers(spec.details.method, false));
+      lines.push('');
+    }
+  }
+  if (configure) {
+    lines.push(...codegenConfigureLines(spec, direct));
+    lines.push('');
+  }
+
+  const body = [];
+  if (spec.isUpload) {
+    body.push(`const file = event.target.files[0];`);
+    body.push(`if (!file) return;`);
+    body.push('');
+  }
+  if (needsUser) {
+    if (includeAuth) {
+      body.push(`if (!(await identity.snapshot()).currentUser) {`);
+      body.push(`  await identity.login();`);
+      body.push(`}`);
+    }
+    body.push(`const { currentUser } = await identity.snapshot();`);
+    body.push(`if (!currentUser) {`);
+    body.push(`  throw new Error('Log in with DeSo Identity first');`);
+    body.push(`}`);
+    body.push('');
+  }
+  body.push(...codegenCallLines(spec, { direct, actorExpression: needsUser ? 'currentUser.publicKey' : null, resultVariable: 'response' }));
+  if (spec.isTransaction) {
+    body.push(`setResult(response.TxnHashHex);`);
+  } else if (spec.isUpload) {
+    body.push(`setResult(${codegenResultPreview(spec, 'response')});`);
+  } else {
+    body.push(`setResult('Done');`);
+  }
+
+  lines.push(`export function ${actionName}() {`);
+  lines.push(`  const [loading, setLoading] = useState(false);`);
+  lines.push(`  const [error, setError] = useState(null);`);
+  lines.push(`  const [result, setResult] = useState(null);`);
+  lines.push('');
+  lines.push(`  const ${spec.isUpload ? 'handleChange = async (event)' : 'handleClick = async ()'} => {`);
+  lines.push(`    setLoading(true);`);
+  lines.push(`    setError(null);`);
+  lines.push(`    try {`);
+  lines.push(...indentLines(body, '      '));
+  lines.push(`    } catch (err) {`);
+  lines.push(`      setError(err.message);`);
+  lines.push(`    } finally {`);
+  lines.push(`      setLoading(false);`);
+  lines.push(`    }`);
+  lines.push(`  };`);
+  lines.push('');
+  lines.push(`  return (`);
+  lines.push(`    <div>`);
+  if (spec.isUpload) {
+    lines.push(`      <input type="file" onChange={handleChange} disabled={loading} />`);
+  } else {
+    lines.push(`      <button onClick={handleClick} disabled={loading}>`);
+    lines.push(`        {loading ? 'Working...' : '${spec.label.replace(/'/g, "\\'")}'}`);
+    lines.push(`      </button>`);
+  }
+  lines.push(`      {result && <p>${spec.isTransaction ? 'Submitted: ' : ''}{result}</p>}`);
+  lines.push(`      {error && <p role="alert">{error}</p>}`);
+  lines.push(`    </div>`);
+  lines.push(`  );`);
+  lines.push(`}`);
+
+  if (spec.isTransaction && !direct) {
+    notes.push(`\`${spec.sdkFunction}\` signs with the logged-in user's key and submits in one call; pass \`fullExample: true\` for the explicit build → sign → submit steps.`);
+  }
+  return { code: lines.join('\n'), notes };
+}
+
+// cURL: a single request for reads; for transactions, build and submit with a signing step in
+// between that has to happen outside the shell
+function generateCurlCode(spec) {
+  const { details, url } = spec;
+  const notes = [];
+
+  if (spec.isIdentity) {
+    const code = [
+      `# ${spec.endpoint} is a DeSo Identity ${details.method === 'WINDOW' ? 'window' : 'iframe'} API, not an HTTP endpoint,`,
+      `# so it cannot be called with curl. From a browser, use deso-js:`,
+      ...identityCodegenLines(spec).flatMap(line => line.split('\n')).map(line => `#   ${line}`)
+    ].join('\n');
+    notes.push(`Generate the \`javascript\` or \`react\` version of \`${spec.endpoint}\` for working code.`);
+    return { code, notes };
+  }
+
+  const shellQuote = (text) => `'${text.replace(/'/g, `'\\''`)}'`;
+  const body = Object.fromEntries(spec.params.filter(p => p.constraints?.format !== 'binary').map(p => [p.name, p.value]));
+  const lines = [`# ${spec.label} (${spec.endpoint})`];
+
+  if (spec.isUpload) {
+    lines.push(`curl -sS -X POST ${url} \\`);
+    spec.params.forEach((p, i) => {
+      const value = p.constraints?.format === 'binary' ? `${p.name}=@./image.png` : `${p.name}=${p.value}`;
+      lines.push(`  -F ${shellQuote(value)}${i < spec.params.length - 1 ? ' \\' : ''}`);
+    });
+    notes.push(`\`JWT\` must come from \`identity.jwt()\` for the same public key and expires after about 10 minutes.`);
+    return { code: lines.join('\n'), notes };
   }
-});
 
-console.log('Post created:', result);`
+  if (details.method === 'GET') {
+    const path = url.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const param = spec.params.find(p => p.name === name);
+      return param ? encodeURIComponent(param.value) : placeholder;
+    });
+    lines.push(`curl -sS ${shellQuote(path)}`);
+    return { code: lines.join('\n'), notes };
+  }
+
+  const request = [
+    `curl -sS -X POST ${url} \\`,
+    `  -H 'Content-Type: application/json' \\`,
+    `  -d ${shellQuote(JSON.stringify(body, null, 2))}`
+  ];
+
+  if (!spec.isTransaction) {
+    lines.push(...request);
+    return { code: lines.join('\n'), notes };
+  }
+
+  const signer = spec.params.find(p => p.actor);
+  lines.push(`set -euo pipefail`);
+  lines.push('');
+  lines.push(`# 1. Build: the stateless endpoint returns an unsigned transaction`);
+  lines.push(`TXN_HEX=$(${request[0]}`);
+  lines.push(...request.slice(1, -1));
+  lines.push(`${request[request.length - 1]} | jq -r '.TransactionHex')`);
+  lines.push('');
+  lines.push(`# 2. Sign: curl cannot sign. Sign $TXN_HEX with ${signer ? `${signer.name}'s` : "the sender's"} key`);
+  lines.push(`#    (identity.signTx in the browser, or a derived key in a backend service)`);
+  lines.push(`SIGNED_TXN_HEX='<signed transaction hex>'`);
+  lines.push('');
+  lines.push(`# 3. Submit the signed transaction to the network`);
+  lines.push(`curl -sS -X POST ${spec.nodeUrl}/api/v0/submit-transaction \\`);
+  lines.push(`  -H 'Content-Type: application/json' \\`);
+  lines.push(`  -d "{\\"TransactionHex\\": \\"$SIGNED_TXN_HEX\\"}" | jq -r '.TxnHashHex'`);
+  notes.push(`Requires \`jq\`. A transaction is only on chain after step 3 returns a \`TxnHashHex\`.`);
+  return { code: lines.join('\n'), notes };
+}
+
+// Backend targets (Python, Go) can't use identity, so the acting user's key, a JWT and upload
+// files become function arguments instead of catalog examples
+const BACKEND_ARGUMENTS = {
+  actor: { python: 'public_key', go: 'publicKey' },
+  jwt: { python: 'jwt', go: 'jwt' },
+  binary: { python: 'file_path', go: 'filePath' }
+};
+
+function backendArgumentKind(param) {
+  if (param.actor) return 'actor';
+  if (param.constraints?.format === 'jwt') return 'jwt';
+  if (param.constraints?.format === 'binary') return 'binary';
+  return null;
+}
+
+// "Buy Creator Coin" -> buy_creator_coin (Python) / BuyCreatorCoin (Go)
+function backendFunctionName(spec, language) {
+  const words = spec.label.toLowerCase().split(/\s+/);
+  return language === 'python'
+    ? words.join('_')
+    : words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function backendTitle(spec) {
+  return spec.label.toLowerCase().replace(/\s+/g, '-') === spec.endpoint ? spec.label : `${spec.label} (${spec.endpoint})`;
+}
+
+function backendSummary(spec) {
+  if (spec.isTransaction) return ': build with the stateless endpoint, sign, submit';
+  return spec.isIdentity ? ': sign DeSo transactions with a key the service holds' : '';
+}
+
+// Render a JSON value as a Python literal, indenting nested lines by four spaces
+function formatPythonValue(value, indent = '') {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value !== 'object') return JSON.stringify(value);
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${formatPythonValue(item, inner)}`).join(',\n')},\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatPythonValue(item, inner)}`).join(',\n')},\n${indent}}`;
+}
+
+// Python: requests with a DeSoAPIError carrying the backend's message, a Signer protocol and a
+// coincurve reference signer; transactions are built, signed and submitted explicitly
+function generatePythonCode(spec, { includeAuth, fullExample }) {
+  const { details } = spec;
+  const notes = [];
+  const functionName = backendFunctionName(spec, 'python');
+
+  if (spec.isIdentity && spec.endpoint !== 'sign') {
+    const code = [
+      `# ${spec.endpoint} is a browser-only DeSo Identity ${details.method === 'WINDOW' ? 'window' : 'iframe'} API.`,
+      `# Backend services hold their own key instead (ideally a derived key authorized with`,
+      `# authorize-derived-key) and sign transactions with it: generate the python code for`,
+      `# "sign" or for any transaction endpoint to get a pluggable signer.`
+    ].join('\n');
+    notes.push(`Generate the \`javascript\` or \`react\` version of \`${spec.endpoint}\` for browser code.`);
+    return { code, notes };
+  }
+
+  const needsSigner = spec.isTransaction || spec.isIdentity;
+  const args = spec.params.filter(backendArgumentKind).map(p => BACKEND_ARGUMENTS[backendArgumentKind(p)].python);
+  const value = (param, indent) => {
+    const kind = backendArgumentKind(param);
+    return kind ? BACKEND_ARGUMENTS[kind].python : formatPythonValue(param.value, indent);
+  };
+  const body = (indent) => {
+    const fields = spec.params.filter(p => p.constraints?.format !== 'binary');
+    if (fields.length === 0) return '{}';
+    return `{\n${fields.map(p => `${indent}    ${JSON.stringify(p.name)}: ${value(p, `${indent}    `)}`).join(',\n')},\n${indent}}`;
+  };
+
+  const lines = [`"""${backendTitle(spec)}${backendSummary(spec)}.`];
+  lines.push('');
+  lines.push(`Requires: pip install ${[...(spec.isIdentity ? [] : ['requests']), ...(needsSigner ? ['coincurve'] : [])].join(' ')}`);
+  lines.push(`"""`);
+  if (needsSigner) lines.push(`import hashlib`);
+  if (fullExample && (needsSigner || args.some(arg => arg !== 'file_path'))) lines.push(`import os`);
+  if (!spec.isIdentity) lines.push(`from typing import Any${needsSigner ? ', Protocol' : ''}`);
+  else lines.push(`from typing import Protocol`);
+  if (details.method === 'GET') lines.push(`from urllib.parse import quote`);
+  lines.push('');
+  if (needsSigner) lines.push(`import coincurve`);
+  if (!spec.isIdentity) {
+    lines.push(`import requests`);
+    lines.push('');
+    lines.push(`NODE_URL = "${spec.nodeUrl}"`);
+    lines.push('');
+    lines.push('');
+    lines.push(`class DeSoAPIError(Exception):`);
+    lines.push(`    """The node rejected a request; message is the backend's {"error": ...} text."""`);
+    lines.push('');
+    lines.push(`    def __init__(self, path: str, status_code: int, message: str) -> None:`);
+    lines.push(`        super().__init__(f"{path} failed with HTTP {status_code}: {message}")`);
+    lines.push(`        self.path = path`);
+    lines.push(`        self.status_code = status_code`);
+    lines.push(`        self.message = message`);
+  }
+  lines.push('');
+  lines.push('');
+
+  if (needsSigner) {
+    lines.push(`class Signer(Protocol):`);
+    lines.push(`    """Signs an unsigned TransactionHex: a local key, a KMS or HSM client, a remote service..."""`);
+    lines.push('');
+    lines.push(`    def sign(self, transaction_hex: str) -> str:`);
+    lines.push(`        """Return the signed transaction hex."""`);
+    lines.push(`        ...`);
+    lines.push('');
+    lines.push('');
+    lines.push(`class PrivateKeySigner:`);
+    lines.push(`    """Reference Signer holding a raw secp256k1 private key (hex), e.g. a derived key."""`);
+    lines.push('');
+    lines.push(`    def __init__(self, private_key_hex: str) -> None:`);
+    lines.push(`        self._key = coincurve.PrivateKey(bytes.fromhex(private_key_hex))`);
+    lines.push('');
+    lines.push(`    def sign(self, transaction_hex: str) -> str:`);
+    lines.push(`        txn = bytes.fromhex(transaction_hex)`);
+    lines.push(`        digest = hashlib.sha256(hashlib.sha256(txn).digest()).digest()`);
+    lines.push(`        signature = self._key.sign(digest, hasher=None)  # DER encoded, low-S`);
+    lines.push(`        # The unsigned transaction carries an empty signature (a single 0x00 length byte); version 1`);
+    lines.push(`        # transactions follow it with TxnVersion, TxnFeeNanos and TxnNonce, which must stay in place`);
+    lines.push(`        offset = _signature_offset(txn)`);
+    lines.push(`        return (txn[:offset] + _uvarint(len(signature)) + signature + txn[offset + 1:]).hex()`);
+    lines.push('');
+    lines.push('');
+    lines.push(`def _uvarint(value: int) -> bytes:`);
+    lines.push(`    out = bytearray()`);
+    lines.push(`    while value >= 0x80:`);
+    lines.push(`        out.append((value & 0x7F) | 0x80)`);
+    lines.push(`        value >>= 7`);
+    lines.push(`    out.append(value)`);
+    lines.push(`    return bytes(out)`);
+    lines.push('');
+    lines.push('');
+    lines.push(`def _read_uvarint(data: bytes, offset: int) -> tuple[int, int]:`);
+    lines.push(`    value = shift = 0`);
+    lines.push(`    while True:`);
+    lines.push(`        byte = data[offset]`);
+    lines.push(`        offset += 1`);
+    lines.push(`        value |= (byte & 0x7F) << shift`);
+    lines.push(`        if byte < 0x80:`);
+    lines.push(`            return value, offset`);
+    lines.push(`        shift += 7`);
+    lines.push('');
+    lines.push('');
+    lines.push(`def _signature_offset(txn: bytes) -> int:`);
+    lines.push(`    """Offset of the signature length: after the inputs, outputs, type, metadata, public key and ExtraData."""`);
+    lines.push(`    count, offset = _read_uvarint(txn, 0)`);
+    lines.push(`    for _ in range(count):  # 32-byte TxID + index`);
+    lines.push(`        _, offset = _read_uvarint(txn, offset + 32)`);
+    lines.push(`    count, offset = _read_uvarint(txn, offset)`);
+    lines.push(`    for _ in range(count):  # 33-byte public key + amount`);
+    lines.push(`        _, offset = _read_uvarint(txn, offset + 33)`);
+    lines.push(`    _, offset = _read_uvarint(txn, offset)  # TxnType`);
+    lines.push(`    for _ in range(2):  # metadata, transactor public key`);
+    lines.push(`        length, offset = _read_uvarint(txn, offset)`);
+    lines.push(`        offset += length`);
+    lines.push(`    count, offset = _read_uvarint(txn, offset)`);
+    lines.push(`    for _ in range(2 * count):  # ExtraData keys and values`);
+    lines.push(`        length, offset = _read_uvarint(txn, offset)`);
+    lines.push(`        offset += length`);
+    lines.push(`    return offset`);
+    lines.push('');
+    lines.push('');
+  }
+
+  if (!spec.isIdentity) {
+    lines.push(`def _parse(path: str, response: requests.Response) -> dict[str, Any]:`);
+    lines.push(`    try:`);
+    lines.push(`        data = response.json()`);
+    lines.push(`    except ValueError:`);
+    lines.push(`        data = {}`);
+    lines.push(`    if not response.ok:`);
+    lines.push(`        raise DeSoAPIError(path, response.status_code, data.get("error") or response.text)`);
+    lines.push(`    return data`);
+    lines.push('');
+    lines.push('');
+    if (details.method === 'GET') {
+      lines.push(`def get_json(path: str) -> dict[str, Any]:`);
+      lines.push(`    return _parse(path, requests.get(f"{NODE_URL}{path}", timeout=30))`);
+    } else {
+      lines.push(`def post_json(path: str, body: dict[str, Any]) -> dict[str, Any]:`);
+      lines.push(`    return _parse(path, requests.post(f"{NODE_URL}{path}", json=body, timeout=30))`);
+    }
+    lines.push('');
+    lines.push('');
+  }
+
+  const signature = [...(spec.isTransaction ? ['signer: Signer'] : []), ...args.map(arg => `${arg}: str`)].join(', ');
+  if (spec.isTransaction) {
+    lines.push(`def ${functionName}(${signature}) -> str:`);
+    lines.push(`    """Build, sign and submit a ${spec.endpoint} transaction; returns its TxnHashHex."""`);
+    lines.push(`    # 1. Build: the stateless endpoint returns an unsigned transaction`);
+    lines.push(`    constructed = post_json("${details.url}", ${body('    ')})`);
+    lines.push('');
+    lines.push(`    # 2. Sign with the pluggable signer (its key must match ${spec.params.find(p => p.actor)?.name || 'the transactor'})`);
+    lines.push(`    signed_transaction_hex = signer.sign(constructed["TransactionHex"])`);
+    lines.push('');
+    lines.push(`    # 3. Submit the signed transaction to the network`);
+    lines.push(`    submitted = post_json("/api/v0/submit-transaction", {"TransactionHex": signed_transaction_hex})`);
+    lines.push(`    return submitted["TxnHashHex"]`);
+  } else if (spec.isUpload) {
+    const fields = spec.params.filter(p => p.constraints?.format !== 'binary');
+    lines.push(`def ${functionName}(${signature}) -> dict[str, Any]:`);
+    lines.push(`    """Upload a file as multipart/form-data to ${spec.endpoint}."""`);
+    lines.push(`    path = "${details.url}"`);
+    lines.push(`    form = {${fields.map(p => `${JSON.stringify(p.name)}: ${value(p, '    ')}`).join(', ')}}`);
+    lines.push(`    with open(file_path, "rb") as file:`);
+    lines.push(`        response = requests.post(f"{NODE_URL}{path}", data=form, files={"file": file}, timeout=120)`);
+    lines.push(`    return _parse(path, response)`);
+  } else if (details.method === 'GET') {
+    const path = details.url.split(/\{(\w+)\}/).map((part, i) => {
+      if (i % 2 === 0) return part ? JSON.stringify(part) : null;
+      const param = spec.params.find(p => p.name === part);
+      return `quote(${param ? value(param, '') : JSON.stringify(part)}, safe="")`;
+    }).filter(Boolean).join(' + ');
+    lines.push(`def ${functionName}(${signature}) -> dict[str, Any]:`);
+    lines.push(`    return get_json(${path})`);
+  } else if (!spec.isIdentity) {
+    lines.push(`def ${functionName}(${signature}) -> dict[str, Any]:`);
+    lines.push(`    return post_json("${details.url}", ${body('    ')})`);
+  }
+
+  if (fullExample && spec.isIdentity) {
+    lines.push(`if __name__ == "__main__":`);
+    lines.push(`    signer = PrivateKeySigner(os.environ["DESO_PRIVATE_KEY_HEX"])`);
+    lines.push(`    print(signer.sign(os.environ["DESO_TRANSACTION_HEX"]))`);
+  } else if (fullExample) {
+    const callArgs = [
+      ...(spec.isTransaction ? ['signer'] : []),
+      ...args.map(arg => ({ public_key: 'os.environ["DESO_PUBLIC_KEY"]', jwt: 'os.environ["DESO_JWT"]', file_path: '"image.png"' }[arg]))
+    ].join(', ');
+    lines.push('');
+    lines.push('');
+    lines.push(`if __name__ == "__main__":`);
+    if (spec.isTransaction) {
+      lines.push(`    signer = PrivateKeySigner(os.environ["DESO_PRIVATE_KEY_HEX"])`);
+    }
+    lines.push(`    try:`);
+    lines.push(`        result = ${functionName}(${callArgs})`);
+    lines.push(`    except DeSoAPIError as error:`);
+    lines.push(`        raise SystemExit(f"DeSo request failed: {error}") from error`);
+    lines.push(`    except requests.RequestException as error:`);
+    lines.push(`        raise SystemExit(f"Could not reach {NODE_URL}: {error}") from error`);
+    lines.push(spec.isTransaction ? `    print("Transaction submitted:", result)` : `    print(result)`);
+  }
+
+  if (needsSigner) {
+    notes.push(`\`Signer\` is a protocol: swap \`PrivateKeySigner\` for a KMS, HSM or remote signing service without touching the request code. Never ship an owner seed to a server; authorize a derived key with \`authorize-derived-key\` and sign with that.`);
+    notes.push(`A derived key signs the same bytes, but the transaction must also name the derived key (the \`DerivedPublicKey\` ExtraData entry) so the node verifies the signature against it.`);
+  }
+  if (includeAuth) {
+    notes.push(`\`includeAuth\` has no effect for Python: backend services authenticate by signing with a key they hold.`);
+  }
+  return { code: lines.join('\n').replace(/\n+$/, ''), notes };
+}
+
+// Align consecutive lines on their first `separator`, the way gofmt aligns struct fields and
+// key/value composite literals (keys over 40 columns only align when of similar size)
+function alignGoColumns(rows, { keyValue = false } = {}) {
+  const sections = [];
+  let count = 0;
+  let lnsum = 0;
+  let previous = 0;
+  for (const row of rows) {
+    const size = row[0].length + (keyValue ? 1 : 0);
+    let breakSection = sections.length === 0;
+    if (keyValue && previous > 0 && !(count === 0 || (previous <= 40 && size <= 40))) {
+      const ratio = size / Math.exp(lnsum / count);
+      breakSection = 2.5 * ratio <= 1 || 2.5 <= ratio;
+    }
+    if (breakSection) {
+      sections.push([]);
+      count = 0;
+      lnsum = 0;
     }
+    sections[sections.length - 1].push(row);
+    lnsum += Math.log(size);
+    count++;
+    previous = size;
+  }
+  return sections.flatMap(section => {
+    const widths = section[0].map((_, column) => Math.max(...section.map(row => (row[column] ?? '').length)));
+    return section.map(row => row
+      .map((cell, column) => (column < row.length - 1 ? cell.padEnd(widths[column]) : cell))
+      .join(' '));
+  });
+}
+
+// Go type and literal for a request param; objects and mixed arrays travel as raw JSON
+function goParameterType(param) {
+  switch (param.type) {
+    case 'string': return 'string';
+    case 'integer': return 'int64';
+    case 'number': return 'float64';
+    case 'boolean': return 'bool';
+    case 'array':
+      return Array.isArray(param.example) && param.example.every(item => typeof item === 'string') ? '[]string' : 'json.RawMessage';
+    default: return 'json.RawMessage';
+  }
+}
+
+function formatGoValue(param, value) {
+  const type = goParameterType(param);
+  if (type === 'json.RawMessage') return `json.RawMessage(\`${JSON.stringify(value)}\`)`;
+  if (type === '[]string') return `[]string{${value.map(item => JSON.stringify(item)).join(', ')}}`;
+  return JSON.stringify(value);
+}
+
+function goFieldName(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function goResponseStruct(name, description, fields) {
+  const goType = (field) => {
+    const base = { string: 'string', integer: 'int64', number: 'float64', boolean: 'bool' }[field.type];
+    if (!base) return 'json.RawMessage';
+    return field.nullable ? `*${base}` : base;
   };
-  
-  const code = examples[operation]?.[language] || `// ${operation} example in ${language}
-// Generated code for DeSo ${operation} operation
-console.log('${operation} implementation here');`;
-  
-  return {
-    content: [{
-      type: "text",
-      text: `# DeSo Code Generator
+  const rows = Object.entries(fields).map(([field, info]) => [`\t${goFieldName(field)}`, goType(info), `\`json:"${field}"\``]);
+  return [
+    `// ${name} ${description}`,
+    `type ${name} struct {`,
+    ...alignGoColumns(rows),
+    `}`
+  ];
+}
+
+// Go: net/http with context, an *APIError carrying the backend's message, a Signer interface and
+// a secp256k1 reference signer; transactions are built, signed and submitted explicitly
+function generateGoCode(spec, { includeAuth, fullExample }) {
+  const { details, typeName } = spec;
+  const notes = [];
+  const functionName = backendFunctionName(spec, 'go');
+
+  if (spec.isIdentity && spec.endpoint !== 'sign') {
+    const code = [
+      `// ${spec.endpoint} is a browser-only DeSo Identity ${details.method === 'WINDOW' ? 'window' : 'iframe'} API.`,
+      `// Backend services hold their own key instead (ideally a derived key authorized with`,
+      `// authorize-derived-key) and sign transactions with it: generate the go code for`,
+      `// "sign" or for any transaction endpoint to get a pluggable Signer.`
+    ].join('\n');
+    notes.push(`Generate the \`javascript\` or \`react\` version of \`${spec.endpoint}\` for browser code.`);
+    return { code, notes };
+  }
+
+  const needsSigner = spec.isTransaction || spec.isIdentity;
+  const isGet = details.method === 'GET';
+  const args = spec.params.filter(backendArgumentKind).map(p => BACKEND_ARGUMENTS[backendArgumentKind(p)].go);
+  const value = (param) => {
+    const kind = backendArgumentKind(param);
+    return kind ? BACKEND_ARGUMENTS[kind].go : formatGoValue(param, param.value);
+  };
+  const responseFields = details.response.fields;
+  const hasResponse = Object.keys(responseFields).length > 0;
+  const requestParams = [...details.params.required, ...details.params.optional].filter(p => p.constraints?.format !== 'binary');
+  const usesRequestStruct = !spec.isIdentity && !spec.isUpload && !isGet;
+  const readsEnvironment = spec.isTransaction || spec.isIdentity || args.some(arg => arg !== 'filePath');
+
+  // Go refuses unused imports, so add exactly what the emitted code references
+  const imports = new Set(['context', 'fmt']);
+  if (!spec.isIdentity) ['encoding/json', 'net/http', 'time'].forEach(name => imports.add(name));
+  if (usesRequestStruct) imports.add('bytes');
+  if (spec.isUpload) ['bytes', 'io', 'mime/multipart', 'os', 'path/filepath'].forEach(name => imports.add(name));
+  if (isGet && /\{\w+\}/.test(details.url)) imports.add('net/url');
+  if (needsSigner) ['crypto/sha256', 'encoding/binary', 'encoding/hex', 'errors'].forEach(name => imports.add(name));
+  if (fullExample) ['errors', 'log', ...(readsEnvironment ? ['os'] : [])].forEach(name => imports.add(name));
+  if (fullExample && spec.isIdentity) imports.add('time');
+  const thirdParty = needsSigner
+    ? ['github.com/decred/dcrd/dcrec/secp256k1/v4', 'github.com/decred/dcrd/dcrec/secp256k1/v4/ecdsa']
+    : [];
+
+  const lines = [];
+  lines.push(`// ${backendTitle(spec)}${backendSummary(spec)}.`);
+  if (needsSigner) {
+    lines.push(`//`);
+    lines.push(`// Requires: go get github.com/decred/dcrd/dcrec/secp256k1/v4`);
+  }
+  lines.push(`package ${fullExample ? 'main' : 'deso'}`);
+  lines.push('');
+  lines.push(`import (`);
+  lines.push(...[...imports].sort().map(name => `\t"${name}"`));
+  if (thirdParty.length > 0) {
+    lines.push('');
+    lines.push(...thirdParty.map(name => `\t"${name}"`));
+  }
+  lines.push(`)`);
+  lines.push('');
+
+  if (!spec.isIdentity) {
+    lines.push(`const nodeURL = "${spec.nodeUrl}"`);
+    lines.push('');
+    lines.push(`var httpClient = &http.Client{Timeout: 30 * time.Second}`);
+    lines.push('');
+    lines.push(`// APIError is returned when the node rejects a request; Message is the backend's {"error": ...} text.`);
+    lines.push(`type APIError struct {`);
+    lines.push(...alignGoColumns([[`\tPath`, `string`], [`\tStatusCode`, `int`], [`\tMessage`, `string`]]));
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`func (e *APIError) Error() string {`);
+    lines.push(`\treturn fmt.Sprintf("%s failed with HTTP %d: %s", e.Path, e.StatusCode, e.Message)`);
+    lines.push(`}`);
+    lines.push('');
+  }
 
-**Operation:** ${operation}  
-**Language:** ${language}  
-**Include Auth:** ${includeAuth}
+  if (needsSigner) {
+    lines.push(`// Signer signs an unsigned TransactionHex and returns the signed transaction hex.`);
+    lines.push(`// Implement it over a local key, a KMS, an HSM or a remote signing service.`);
+    lines.push(`type Signer interface {`);
+    lines.push(`\tSign(ctx context.Context, transactionHex string) (string, error)`);
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`// PrivateKeySigner is a reference Signer holding a raw secp256k1 private key, e.g. a derived key.`);
+    lines.push(`type PrivateKeySigner struct {`);
+    lines.push(`\tkey *secp256k1.PrivateKey`);
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`func NewPrivateKeySigner(privateKeyHex string) (*PrivateKeySigner, error) {`);
+    lines.push(`\tkeyBytes, err := hex.DecodeString(privateKeyHex)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn nil, fmt.Errorf("decode private key: %w", err)`);
+    lines.push(`\t}`);
+    lines.push(`\treturn &PrivateKeySigner{key: secp256k1.PrivKeyFromBytes(keyBytes)}, nil`);
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`func (s *PrivateKeySigner) Sign(_ context.Context, transactionHex string) (string, error) {`);
+    lines.push(`\ttxn, err := hex.DecodeString(transactionHex)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn "", fmt.Errorf("decode transaction hex: %w", err)`);
+    lines.push(`\t}`);
+    lines.push(`\tif len(txn) == 0 {`);
+    lines.push(`\t\treturn "", errors.New("empty transaction")`);
+    lines.push(`\t}`);
+    lines.push(`\tfirst := sha256.Sum256(txn)`);
+    lines.push(`\tdigest := sha256.Sum256(first[:])`);
+    lines.push(`\tsignature := ecdsa.Sign(s.key, digest[:]).Serialize() // DER encoded, low-S`);
+    lines.push('');
+    lines.push(`\t// The unsigned transaction carries an empty signature (a single 0x00 length byte); version 1`);
+    lines.push(`\t// transactions follow it with TxnVersion, TxnFeeNanos and TxnNonce, which must stay in place`);
+    lines.push(`\toffset, err := signatureOffset(txn)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn "", err`);
+    lines.push(`\t}`);
+    lines.push(`\tsigned := binary.AppendUvarint(append([]byte{}, txn[:offset]...), uint64(len(signature)))`);
+    lines.push(`\tsigned = append(append(signed, signature...), txn[offset+1:]...)`);
+    lines.push(`\treturn hex.EncodeToString(signed), nil`);
+    lines.push(`}`);
+    lines.push('');
+    lines.push(`// signatureOffset finds the signature length after the inputs, outputs, type, metadata, public key and ExtraData.`);
+    lines.push(`func signatureOffset(txn []byte) (int, error) {`);
+    lines.push(`\toffset := 0`);
+    lines.push(`\tread := func(skip int) (uint64, error) {`);
+    lines.push(`\t\toffset += skip`);
+    lines.push(`\t\tif offset >= len(txn) {`);
+    lines.push(`\t\t\treturn 0, errors.New("truncated transaction")`);
+    lines.push(`\t\t}`);
+    lines.push(`\t\tvalue, n := binary.Uvarint(txn[offset:])`);
+    lines.push(`\t\tif n <= 0 {`);
+    lines.push(`\t\t\treturn 0, errors.New("truncated transaction")`);
+    lines.push(`\t\t}`);
+    lines.push(`\t\toffset += n`);
+    lines.push(`\t\treturn value, nil`);
+    lines.push(`\t}`);
+    lines.push(`\t// Inputs are a 32-byte TxID + index, outputs a 33-byte public key + amount`);
+    lines.push(`\tfor _, fixed := range []int{32, 33} {`);
+    lines.push(`\t\tcount, err := read(0)`);
+    lines.push(`\t\tfor i := uint64(0); err == nil && i < count; i++ {`);
+    lines.push(`\t\t\t_, err = read(fixed)`);
+    lines.push(`\t\t}`);
+    lines.push(`\t\tif err != nil {`);
+    lines.push(`\t\t\treturn 0, err`);
+    lines.push(`\t\t}`);
+    lines.push(`\t}`);
+    lines.push(`\tif _, err := read(0); err != nil { // TxnType`);
+    lines.push(`\t\treturn 0, err`);
+    lines.push(`\t}`);
+    lines.push(`\t// Metadata, the transactor public key, then ExtraData's keys and values are length-prefixed`);
+    lines.push(`\tskip := func() error {`);
+    lines.push(`\t\tlength, err := read(0)`);
+    lines.push(`\t\toffset += int(length)`);
+    lines.push(`\t\treturn err`);
+    lines.push(`\t}`);
+    lines.push(`\tif err := skip(); err != nil {`);
+    lines.push(`\t\treturn 0, err`);
+    lines.push(`\t}`);
+    lines.push(`\tif err := skip(); err != nil {`);
+    lines.push(`\t\treturn 0, err`);
+    lines.push(`\t}`);
+    lines.push(`\tcount, err := read(0)`);
+    lines.push(`\tfor i := uint64(0); err == nil && i < 2*count; i++ {`);
+    lines.push(`\t\terr = skip()`);
+    lines.push(`\t}`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn 0, err`);
+    lines.push(`\t}`);
+    lines.push(`\tif offset >= len(txn) {`);
+    lines.push(`\t\treturn 0, errors.New("truncated transaction")`);
+    lines.push(`\t}`);
+    lines.push(`\treturn offset, nil`);
+    lines.push(`}`);
+    lines.push('');
+  }
 
-## Generated Code:
+  if (!spec.isIdentity) {
+    if (usesRequestStruct) {
+      const rows = requestParams.map(p => {
+        const required = details.params.required.includes(p);
+        return [`\t${goFieldName(p.name)}`, goParameterType(p), `\`json:"${p.name}${required ? '' : ',omitempty'}"\``];
+      });
+      lines.push(`// ${typeName}Request is the body of ${details.method} ${details.url}.`);
+      lines.push(`type ${typeName}Request struct {`);
+      lines.push(...alignGoColumns(rows));
+      lines.push(`}`);
+      lines.push('');
+    }
+    if (hasResponse) {
+      lines.push(...goResponseStruct(`${typeName}Response`, `holds the top-level fields of the ${spec.endpoint} response.`, responseFields));
+      lines.push('');
+    }
+    if (spec.isTransaction) {
+      const submit = findCatalogEndpoint('submit-transaction').details.response.fields;
+      lines.push(...goResponseStruct('SubmitTransactionResponse', 'holds the top-level fields of the submit-transaction response.', submit));
+      lines.push('');
+    }
 
-\`\`\`${language}
-${code}
-\`\`\`
+    lines.push(`func doJSON(req *http.Request, path string, out any) error {`);
+    lines.push(`\tresp, err := httpClient.Do(req)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn fmt.Errorf("%s: %w", path, err)`);
+    lines.push(`\t}`);
+    lines.push(`\tdefer resp.Body.Close()`);
+    lines.push('');
+    lines.push(`\tif resp.StatusCode != http.StatusOK {`);
+    lines.push(`\t\tvar body struct {`);
+    lines.push(`\t\t\tError string \`json:"error"\``);
+    lines.push(`\t\t}`);
+    lines.push(`\t\t_ = json.NewDecoder(resp.Body).Decode(&body)`);
+    lines.push(`\t\treturn &APIError{Path: path, StatusCode: resp.StatusCode, Message: body.Error}`);
+    lines.push(`\t}`);
+    lines.push(`\tif out == nil {`);
+    lines.push(`\t\treturn nil`);
+    lines.push(`\t}`);
+    lines.push(`\tif err := json.NewDecoder(resp.Body).Decode(out); err != nil {`);
+    lines.push(`\t\treturn fmt.Errorf("decode %s response: %w", path, err)`);
+    lines.push(`\t}`);
+    lines.push(`\treturn nil`);
+    lines.push(`}`);
+    lines.push('');
+
+    if (usesRequestStruct) {
+      lines.push(`func postJSON(ctx context.Context, path string, body, out any) error {`);
+      lines.push(`\tpayload, err := json.Marshal(body)`);
+      lines.push(`\tif err != nil {`);
+      lines.push(`\t\treturn fmt.Errorf("encode %s request: %w", path, err)`);
+      lines.push(`\t}`);
+      lines.push(`\treq, err := http.NewRequestWithContext(ctx, http.MethodPost, nodeURL+path, bytes.NewReader(payload))`);
+      lines.push(`\tif err != nil {`);
+      lines.push(`\t\treturn err`);
+      lines.push(`\t}`);
+      lines.push(`\treq.Header.Set("Content-Type", "application/json")`);
+      lines.push(`\treturn doJSON(req, path, out)`);
+      lines.push(`}`);
+      lines.push('');
+    }
+  }
 
-Your DeSo MCP server is generating code! ⚡`
-    }]
+  const params = [...(spec.isTransaction ? ['signer Signer'] : []), ...args.map(arg => `${arg} string`)];
+  const signature = `ctx context.Context${params.length > 0 ? `, ${params.join(', ')}` : ''}`;
+  const resultType = hasResponse ? `*${typeName}Response` : null;
+  const returns = resultType ? `(${resultType}, error)` : 'error';
+  const fail = resultType ? 'nil, ' : '';
+  const requestLiteral = (indent) => {
+    const rows = spec.params.map(p => [`${indent}\t${goFieldName(p.name)}:`, `${value(p)},`]);
+    return [`${typeName}Request{`, ...alignGoColumns(rows, { keyValue: true }), `${indent}}`];
   };
+
+  if (spec.isTransaction) {
+    const literal = requestLiteral('\t');
+    lines.push(`// ${functionName} builds, signs and submits a ${spec.endpoint} transaction and returns its hash.`);
+    lines.push(`func ${functionName}(${signature}) (string, error) {`);
+    lines.push(`\t// 1. Build: the stateless endpoint returns an unsigned transaction`);
+    lines.push(`\trequest := ${literal[0]}`);
+    lines.push(...literal.slice(1));
+    lines.push(`\tvar constructed ${typeName}Response`);
+    lines.push(`\tif err := postJSON(ctx, "${details.url}", request, &constructed); err != nil {`);
+    lines.push(`\t\treturn "", err`);
+    lines.push(`\t}`);
+    lines.push('');
+    lines.push(`\t// 2. Sign with the pluggable signer (its key must match ${spec.params.find(p => p.actor)?.name || 'the transactor'})`);
+    lines.push(`\tsignedHex, err := signer.Sign(ctx, constructed.TransactionHex)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn "", fmt.Errorf("sign ${spec.endpoint} transaction: %w", err)`);
+    lines.push(`\t}`);
+    lines.push('');
+    lines.push(`\t// 3. Submit the signed transaction to the network`);
+    lines.push(`\tvar submitted SubmitTransactionResponse`);
+    lines.push(`\tif err := postJSON(ctx, "/api/v0/submit-transaction", map[string]string{"TransactionHex": signedHex}, &submitted); err != nil {`);
+    lines.push(`\t\treturn "", err`);
+    lines.push(`\t}`);
+    lines.push(`\treturn submitted.TxnHashHex, nil`);
+    lines.push(`}`);
+  } else if (spec.isUpload) {
+    const fields = spec.params.filter(p => p.constraints?.format !== 'binary');
+    lines.push(`// ${functionName} uploads a file as multipart/form-data to ${spec.endpoint}.`);
+    lines.push(`func ${functionName}(${signature}) ${returns} {`);
+    lines.push(`\tconst path = "${details.url}"`);
+    lines.push(`\tfile, err := os.Open(filePath)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn ${fail}fmt.Errorf("open %s: %w", filePath, err)`);
+    lines.push(`\t}`);
+    lines.push(`\tdefer file.Close()`);
+    lines.push('');
+    lines.push(`\tvar body bytes.Buffer`);
+    lines.push(`\tform := multipart.NewWriter(&body)`);
+    lines.push(`\tfor name, value := range map[string]string{${fields.map(p => `"${p.name}": ${value(p)}`).join(', ')}} {`);
+    lines.push(`\t\tif err := form.WriteField(name, value); err != nil {`);
+    lines.push(`\t\t\treturn ${fail}fmt.Errorf("write %s field: %w", name, err)`);
+    lines.push(`\t\t}`);
+    lines.push(`\t}`);
+    lines.push(`\tpart, err := form.CreateFormFile("file", filepath.Base(filePath))`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn ${fail}err`);
+    lines.push(`\t}`);
+    lines.push(`\tif _, err := io.Copy(part, file); err != nil {`);
+    lines.push(`\t\treturn ${fail}fmt.Errorf("read %s: %w", filePath, err)`);
+    lines.push(`\t}`);
+    lines.push(`\tif err := form.Close(); err != nil {`);
+    lines.push(`\t\treturn ${fail}err`);
+    lines.push(`\t}`);
+    lines.push('');
+    lines.push(`\treq, err := http.NewRequestWithContext(ctx, http.MethodPost, nodeURL+path, &body)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn ${fail}err`);
+    lines.push(`\t}`);
+    lines.push(`\treq.Header.Set("Content-Type", form.FormDataContentType())`);
+    if (resultType) {
+      lines.push(`\tvar result ${typeName}Response`);
+      lines.push(`\tif err := doJSON(req, path, &result); err != nil {`);
+      lines.push(`\t\treturn nil, err`);
+      lines.push(`\t}`);
+      lines.push(`\treturn &result, nil`);
+    } else {
+      lines.push(`\treturn doJSON(req, path, nil)`);
+    }
+    lines.push(`}`);
+  } else if (isGet) {
+    const path = details.url.split(/\{(\w+)\}/).map((part, i) => {
+      if (i % 2 === 0) return part ? JSON.stringify(part) : null;
+      const param = spec.params.find(p => p.name === part);
+      return `url.PathEscape(${param ? value(param) : JSON.stringify(part)})`;
+    }).filter(Boolean).join(' + ');
+    lines.push(`// ${functionName} calls GET ${details.url}.`);
+    lines.push(`func ${functionName}(${signature}) ${returns} {`);
+    lines.push(`\tpath := ${path}`);
+    lines.push(`\treq, err := http.NewRequestWithContext(ctx, http.MethodGet, nodeURL+path, nil)`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\treturn ${fail}err`);
+    lines.push(`\t}`);
+    if (resultType) {
+      lines.push(`\tvar result ${typeName}Response`);
+      lines.push(`\tif err := doJSON(req, path, &result); err != nil {`);
+      lines.push(`\t\treturn nil, err`);
+      lines.push(`\t}`);
+      lines.push(`\treturn &result, nil`);
+    } else {
+      lines.push(`\treturn doJSON(req, path, nil)`);
+    }
+    lines.push(`}`);
+  } else if (!spec.isIdentity) {
+    const literal = requestLiteral('\t');
+    lines.push(`// ${functionName} calls ${details.method} ${details.url}.`);
+    lines.push(`func ${functionName}(${signature}) ${returns} {`);
+    lines.push(`\trequest := ${literal[0]}`);
+    lines.push(...literal.slice(1));
+    if (resultType) {
+      lines.push(`\tvar result ${typeName}Response`);
+      lines.push(`\tif err := postJSON(ctx, "${details.url}", request, &result); err != nil {`);
+      lines.push(`\t\treturn nil, err`);
+      lines.push(`\t}`);
+      lines.push(`\treturn &result, nil`);
+    } else {
+      lines.push(`\treturn postJSON(ctx, "${details.url}", request, nil)`);
+    }
+    lines.push(`}`);
+  }
+
+  if (fullExample && spec.isIdentity) {
+    lines.push(`func main() {`);
+    lines.push(`\tctx, cancel := context.WithTimeout(context.Background(), time.Minute)`);
+    lines.push(`\tdefer cancel()`);
+    lines.push('');
+    lines.push(`\tsigner, err := NewPrivateKeySigner(os.Getenv("DESO_PRIVATE_KEY_HEX"))`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\tlog.Fatal(err)`);
+    lines.push(`\t}`);
+    lines.push(`\tsignedHex, err := signer.Sign(ctx, os.Getenv("DESO_TRANSACTION_HEX"))`);
+    lines.push(`\tif err != nil {`);
+    lines.push(`\t\tlog.Fatal(err)`);
+    lines.push(`\t}`);
+    lines.push(`\tfmt.Println(signedHex)`);
+    lines.push(`}`);
+  } else if (fullExample) {
+    const callArgs = [
+      'ctx',
+      ...(spec.isTransaction ? ['signer'] : []),
+      ...args.map(arg => ({ publicKey: 'os.Getenv("DESO_PUBLIC_KEY")', jwt: 'os.Getenv("DESO_JWT")', filePath: '"image.png"' }[arg]))
+    ].join(', ');
+    lines.push('');
+    lines.push(`func main() {`);
+    lines.push(`\tctx, cancel := context.WithTimeout(context.Background(), time.Minute)`);
+    lines.push(`\tdefer cancel()`);
+    lines.push('');
+    if (spec.isTransaction) {
+      lines.push(`\tsigner, err := NewPrivateKeySigner(os.Getenv("DESO_PRIVATE_KEY_HEX"))`);
+      lines.push(`\tif err != nil {`);
+      lines.push(`\t\tlog.Fatal(err)`);
+      lines.push(`\t}`);
+      lines.push(`\ttxnHashHex, err := ${functionName}(${callArgs})`);
+    } else if (resultType) {
+      lines.push(`\tresult, err := ${functionName}(${callArgs})`);
+    } else {
+      lines.push(`\terr := ${functionName}(${callArgs})`);
+    }
+    lines.push(`\tvar apiErr *APIError`);
+    lines.push(`\tif errors.As(err, &apiErr) {`);
+    lines.push(`\t\tlog.Fatalf("node rejected the request (HTTP %d): %s", apiErr.StatusCode, apiErr.Message)`);
+    lines.push(`\t} else if err != nil {`);
+    lines.push(`\t\tlog.Fatal(err)`);
+    lines.push(`\t}`);
+    if (spec.isTransaction) {
+      lines.push(`\tfmt.Println("Transaction submitted:", txnHashHex)`);
+    } else if (resultType) {
+      lines.push(`\tout, err := json.MarshalIndent(result, "", "  ")`);
+      lines.push(`\tif err != nil {`);
+      lines.push(`\t\tlog.Fatal(err)`);
+      lines.push(`\t}`);
+      lines.push(`\tfmt.Println(string(out))`);
+    } else {
+      lines.push(`\tfmt.Println("${spec.endpoint} succeeded")`);
+    }
+    lines.push(`}`);
+  }
+
+  if (needsSigner) {
+    notes.push(`\`Signer\` is an interface: swap \`PrivateKeySigner\` for a KMS, HSM or remote signing service without touching the request code. Never ship an owner seed to a server; authorize a derived key with \`authorize-derived-key\` and sign with that.`);
+    notes.push(`A derived key signs the same bytes, but the transaction must also name the derived key (the \`DerivedPublicKey\` ExtraData entry) so the node verifies the signature against it.`);
+  }
+  if (!spec.isIdentity) {
+    notes.push(`Rejections come back as \`*APIError\` (use \`errors.As\`); network and decoding failures are wrapped with the request path.`);
+  }
+  if (includeAuth) {
+    notes.push(`\`includeAuth\` has no effect for Go: backend services authenticate by signing with a key they hold.`);
+  }
+  return { code: lines.join('\n').replace(/\n+$/, ''), notes };
+}
+
+// Units and constraints of the params the snippet fills in, so edited values stay valid
+function describeCodegenParameters(spec) {
+  // Formats are implied by the example values, so only units, ranges and enums are worth a note
+  return spec.params
+    .map(p => ({ name: p.name, details: [p.units, describeParameterConstraints({ ...p.constraints, format: undefined })].filter(Boolean).join('; ') }))
+    .filter(p => p.details)
+    .map(p => `\`${p.name}\`: ${p.details}`);
+}
+
+function describeCodegenResponse(spec) {
+  const { response } = spec.details;
+  const notes = [];
+  if (response.shape || response.description) {
+    notes.push(`Response${response.shape ? ` \`${response.shape}\`` : ''}${response.description ? `: ${response.description}` : ''}`);
+  }
+  for (const [name, field] of Object.entries(response.fields)) {
+    if (field.misread) notes.push(`⚠️ \`${name}\`: ${field.misread}`);
+  }
+  return notes;
 }
 
 async function explainDesoArchitecture(args) {
@@ -1240,6 +2622,9 @@ DeSo implements a unique two-phase transaction system for security and usability
   - Derived key authorization
   - Transaction submission to mempool
 
+### Between the Phases: Inspecting TransactionHex
+The \`TransactionHex\` returned in Phase 1 is a serialized \`MsgDeSoTxn\`: inputs, outputs, TxnType and metadata, transactor public key, ExtraData and an empty signature, followed in version 1 transactions by TxnVersion, TxnFeeNanos and TxnNonce. Run it through \`decode_deso_transaction\` to confirm the recipient, amounts and fee before signing.
+
 ## Repository Structure:
 - \`repos/backend/\` - Go backend with transaction handlers
 - \`repos/identity/\` - TypeScript identity service
@@ -1600,1493 +2985,3368 @@ console.log('Transaction:', result.TransactionIDBase58Check);
   };
 }
 
-// Helper function from original comprehensive server
-function generateEndpointExample(endpoint, details) {
-  return `
-## Code Examples
+// Markdown card for a single endpoint, shared by deso_api_explorer and the deso://api resources
+function formatEndpointCard(endpoint, cat, includeCode = false) {
+  const info = API_DETAILS[cat];
+  const ep = info.endpoints[endpoint];
+  let result = `# ${endpoint}\n\n`;
+  result += `**Category:** ${cat.toUpperCase()}\n`;
+  result += `**Description:** ${ep.description}\n\n`;
+  result += `**API Details:**\n`;
+  result += `- Method: ${ep.method}\n`;
+  result += `- URL: ${info.baseUrl || ''}${ep.url}\n`;
+  result += `- Backend Handler: ${ep.handler}\n`;
+  result += `- Backend File: ${info.backendFile}\n`;
+  result += `- deso-js Function: ${ep.desoJs || 'None (call the endpoint directly)'}\n\n`;
+  
+  result += `**Parameters:**\n`;
+  const params = [
+    ...ep.params.required.map(p => ({ ...p, required: true })),
+    ...ep.params.optional.map(p => ({ ...p, required: false }))
+  ];
+  if (params.length === 0) {
+    result += `None\n\n`;
+  } else {
+    result += `| Name | Required | Type | Units | Description | Example |\n`;
+    result += `|------|----------|------|-------|-------------|---------|\n`;
+    for (const p of params) {
+      const notes = describeParameterConstraints(p.constraints);
+      const description = notes ? `${p.description} (${notes})` : p.description;
+      result += `| \`${p.name}\` | ${p.required ? 'Yes' : 'No'} | ${p.type} | ${p.units || ''} | ${description} | \`${truncateExample(JSON.stringify(p.example))}\` |\n`;
+    }
+    result += `\n`;
+  }
+  
+  result += formatEndpointResponse(ep.response);
+  
+  if (includeCode) {
+    result += generateEndpointExample(endpoint, ep, info.baseUrl);
+  }
+  
+  return result;
+}
 
-### Using deso-js SDK
-\`\`\`javascript
-import { ${details.desoJs} } from 'deso-protocol';
+// Render a response as a field table plus one table per nested shape it reaches,
+// then list every field flagged as commonly misread with its path from the root
+function formatEndpointResponse(response) {
+  let result = `**Response:**${response.shape ? ` \`${response.shape}\`` : ''}${response.description ? ` — ${response.description}` : ''}\n`;
+  const misread = [];
+  const rendered = new Set(response.shape ? [response.shape] : []);
+  const queue = [];
+  
+  const renderFields = (fields, pathPrefix) => {
+    if (Object.keys(fields).length === 0) return `No fields\n\n`;
+    let table = `| Field | Type | Units | Description |\n`;
+    table += `|-------|------|-------|-------------|\n`;
+    for (const [name, field] of Object.entries(fields)) {
+      const fieldPath = `${pathPrefix}${name}`;
+      const description = field.enum ? `${field.description} (one of: ${field.enum.map(v => JSON.stringify(v)).join(', ')})` : field.description;
+      table += `| ${field.misread ? '⚠️ ' : ''}\`${name}\` | ${formatResponseType(field)} | ${field.units || ''} | ${description} |\n`;
+      if (field.misread) misread.push({ path: fieldPath, note: field.misread });
+      
+      const nested = field.shape || field.items?.shape || field.values?.shape;
+      const suffix = field.type === 'array' ? '[]' : field.type === 'map' ? '[key]' : '';
+      if (nested && !rendered.has(nested)) {
+        rendered.add(nested);
+        queue.push({ shape: nested, pathPrefix: `${fieldPath}${suffix}.` });
+      }
+    }
+    return `${table}\n`;
+  };
+  
+  result += renderFields(response.fields, '');
+  while (queue.length > 0) {
+    const { shape, pathPrefix } = queue.shift();
+    result += `**\`${shape}\`** — ${API_RESPONSE_SHAPES[shape].description}\n`;
+    result += renderFields(API_RESPONSE_SHAPES[shape].fields, pathPrefix);
+  }
+  
+  if (misread.length > 0) {
+    result += `**⚠️ Commonly Misread Fields:**\n`;
+    result += misread.map(({ path, note }) => `- \`${path}\`: ${note}`).join('\n');
+    result += `\n\n`;
+  }
+  
+  return result;
+}
 
-const result = await ${details.desoJs}({
-  ${details.params.required.map(p => `${p}: 'value'`).join(',\n  ')}
-});
+function formatResponseType(field) {
+  const element = (el) => el.shape || el.type;
+  let type = field.type;
+  if (field.type === 'array') type = `${element(field.items)}[]`;
+  else if (field.type === 'map') type = `map<string, ${element(field.values)}>`;
+  else if (field.shape) type = field.shape;
+  return field.nullable ? `${type} (nullable)` : type;
+}
+
+function describeParameterConstraints(constraints = {}) {
+  const notes = [];
+  if (constraints.enum) notes.push(`one of: ${constraints.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if (constraints.minimum !== undefined && constraints.maximum !== undefined) {
+    notes.push(`${constraints.minimum} to ${constraints.maximum}`);
+  } else if (constraints.minimum !== undefined) {
+    notes.push(`>= ${constraints.minimum}`);
+  } else if (constraints.maximum !== undefined) {
+    notes.push(`<= ${constraints.maximum}`);
+  }
+  if (constraints.maxLength !== undefined) notes.push(`max ${constraints.maxLength} chars`);
+  if (constraints.format) notes.push(`format: ${constraints.format}`);
+  if (constraints.pattern) notes.push(`pattern: \`${constraints.pattern}\``);
+  return notes.join('; ');
+}
+
+function truncateExample(text, maxLength = 60) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+// Render an example value as a JavaScript literal, indenting nested lines to match the call site
+function formatExampleValue(value, indent = '  ') {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+// Helper function from original comprehensive server
+function generateEndpointExample(endpoint, details, baseUrl = 'https://node.deso.org') {
+  // Endpoints whose params are all optional (lookups by key or username) show the optional ones instead
+  const requiredParams = details.params.required.length > 0 ? details.params.required : details.params.optional.slice(0, 1);
+  let example = `
+## Code Examples
+`;
+
+  // Entries like "identity.login" import their root export; names deso-protocol does not export get no SDK example
+  const sdkFunction = desoJsFunction(details.desoJs);
+  // identity methods behind HTTP endpoints (identity.submitTx) take the values as arguments
+  const positional = sdkFunction?.startsWith('identity.') && details.method !== 'WINDOW' && details.method !== 'IFRAME';
+  if (sdkFunction) {
+    example += `
+### Using deso-js SDK
+\`\`\`javascript
+import { ${sdkFunction.split('.')[0]} } from 'deso-protocol';
+
+const result = await ${sdkFunction}(${positional
+  ? requiredParams.map(p => formatExampleValue(p.example)).join(', ')
+  : `{
+  ${requiredParams.map(p => `${p.name}: ${formatExampleValue(p.example)}`).join(',\n  ')}
+}`});
 \`\`\`
+`;
+  }
 
+  if (details.method === 'WINDOW') {
+    example += `
+### Identity Window API
+\`\`\`javascript
+// deso-js opens this window for you; only needed without the SDK
+const params = new URLSearchParams({
+  ${requiredParams.map(p => `${p.name}: ${formatExampleValue(p.example)}`).join(',\n  ')}
+});
+window.open(\`${baseUrl}${details.url}?\${params}\`, null, 'toolbar=no, width=800, height=1000');
+
+window.addEventListener('message', (event) => {
+  if (event.origin !== '${baseUrl}') return;
+  console.log('Identity response:', event.data);
+});
+\`\`\`
+`;
+  } else if (details.method === 'IFRAME') {
+    example += `
+### Identity iframe API
+\`\`\`javascript
+// deso-js manages the iframe for you; only needed without the SDK
+identityIframe.contentWindow.postMessage({
+  id: crypto.randomUUID(),
+  service: 'identity',
+  method: '${details.url}',
+  payload: {
+    ${requiredParams.map(p => `${p.name}: ${formatExampleValue(p.example, '    ')}`).join(',\n    ')}
+  }
+}, '${baseUrl}');
+\`\`\`
+`;
+  } else if (details.method === 'GET') {
+    const url = details.url.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const param = requiredParams.find(p => p.name === name);
+      return param ? encodeURIComponent(param.example) : placeholder;
+    });
+    example += `
+### Direct API Call
+\`\`\`javascript
+const response = await fetch('${baseUrl}${url}');
+const data = await response.json();
+\`\`\`
+`;
+  } else {
+    example += `
 ### Direct API Call
 \`\`\`javascript
-const response = await fetch('https://node.deso.org${details.url}', {
+const response = await fetch('${baseUrl}${details.url}', {
   method: '${details.method}',
   headers: { 'Content-Type': 'application/json' },
   body: JSON.stringify({
-    ${details.params.required.map(p => `${p}: 'value'`).join(',\n    ')}
+    ${requiredParams.map(p => `${p.name}: ${formatExampleValue(p.example, '    ')}`).join(',\n    ')}
   })
 });
 \`\`\`
 `;
-}
-
-async function repositorySearch(args) {
-  const { query } = args;
-  
-  try {
-    const results = await searchRepositoryDocuments(query);
-    
-    if (results.length === 0) {
-      return {
-        content: [{
-          type: "text",
-          text: `# Repository Search Results
-
-**Query:** "${query}"
-
-No matching documents found in the DeSo repository.
-
-**Available repositories:** docs, core, identity, frontend, backend, deso-js`
-        }]
-      };
-    }
-    
-    let response = `# Repository Search Results\n\n**Query:** "${query}"\n**Found:** ${results.length} matches\n\n`;
-    
-    for (const result of results.slice(0, 10)) { // Limit to top 10 results
-      response += `## ${result.title}\n`;
-      response += `**Path:** \`${result.path}\`\n`;
-      response += `**Repository:** ${result.repository}\n\n`;
-      response += `${result.excerpt}\n\n---\n\n`;
-    }
-    
-    if (results.length > 10) {
-      response += `*Showing top 10 of ${results.length} results*\n`;
-    }
-    
-    return {
-      content: [{
-        type: "text",
-        text: response
-      }]
-    };
-  } catch (error) {
-    console.error("Repository search error:", error);
-    return {
-      content: [{
-        type: "text",
-        text: `# Repository Search Error
+  }
 
-**Query:** "${query}"
+  return example;
+}
 
-Error searching repository: ${error.message}
+// Check a request body against an endpoint's catalog parameters
+async function validateDesoRequest(args) {
+  const { endpoint, body } = args;
 
-This might be due to repository access permissions or path issues.`
-      }]
-    };
+  if (typeof endpoint !== 'string' || endpoint === '') {
+    return invalidArgument('Missing Endpoint', 'Pass `endpoint`: a catalog endpoint name such as `submit-post`.');
+  }
+  const match = findCatalogEndpoint(endpoint);
+  if (!match) {
+    const allEndpoints = Object.values(API_DETAILS).flatMap(info => Object.keys(info.endpoints));
+    const suggestions = suggestNames(endpoint, allEndpoints);
+    let text = `# ❌ Unknown Endpoint: ${endpoint}\n\n`;
+    text += suggestions.length > 0
+      ? `Did you mean ${suggestions.map(s => `\`${s}\``).join(' or ')}?\n`
+      : `Use \`deso_api_explorer\` with \`category: "all"\` to list the known endpoints.\n`;
+    return { content: [{ type: "text", text }] };
   }
-}
-
-// Repository document search implementation
-async function searchRepositoryDocuments(query) {
-  const repositories = ['docs', 'core', 'identity', 'frontend', 'backend', 'deso-js', 'deso-chat', 'deso-ui', 'graphql'];
-  const reposPath = path.join(process.cwd(), 'repos');
-  const results = [];
-  const searchTerms = query.toLowerCase().split(' ');
   
-  for (const repo of repositories) {
-    const repoPath = path.join(reposPath, repo);
-    
+  let payload = body;
+  if (typeof body === 'string') {
     try {
-      const stats = await fs.stat(repoPath);
-      if (stats.isDirectory()) {
-        const repoResults = await searchInDirectory(repoPath, repo, searchTerms);
-        results.push(...repoResults);
-      }
+      payload = JSON.parse(body);
     } catch (error) {
-      console.error(`Error accessing ${repo}:`, error.message);
-      continue;
+      return { content: [{ type: "text", text: `# ❌ Invalid JSON\n\nThe body for \`${endpoint}\` could not be parsed: ${error.message}\n` }] };
     }
   }
-  
-  // Sort by relevance (number of matching terms)
-  return results.sort((a, b) => b.score - a.score);
-}
-
-async function searchInDirectory(dirPath, repository, searchTerms) {
-  const results = [];
-  
-  try {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      
-      if (entry.isDirectory() && !entry.name.startsWith('.') && 
-          entry.name !== 'node_modules' && entry.name !== '.next' && 
-          entry.name !== 'dist' && entry.name !== 'build' && 
-          entry.name !== 'storybook-static') {
-        // Recursively search subdirectories
-        const subResults = await searchInDirectory(fullPath, repository, searchTerms);
-        results.push(...subResults);
-      } else if (entry.isFile() && isSearchableFile(entry.name)) {
-        try {
-          const content = await fs.readFile(fullPath, 'utf-8');
-          const matches = findMatches(content, searchTerms, fullPath, repository);
-          results.push(...matches);
-        } catch (error) {
-          // Skip files that can't be read
-          continue;
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error reading directory ${dirPath}:`, error.message);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { content: [{ type: "text", text: `# ❌ Invalid Body\n\nRequest bodies for \`${endpoint}\` must be a JSON object.\n` }] };
   }
   
-  return results;
-}
-
-function isSearchableFile(filename) {
-  const searchableExtensions = [
-    '.md', '.txt', '.js', '.ts', '.go', '.json', '.yaml', '.yml', '.tsx', '.jsx',
-    '.graphql', '.gql', '.css', '.scss', '.html', '.vue', '.py', '.sh', '.env',
-    '.toml', '.ini', '.conf', '.config', '.lock'
-  ];
-  const ext = path.extname(filename).toLowerCase();
-  return searchableExtensions.includes(ext) || filename === 'README' || filename === 'LICENSE';
-}
-
-function findMatches(content, searchTerms, filePath, repository) {
-  const lines = content.split('\n');
-  const matches = [];
-  const contentLower = content.toLowerCase();
+  const { details } = match;
+  const params = [...details.params.required, ...details.params.optional];
+  const paramNames = params.map(p => p.name);
+  const unknown = Object.keys(payload)
+    .filter(key => !paramNames.includes(key))
+    .map(key => ({ key, suggestions: suggestNames(key, paramNames) }));
+  // Keys with exactly one plausible replacement are checked as if they had been sent under that name
+  const renames = Object.fromEntries(unknown
+    .filter(u => u.suggestions.length === 1 && payload[u.suggestions[0]] === undefined)
+    .map(u => [u.key, u.suggestions[0]]));
+  // A required param sent under a misspelled name is one problem, reported as the rename
+  const renamedTo = new Set(Object.values(renames));
+  const missing = details.params.required.filter(p => payload[p.name] === undefined && !renamedTo.has(p.name));
+  const sent = Object.entries(payload)
+    .map(([key, value]) => ({ key, value, param: params.find(p => p.name === (renames[key] || key)) }))
+    .filter(({ value, param }) => param && value !== undefined && value !== null);
+  const invalid = sent.flatMap(({ key, value, param }) => checkParameterValue(param, value)
+    .map(message => ({ key, renamedTo: renames[key], message })));
   
-  // Calculate relevance score
-  let score = 0;
-  for (const term of searchTerms) {
-    const termCount = (contentLower.match(new RegExp(term, 'g')) || []).length;
-    score += termCount;
+  const problemCount = missing.length + unknown.length + invalid.length;
+  let result = `# Request Validation: ${endpoint}\n\n`;
+  result += `**Endpoint:** ${details.method} ${details.url}\n`;
+  result += `**Result:** ${problemCount === 0 ? '✅ Valid' : `❌ ${problemCount} problem${problemCount === 1 ? '' : 's'} found`}\n\n`;
+  
+  if (missing.length > 0) {
+    result += `## Missing Required Parameters\n`;
+    result += missing.map(p => `- \`${p.name}\` (${p.type}${p.units ? `, ${p.units}` : ''}): ${p.description}. Example: \`${truncateExample(JSON.stringify(p.example))}\``).join('\n');
+    result += `\n\n`;
   }
   
-  if (score === 0) return [];
+  if (unknown.length > 0) {
+    result += `## Unknown Parameters\n`;
+    const requiredNames = details.params.required.map(p => p.name);
+    result += unknown.map(({ key, suggestions }) => suggestions.length > 0
+      ? `- \`${key}\`: did you mean ${suggestions.map(s => `\`${s}\``).join(' or ')}?${requiredNames.includes(renames[key]) ? ' (required)' : ''}`
+      : `- \`${key}\`: not accepted by this endpoint; the backend ignores it or rejects the request`).join('\n');
+    result += `\n\n`;
+  }
   
-  // Find relevant excerpts
-  const relevantLines = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineLower = line.toLowerCase();
-    
-    if (searchTerms.some(term => lineLower.includes(term))) {
-      // Include context lines
-      const start = Math.max(0, i - 2);
-      const end = Math.min(lines.length, i + 3);
-      relevantLines.push({
-        lineNumber: i + 1,
-        content: lines.slice(start, end).join('\n'),
-        matchLine: line
-      });
-    }
+  if (invalid.length > 0) {
+    result += `## Invalid Values\n`;
+    result += invalid.map(({ key, renamedTo, message }) => `- \`${key}\`${renamedTo ? ` (as \`${renamedTo}\`)` : ''}: ${message}`).join('\n');
+    result += `\n\n`;
   }
   
-  // Create title from file path and content
-  const fileName = path.basename(filePath);  
-  const title = getDocumentTitle(content, fileName);
+  // Offer a corrected body when a key can be renamed or a quoted number/boolean unquoted
+  const coerced = Object.fromEntries(sent
+    .map(({ key, value, param }) => [key, coerceParameterValue(param, value)])
+    .filter(([, value]) => value !== undefined));
+  if (Object.keys(renames).length > 0 || Object.keys(coerced).length > 0) {
+    const corrected = Object.fromEntries(Object.entries(payload).map(([key, value]) => [
+      renames[key] || key,
+      key in coerced ? coerced[key] : value
+    ]));
+    result += `## Suggested Fix\n\n\`\`\`json\n${JSON.stringify(corrected, null, 2)}\n\`\`\`\n\n`;
+  }
   
-  // Create excerpt from best matches
-  const excerpt = createExcerpt(relevantLines, searchTerms);
+  if (details.params.deprecated) {
+    result += `⚠️ This endpoint is deprecated; see \`deso_api_explorer\` for its replacement.\n\n`;
+  }
   
-  matches.push({
-    title,
-    path: path.relative(path.join(process.cwd(), 'repos'), filePath),
-    repository,
-    score,
-    excerpt,
-    matchCount: relevantLines.length
-  });
+  result += `*Use \`deso_api_explorer\` with \`endpoint: "${endpoint}"\` for the full parameter and response reference.*\n`;
   
-  return matches;
+  return { content: [{ type: "text", text: result }] };
 }
 
-function getDocumentTitle(content, fileName) {
-  // Try to extract title from markdown headers
-  const lines = content.split('\n');
-  for (const line of lines.slice(0, 10)) { // Check first 10 lines
-    if (line.startsWith('# ')) {
-      return line.substring(2).trim();
-    }
+const JSON_TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value)
+};
+
+// The unquoted value for a number or boolean sent as a string, or undefined when there is none
+function coerceParameterValue(param, value) {
+  if (typeof value !== 'string') return undefined;
+  if (param.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if ((param.type === 'integer' || param.type === 'number') && value.trim() !== '' && JSON_TYPE_CHECKS[param.type](Number(value))) {
+    return Number(value);
   }
-  
-  // Fallback to filename
-  return fileName.replace(path.extname(fileName), '').replace(/[-_]/g, ' ');
+  return undefined;
 }
 
-function createExcerpt(relevantLines, searchTerms) {
-  if (relevantLines.length === 0) return '';
-  
-  // Take the best matching excerpt
-  const bestMatch = relevantLines[0];
-  let excerpt = bestMatch.content;
-  
-  // Highlight search terms
-  for (const term of searchTerms) {
-    const regex = new RegExp(`(${term})`, 'gi');
-    excerpt = excerpt.replace(regex, '**$1**');
+function describeJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return 'non-integer number';
+  return typeof value;
+}
+
+// Return the problems with one parameter value: type first, then its catalog constraints
+function checkParameterValue(param, value) {
+  if (!JSON_TYPE_CHECKS[param.type](value)) {
+    let message = `expected ${param.type}${param.units ? ` (${param.units})` : ''}, got ${describeJsonType(value)} ${truncateExample(JSON.stringify(value))}`;
+    if (param.units === 'nanos' && typeof value === 'number') {
+      message += `; amounts are in nanos, so ${value} DESO is ${Math.round(value * 1e9)}`;
+    } else if (coerceParameterValue(param, value) !== undefined) {
+      message += `; send it without quotes`;
+    }
+    return [message];
   }
   
-  // Limit excerpt length
-  if (excerpt.length > 500) {
-    excerpt = excerpt.substring(0, 500) + '...';
+  const constraints = param.constraints || {};
+  const problems = [];
+  if (constraints.enum && !constraints.enum.includes(value)) {
+    problems.push(`${JSON.stringify(value)} is not one of ${constraints.enum.map(v => JSON.stringify(v)).join(', ')}`);
   }
-  
-  return excerpt;
+  if (constraints.minimum !== undefined && value < constraints.minimum) {
+    problems.push(`${value} is below the minimum of ${constraints.minimum}`);
+  }
+  if (constraints.maximum !== undefined && value > constraints.maximum) {
+    problems.push(`${value} is above the maximum of ${constraints.maximum}${param.units === 'basis points' ? ' (10000 basis points = 100%)' : ''}`);
+  }
+  if (constraints.minLength !== undefined && value.length < constraints.minLength) {
+    problems.push(`must be at least ${constraints.minLength} characters`);
+  }
+  if (constraints.maxLength !== undefined && value.length > constraints.maxLength) {
+    problems.push(`must be at most ${constraints.maxLength} characters (got ${value.length})`);
+  }
+  if (constraints.pattern && !new RegExp(constraints.pattern).test(value)) {
+    problems.push(`${JSON.stringify(value)} does not match \`${constraints.pattern}\``);
+  }
+  if (constraints.format) {
+    const problem = checkStringFormat(constraints.format, value);
+    if (problem) problems.push(problem);
+  }
+  if (constraints.minItems !== undefined && value.length < constraints.minItems) {
+    problems.push(`needs at least ${constraints.minItems} item${constraints.minItems === 1 ? '' : 's'}`);
+  }
+  if (constraints.items && Array.isArray(value)) {
+    value.forEach((item, i) => {
+      for (const problem of checkArrayItem(constraints.items, item)) problems.push(`item ${i}: ${problem}`);
+    });
+  }
+  if (constraints.requiredKeys) {
+    const absent = constraints.requiredKeys.filter(key => value[key] === undefined);
+    if (absent.length > 0) problems.push(`missing key${absent.length === 1 ? '' : 's'} ${absent.join(', ')}`);
+  }
+  if (constraints.valueType) {
+    const wrong = Object.entries(value).filter(([, v]) => typeof v !== constraints.valueType);
+    if (wrong.length > 0) {
+      problems.push(`values must be ${constraints.valueType}s; ${wrong.map(([k]) => k).join(', ')} ${wrong.length === 1 ? 'is' : 'are'} not`);
+    }
+  }
+  return problems;
 }
 
-// Repository document reader
-async function readRepositoryDocument(args) {
-  const { path: docPath, repository } = args;
+// Array item constraints are either one format for every item, or a map of
+// object field to format ("integer (nanos)" style descriptors check the type only)
+function checkArrayItem(itemConstraint, item) {
+  if (typeof itemConstraint === 'string') {
+    if (typeof item !== 'string') return [`expected string, got ${describeJsonType(item)}`];
+    const problem = checkStringFormat(itemConstraint, item);
+    return problem ? [problem] : [];
+  }
   
-  try {
-    let fullPath;
-    if (repository) {
-      fullPath = path.join(process.cwd(), 'repos', repository, docPath);
+  if (!JSON_TYPE_CHECKS.object(item)) return [`expected object, got ${describeJsonType(item)}`];
+  const problems = [];
+  for (const [key, descriptor] of Object.entries(itemConstraint)) {
+    if (item[key] === undefined) {
+      problems.push(`missing ${key}`);
+    } else if (descriptor.startsWith('integer')) {
+      if (!Number.isInteger(item[key])) problems.push(`${key} must be an integer ${descriptor.slice('integer'.length).trim()}`.trim());
     } else {
-      // If no repository specified, check if path already includes it
-      fullPath = path.join(process.cwd(), 'repos', docPath);
+      const problem = checkStringFormat(descriptor, item[key]);
+      if (problem) problems.push(`${key}: ${problem}`);
     }
-    
-    const content = await fs.readFile(fullPath, 'utf-8');
-    const fileName = path.basename(fullPath);
-    const title = getDocumentTitle(content, fileName);
-    
-    return {
-      content: [{
-        type: "text",
-        text: `# ${title}
+  }
+  return problems;
+}
 
-**Path:** \`${docPath}\`
-**Repository:** ${repository || 'auto-detected'}
-**File:** ${fileName}
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{1,25}$/;
 
----
+// Return a problem description for a string that violates a catalog format, or null
+function checkStringFormat(format, value) {
+  if (typeof value !== 'string') return `expected a ${format} string, got ${describeJsonType(value)}`;
+  
+  switch (format) {
+    case 'public-key':
+    case 'public-key-or-username': {
+      const looksLikeKey = /^(BC1YL|tBC)/.test(value) || value.length > 25;
+      if (format === 'public-key-or-username' && !looksLikeKey) {
+        return USERNAME_PATTERN.test(value) ? null : `${JSON.stringify(value)} is neither a public key nor a valid username`;
+      }
+      if (!looksLikeKey && USERNAME_PATTERN.test(value.replace(/^@/, ''))) {
+        return `${JSON.stringify(value)} looks like a username; resolve it to a public key with get-single-profile first`;
+      }
+      try {
+        decodeDeSoPublicKey(value);
+        return null;
+      } catch (error) {
+        return `${JSON.stringify(truncateExample(value, 20))} is not a valid DeSo public key: ${error.message}`;
+      }
+    }
+    case 'hash-hex':
+      return /^[0-9a-fA-F]{64}$/.test(value) ? null : `expected a 64-character hex hash, got ${value.length} characters`;
+    case 'hex':
+      return /^([0-9a-fA-F]{2})+$/.test(value) ? null : 'expected an even-length hex string';
+    case 'uint256-hex':
+      return /^0x[0-9a-fA-F]+$/.test(value) ? null : `expected a 0x-prefixed hex amount (e.g. "0xde0b6b3a7640000" for 1 token), got ${JSON.stringify(value)}`;
+    case 'jwt':
+      return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(value) ? null : 'expected a JWT (three base64url segments separated by dots)';
+    case 'uri':
+      try {
+        new URL(value);
+        return null;
+      } catch {
+        return `${JSON.stringify(value)} is not an absolute URL`;
+      }
+    default:
+      return null;
+  }
+}
 
-${content}`
-      }]
-    };
-  } catch (error) {
-    console.error("Document read error:", error);
-    return {
-      content: [{
-        type: "text",
-        text: `# Document Read Error
+// Suggest the closest candidates for a misspelled name: case-insensitive matches,
+// names that extend or truncate it (FollowedPublicKey -> FollowedPublicKeyBase58Check)
+// and small edit distances
+function suggestNames(input, candidates, limit = 3) {
+  const needle = input.toLowerCase();
+  return candidates
+    .map(candidate => {
+      const lower = candidate.toLowerCase();
+      if (lower === needle) return { candidate, score: 0 };
+      if (needle.length >= 4 && (lower.startsWith(needle) || needle.startsWith(lower))) return { candidate, score: 1 };
+      const distance = editDistance(needle, lower);
+      return { candidate, score: distance <= Math.max(2, Math.floor(needle.length / 4)) ? 1 + distance : Infinity };
+    })
+    .filter(({ score }) => score !== Infinity)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
 
-**Path:** "${docPath}"
-**Repository:** ${repository || 'auto-detect'}
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
 
-Error reading document: ${error.message}
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
 
-**Available repositories:** docs, core, identity, frontend, backend, deso-js, deso-chat, deso-ui, graphql
+// Version prefixes DeSo prepends to a 33-byte compressed secp256k1 key before Base58Check encoding
+const DESO_PUBLIC_KEY_PREFIXES = { mainnet: 'cd1400', testnet: '11c200' };
 
-Try using the \`repository_search\` tool first to find the correct document path.`
-      }]
-    };
+function decodeBase58(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error(`"${char}" is not a Base58 character`);
+    number = number * 58n + BigInt(digit);
   }
+  const bytes = [];
+  for (; number > 0n; number /= 256n) bytes.unshift(Number(number % 256n));
+  const leadingZeros = value.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...bytes]);
 }
 
-// Comprehensive DeSo debugging guide based on real debugging experience
-async function desoDebuggingGuide(args) {
-  const { issue, includeCode = false } = args;
-  
-  const debuggingGuides = {
-    "message-decryption": {
-      title: "🔐 Message Decryption Issues",
-      content: `# Message Decryption Debugging
-
-## 🚨 CRITICAL: DecryptedMessage vs MessageText
+function encodeBase58(bytes) {
+  let number = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let encoded = '';
+  for (; number > 0n; number /= 58n) encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+  const leadingZeros = Buffer.from(bytes).findIndex(byte => byte !== 0);
+  return '1'.repeat(leadingZeros === -1 ? bytes.length : leadingZeros) + encoded;
+}
 
-**The #1 Issue:** Using wrong property name for decrypted messages
+function sha256(data) {
+  return createHash('sha256').update(data).digest();
+}
 
-### ❌ WRONG (Common Mistake)
-\`\`\`javascript
-if (decryptedMessage.MessageText) {
-  messageText = decryptedMessage.MessageText; // This is WRONG!
+// Decode a Base58Check DeSo public key, throwing with the reason when it is malformed
+function decodeDeSoPublicKey(value) {
+  const bytes = decodeBase58(value);
+  if (bytes.length !== 40) {
+    throw new Error(`decodes to ${bytes.length} bytes instead of 40 (3-byte prefix, 33-byte key, 4-byte checksum); is it truncated?`);
+  }
+  const payload = bytes.subarray(0, 36);
+  const checksum = bytes.subarray(36);
+  if (!sha256(sha256(payload)).subarray(0, 4).equals(checksum)) {
+    throw new Error('checksum mismatch; the key has a typo or was copied incompletely');
+  }
+  
+  const prefixHex = payload.subarray(0, 3).toString('hex');
+  const network = Object.keys(DESO_PUBLIC_KEY_PREFIXES).find(name => DESO_PUBLIC_KEY_PREFIXES[name] === prefixHex);
+  if (!network) {
+    throw new Error(`unknown network prefix 0x${prefixHex}`);
+  }
+  const key = payload.subarray(3);
+  if (key[0] !== 0x02 && key[0] !== 0x03) {
+    throw new Error(`not a compressed secp256k1 point (starts with 0x${key.subarray(0, 1).toString('hex')})`);
+  }
+  
+  return { network, prefixHex, publicKeyHex: key.toString('hex'), checksumHex: checksum.toString('hex') };
 }
-\`\`\`
 
-### ✅ CORRECT (Actual Fix)
-\`\`\`javascript
-if (decryptedMessage.DecryptedMessage) {
-  messageText = decryptedMessage.DecryptedMessage; // This is RIGHT!
+function encodeDeSoPublicKey(compressedKey, network) {
+  const payload = Buffer.concat([Buffer.from(DESO_PUBLIC_KEY_PREFIXES[network], 'hex'), compressedKey]);
+  return encodeBase58(Buffer.concat([payload, sha256(sha256(payload)).subarray(0, 4)]));
 }
-\`\`\`
 
-## 🔍 Debugging Steps
+const SECP256K1_P = 2n ** 256n - 2n ** 32n - 977n;
 
-1. **Check Console Logs**: Look for \`hasMessageText: false\` vs \`hasDecryptedMessage: true\`
-2. **Inspect Response Structure**: Use \`Object.keys(decryptedMessage)\` to see available properties
-3. **Reference Implementation**: Always check deso-chat for correct patterns
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  for (base %= modulus; exponent > 0n; exponent >>= 1n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+  }
+  return result;
+}
 
-## 🛠️ Complete Decryption Pattern
-\`\`\`javascript
-// Proper message decryption handling
-for (const decryptedMessage of decrypted) {
-  let messageText = '[Encrypted Message]';
-  
-  if (decryptedMessage.error) {
-    messageText = '[Decryption Failed]';
-  } else if (decryptedMessage.DecryptedMessage) {
-    // ✅ CORRECT: Use DecryptedMessage property
-    messageText = decryptedMessage.DecryptedMessage;
-  } else if (decryptedMessage.MessageInfo?.ExtraData?.unencrypted === "true") {
-    // Handle unencrypted messages (hex-encoded)
-    try {
-      const hexString = decryptedMessage.MessageInfo.EncryptedText;
-      const bytes = new Uint8Array(Buffer.from(hexString, 'hex'));
-      messageText = new TextDecoder().decode(bytes);
-    } catch (error) {
-      messageText = '[Decoding Failed]';
+// Expand a 33-byte compressed secp256k1 key to its 65-byte 04||x||y form, throwing when x is not on the curve.
+// p ≡ 3 (mod 4), so the square root of y² is (y²)^((p+1)/4).
+function decompressSecp256k1Key(compressed) {
+  const x = BigInt(`0x${compressed.subarray(1).toString('hex')}`);
+  if (x >= SECP256K1_P) throw new Error('x coordinate is larger than the field size');
+  const ySquared = (x ** 3n + 7n) % SECP256K1_P;
+  let y = modPow(ySquared, (SECP256K1_P + 1n) / 4n, SECP256K1_P);
+  if ((y * y) % SECP256K1_P !== ySquared) throw new Error('x coordinate is not on the secp256k1 curve');
+  if (Number(y & 1n) !== (compressed[0] & 1)) y = SECP256K1_P - y;
+  return Buffer.concat([Buffer.from([0x04]), compressed.subarray(1), Buffer.from(y.toString(16).padStart(64, '0'), 'hex')]);
+}
+
+// Parse any public key form the tool accepts into the compressed key, remembering the format and network it came in
+function parsePublicKeyInput(value) {
+  const input = value.trim();
+  if (/^(0x)?[0-9a-fA-F]+$/.test(input)) {
+    const bytes = Buffer.from(input.replace(/^0x/, ''), 'hex');
+    if (bytes.length === 33) {
+      if (bytes[0] !== 0x02 && bytes[0] !== 0x03) {
+        throw new Error(`33-byte keys must start with 02 or 03, got ${bytes.subarray(0, 1).toString('hex')}`);
+      }
+      decompressSecp256k1Key(bytes);
+      return { format: 'compressed hex', compressed: bytes };
     }
+    if (bytes.length === 65) {
+      if (bytes[0] !== 0x04) throw new Error(`65-byte keys must start with 04, got ${bytes.subarray(0, 1).toString('hex')}`);
+      const compressed = Buffer.concat([Buffer.from([0x02 | (bytes[64] & 1)]), bytes.subarray(1, 33)]);
+      if (!decompressSecp256k1Key(compressed).equals(bytes)) throw new Error('the point is not on the secp256k1 curve');
+      return { format: 'uncompressed hex', compressed };
+    }
+    throw new Error(`hex keys are 33 bytes (compressed) or 65 bytes (uncompressed), got ${bytes.length} bytes`);
   }
-}
-\`\`\`
 
-## 🔧 Common Error Messages
-- **"incorrect MAC"**: Normal for old/incompatible messages - handle gracefully
-- **"access group key not found"**: Need to fetch updated access groups
-- **Empty DecryptedMessage**: Check if message is unencrypted (ExtraData.unencrypted)`
-    },
-    
-    "access-groups": {
-      title: "🔑 Access Group Issues",
-      content: `# Access Group Debugging
+  if (USERNAME_PATTERN.test(input.replace(/^@/, '')) && !/^(BC1YL|tBC)/.test(input)) {
+    throw new Error(`${JSON.stringify(input)} looks like a username; resolve it to a public key with get-single-profile first`);
+  }
+  const decoded = decodeDeSoPublicKey(input);
+  const compressed = Buffer.from(decoded.publicKeyHex, 'hex');
+  decompressSecp256k1Key(compressed);
+  return { format: `Base58Check (${decoded.network})`, network: decoded.network, compressed, checksumHex: decoded.checksumHex };
+}
 
-## 🚨 CRITICAL: Empty String vs Undefined
+async function decodeDesoPublicKey(args) {
+  const { publicKey } = args;
 
-**The Issue:** \`checkPartyAccessGroups\` returns empty strings, not undefined!
+  if (typeof publicKey !== 'string' || publicKey.trim() === '') {
+    return invalidArgument('Missing Public Key', 'Pass `publicKey`: a BC1YL…/tBC… key, or a compressed (66 hex characters) or uncompressed (130 hex characters) secp256k1 key.');
+  }
 
-### ❌ WRONG (Common Mistake)
-\`\`\`javascript
-if (response.SenderAccessGroupKeyName) {
-  // This fails when API returns empty string!
-}
-\`\`\`
+  let parsed;
+  try {
+    parsed = parsePublicKeyInput(publicKey);
+  } catch (error) {
+    let text = `# ❌ Invalid Public Key\n\n`;
+    text += `**Input:** \`${publicKey}\`\n`;
+    text += `**Problem:** ${error.message}\n\n`;
+    text += `DeSo public keys are Base58Check strings starting with \`BC1YL\` (mainnet, 55 characters) or \`tBC\` (testnet, 54 characters). A prefix and length check such as deso-chat's \`isMaybeDeSoPublicKey\` accepts keys with typos; only the checksum catches them.\n`;
+    return { content: [{ type: "text", text }] };
+  }
 
-### ✅ CORRECT (Actual Fix)
-\`\`\`javascript
-const senderKeyName = response.SenderAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
-const recipientKeyName = response.RecipientAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
-\`\`\`
+  const uncompressed = decompressSecp256k1Key(parsed.compressed);
+  const mainnet = encodeDeSoPublicKey(parsed.compressed, 'mainnet');
+  const testnet = encodeDeSoPublicKey(parsed.compressed, 'testnet');
+
+  let result = `# 🔑 DeSo Public Key\n\n`;
+  result += `**Input:** \`${publicKey.trim()}\`\n`;
+  result += `**Format:** ${parsed.format}\n`;
+  result += `**Result:** ✅ Valid${parsed.network ? ` ${parsed.network} key, checksum \`${parsed.checksumHex}\` verified` : ' secp256k1 point'}\n\n`;
+
+  result += `## Formats\n\n`;
+  result += `| Format | Value |\n|--------|-------|\n`;
+  result += `| Base58Check, mainnet | \`${mainnet}\` |\n`;
+  result += `| Base58Check, testnet | \`${testnet}\` |\n`;
+  result += `| Compressed hex (33 bytes) | \`${parsed.compressed.toString('hex')}\` |\n`;
+  result += `| Uncompressed hex (65 bytes) | \`${uncompressed.toString('hex')}\` |\n\n`;
+
+  result += `## Layout\n\n`;
+  result += `A DeSo public key is Base58Check over 40 bytes: a 3-byte network prefix (\`${DESO_PUBLIC_KEY_PREFIXES.mainnet}\` mainnet, \`${DESO_PUBLIC_KEY_PREFIXES.testnet}\` testnet), the 33-byte compressed secp256k1 key and the first 4 bytes of the double SHA-256 of those 36 bytes as checksum.\n\n`;
+  result += `- The mainnet and testnet strings are the same key pair: only the prefix differs, so the same seed controls both accounts.\n`;
+  result += `- Use the compressed hex with secp256k1 libraries (\`@noble/curves\`, \`coincurve\`, dcrd \`secp256k1\`); the backend stores keys in this form.\n`;
+  if (!parsed.network) {
+    result += `- Hex input carries no network; pick the Base58Check string for the network your node runs on.\n`;
+  }
 
-## 🔍 Access Group Flow
+  return { content: [{ type: "text", text: result }] };
+}
 
-1. **Check Party Access Groups**: Always check both sender and recipient
-2. **Handle Empty Responses**: API returns empty strings when groups don't exist
-3. **Fallback to Default**: Use "default-key" as fallback
-4. **Auto-Create Groups**: Create default messaging groups if needed
+// TxnType values from MsgDeSoTxn metadata (core lib/network.go)
+const DESO_TXN_TYPES = {
+  1: "BLOCK_REWARD", 2: "BASIC_TRANSFER", 3: "BITCOIN_EXCHANGE", 4: "PRIVATE_MESSAGE", 5: "SUBMIT_POST",
+  6: "UPDATE_PROFILE", 8: "UPDATE_BITCOIN_USD_EXCHANGE_RATE", 9: "FOLLOW", 10: "LIKE", 11: "CREATOR_COIN",
+  12: "SWAP_IDENTITY", 13: "UPDATE_GLOBAL_PARAMS", 14: "CREATOR_COIN_TRANSFER", 15: "CREATE_NFT", 16: "UPDATE_NFT",
+  17: "ACCEPT_NFT_BID", 18: "NFT_BID", 19: "NFT_TRANSFER", 20: "ACCEPT_NFT_TRANSFER", 21: "BURN_NFT",
+  22: "AUTHORIZE_DERIVED_KEY", 23: "MESSAGING_GROUP", 24: "DAO_COIN", 25: "DAO_COIN_TRANSFER", 26: "DAO_COIN_LIMIT_ORDER",
+  27: "CREATE_USER_ASSOCIATION", 28: "DELETE_USER_ASSOCIATION", 29: "CREATE_POST_ASSOCIATION", 30: "DELETE_POST_ASSOCIATION",
+  31: "ACCESS_GROUP", 32: "ACCESS_GROUP_MEMBERS", 33: "NEW_MESSAGE", 34: "REGISTER_AS_VALIDATOR", 35: "UNREGISTER_AS_VALIDATOR",
+  36: "STAKE", 37: "UNSTAKE", 38: "UNLOCK_STAKE", 39: "UNJAIL_VALIDATOR", 40: "COIN_LOCKUP", 41: "UPDATE_COIN_LOCKUP_PARAMS",
+  42: "COIN_LOCKUP_TRANSFER", 43: "COIN_UNLOCK", 44: "ATOMIC_TXNS_WRAPPER"
+};
 
-## 🛠️ Complete Access Group Pattern
-\`\`\`javascript
-// Proper access group handling
-const response = await checkPartyAccessGroups({
-  SenderPublicKeyBase58Check: senderPublicKey,
-  SenderAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
-  RecipientPublicKeyBase58Check: recipientPublicKey,
-  RecipientAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME
-});
+// Sequential reader over transaction bytes; every read names the field so truncated input says where it stopped
+function createByteReader(buffer) {
+  let offset = 0;
+  const take = (length, field) => {
+    if (offset + length > buffer.length) {
+      throw new Error(`unexpected end of data at byte ${offset} reading ${field} (needs ${length} bytes, ${buffer.length - offset} left)`);
+    }
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+  const uvarint = (field) => {
+    let value = 0n;
+    for (let shift = 0n; ; shift += 7n) {
+      if (shift > 63n) throw new Error(`uvarint overflow at byte ${offset} reading ${field}`);
+      const byte = take(1, field)[0];
+      value |= BigInt(byte & 0x7f) << shift;
+      if (byte < 0x80) return value;
+    }
+  };
+  return {
+    get offset() { return offset; },
+    remaining: () => buffer.length - offset,
+    bytes: take,
+    uvarint,
+    count: (field) => {
+      const value = uvarint(field);
+      if (value > BigInt(buffer.length - offset)) throw new Error(`${field} of ${value} is larger than the remaining ${buffer.length - offset} bytes`);
+      return Number(value);
+    },
+    varBytes: (field) => take(Number(uvarint(`${field} length`)), field),
+    byte: (field) => take(1, field)[0],
+    bool: (field) => take(1, field)[0] !== 0
+  };
+}
 
-// ✅ CORRECT: Handle empty strings properly
-const senderKeyName = response.SenderAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
-const recipientKeyName = response.RecipientAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+// Metadata layouts of the common transaction types, in serialization order. Field kinds:
+// publicKey (33 bytes), varPublicKey / varBytes / varString (uvarint length + bytes), hash (32 bytes),
+// uvarint, nanos, byte, bool, uint256 (uvarint length + big-endian bytes)
+const DESO_TXN_METADATA_LAYOUTS = {
+  BASIC_TRANSFER: [],
+  SUBMIT_POST: [
+    ["PostHashToModify", "varBytes"], ["ParentStakeID", "varBytes"], ["Body", "varString"],
+    ["CreatorBasisPoints", "uvarint"], ["StakeMultipleBasisPoints", "uvarint"], ["TimestampNanos", "uvarint"], ["IsHidden", "bool"]
+  ],
+  UPDATE_PROFILE: [
+    ["ProfilePublicKey", "varPublicKey"], ["NewUsername", "varString"], ["NewDescription", "varString"], ["NewProfilePic", "varString"],
+    ["NewCreatorBasisPoints", "uvarint"], ["NewStakeMultipleBasisPoints", "uvarint"], ["IsHidden", "bool"]
+  ],
+  FOLLOW: [["FollowedPublicKey", "publicKey"], ["IsUnfollow", "bool"]],
+  LIKE: [["LikedPostHash", "hash"], ["IsUnlike", "bool"]],
+  CREATOR_COIN: [
+    ["ProfilePublicKey", "varPublicKey"], ["OperationType", "byte", ["buy", "sell", "add DESO"]], ["DeSoToSellNanos", "nanos"],
+    ["CreatorCoinToSellNanos", "uvarint"], ["DeSoToAddNanos", "nanos"], ["MinDeSoExpectedNanos", "nanos"], ["MinCreatorCoinExpectedNanos", "uvarint"]
+  ],
+  CREATOR_COIN_TRANSFER: [["ProfilePublicKey", "varPublicKey"], ["CreatorCoinToTransferNanos", "uvarint"], ["ReceiverPublicKey", "varPublicKey"]],
+  CREATE_NFT: [
+    ["NFTPostHash", "hash"], ["NumCopies", "uvarint"], ["HasUnlockable", "bool"], ["IsForSale", "bool"], ["MinBidAmountNanos", "nanos"],
+    ["NFTRoyaltyToCreatorBasisPoints", "uvarint"], ["NFTRoyaltyToCoinBasisPoints", "uvarint"]
+  ],
+  UPDATE_NFT: [["NFTPostHash", "hash"], ["SerialNumber", "uvarint"], ["IsForSale", "bool"], ["MinBidAmountNanos", "nanos"]],
+  NFT_BID: [["NFTPostHash", "hash"], ["SerialNumber", "uvarint"], ["BidAmountNanos", "nanos"]],
+  NFT_TRANSFER: [["NFTPostHash", "hash"], ["SerialNumber", "uvarint"], ["ReceiverPublicKey", "varPublicKey"], ["UnlockableText", "varString"]],
+  ACCEPT_NFT_TRANSFER: [["NFTPostHash", "hash"], ["SerialNumber", "uvarint"]],
+  BURN_NFT: [["NFTPostHash", "hash"], ["SerialNumber", "uvarint"]],
+  AUTHORIZE_DERIVED_KEY: [
+    ["DerivedPublicKey", "varPublicKey"], ["ExpirationBlock", "uvarint"], ["OperationType", "byte", ["deauthorize", "authorize"]], ["AccessSignature", "varBytes"]
+  ],
+  DAO_COIN_TRANSFER: [["ProfilePublicKey", "varPublicKey"], ["DAOCoinToTransferNanos", "uint256"], ["ReceiverPublicKey", "varPublicKey"]]
+};
 
-if (!senderKeyName || !recipientKeyName) {
-  throw new Error('Access groups not available for messaging');
+function formatNanos(nanos) {
+  const whole = nanos / 1000000000n;
+  const fraction = (nanos % 1000000000n).toString().padStart(9, '0').replace(/0+$/, '');
+  return `${whole}${fraction ? `.${fraction}` : ''} DESO (${nanos} nanos)`;
 }
-\`\`\`
 
-## 🔧 Error Messages to Watch For
-- **"SenderAccessGroupKeyName is undefined"**: Check for empty string handling
-- **"access group key not found"**: Need to create or fetch access groups
-- **"insufficient permissions"**: Check derived key permissions for access groups`
-    },
-    
-    "infinite-loops": {
-      title: "🔄 Infinite Loop Issues",
-      content: `# Infinite Loop Debugging
+function formatTransactionPublicKey(bytes, network) {
+  if (bytes.length === 0) return '(empty)';
+  if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) return `0x${bytes.toString('hex')} (not a 33-byte compressed key)`;
+  return encodeDeSoPublicKey(Buffer.from(bytes), network);
+}
 
-## 🚨 CRITICAL: useCallback Dependencies
+function readMetadataField(reader, kind, field, network, labels) {
+  switch (kind) {
+    case 'publicKey':
+      return formatTransactionPublicKey(reader.bytes(33, field), network);
+    case 'varPublicKey':
+      return formatTransactionPublicKey(reader.varBytes(field), network);
+    case 'hash':
+      return reader.bytes(32, field).toString('hex');
+    case 'varBytes': {
+      const bytes = reader.varBytes(field);
+      return bytes.length > 0 ? bytes.toString('hex') : '(empty)';
+    }
+    case 'varString':
+      return JSON.stringify(reader.varBytes(field).toString('utf8'));
+    case 'uvarint':
+      return reader.uvarint(field).toString();
+    case 'nanos':
+      return formatNanos(reader.uvarint(field));
+    case 'byte': {
+      const value = reader.byte(field);
+      return labels?.[value] ? `${value} (${labels[value]})` : String(value);
+    }
+    case 'bool':
+      return String(reader.bool(field));
+    case 'uint256': {
+      const bytes = reader.varBytes(field);
+      return `${BigInt(`0x${bytes.toString('hex') || '0'}`)} base units (0x${bytes.toString('hex') || '0'})`;
+    }
+  }
+}
 
-**The Issue:** Missing or incorrect dependencies in useCallback hooks
+// Decode metadata with a known layout; unknown types and layouts that don't consume exactly the
+// length-prefixed bytes fall back to hex
+function decodeTransactionMetadata(txnType, bytes, network) {
+  const layout = DESO_TXN_METADATA_LAYOUTS[txnType];
+  if (!layout) return { fields: null, note: `no field layout for ${txnType}; raw bytes below` };
 
-### ❌ WRONG (Causes Infinite Loops)
-\`\`\`javascript
-const searchUsers = useCallback(async (query) => {
-  // Missing dependencies!
-}, []); // Empty dependency array is often wrong
-\`\`\`
+  try {
+    const reader = createByteReader(bytes);
+    const fields = layout.map(([name, kind, labels]) => [name, readMetadataField(reader, kind, name, network, labels)]);
+    if (reader.remaining() > 0) {
+      return { fields: null, note: `${reader.remaining()} bytes left after the known ${txnType} fields; the layout may have changed, raw bytes below` };
+    }
+    return { fields };
+  } catch (error) {
+    return { fields: null, note: `could not decode as ${txnType}: ${error.message}; raw bytes below` };
+  }
+}
 
-### ✅ CORRECT (Prevents Infinite Loops)
-\`\`\`javascript
-const searchUsers = useCallback(async (query) => {
-  if (!query.trim()) return;
-  // Implementation...
-}, [getSingleProfile, setUsers, setLoading]); // Include ALL dependencies
-\`\`\`
+function formatExtraDataValue(key, value, network) {
+  if (value.length === 33 && (value[0] === 0x02 || value[0] === 0x03) && /PublicKey/i.test(key)) {
+    return formatTransactionPublicKey(value, network);
+  }
+  const text = value.toString('utf8');
+  if (value.length > 0 && Buffer.from(text, 'utf8').equals(value) && /^[\x20-\x7e\n\r\t]*$/.test(text)) {
+    return JSON.stringify(text);
+  }
+  return `0x${value.toString('hex')}`;
+}
 
-## 🔍 Debugging Steps
+// Split a DER signature into r and s. DeSo-DER signatures from derived keys store the recovery id in the
+// first byte: 0x31 + recovery id instead of 0x30.
+function parseDeSoSignature(bytes) {
+  const first = bytes[0];
+  if (first < 0x30 || first > 0x34) throw new Error(`signature does not start with a DER sequence (0x${first.toString(16)})`);
+  const reader = createByteReader(bytes.subarray(2));
+  const integer = (name) => {
+    if (reader.byte(`${name} tag`) !== 0x02) throw new Error(`expected an INTEGER tag for ${name}`);
+    return reader.bytes(reader.byte(`${name} length`), name).toString('hex').replace(/^(00)+(?=[0-9a-f]{2})/, '');
+  };
+  const r = integer('r');
+  const s = integer('s');
+  return { r, s, recoveryId: first === 0x30 ? null : first - 0x31 };
+}
 
-1. **Check React DevTools**: Look for "Maximum update depth exceeded"
-2. **Add Dependency Warnings**: Use ESLint react-hooks/exhaustive-deps
-3. **Add Debouncing**: Prevent rapid API calls
-4. **Isolate State Updates**: Separate loading states from data states
+// Parse MsgDeSoTxn bytes: inputs, outputs, type and metadata, transactor public key, ExtraData and signature,
+// then the version 1 (balance model) fields after the signature: TxnVersion, TxnFeeNanos and TxnNonce
+function parseDeSoTransaction(buffer, network) {
+  const reader = createByteReader(buffer);
+  const txn = {};
+
+  const inputCount = reader.count('input count');
+  txn.inputs = Array.from({ length: inputCount }, (_, i) => ({
+    txId: reader.bytes(32, `input ${i} TxID`).toString('hex'),
+    index: reader.uvarint(`input ${i} index`)
+  }));
+  const outputCount = reader.count('output count');
+  txn.outputs = Array.from({ length: outputCount }, (_, i) => ({
+    publicKey: formatTransactionPublicKey(reader.bytes(33, `output ${i} public key`), network),
+    amountNanos: reader.uvarint(`output ${i} amount`)
+  }));
+
+  const typeNumber = Number(reader.uvarint('TxnType'));
+  txn.typeNumber = typeNumber;
+  txn.type = DESO_TXN_TYPES[typeNumber] ?? `UNKNOWN_${typeNumber}`;
+  txn.metadataBytes = reader.varBytes('metadata');
+  txn.metadata = decodeTransactionMetadata(txn.type, txn.metadataBytes, network);
+
+  txn.publicKey = formatTransactionPublicKey(reader.varBytes('transactor public key'), network);
+
+  const extraCount = reader.count('ExtraData entry count');
+  txn.extraData = Array.from({ length: extraCount }, (_, i) => {
+    const key = reader.varBytes(`ExtraData key ${i}`).toString('utf8');
+    const value = reader.varBytes(`ExtraData["${key}"]`);
+    return { key, value: formatExtraDataValue(key, value, network), length: value.length };
+  });
 
-## 🛠️ Complete Debounced Search Pattern
-\`\`\`javascript
-// Proper debounced search with correct dependencies
-const [searchQuery, setSearchQuery] = useState('');
-const [debouncedQuery, setDebouncedQuery] = useState('');
+  txn.signatureOffset = reader.offset;
+  txn.signature = reader.varBytes('signature');
+  txn.signatureEnd = reader.offset;
 
-// Debounce the search query
-useEffect(() => {
-  const timer = setTimeout(() => {
-    setDebouncedQuery(searchQuery);
-  }, 500); // 500ms debounce
+  if (reader.remaining() > 0) {
+    txn.version = reader.uvarint('TxnVersion');
+    txn.feeNanos = reader.uvarint('TxnFeeNanos');
+    txn.nonce = {
+      expirationBlockHeight: reader.uvarint('TxnNonce expiration block height'),
+      partialId: reader.uvarint('TxnNonce partial ID')
+    };
+  } else {
+    txn.version = 0n;
+  }
+  txn.trailingBytes = reader.remaining();
+  return txn;
+}
 
-  return () => clearTimeout(timer);
-}, [searchQuery]);
+async function decodeDesoTransaction(args) {
+  const { transactionHex, network = 'mainnet' } = args;
 
-// Search function with proper dependencies
-const searchUsers = useCallback(async (query) => {
-  if (!query.trim()) {
-    setUsers([]);
-    return;
+  if (typeof transactionHex !== 'string' || transactionHex.trim() === '') {
+    return invalidArgument('Missing Transaction Hex', 'Pass `transactionHex`: the `TransactionHex` returned by a stateless endpoint, signed or not.');
   }
-  
-  setLoading(true);
+  if (!DESO_PUBLIC_KEY_PREFIXES[network]) {
+    return invalidArgument(`Unknown Network: ${network}`, `Available: ${Object.keys(DESO_PUBLIC_KEY_PREFIXES).join(', ')}`);
+  }
+  const hex = transactionHex.trim().replace(/^0x/, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+    return { content: [{ type: "text", text: `# ❌ Invalid Transaction Hex\n\nExpected an even-length hex string such as the \`TransactionHex\` field of a construction response.\n` }] };
+  }
+
+  const buffer = Buffer.from(hex, 'hex');
+  let txn;
   try {
-    const profile = await getSingleProfile({ Username: query });
-    setUsers(profile ? [profile] : []);
+    txn = parseDeSoTransaction(buffer, network);
   } catch (error) {
-    setError(error.message);
-    setUsers([]);
-  } finally {
-    setLoading(false);
+    return { content: [{ type: "text", text: `# ❌ Could Not Decode Transaction\n\n**Problem:** ${error.message}\n\nCheck that the whole \`TransactionHex\` was copied; a truncated hex string fails partway through.\n` }] };
   }
-}, [getSingleProfile]); // Only include stable dependencies
 
-// Trigger search when debounced query changes
-useEffect(() => {
-  if (debouncedQuery) {
-    searchUsers(debouncedQuery);
+  const signed = txn.signature.length > 0;
+  // The signed digest covers the transaction with an empty signature
+  const unsignedBytes = signed
+    ? Buffer.concat([buffer.subarray(0, txn.signatureOffset), Buffer.from([0]), buffer.subarray(txn.signatureEnd)])
+    : buffer;
+  const warnings = [];
+
+  let result = `# 🧾 DeSo Transaction: ${txn.type}\n\n`;
+  result += `**Type:** ${txn.type} (${txn.typeNumber})\n`;
+  result += `**Version:** ${txn.version}${txn.version >= 1n ? ' (balance model: fee and nonce instead of UTXO inputs)' : ' (UTXO inputs and change outputs)'}\n`;
+  result += `**Transactor:** \`${txn.publicKey}\`\n`;
+  if (txn.version >= 1n) {
+    result += `**Fee:** ${formatNanos(txn.feeNanos)}\n`;
+    result += `**Nonce:** expires at block ${txn.nonce.expirationBlockHeight}, partial ID ${txn.nonce.partialId}\n`;
   }
-}, [debouncedQuery, searchUsers]);
-\`\`\`
+  result += `**Size:** ${buffer.length} bytes\n`;
+  result += `**Signed:** ${signed ? 'yes' : 'no (empty signature, ready to sign)'}\n`;
+  result += `**Signing digest:** \`${sha256(sha256(unsignedBytes)).toString('hex')}\` (double SHA-256 of the unsigned bytes)\n`;
+  if (signed) {
+    result += `**Transaction hash:** \`${sha256(sha256(buffer)).toString('hex')}\` (TxnHashHex once submitted)\n`;
+  }
+  result += `\n`;
 
-## 🔧 Common Patterns That Cause Loops
-- **Missing useCallback**: Functions recreated on every render
-- **Incorrect dependencies**: Including unstable objects/functions
-- **State updates in render**: Causing immediate re-renders
-- **Effect cleanup issues**: Not properly cleaning up timers/subscriptions`
-    },
-    
-    "api-responses": {
-      title: "📡 API Response Structure Issues",
-      content: `# API Response Structure Debugging
-
-## 🚨 CRITICAL: Different Endpoints, Different Structures
+  if (txn.inputs.length > 0) {
+    result += `## Inputs (${txn.inputs.length})\n\n| TxID | Index |\n|------|-------|\n`;
+    result += txn.inputs.map(input => `| \`${input.txId}\` | ${input.index} |`).join('\n') + '\n\n';
+  }
+  result += `## Outputs (${txn.outputs.length})\n\n`;
+  if (txn.outputs.length > 0) {
+    result += `| Public key | Amount |\n|------------|--------|\n`;
+    result += txn.outputs.map(output => `| \`${output.publicKey}\`${output.publicKey === txn.publicKey ? ' (transactor)' : ''} | ${formatNanos(output.amountNanos)} |`).join('\n') + '\n\n';
+  } else {
+    result += `None: this transaction moves no DESO besides the fee.\n\n`;
+  }
+  if (txn.version < 1n && txn.outputs.some(output => output.publicKey === txn.publicKey)) {
+    result += `Outputs back to the transactor are change from the inputs, not a payment.\n\n`;
+  }
 
-**The Issue:** Each DeSo endpoint has different response structures!
+  result += `## Metadata (${txn.metadataBytes.length} bytes)\n\n`;
+  if (txn.metadata.fields) {
+    if (txn.metadata.fields.length > 0) {
+      result += `| Field | Value |\n|-------|-------|\n`;
+      result += txn.metadata.fields.map(([name, value]) => `| ${name} | \`${value.replace(/\|/g, '\\|')}\` |`).join('\n') + '\n\n';
+    } else {
+      result += `${txn.type} carries no metadata fields.\n\n`;
+    }
+  } else {
+    result += `Not decoded: ${txn.metadata.note}.\n\n\`\`\`\n${txn.metadataBytes.toString('hex') || '(empty)'}\n\`\`\`\n\n`;
+  }
 
-### Key Response Differences:
-- \`getAllMessageThreads\` → \`MessageThreads\` array
-- \`getPaginatedDMThread\` → \`ThreadMessages\` array  
-- \`getAllAccessGroups\` → \`AccessGroupsOwned\` + \`AccessGroupsMember\`
+  result += `## ExtraData (${txn.extraData.length})\n\n`;
+  if (txn.extraData.length > 0) {
+    result += `| Key | Value |\n|-----|-------|\n`;
+    result += txn.extraData.map(entry => `| ${entry.key} | \`${truncateExample(entry.value, 120).replace(/\|/g, '\\|')}\` |`).join('\n') + '\n\n';
+    const derived = txn.extraData.find(entry => entry.key === 'DerivedPublicKey');
+    if (derived) result += `Signed by the derived key \`${derived.value}\` on behalf of the transactor.\n\n`;
+  } else {
+    result += `None.\n\n`;
+  }
 
-## 🔍 Debugging API Responses
+  if (signed) {
+    result += `## Signature (${txn.signature.length} bytes)\n\n`;
+    try {
+      const signature = parseDeSoSignature(txn.signature);
+      result += `- **r:** \`${signature.r}\`\n- **s:** \`${signature.s}\`\n`;
+      result += signature.recoveryId === null
+        ? `- Standard DER: signed by the transactor's key, or by a derived key named in ExtraData\n\n`
+        : `- DeSo-DER with recovery ID ${signature.recoveryId}: signed by a derived key the node recovers from the signature\n\n`;
+    } catch (error) {
+      warnings.push(`The signature is not valid DER: ${error.message}`);
+      result += `\`${txn.signature.toString('hex')}\`\n\n`;
+    }
+  }
 
-### 1. Always Log Response Structure
-\`\`\`javascript
-const response = await getPaginatedDMThread(params);
-console.log('API Response keys:', Object.keys(response));
-console.log('Messages array:', response.ThreadMessages?.length);
-\`\`\`
+  if (txn.trailingBytes > 0) {
+    warnings.push(`${txn.trailingBytes} bytes follow the last known field; the hex may be two transactions concatenated or from a newer format`);
+  }
+  if (txn.metadata.note && DESO_TXN_METADATA_LAYOUTS[txn.type]) {
+    warnings.push(`Metadata did not match the ${txn.type} layout`);
+  }
+  if (warnings.length > 0) {
+    result += `## ⚠️ Warnings\n\n${warnings.map(warning => `- ${warning}`).join('\n')}\n\n`;
+  }
 
-### 2. Handle Empty/Null Responses
-\`\`\`javascript
-// ✅ CORRECT: Always validate response structure
-const messages = response?.ThreadMessages || [];
-const profiles = response?.PublicKeyToProfileEntryResponse || {};
-\`\`\`
+  result += `*Compare the outputs, metadata and fee with what you meant to send before signing. Public keys are shown for ${network}; pass \`network\` to switch.*\n`;
 
-### 3. Check for JSON Parsing Errors
-\`\`\`javascript
-// ✅ CORRECT: Validate before parsing
-if (!response || response.trim() === '') {
-  throw new Error('Empty response from API');
+  return { content: [{ type: "text", text: result }] };
 }
 
-try {
-  const data = JSON.parse(response);
-  return data;
-} catch (error) {
-  throw new Error(\`Invalid JSON response: \${error.message}\`);
+async function exportDesoApi(args) {
+  const { format, category = 'all' } = args;
+  
+  if (format !== 'openapi' && format !== 'typescript') {
+    return invalidArgument(format ? `Unknown Export Format: ${format}` : 'Missing Format', 'Available: openapi, typescript');
+  }
+  if (category !== 'all' && !API_DETAILS[category]) {
+    return invalidArgument(`Unknown Category: ${category}`, `Available: all, ${Object.keys(API_DETAILS).join(', ')}`);
+  }
+  
+  const categories = category === 'all' ? Object.keys(API_DETAILS) : [category];
+  
+  if (format === 'typescript') {
+    const definitions = buildTypeScriptDefinitions(categories);
+    const endpointCount = categories.reduce((count, cat) => count + Object.keys(API_DETAILS[cat].endpoints).length, 0);
+    
+    let result = `# DeSo API — TypeScript Definitions\n\n`;
+    result += `**Catalog version:** ${API_CATALOG_VERSION}\n`;
+    result += `**Endpoints:** ${endpointCount} (a \`<Endpoint>Request\` and \`<Endpoint>Response\` interface each)\n\n`;
+    result += `Save the module below as \`deso-api.d.ts\` and import the types you need, e.g. \`import type { CreateFollowTxnStatelessRequest } from './deso-api';\`. \`DeSoEndpoints\` maps every HTTP endpoint to its method, path, request and response for typed fetch wrappers. The full module is also available as the \`deso://api/types.d.ts\` resource.\n\n`;
+    result += `\`\`\`typescript\n${definitions}\`\`\`\n`;
+    return { content: [{ type: "text", text: result }] };
+  }
+  
+  const document = buildOpenApiDocument(categories);
+  const operationCount = Object.values(document.paths).reduce((count, item) => count + Object.keys(item).length, 0);
+  const skipped = categories.flatMap(cat => Object.entries(API_DETAILS[cat].endpoints)
+    .filter(([, details]) => details.method !== 'GET' && details.method !== 'POST')
+    .map(([endpoint]) => endpoint));
+  
+  let result = `# DeSo API — OpenAPI ${document.openapi}\n\n`;
+  result += `**Catalog version:** ${document.info.version}\n`;
+  result += `**Operations:** ${operationCount} across ${document.tags.length} tag${document.tags.length === 1 ? '' : 's'}\n`;
+  result += `**Schemas:** ${Object.keys(document.components.schemas).length}\n`;
+  if (skipped.length > 0) {
+    result += `**Not included:** ${skipped.join(', ')} (Identity window/iframe APIs are not HTTP endpoints)\n`;
+  }
+  result += `\nSave the document below as \`openapi.json\` to generate clients (e.g. \`npx @openapitools/openapi-generator-cli generate -i openapi.json -g typescript-fetch -o client\`) or import it into Postman. The full document is also available as the \`deso://api/openapi.json\` resource.\n\n`;
+  result += `\`\`\`json\n${JSON.stringify(document, null, 2)}\n\`\`\`\n`;
+  
+  return { content: [{ type: "text", text: result }] };
 }
-\`\`\`
 
-## 🛠️ Complete API Error Handling Pattern
-\`\`\`javascript
-async function safeApiCall(apiFunction, params, fallback = null) {
-  try {
-    const response = await apiFunction(params);
-    
-    // Validate response structure
-    if (!response || typeof response !== 'object') {
-      throw new Error('Invalid API response structure');
-    }
-    
-    return response;
-  } catch (error) {
-    console.error('API call failed:', error);
-    
-    // Categorize errors for user-friendly messages
-    if (error.message.includes('404')) {
-      throw new Error('User not found');
-    } else if (error.message.includes('network')) {
-      throw new Error('Network connection issue');
-    } else {
-      throw new Error(\`API error: \${error.message}\`);
+// Build a .d.ts module with request/response interfaces for the given categories' endpoints
+// and one interface per response shape they reach
+function buildTypeScriptDefinitions(categories) {
+  const shapes = [];
+  const addShape = (shape) => {
+    if (shapes.includes(shape)) return;
+    shapes.push(shape);
+    collectShapeReferences(API_RESPONSE_SHAPES[shape].fields).forEach(addShape);
+  };
+  
+  const endpointBlocks = [];
+  const endpointMap = [];
+  for (const cat of categories) {
+    for (const [endpoint, details] of Object.entries(API_DETAILS[cat].endpoints)) {
+      const typeName = catalogTypeName(endpoint);
+      const params = [...details.params.required.map(p => ({ ...p, required: true })), ...details.params.optional];
+      const location = details.method === 'IFRAME' ? `Identity iframe message "${details.url}"` : `${details.method} ${API_DETAILS[cat].baseUrl || ''}${details.url}`;
+      
+      let block = `/** ${details.description} — ${location}${details.desoJs ? ` (deso-js: ${details.desoJs})` : ''} */\n`;
+      block += params.length > 0
+        ? `export interface ${typeName}Request {\n${params.map(p => formatTypeScriptParameter(p)).join('\n')}\n}\n\n`
+        : `export type ${typeName}Request = Record<string, never>;\n\n`;
+      
+      const { response } = details;
+      const ownFields = response.shape
+        ? Object.fromEntries(Object.entries(response.fields).filter(([name]) => !(name in API_RESPONSE_SHAPES[response.shape].fields)))
+        : response.fields;
+      if (response.shape) addShape(response.shape);
+      collectShapeReferences(ownFields).forEach(addShape);
+      
+      const responseDoc = response.description ? `/** ${response.description} */\n` : '';
+      if (Object.keys(ownFields).length > 0) {
+        block += `${responseDoc}export interface ${typeName}Response${response.shape ? ` extends ${response.shape}` : ''} {\n${formatTypeScriptFields(ownFields, '  ')}\n}\n`;
+      } else if (response.shape !== `${typeName}Response`) {  // submit-transaction's response is the SubmitTransactionResponse shape itself
+        block += `${responseDoc}export type ${typeName}Response = ${response.shape || 'Record<string, never>'};\n`;
+      }
+      endpointBlocks.push(block);
+      
+      if (details.method === 'GET' || details.method === 'POST') {
+        endpointMap.push(`  '${endpoint}': { method: '${details.method}'; path: '${details.url}'; request: ${typeName}Request; response: ${typeName}Response };`);
+      }
     }
   }
+  
+  let output = `// DeSo API types generated from the deso-mcp API catalog v${API_CATALOG_VERSION}.\n`;
+  output += `// Amounts ending in Nanos are in nanos (1 DESO = 1e9); DAO coin amounts are 0x-prefixed uint256 hex strings.\n\n`;
+  output += `// Response shapes\n\n`;
+  output += shapes.map(shape => {
+    const { description, fields } = API_RESPONSE_SHAPES[shape];
+    return `/** ${description} */\nexport interface ${shape} {\n${formatTypeScriptFields(fields, '  ')}\n}\n`;
+  }).join('\n');
+  output += `\n// Endpoints\n\n`;
+  output += endpointBlocks.join('\n');
+  if (endpointMap.length > 0) {
+    output += `\n/** Every HTTP endpoint by catalog name; path parameters appear as {Name} in path */\n`;
+    output += `export interface DeSoEndpoints {\n${endpointMap.join('\n')}\n}\n`;
+  }
+  return output;
 }
-\`\`\`
 
-## 🔧 Common API Issues
-- **"Cannot read property of undefined"**: Missing null checks
-- **"Unexpected end of JSON input"**: Empty response handling
-- **"404 errors"**: User/resource not found - handle gracefully
-- **Rate limiting**: Implement proper retry logic with exponential backoff`
-    },
-    
-    "authentication": {
-      title: "🔐 Authentication & User Switching Issues",
-      content: `# Authentication Debugging
+function collectShapeReferences(fields) {
+  return Object.values(fields).flatMap(field => [
+    field.shape, field.items?.shape, field.values?.shape,
+    ...(field.fields ? collectShapeReferences(field.fields) : [])
+  ]).filter(Boolean);
+}
 
-## 🚨 CRITICAL: Identity Event Handling
+// JSDoc for a generated member: description with units, then example and misread notes as tags
+function formatTypeScriptDoc(indent, description, units, tags) {
+  const summary = units ? `${description} (${units})` : description;
+  if (tags.length === 0) return `${indent}/** ${summary} */\n`;
+  return `${indent}/**\n${indent} * ${summary}\n${tags.map(tag => `${indent} * ${tag}`).join('\n')}\n${indent} */\n`;
+}
 
-**The Issue:** Not properly handling identity state changes and user switching
+function formatTypeScriptParameter(param) {
+  const doc = formatTypeScriptDoc('  ', param.description, param.units, [`@example ${JSON.stringify(param.example)}`]);
+  const name = /^[A-Za-z_$][\w$]*$/.test(param.name) ? param.name : `'${param.name}'`;
+  return `${doc}  ${name}${param.required ? '' : '?'}: ${parameterTypeScriptType(param)};`;
+}
 
-### ✅ CORRECT: Complete Identity Setup
-\`\`\`javascript
-// Proper identity subscription with user switching
-identity.subscribe(({ currentUser, alternateUsers, event }) => {
-  console.log('Identity event:', event);
+function parameterTypeScriptType(param) {
+  const { enum: values, items, valueType, requiredKeys } = param.constraints || {};
+  if (values) return values.map(v => JSON.stringify(v)).join(' | ');
   
-  if (event === 'LOGIN_END' && currentUser) {
-    setUser({
-      isAuthenticated: true,
-      username: currentUser.username || currentUser.publicKey?.slice(0, 10) + '...',
-      publicKey: currentUser.publicKey,
-      alternateUsers: alternateUsers || []
-    });
-  } else if (event === 'LOGOUT') {
-    setUser({
-      isAuthenticated: false,
-      username: null,
-      publicKey: null,
-      alternateUsers: []
-    });
+  switch (param.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'array':
+      if (typeof items === 'string') return 'string[]';
+      if (items) {
+        const members = Object.entries(items).map(([key, descriptor]) => `${key}: ${descriptor.startsWith('integer') ? 'number' : 'string'}`);
+        return `{ ${members.join('; ')} }[]`;
+      }
+      return 'unknown[]';
+    case 'object':
+      if (valueType) return `Record<string, ${valueType === 'integer' ? 'number' : valueType}>`;
+      if (requiredKeys) return `{ ${requiredKeys.map(key => `${key}: unknown`).join('; ')}; [key: string]: unknown }`;
+      return 'Record<string, unknown>';
+    default:
+      return param.type;
   }
-});
-\`\`\`
+}
 
-## 🔍 User Switching Implementation
+function formatTypeScriptFields(fields, indent) {
+  return Object.entries(fields).map(([name, field]) => {
+    const doc = formatTypeScriptDoc(indent, field.description, field.units, field.misread ? [`@remarks ${field.misread}`] : []);
+    const type = responseTypeScriptType(field, indent);
+    return `${doc}${indent}${name}${field.nullable ? '?' : ''}: ${field.nullable ? `${type} | null` : type};`;
+  }).join('\n');
+}
 
-### Account Switcher Component
-\`\`\`javascript
-function AccountSwitcher({ currentUser, alternateUsers }) {
-  const [isOpen, setIsOpen] = useState(false);
+function responseTypeScriptType(field, indent) {
+  const element = (el) => el.shape || (el.type === 'integer' ? 'number' : el.type === 'object' ? 'Record<string, unknown>' : el.type === 'array' ? 'unknown[]' : el.type);
+  if (field.enum) return field.enum.map(v => JSON.stringify(v)).join(' | ');
   
-  const handleSwitchUser = async (publicKey) => {
-    try {
-      await identity.setActiveUser(publicKey);
-      setIsOpen(false);
-    } catch (error) {
-      console.error('Failed to switch user:', error);
+  switch (field.type) {
+    case 'array': {
+      const type = element(field.items);
+      return /^\w+$/.test(type) ? `${type}[]` : `Array<${type}>`;
+    }
+    case 'map':
+      return `Record<string, ${element(field.values)}>`;
+    case 'object':
+      if (field.shape) return field.shape;
+      if (field.fields) return `{\n${formatTypeScriptFields(field.fields, `${indent}  `)}\n${indent}}`;
+      return 'Record<string, unknown>';
+    default:
+      return element(field);
+  }
+}
+
+// PascalCase name for an endpoint's generated types, e.g. create-follow-txn-stateless -> CreateFollowTxnStateless
+function catalogTypeName(endpoint) {
+  return endpoint.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+// Build an OpenAPI 3.1 document for the HTTP endpoints of the given categories
+// (Identity window/iframe APIs have no HTTP form and are left out).
+// Every endpoint gets <Name>Request / <Name>Response schemas; shared response
+// shapes become components that the response schemas reference.
+function buildOpenApiDocument(categories) {
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'DeSo Node API',
+      version: API_CATALOG_VERSION,
+      description: 'DeSo backend endpoints generated from the deso-mcp API catalog. Transaction endpoints return an unsigned TransactionHex that must be signed and sent to /api/v0/submit-transaction. Amounts ending in Nanos are in nanos (1 DESO = 1e9 nanos).'
+    },
+    servers: [
+      { url: 'https://node.deso.org', description: 'Public mainnet node' },
+      { url: 'https://test.deso.org', description: 'Public testnet node' }
+    ],
+    tags: [],
+    paths: {},
+    components: {
+      schemas: {
+        ApiError: {
+          type: 'object',
+          description: 'Error body returned with 4xx/5xx responses',
+          properties: { error: { type: 'string', description: 'Error message from the backend handler' } }
+        }
+      }
     }
   };
+  const { schemas } = document.components;
   
-  return (
-    <div className="relative">
-      <button onClick={() => setIsOpen(!isOpen)}>
-        {currentUser.username}
-        <ChevronDownIcon />
-      </button>
+  const addShape = (shape) => {
+    if (schemas[shape]) return;
+    schemas[shape] = {};  // reserve the name first: shapes reference themselves (PostEntryResponse)
+    const { description, fields } = API_RESPONSE_SHAPES[shape];
+    schemas[shape] = { type: 'object', description, properties: responseFieldsToJsonSchema(fields, addShape) };
+  };
+  
+  for (const cat of categories) {
+    const info = API_DETAILS[cat];
+    if (Object.values(info.endpoints).some(details => details.method === 'GET' || details.method === 'POST')) {
+      document.tags.push({ name: cat, description: info.description });
+    }
+    
+    for (const [endpoint, details] of Object.entries(info.endpoints)) {
+      if (details.method !== 'GET' && details.method !== 'POST') continue;
       
-      {isOpen && (
-        <div className="absolute right-0 mt-2 bg-white shadow-lg rounded-lg">
-          {alternateUsers.map(user => (
-            <button
-              key={user.publicKey}
-              onClick={() => handleSwitchUser(user.publicKey)}
-              className="block w-full text-left px-4 py-2 hover:bg-gray-100"
-            >
-              {user.username || user.publicKey.slice(0, 10) + '...'}
-            </button>
-          ))}
-          <hr />
-          <button
-            onClick={() => identity.login()}
-            className="block w-full text-left px-4 py-2 hover:bg-gray-100"
-          >
-            Add Another Account
-          </button>
-          <button
-            onClick={() => identity.logout()}
-            className="block w-full text-left px-4 py-2 hover:bg-gray-100 text-red-600"
-          >
-            Logout
-          </button>
-        </div>
-      )}
-    </div>
-  );
+      const typeName = catalogTypeName(endpoint);
+      const params = [...details.params.required, ...details.params.optional];
+      const pathParams = [...details.url.matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+      const bodyParams = params.filter(p => !pathParams.includes(p.name));
+      
+      const operation = {
+        operationId: typeName.charAt(0).toLowerCase() + typeName.slice(1),
+        summary: details.description,
+        tags: [cat],
+        'x-backend-handler': details.handler,
+        ...(details.desoJs && { 'x-deso-js': details.desoJs }),
+        ...(details.params.deprecated && { deprecated: true })
+      };
+      
+      if (pathParams.length > 0) {
+        operation.parameters = pathParams.map(name => {
+          const param = params.find(p => p.name === name);
+          return { name, in: 'path', required: true, description: param.description, schema: parameterToJsonSchema(param) };
+        });
+      }
+      
+      if (details.method === 'POST') {
+        schemas[`${typeName}Request`] = {
+          type: 'object',
+          properties: Object.fromEntries(bodyParams.map(p => [p.name, parameterToJsonSchema(p)])),
+          ...(details.params.required.length > 0 && { required: details.params.required.map(p => p.name) })
+        };
+        const isUpload = bodyParams.some(p => p.constraints?.format === 'binary');
+        operation.requestBody = {
+          required: true,
+          content: { [isUpload ? 'multipart/form-data' : 'application/json']: { schema: { $ref: `#/components/schemas/${typeName}Request` } } }
+        };
+      }
+      
+      // A response that is exactly a shared shape references it; one that adds fields extends it
+      const { response } = details;
+      const ownFields = response.shape
+        ? Object.fromEntries(Object.entries(response.fields).filter(([name]) => !(name in API_RESPONSE_SHAPES[response.shape].fields)))
+        : response.fields;
+      if (response.shape) addShape(response.shape);
+      if (response.shape && Object.keys(ownFields).length === 0) {
+        // submit-transaction's response is the SubmitTransactionResponse shape itself
+        if (response.shape !== `${typeName}Response`) {
+          schemas[`${typeName}Response`] = { $ref: `#/components/schemas/${response.shape}`, ...(response.description && { description: response.description }) };
+        }
+      } else {
+        const own = { type: 'object', properties: responseFieldsToJsonSchema(ownFields, addShape) };
+        schemas[`${typeName}Response`] = response.shape
+          ? { description: response.description, allOf: [{ $ref: `#/components/schemas/${response.shape}` }, own] }
+          : { ...own, ...(response.description && { description: response.description }) };
+      }
+      
+      operation.responses = {
+        200: {
+          description: response.description || 'Success',
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${typeName}Response` } } }
+        },
+        default: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiError' } } }
+        }
+      };
+      
+      document.paths[details.url] = { ...document.paths[details.url], [details.method.toLowerCase()]: operation };
+    }
+  }
+  
+  return document;
 }
-\`\`\`
 
-## 🔧 Common Authentication Issues
-- **Identity not showing**: Check if LoginButton is in the header when authenticated
-- **User switching not working**: Ensure proper identity.setActiveUser() usage
-- **Permissions issues**: Check derived key permissions for messaging/transactions
-- **State not updating**: Verify identity.subscribe() is properly set up`
-    },
-    
-    "react-errors": {
-      title: "⚛️ React-Specific Issues",
-      content: `# React Integration Debugging
+// Patterns for catalog string formats that are not standard JSON Schema formats
+const FORMAT_PATTERNS = {
+  'public-key': '^(BC1YL|tBC)[1-9A-HJ-NP-Za-km-z]+$',
+  'hash-hex': '^[0-9a-fA-F]{64}$',
+  'hex': '^([0-9a-fA-F]{2})*$',
+  'uint256-hex': '^0x[0-9a-fA-F]+$',
+  'jwt': '^[\\w-]+\\.[\\w-]+\\.[\\w-]+$'
+};
 
-## 🚨 CRITICAL: Key Warnings & State Management
+function formatToJsonSchema(format) {
+  if (format === 'uri' || format === 'binary') return { type: 'string', format };
+  return { type: 'string', 'x-deso-format': format, ...(FORMAT_PATTERNS[format] && { pattern: FORMAT_PATTERNS[format] }) };
+}
 
-### 1. Unique Key Generation
-\`\`\`javascript
-// ❌ WRONG: Non-unique keys
-{messages.map((msg, index) => (
-  <div key={index}> // Don't use array index!
-))}
+function parameterToJsonSchema(param) {
+  const { enum: values, minimum, maximum, minLength, maxLength, minItems, pattern, format, items, valueType, requiredKeys } = param.constraints || {};
+  const schema = {
+    ...(format ? formatToJsonSchema(format) : {}),
+    type: param.type,
+    description: param.units ? `${param.description} (${param.units})` : param.description,
+    examples: [param.example]
+  };
+  
+  if (param.units) schema['x-units'] = param.units;
+  if (values) schema.enum = values;
+  Object.assign(schema, Object.fromEntries(Object.entries({ minimum, maximum, minLength, maxLength, minItems, pattern }).filter(([, v]) => v !== undefined)));
+  if (requiredKeys) schema.required = requiredKeys;
+  if (valueType) schema.additionalProperties = { type: valueType };
+  if (typeof items === 'string') {
+    schema.items = formatToJsonSchema(items);
+  } else if (items) {
+    schema.items = {
+      type: 'object',
+      required: Object.keys(items),
+      properties: Object.fromEntries(Object.entries(items).map(([key, descriptor]) => [
+        key, descriptor.startsWith('integer') ? { type: 'integer' } : formatToJsonSchema(descriptor)
+      ]))
+    };
+  }
+  
+  return schema;
+}
 
-// ✅ CORRECT: Unique, stable keys
-{messages.map((msg) => (
-  <div key={\`\${msg.timestampNanos}-\${msg.senderPublicKey}\`}>
-))}
-\`\`\`
+// Convert catalog response fields to JSON Schema properties, registering named shapes via addShape
+function responseFieldsToJsonSchema(fields, addShape) {
+  const element = (el) => {
+    if (!el.shape) return { type: el.type };
+    addShape(el.shape);
+    return { $ref: `#/components/schemas/${el.shape}` };
+  };
+  
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => {
+    let schema;
+    if (field.type === 'array') {
+      schema = { type: 'array', items: element(field.items) };
+    } else if (field.type === 'map') {
+      schema = { type: 'object', additionalProperties: element(field.values) };
+    } else if (field.shape) {
+      schema = element(field);
+    } else if (field.fields) {
+      schema = { type: 'object', properties: responseFieldsToJsonSchema(field.fields, addShape) };
+    } else {
+      schema = { type: field.type };
+    }
+    
+    if (field.nullable) {
+      schema = schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [schema.type, 'null'] };
+    }
+    schema.description = field.description;
+    if (field.enum) schema.enum = field.nullable ? [...field.enum, null] : field.enum;
+    if (field.units) schema['x-units'] = field.units;
+    if (field.misread) schema['x-misread'] = field.misread;
+    
+    return [name, schema];
+  }));
+}
 
-### 2. Proper Loading State Management
-\`\`\`javascript
-// ✅ CORRECT: Separate loading states
-const [isLoading, setIsLoading] = useState(false);
-const [isLoadingMessages, setIsLoadingMessages] = useState(false);
-const [isLoadingConversations, setIsLoadingConversations] = useState(false);
-\`\`\`
+// Operations build_deso_spending_limits knows, with the spending-limit entries the backend checks when a
+// derived key signs them. Most transaction types are counted in TransactionCountLimitMap, but creator coin,
+// DAO coin, NFT (other than minting) and access group transactions are only checked against their own maps.
+const SPENDING_LIMIT_OPERATIONS = {
+  post: { summary: "posts, comments, reposts and post edits", count: "UNLIMITED", transactions: ["SUBMIT_POST"] },
+  like: { summary: "likes and unlikes", count: "UNLIMITED", transactions: ["LIKE"] },
+  follow: { summary: "follows and unfollows", count: "UNLIMITED", transactions: ["FOLLOW"] },
+  "update-profile": { summary: "profile updates", count: 10, transactions: ["UPDATE_PROFILE"] },
+  diamonds: { summary: "diamonds (basic transfers to the post author)", count: 100, transactions: ["BASIC_TRANSFER"], spendsDeso: true },
+  "send-deso": { summary: "DESO transfers", count: 10, transactions: ["BASIC_TRANSFER"], spendsDeso: true },
+  messaging: { summary: "direct messages", count: "UNLIMITED", transactions: ["NEW_MESSAGE"], accessGroups: true },
+  "group-chat": { summary: "group chats: creating groups, managing members and messaging", count: "UNLIMITED", transactions: ["NEW_MESSAGE"], accessGroups: true, accessGroupMembers: true },
+  "create-nft": { summary: "minting NFTs and putting them on sale", count: 10, transactions: ["CREATE_NFT"], nft: ["update"] },
+  "nft-bid": { summary: "bidding on NFTs and buying buy-now NFTs", count: 10, nft: ["nft_bid"], spendsDeso: true },
+  "nft-sell": { summary: "accepting bids on your NFTs", count: 10, nft: ["accept_nft_bid", "update"] },
+  "nft-transfer": { summary: "sending NFTs and accepting incoming transfers", count: 10, nft: ["transfer", "accept_nft_transfer"] },
+  "creator-coin-trade": { summary: "buying and selling creator coins", count: 10, creatorCoin: ["buy", "sell"], spendsDeso: true },
+  "creator-coin-transfer": { summary: "sending creator coins", count: 10, creatorCoin: ["transfer"] },
+  "dao-coin-orders": { summary: "placing and cancelling DAO coin limit orders against DESO", count: 10, daoCoinOrders: true, spendsDeso: true },
+  "dao-coin-transfer": { summary: "sending DAO coins", count: 10, daoCoin: ["transfer"] },
+  "dao-coin-manage": { summary: "minting, burning and configuring your DAO coin", count: 10, daoCoin: ["mint", "burn", "disable_minting", "update_transfer_restriction_status"] }
+};
 
-### 3. Error Boundary Implementation
-\`\`\`javascript
-class DeSoErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
+// What each operation string in the per-creator, per-coin and per-NFT maps lets the key do
+const SPENDING_LIMIT_OPERATION_NOTES = {
+  buy: "buy the creator coin with DESO",
+  sell: "sell the creator coin for DESO",
+  transfer: "send the coin or NFT to another user",
+  mint: "mint new DAO coins",
+  burn: "burn DAO coins",
+  disable_minting: "permanently disable minting",
+  update_transfer_restriction_status: "change who may receive the DAO coin",
+  update: "put the NFT on sale, take it off sale or change its price",
+  nft_bid: "bid on the NFT (on a buy-now NFT the bid pays immediately)",
+  accept_nft_bid: "accept a bid and sell the NFT",
+  accept_nft_transfer: "accept an NFT someone sent to the user"
+};
+
+async function buildDesoSpendingLimits(args) {
+  const { operations, desoBudget = 1, counts = {}, creators = [], daoCoins = [], nftPosts = [], publicKey = "" } = args;
+  const invalidSpendingLimits = (problem) => invalidArgument('Invalid Spending Limits Request', problem);
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return invalidSpendingLimits(`List at least one operation. Available: ${Object.keys(SPENDING_LIMIT_OPERATIONS).join(', ')}`);
   }
-  
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
+  for (const operation of [...operations, ...Object.keys(counts)]) {
+    if (!SPENDING_LIMIT_OPERATIONS[operation]) {
+      const suggestions = suggestNames(operation, Object.keys(SPENDING_LIMIT_OPERATIONS));
+      return invalidSpendingLimits(`Unknown operation: ${operation}. ${suggestions.length > 0 ? `Did you mean ${suggestions.join(' or ')}? ` : ''}Available: ${Object.keys(SPENDING_LIMIT_OPERATIONS).join(', ')}`);
+    }
   }
-  
-  componentDidCatch(error, errorInfo) {
-    console.error('DeSo Error:', error, errorInfo);
+  for (const [operation, count] of Object.entries(counts)) {
+    if (count !== "UNLIMITED" && !(Number.isInteger(count) && count > 0)) {
+      return invalidSpendingLimits(`Invalid count for ${operation}: ${JSON.stringify(count)}. Use a positive integer or "UNLIMITED"`);
+    }
   }
-  
-  render() {
-    if (this.state.hasError) {
-      return (
-        <div className="error-fallback">
-          <h2>Something went wrong with DeSo integration</h2>
-          <details>
-            {this.state.error?.message}
-          </details>
-          <button onClick={() => this.setState({ hasError: false, error: null })}>
-            Try Again
-          </button>
-        </div>
-      );
+  if (typeof desoBudget !== 'number' || !(desoBudget >= 0)) {
+    return invalidSpendingLimits(`Invalid desoBudget: ${JSON.stringify(desoBudget)}. Use an amount of DESO such as 1 or 0.5`);
+  }
+  for (const [name, keys] of [['creators', creators], ['daoCoins', daoCoins], ['publicKey', publicKey ? [publicKey] : []]]) {
+    for (const key of keys) {
+      try {
+        decodeDeSoPublicKey(key);
+      } catch (error) {
+        return invalidSpendingLimits(`Invalid public key in ${name}: ${key} ${error.message}`);
+      }
     }
-    
-    return this.props.children;
   }
-}
-\`\`\`
+  const badPost = nftPosts.find(postHashHex => !/^[0-9a-fA-F]{64}$/.test(postHashHex));
+  if (badPost !== undefined) {
+    return invalidSpendingLimits(`Invalid post hash in nftPosts: ${badPost}. Expected a 64-character hex PostHashHex`);
+  }
 
-## 🔧 Common React Issues
-- **"Maximum update depth exceeded"**: Check useCallback dependencies
-- **"Cannot read property of undefined"**: Add proper null checks
-- **"Each child should have unique key"**: Use stable, unique identifiers
-- **State not updating**: Verify proper state setter usage and dependencies`
+  const selected = [...new Set(operations)];
+  if (selected.includes('dao-coin-orders') && daoCoins.length === 0) {
+    return invalidSpendingLimits('dao-coin-orders needs daoCoins: limit order permissions are granted per trading pair and have no "any coin" entry');
+  }
+
+  // Operations sharing an entry (diamonds and send-deso are both BASIC_TRANSFER) add up their counts
+  const addCount = (a, b) => a === undefined ? b : (a === "UNLIMITED" || b === "UNLIMITED" ? "UNLIMITED" : a + b);
+  const entries = [];
+  const addEntry = (path, count, operation, note) => {
+    const existing = entries.find(entry => entry.path.join('\u0000') === path.join('\u0000'));
+    if (existing) {
+      existing.count = addCount(existing.count, count);
+      existing.operations.push(operation);
+    } else {
+      entries.push({ path, count, operations: [operation], note });
     }
   };
 
-  if (issue === 'all') {
-    let response = `# 🛠️ Complete DeSo Debugging Guide
+  const limits = { GlobalDESOLimit: Math.round(desoBudget * 1e9) };
+  for (const operation of selected) {
+    const spec = SPENDING_LIMIT_OPERATIONS[operation];
+    const count = counts[operation] ?? spec.count;
 
-Based on real debugging experience and fixes applied during development.
+    for (const type of spec.transactions ?? []) {
+      addEntry(['TransactionCountLimitMap', type], count, operation);
+    }
+    for (const op of spec.creatorCoin ?? []) {
+      for (const creator of creators.length > 0 ? creators : [""]) {
+        addEntry(['CreatorCoinOperationLimitMap', creator, op], count, operation, SPENDING_LIMIT_OPERATION_NOTES[op]);
+      }
+    }
+    for (const op of spec.daoCoin ?? []) {
+      for (const coin of daoCoins.length > 0 ? daoCoins : [""]) {
+        addEntry(['DAOCoinOperationLimitMap', coin, op], count, operation, SPENDING_LIMIT_OPERATION_NOTES[op]);
+      }
+    }
+    for (const op of spec.nft ?? []) {
+      for (const postHashHex of nftPosts.length > 0 ? nftPosts : [""]) {
+        addEntry(['NFTOperationLimitMap', postHashHex, '0', op], count, operation, SPENDING_LIMIT_OPERATION_NOTES[op]);
+      }
+    }
+    if (spec.daoCoinOrders) {
+      // Keyed buying coin -> selling coin; "DESO" stands for DESO itself. Both directions: buy the coin and sell it
+      for (const coin of daoCoins) {
+        addEntry(['DAOCoinLimitOrderLimitMap', coin, 'DESO'], count, operation, 'buy the DAO coin with DESO');
+        addEntry(['DAOCoinLimitOrderLimitMap', 'DESO', coin], count, operation, 'sell the DAO coin for DESO');
+      }
+    }
+  }
+  const groupOperations = selected.filter(operation => SPENDING_LIMIT_OPERATIONS[operation].accessGroups);
+  const memberOperations = selected.filter(operation => SPENDING_LIMIT_OPERATIONS[operation].accessGroupMembers);
+  if (groupOperations.length > 0) {
+    entries.push({ path: ['TransactionCountLimitMap', 'AUTHORIZE_DERIVED_KEY'], count: 1, operations: groupOperations });
+  }
 
-## 🎯 Quick Reference
+  const mapOrder = ['TransactionCountLimitMap', 'CreatorCoinOperationLimitMap', 'DAOCoinOperationLimitMap', 'NFTOperationLimitMap', 'DAOCoinLimitOrderLimitMap'];
+  entries.sort((a, b) => mapOrder.indexOf(a.path[0]) - mapOrder.indexOf(b.path[0]));
+  for (const entry of entries) {
+    let target = limits;
+    for (const key of entry.path.slice(0, -1)) target = target[key] ??= {};
+    target[entry.path[entry.path.length - 1]] = entry.count;
+  }
 
-| Issue | Key Fix | Common Error |
-|-------|---------|--------------|
-| Message Decryption | Use \`DecryptedMessage\` not \`MessageText\` | "[Encrypted Message]" showing |
-| Access Groups | Handle empty strings, not undefined | "SenderAccessGroupKeyName is undefined" |
-| Infinite Loops | Fix useCallback dependencies | "Maximum update depth exceeded" |
-| API Responses | Check response structure per endpoint | "Cannot read property of undefined" |
-| Authentication | Proper identity.subscribe() setup | User switching not working |
-| React Errors | Unique keys, proper state management | Key warnings, state issues |
+  // Access group limits are lists of scoped items rather than nested maps
+  const accessGroupItem = () => ({
+    AccessGroupOwnerPublicKeyBase58Check: publicKey,
+    ScopeType: "Any",
+    AccessGroupKeyName: "",
+    OperationType: "Any",
+    OpCount: "UNLIMITED"
+  });
+  if (groupOperations.length > 0) limits.AccessGroupLimitMap = [accessGroupItem()];
+  if (memberOperations.length > 0) limits.AccessGroupMemberLimitMap = [accessGroupItem()];
+
+  let result = `# 🔐 Spending Limits: ${selected.join(', ')}\n\n`;
+  result += `Pass these as \`spendingLimitOptions\` to \`configure()\`. DeSo Identity shows them to the user at login and the derived key it creates can sign exactly these transactions without another approval window.\n\n`;
+  result += `\`\`\`javascript\nimport { configure } from 'deso-protocol';\n\nconfigure({\n  // ...nodeURI, network, appName\n  spendingLimitOptions: ${formatSpendingLimits(limits, '  ', desoBudget)}\n});\n\`\`\`\n\n`;
+
+  result += `## What Each Entry Allows\n\n`;
+  result += `### GlobalDESOLimit: ${desoBudget} DESO\n`;
+  result += `Total DESO the key may spend, fees included, across every transaction it signs. `;
+  const spenders = selected.filter(operation => SPENDING_LIMIT_OPERATIONS[operation].spendsDeso);
+  result += spenders.length > 0
+    ? `It also caps what ${spenders.map(operation => `\`${operation}\``).join(', ')} pay out, so size it to the largest amount the app should move without asking again.\n\n`
+    : `None of the selected operations pay out DESO, so it only needs to cover network fees (a fraction of a cent each).\n\n`;
+
+  const sections = [
+    ['TransactionCountLimitMap', 'Number of transactions of each type the key may sign.'],
+    ['CreatorCoinOperationLimitMap', 'Creator coin operations per creator public key; `""` means any creator.'],
+    ['DAOCoinOperationLimitMap', 'DAO coin operations per DAO coin (creator public key); `""` means any DAO coin.'],
+    ['NFTOperationLimitMap', 'NFT operations per post hash and serial number; `""` means any NFT post and serial number `0` any copy.'],
+    ['DAOCoinLimitOrderLimitMap', 'Limit orders per trading pair, keyed buying coin then selling coin; `"DESO"` stands for DESO. There is no wildcard, so every pair is listed.']
+  ];
+  for (const [map, description] of sections) {
+    const mapEntries = entries.filter(entry => entry.path[0] === map);
+    if (mapEntries.length === 0) continue;
+    result += `### ${map}\n${description}\n\n`;
+    for (const entry of mapEntries) {
+      const key = entry.path.slice(1).map(part => part === "" ? '""' : part === 'DESO' || /^\d+$/.test(part) ? part : part.length > 40 ? truncateExample(part, 16) : part).join(' → ');
+      const count = entry.count === "UNLIMITED" ? 'unlimited' : `${entry.count}×`;
+      const detail = entry.path[1] === 'AUTHORIZE_DERIVED_KEY'
+        ? 'one re-authorization of the derived key, as deso-chat requests alongside messaging'
+        : entry.note ?? entry.operations.map(operation => SPENDING_LIMIT_OPERATIONS[operation].summary).join('; ');
+      result += `- \`${key}\`: ${count}, ${detail} (${entry.operations.map(operation => `\`${operation}\``).join(', ')})\n`;
+    }
+    result += `\n`;
+  }
 
-## 🔍 Debugging Methodology
+  if (limits.AccessGroupLimitMap) {
+    result += `### AccessGroupLimitMap\n`;
+    result += `Creating and updating access groups, which every encrypted message needs: the user's \`default-key\` group is created on first use (${groupOperations.map(operation => `\`${operation}\``).join(', ')}). `;
+    result += `\`ScopeType: "Any"\` with \`OperationType: "Any"\` covers every group of the owner, so no group name is needed. `;
+    result += publicKey
+      ? `Scoped to the groups of \`${truncateExample(publicKey, 16)}\`.\n\n`
+      : `The owner is left as \`""\` because \`configure()\` runs before anyone logs in; deso-chat builds this entry from the logged-in user's key and passes it to \`identity.requestPermissions()\` (set \`publicKey\` to do the same).\n\n`;
+  }
+  if (limits.AccessGroupMemberLimitMap) {
+    result += `### AccessGroupMemberLimitMap\n`;
+    result += `Adding, removing and updating members of the user's group chats (${memberOperations.map(operation => `\`${operation}\``).join(', ')}). Direct messages do not need it.\n\n`;
+  }
 
-1. **Check Console Logs**: Look for specific error patterns
-2. **Inspect Response Structure**: Use \`Object.keys()\` to see available properties  
-3. **Reference deso-chat**: Always check reference implementation
-4. **Add Comprehensive Logging**: Use emoji-coded logging for easy identification
-5. **Test Edge Cases**: Empty responses, failed API calls, network issues
+  result += `## Notes\n\n`;
+  result += `- Before signing, deso-protocol checks each transaction against these limits and opens an approval window when it is not covered.\n`;
+  result += `- Counts are used up as the key signs. Once one runs out, the node rejects that transaction type until the user approves new limits.\n`;
+  result += `- Ask for more later with \`identity.requestPermissions({...})\` and check first with \`identity.hasPermissions({...})\`, using the same object shape.\n`;
+  if (Object.values(limits.TransactionCountLimitMap ?? {}).includes("UNLIMITED") || limits.AccessGroupLimitMap) {
+    result += `- \`"UNLIMITED"\` is a deso-protocol convenience. When building a \`TransactionSpendingLimit\` for \`get-access-bytes\` yourself, send a number instead.\n`;
+  }
+  if (!creators.length && selected.some(operation => SPENDING_LIMIT_OPERATIONS[operation].creatorCoin)) {
+    result += `- Creator coin limits apply to any creator. Pass \`creators\` to restrict them to specific coins.\n`;
+  }
+  if (!nftPosts.length && selected.some(operation => SPENDING_LIMIT_OPERATIONS[operation].nft)) {
+    result += `- NFT limits apply to any NFT. Pass \`nftPosts\` to restrict them to specific posts.\n`;
+  }
+  result += `- Avoid \`IsUnlimited: true\`: it lets the key sign anything, including transfers of the user's whole balance.\n`;
 
-`;
+  return { content: [{ type: "text", text: result }] };
+}
 
-    for (const [key, guide] of Object.entries(debuggingGuides)) {
-      response += `\n## ${guide.title}\n\n`;
-      response += guide.content.split('\n').slice(2, 8).join('\n'); // Summary
-      response += `\n\n*Use \`deso_debugging_guide\` with issue="${key}" for complete details*\n\n`;
+// Render a spending limit object the way the guides write them: unquoted identifier keys, "UNLIMITED"
+// strings and GlobalDESOLimit as DESO * 1e9
+function formatSpendingLimits(value, indent, desoBudget) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => `${formatSpendingLimits(item, indent, desoBudget)}`).join(', ')}]`;
+  }
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+
+  const inner = `${indent}  `;
+  const lines = Object.entries(value).map(([key, item], index, all) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) || /^\d+$/.test(key) ? key : JSON.stringify(key);
+    const comma = index < all.length - 1 ? ',' : '';
+    if (key === 'GlobalDESOLimit') {
+      const amount = Number.isInteger(desoBudget * 1e9) ? `${desoBudget} * 1e9` : item;
+      return `${inner}${name}: ${amount}${comma} // ${desoBudget} DESO in nanos`;
     }
+    return `${inner}${name}: ${formatSpendingLimits(item, inner, desoBudget)}${comma}`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
 
-    return { content: [{ type: "text", text: response }] };
-  }
+async function repositorySearch(args) {
+  const { query } = args;
+  
+  try {
+    const results = await searchRepositoryDocuments(query);
+    const catalogMatches = searchApiCatalog(query);
+    
+    if (results.length === 0 && catalogMatches.length === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `# Repository Search Results
 
-  if (debuggingGuides[issue]) {
-    const guide = debuggingGuides[issue];
-    let response = guide.content;
+**Query:** "${query}"
+
+No matching documents found in the DeSo repository.
+
+**Available repositories:** docs, core, identity, frontend, backend, deso-js`
+        }]
+      };
+    }
     
-    if (includeCode) {
-      response += `\n\n## 🧪 Testing & Validation
+    let response = `# Repository Search Results\n\n**Query:** "${query}"\n**Found:** ${results.length} matches\n\n`;
+    
+    if (catalogMatches.length > 0) {
+      response += `## API Catalog Matches\n\n`;
+      for (const match of catalogMatches.slice(0, 5)) {
+        response += `- **${match.endpoint}** (${match.category}): ${match.details.description} — ${match.details.method} ${match.details.url}`;
+        response += match.details.desoJs ? `, deso-js \`${match.details.desoJs}\`\n` : `\n`;
+      }
+      response += `\n*Use \`deso_api_explorer\` with an endpoint name for full details*\n\n---\n\n`;
+    }
+    
+    for (const result of results.slice(0, 10)) { // Limit to top 10 results
+      response += `## ${result.title}\n`;
+      response += `**Path:** \`${result.path}\`\n`;
+      response += `**Repository:** ${result.repository}\n\n`;
+      response += `${result.excerpt}\n\n---\n\n`;
+    }
+    
+    if (results.length > 10) {
+      response += `*Showing top 10 of ${results.length} results*\n`;
+    }
+    
+    return {
+      content: [{
+        type: "text",
+        text: response
+      }]
+    };
+  } catch (error) {
+    console.error("Repository search error:", error);
+    return {
+      content: [{
+        type: "text",
+        text: `# Repository Search Error
 
-### Debug Logging Pattern
-\`\`\`javascript
-// Emoji-coded logging for easy debugging
-const log = {
-  info: (category, message, data) => console.log(\`🔵 [\${category}] \${message}\`, data),
-  warn: (category, message, data) => console.warn(\`⚠️ [\${category}] \${message}\`, data),
-  error: (category, message, data) => console.error(\`❌ [\${category}] \${message}\`, data),
-  debug: (category, message, data) => console.debug(\`🔍 [\${category}] \${message}\`, data),
-  success: (category, message, data) => console.log(\`✅ [\${category}] \${message}\`, data)
-};
-\`\`\`
+**Query:** "${query}"
 
-### Validation Helpers
-\`\`\`javascript
-// Helper functions for common validations
-const validateApiResponse = (response, expectedKeys) => {
-  if (!response || typeof response !== 'object') {
-    throw new Error('Invalid API response');
+Error searching repository: ${error.message}
+
+This might be due to repository access permissions or path issues.`
+      }]
+    };
   }
+}
+
+// Repository document search implementation
+async function searchRepositoryDocuments(query) {
+  const repositories = REPOSITORIES;
+  const reposPath = path.join(process.cwd(), 'repos');
+  const results = [];
+  const searchTerms = query.toLowerCase().split(' ');
   
-  for (const key of expectedKeys) {
-    if (!(key in response)) {
-      console.warn(\`Missing expected key: \${key}\`);
+  for (const repo of repositories) {
+    const repoPath = path.join(reposPath, repo);
+    
+    try {
+      const stats = await fs.stat(repoPath);
+      if (stats.isDirectory()) {
+        const repoResults = await searchInDirectory(repoPath, repo, searchTerms);
+        results.push(...repoResults);
+      }
+    } catch (error) {
+      console.error(`Error accessing ${repo}:`, error.message);
+      continue;
     }
   }
   
-  return response;
-};
+  // Sort by relevance (number of matching terms)
+  return results.sort((a, b) => b.score - a.score);
+}
 
-const validatePublicKey = (publicKey) => {
-  if (!publicKey || typeof publicKey !== 'string' || publicKey.length < 50) {
-    throw new Error('Invalid public key format');
-  }
-  return publicKey;
-};
-\`\`\``;
-    }
+async function searchInDirectory(dirPath, repository, searchTerms) {
+  const results = [];
+  
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
     
-    return { content: [{ type: "text", text: response }] };
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      
+      if (entry.isDirectory() && !entry.name.startsWith('.') && 
+          entry.name !== 'node_modules' && entry.name !== '.next' && 
+          entry.name !== 'dist' && entry.name !== 'build' && 
+          entry.name !== 'storybook-static') {
+        // Recursively search subdirectories
+        const subResults = await searchInDirectory(fullPath, repository, searchTerms);
+        results.push(...subResults);
+      } else if (entry.isFile() && isSearchableFile(entry.name)) {
+        try {
+          const content = await fs.readFile(fullPath, 'utf-8');
+          const matches = findMatches(content, searchTerms, fullPath, repository);
+          results.push(...matches);
+        } catch (error) {
+          // Skip files that can't be read
+          continue;
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error reading directory ${dirPath}:`, error.message);
   }
+  
+  return results;
+}
 
-  return { content: [{ type: "text", text: `Unknown issue: ${issue}. Available: ${Object.keys(debuggingGuides).join(', ')}` }] };
+function isSearchableFile(filename) {
+  const searchableExtensions = [
+    '.md', '.txt', '.js', '.ts', '.go', '.json', '.yaml', '.yml', '.tsx', '.jsx',
+    '.graphql', '.gql', '.css', '.scss', '.html', '.vue', '.py', '.sh', '.env',
+    '.toml', '.ini', '.conf', '.config', '.lock'
+  ];
+  const ext = path.extname(filename).toLowerCase();
+  return searchableExtensions.includes(ext) || filename === 'README' || filename === 'LICENSE';
 }
 
-// Implementation patterns based on deso-chat analysis and debugging experience
-async function desoImplementationPatterns(args) {
-  const { pattern, framework = 'react' } = args;
+function findMatches(content, searchTerms, filePath, repository) {
+  const lines = content.split('\n');
+  const matches = [];
+  const contentLower = content.toLowerCase();
   
-  const patterns = {
-    "messaging-flow": {
-      title: "📱 Complete Messaging Flow Pattern",
-      content: `# DeSo Messaging Implementation Pattern
-
-## 🎯 Complete Flow (from deso-chat analysis)
-
-### 1. SDK Configuration with Messaging Permissions
-\`\`\`javascript
-import { configure, DeSoNetwork } from 'deso-protocol';
-
-configure({
-  identityURI: process.env.REACT_APP_IDENTITY_URL,
-  nodeURI: process.env.REACT_APP_NODE_URL,
-  network: DeSoNetwork.mainnet,
-  spendingLimitOptions: {
-    GlobalDESOLimit: 5 * 1e9, // 5 DeSo
-    TransactionCountLimitMap: {
-      AUTHORIZE_DERIVED_KEY: 1,
-      NEW_MESSAGE: "UNLIMITED" // ✅ CRITICAL: Unlimited messaging
-    },
-    AccessGroupLimitMap: [{
-      AccessGroupOwnerPublicKeyBase58Check: "",
-      ScopeType: "Any",
-      AccessGroupKeyName: "",
-      OperationType: "Any", 
-      OpCount: "UNLIMITED"
-    }]
+  // Calculate relevance score
+  let score = 0;
+  for (const term of searchTerms) {
+    const termCount = (contentLower.match(new RegExp(term, 'g')) || []).length;
+    score += termCount;
   }
-});
-\`\`\`
-
-### 2. Access Group Auto-Setup Pattern
-\`\`\`javascript
-// Auto-create default messaging access group
-const setupMessagingForUser = async (userPublicKey, messagingPublicKey) => {
-  const { AccessGroupsOwned } = await getAllAccessGroups({
-    PublicKeyBase58Check: userPublicKey
-  });
   
-  // Check if default messaging group exists
-  const hasDefaultGroup = AccessGroupsOwned?.find(
-    group => group.AccessGroupKeyName === "default-key"
-  );
+  if (score === 0) return [];
   
-  if (!hasDefaultGroup) {
-    await createAccessGroup({
-      AccessGroupOwnerPublicKeyBase58Check: userPublicKey,
-      AccessGroupPublicKeyBase58Check: messagingPublicKey,
-      AccessGroupKeyName: "default-key",
-      MinFeeRateNanosPerKB: 1000
-    });
+  // Find relevant excerpts
+  const relevantLines = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const lineLower = line.toLowerCase();
+    
+    if (searchTerms.some(term => lineLower.includes(term))) {
+      // Include context lines
+      const start = Math.max(0, i - 2);
+      const end = Math.min(lines.length, i + 3);
+      relevantLines.push({
+        lineNumber: i + 1,
+        content: lines.slice(start, end).join('\n'),
+        matchLine: line
+      });
+    }
   }
-};
-\`\`\`
-
-### 3. Message Sending with Access Group Validation
-\`\`\`javascript
-const sendMessage = async (senderPublicKey, recipientPublicKey, messageText) => {
-  // 1. Check party access groups
-  const response = await checkPartyAccessGroups({
-    SenderPublicKeyBase58Check: senderPublicKey,
-    SenderAccessGroupKeyName: "default-key",
-    RecipientPublicKeyBase58Check: recipientPublicKey,
-    RecipientAccessGroupKeyName: "default-key"
-  });
-  
-  // 2. Handle empty string responses (not undefined!)
-  const senderKeyName = response.SenderAccessGroupKeyName || "default-key";
-  const recipientKeyName = response.RecipientAccessGroupKeyName || "default-key";
   
-  // 3. Encrypt message
-  let encryptedMessage;
-  let isUnencrypted = false;
-  const ExtraData = {};
+  // Create title from file path and content
+  const fileName = path.basename(filePath);  
+  const title = getDocumentTitle(content, fileName);
   
-  if (response.RecipientAccessGroupPublicKeyBase58Check) {
-    encryptedMessage = await identity.encryptMessage(
-      response.RecipientAccessGroupPublicKeyBase58Check,
-      messageText
-    );
-  } else {
-    // Fallback to unencrypted (hex-encoded)
-    encryptedMessage = bytesToHex(new TextEncoder().encode(messageText));
-    isUnencrypted = true;
-    ExtraData["unencrypted"] = "true";
-  }
+  // Create excerpt from best matches
+  const excerpt = createExcerpt(relevantLines, searchTerms);
   
-  // 4. Send message
-  const result = await sendDMMessage({
-    SenderAccessGroupOwnerPublicKeyBase58Check: senderPublicKey,
-    SenderAccessGroupPublicKeyBase58Check: response.SenderAccessGroupPublicKeyBase58Check,
-    SenderAccessGroupKeyName: senderKeyName,
-    RecipientAccessGroupOwnerPublicKeyBase58Check: recipientPublicKey,
-    RecipientAccessGroupPublicKeyBase58Check: isUnencrypted 
-      ? response.RecipientPublicKeyBase58Check 
-      : response.RecipientAccessGroupPublicKeyBase58Check,
-    RecipientAccessGroupKeyName: recipientKeyName,
-    EncryptedMessageText: encryptedMessage,
-    ExtraData,
-    MinFeeRateNanosPerKB: 1000
+  matches.push({
+    title,
+    path: path.relative(path.join(process.cwd(), 'repos'), filePath),
+    repository,
+    score,
+    excerpt,
+    matchCount: relevantLines.length
   });
   
-  return result.submittedTransactionResponse.TxnHashHex;
-};
-\`\`\`
+  return matches;
+}
 
-### 4. Message Retrieval and Decryption Pattern
-\`\`\`javascript
-const getConversationsWithDecryption = async (userPublicKey) => {
-  // 1. Get all message threads
-  const threads = await getAllMessageThreads({
-    UserPublicKeyBase58Check: userPublicKey
-  });
+function getDocumentTitle(content, fileName) {
+  // Try to extract title from markdown headers
+  const lines = content.split('\n');
+  for (const line of lines.slice(0, 10)) { // Check first 10 lines
+    if (line.startsWith('# ')) {
+      return line.substring(2).trim();
+    }
+  }
   
-  // 2. Get access groups for decryption
-  const { AccessGroupsOwned, AccessGroupsMember } = await getAllAccessGroups({
-    PublicKeyBase58Check: userPublicKey
-  });
-  const allAccessGroups = (AccessGroupsOwned || []).concat(AccessGroupsMember || []);
+  // Fallback to filename
+  return fileName.replace(path.extname(fileName), '').replace(/[-_]/g, ' ');
+}
+
+function createExcerpt(relevantLines, searchTerms) {
+  if (relevantLines.length === 0) return '';
   
-  // 3. Decrypt messages with retry logic
-  const { decrypted } = await decryptAccessGroupMessagesWithRetry(
-    userPublicKey,
-    threads.MessageThreads,
-    allAccessGroups
-  );
+  // Take the best matching excerpt
+  const bestMatch = relevantLines[0];
+  let excerpt = bestMatch.content;
   
-  // 4. Process decrypted messages
-  const conversations = {};
-  for (const decryptedMessage of decrypted) {
-    if (!decryptedMessage.MessageInfo) continue;
-    
-    const otherUserKey = decryptedMessage.IsSender 
-      ? decryptedMessage.RecipientInfo.OwnerPublicKeyBase58Check
-      : decryptedMessage.SenderInfo.OwnerPublicKeyBase58Check;
-    
-    // ✅ CRITICAL: Use DecryptedMessage property, not MessageText!
-    let messageText = '[Encrypted Message]';
-    if (decryptedMessage.error) {
-      messageText = '[Decryption Failed]';
-    } else if (decryptedMessage.DecryptedMessage) {
-      messageText = decryptedMessage.DecryptedMessage;
-    } else if (decryptedMessage.MessageInfo.ExtraData?.unencrypted === "true") {
-      // Handle unencrypted messages
-      try {
-        const hexString = decryptedMessage.MessageInfo.EncryptedText;
-        const bytes = new Uint8Array(Buffer.from(hexString, 'hex'));
-        messageText = new TextDecoder().decode(bytes);
-      } catch (error) {
-        messageText = '[Decoding Failed]';
-      }
-    }
-    
-    if (!conversations[otherUserKey]) {
-      conversations[otherUserKey] = {
-        messages: [],
-        ChatType: decryptedMessage.ChatType,
-        lastMessage: messageText,
-        lastTimestamp: decryptedMessage.MessageInfo.TimestampNanos
-      };
-    }
-    
-    conversations[otherUserKey].messages.push({
-      id: \`\${decryptedMessage.MessageInfo.TimestampNanos}-\${decryptedMessage.SenderInfo.OwnerPublicKeyBase58Check}\`,
-      messageText,
-      timestampNanos: decryptedMessage.MessageInfo.TimestampNanos,
-      isFromSender: decryptedMessage.IsSender,
-      isEncrypted: !decryptedMessage.MessageInfo.ExtraData?.unencrypted
-    });
+  // Highlight search terms
+  for (const term of searchTerms) {
+    const regex = new RegExp(`(${term})`, 'gi');
+    excerpt = excerpt.replace(regex, '**$1**');
   }
   
-  return {
-    conversations,
-    profiles: threads.PublicKeyToProfileEntryResponse
-  };
-};
-\`\`\`
+  // Limit excerpt length
+  if (excerpt.length > 500) {
+    excerpt = excerpt.substring(0, 500) + '...';
+  }
+  
+  return excerpt;
+}
 
-### 5. Real-time Polling Pattern
-\`\`\`javascript
-const useMessagePolling = (userPublicKey, interval = 5000) => {
-  const [conversations, setConversations] = useState({});
-  const [isPolling, setIsPolling] = useState(false);
+// Repository document reader
+async function readRepositoryDocument(args) {
+  const { path: docPath, repository } = args;
   
-  useEffect(() => {
-    if (!userPublicKey) return;
+  try {
+    let fullPath;
+    if (repository) {
+      fullPath = path.join(process.cwd(), 'repos', repository, docPath);
+    } else {
+      // If no repository specified, check if path already includes it
+      fullPath = path.join(process.cwd(), 'repos', docPath);
+    }
     
-    const pollMessages = async () => {
-      try {
-        setIsPolling(true);
-        const { conversations: newConversations } = await getConversationsWithDecryption(userPublicKey);
-        setConversations(newConversations);
-      } catch (error) {
-        console.error('Polling error:', error);
-      } finally {
-        setIsPolling(false);
-      }
-    };
-    
-    // Initial load
-    pollMessages();
-    
-    // Set up polling
-    const pollInterval = setInterval(pollMessages, interval);
+    const content = await fs.readFile(fullPath, 'utf-8');
+    const fileName = path.basename(fullPath);
+    const title = getDocumentTitle(content, fileName);
     
-    return () => clearInterval(pollInterval);
-  }, [userPublicKey, interval]);
-  
-  return { conversations, isPolling };
+    return {
+      content: [{
+        type: "text",
+        text: `# ${title}
+
+**Path:** \`${docPath}\`
+**Repository:** ${repository || 'auto-detected'}
+**File:** ${fileName}
+
+---
+
+${content}`
+      }]
+    };
+  } catch (error) {
+    console.error("Document read error:", error);
+    return {
+      content: [{
+        type: "text",
+        text: `# Document Read Error
+
+**Path:** "${docPath}"
+**Repository:** ${repository || 'auto-detect'}
+
+Error reading document: ${error.message}
+
+**Available repositories:** docs, core, identity, frontend, backend, deso-js, deso-chat, deso-ui, graphql
+
+Try using the \`repository_search\` tool first to find the correct document path.`
+      }]
+    };
+  }
+}
+
+// MCP resources: repository documents, the GraphQL schema and endpoint cards,
+// so clients can attach them as context without going through a tool call
+const RESOURCE_MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.graphql': 'application/graphql',
+  '.gql': 'application/graphql',
+  '.json': 'application/json',
+  '.js': 'text/javascript',
+  '.jsx': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.tsx': 'text/typescript',
+  '.go': 'text/x-go',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml'
 };
-\`\`\``
-    },
+
+function getResourceMimeType(filePath) {
+  return RESOURCE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'text/plain';
+}
+
+function repositoryResourceUri(repository, relativePath) {
+  const encodedPath = relativePath.split(path.sep).map(encodeURIComponent).join('/');
+  return `deso://repo/${repository}/${encodedPath}`;
+}
+
+async function listRepositoryFiles(dirPath) {
+  const files = [];
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
     
-    "error-handling": {
-      title: "🛡️ Comprehensive Error Handling Pattern",
-      content: `# DeSo Error Handling Best Practices
+    if (entry.isDirectory() && !entry.name.startsWith('.') && 
+        entry.name !== 'node_modules' && entry.name !== '.next' && 
+        entry.name !== 'dist' && entry.name !== 'build' && 
+        entry.name !== 'storybook-static') {
+      files.push(...await listRepositoryFiles(fullPath));
+    } else if (entry.isFile() && isSearchableFile(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  
+  return files;
+}
 
-## 🎯 Categorized Error Handling
+async function listResources() {
+  const resources = [{
+    uri: 'deso://api/openapi.json',
+    name: 'DeSo API OpenAPI 3.1 document',
+    description: 'Every HTTP endpoint in the API catalog with request and response schemas',
+    mimeType: 'application/json'
+  }, {
+    uri: 'deso://api/types.d.ts',
+    name: 'DeSo API TypeScript definitions',
+    description: 'Request and response interfaces for every endpoint in the API catalog',
+    mimeType: 'text/typescript'
+  }];
+  
+  for (const [cat, info] of Object.entries(API_DETAILS)) {
+    for (const [ep, details] of Object.entries(info.endpoints)) {
+      resources.push({
+        uri: `deso://api/${cat}/${ep}`,
+        name: `${ep} (${cat} API)`,
+        description: details.description,
+        mimeType: 'text/markdown'
+      });
+    }
+  }
+  
+  const reposPath = path.join(process.cwd(), 'repos');
+  for (const repo of REPOSITORIES) {
+    const repoPath = path.join(reposPath, repo);
+    try {
+      for (const filePath of await listRepositoryFiles(repoPath)) {
+        const relativePath = path.relative(repoPath, filePath);
+        resources.push({
+          uri: repositoryResourceUri(repo, relativePath),
+          name: `${repo}/${relativePath.split(path.sep).join('/')}`,
+          mimeType: getResourceMimeType(filePath)
+        });
+      }
+    } catch (error) {
+      // Repository not cloned locally
+      continue;
+    }
+  }
+  
+  console.error("DeSo MCP: Returning", resources.length, "resources");
+  return { resources };
+}
 
-### 1. API Error Classification
-\`\`\`javascript
-const classifyError = (error) => {
-  const message = error.message.toLowerCase();
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: 'deso://repo/{repository}/{path}',
+        name: 'DeSo repository document',
+        description: `A file from one of the bundled DeSo repositories (${REPOSITORIES.join(', ')}), e.g. deso://repo/graphql/schema.graphql`
+      },
+      {
+        uriTemplate: 'deso://api/{category}/{endpoint}',
+        name: 'DeSo API endpoint card',
+        description: `Endpoint reference with handler, deso-js function, parameters and code examples. Categories: ${Object.keys(API_DETAILS).join(', ')}`,
+        mimeType: 'text/markdown'
+      }
+    ]
+  };
+}
+
+async function readResource(request) {
+  const { uri } = request.params;
+  console.error("DeSo MCP: Resource read:", uri);
   
-  if (message.includes('404') || message.includes('not found')) {
+  if (uri === 'deso://api/types.d.ts') {
     return {
-      type: 'NOT_FOUND',
-      userMessage: 'User or resource not found',
-      technical: error.message,
-      recoverable: false
+      contents: [{ uri, mimeType: 'text/typescript', text: buildTypeScriptDefinitions(Object.keys(API_DETAILS)) }]
     };
   }
   
-  if (message.includes('network') || message.includes('fetch')) {
+  if (uri === 'deso://api/openapi.json') {
+    const document = buildOpenApiDocument(Object.keys(API_DETAILS));
     return {
-      type: 'NETWORK',
-      userMessage: 'Network connection issue. Please try again.',
-      technical: error.message,
-      recoverable: true
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(document, null, 2) }]
     };
   }
   
-  if (message.includes('incorrect mac')) {
+  const apiMatch = uri.match(/^deso:\/\/api\/([^/]+)\/([^/]+)$/);
+  if (apiMatch) {
+    const [, cat, endpoint] = apiMatch.map(decodeURIComponent);
+    if (!API_DETAILS[cat]?.endpoints[endpoint]) {
+      throw new Error(`Unknown DeSo API resource: ${uri}`);
+    }
     return {
-      type: 'DECRYPTION',
-      userMessage: 'Message could not be decrypted',
-      technical: error.message,
-      recoverable: false
+      contents: [{ uri, mimeType: 'text/markdown', text: formatEndpointCard(endpoint, cat, true) }]
     };
   }
   
-  if (message.includes('access group')) {
+  const repoMatch = uri.match(/^deso:\/\/repo\/([^/]+)\/(.+)$/);
+  if (repoMatch) {
+    const repository = decodeURIComponent(repoMatch[1]);
+    const relativePath = repoMatch[2].split('/').map(decodeURIComponent).join(path.sep);
+    if (!REPOSITORIES.includes(repository)) {
+      throw new Error(`Unknown DeSo repository: ${repository}. Available: ${REPOSITORIES.join(', ')}`);
+    }
+    
+    // Refuse paths that escape the repository directory
+    const repoPath = path.join(process.cwd(), 'repos', repository);
+    const fullPath = path.resolve(repoPath, relativePath);
+    if (!fullPath.startsWith(repoPath + path.sep)) {
+      throw new Error(`Invalid DeSo repository path: ${uri}`);
+    }
+    
+    const text = await fs.readFile(fullPath, 'utf-8');
     return {
-      type: 'ACCESS_GROUP',
-      userMessage: 'Messaging permissions issue',
-      technical: error.message,
-      recoverable: true
+      contents: [{ uri, mimeType: getResourceMimeType(fullPath), text }]
     };
   }
   
-  return {
-    type: 'UNKNOWN',
-    userMessage: 'An unexpected error occurred',
-    technical: error.message,
-    recoverable: false
-  };
-};
-\`\`\`
+  throw new Error(`Unknown DeSo resource URI: ${uri}. Expected deso://repo/{repository}/{path} or deso://api/{category}/{endpoint}`);
+}
 
-### 2. Retry Logic with Exponential Backoff
-\`\`\`javascript
-const withRetry = async (apiCall, maxRetries = 3, baseDelay = 1000) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      const errorInfo = classifyError(error);
-      
-      if (!errorInfo.recoverable || attempt === maxRetries) {
-        throw error;
-      }
-      
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.warn(\`Attempt \${attempt} failed, retrying in \${delay}ms...\`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+// MCP prompts: guided sessions that bundle the relevant guide, pattern and
+// debugging tool output into one conversation starter
+const DESO_PROMPTS = {
+  "add-deso-login": {
+    description: "Add DeSo Identity login/logout, session state and permissions to an existing app",
+    arguments: [
+      { name: "framework", description: "react, nextjs or vanilla (default: react)", required: false },
+      { name: "appDescription", description: "What the app does, so the login flow fits it", required: false }
+    ],
+    sections: ({ framework = 'react' }) => [
+      ["deso_js_guide: setup", getDesoJsGuide({ topic: 'setup', framework })],
+      ["deso_js_guide: identity", getDesoJsGuide({ topic: 'identity', framework })],
+      ["deso_implementation_patterns: state-management", desoImplementationPatterns({ pattern: 'state-management', framework })],
+      ["deso_debugging_guide: authentication", desoDebuggingGuide({ issue: 'authentication', includeCode: true })]
+    ],
+    task: ({ framework = 'react', appDescription }) => `Add DeSo login to my ${framework} app${appDescription ? ` (${appDescription})` : ''}.
+
+Using the reference material above:
+1. Install deso-protocol and call configure() once at startup with the spending limits my app needs
+2. Add login and logout buttons wired to identity.login() / identity.logout()
+3. Keep the current user in state via identity.subscribe(), handling LOGIN_END, LOGOUT and CHANGE_ACTIVE_USER
+4. Request missing permissions with identity.hasPermissions() / identity.requestPermissions() before the first transaction
+5. Point out the authentication pitfalls from the debugging guide that apply to my code`
+  },
+  "build-dm-inbox": {
+    description: "Build an encrypted direct-message inbox with access groups, decryption and polling",
+    arguments: [
+      { name: "framework", description: "react, nextjs or vanilla (default: react)", required: false },
+      { name: "features", description: "Extra features to include (e.g. group chats, unread badges)", required: false }
+    ],
+    sections: ({ framework = 'react' }) => [
+      ["deso_js_guide: setup", getDesoJsGuide({ topic: 'setup', framework })],
+      ["deso_implementation_patterns: messaging-flow", desoImplementationPatterns({ pattern: 'messaging-flow', framework })],
+      ["deso_debugging_guide: access-groups", desoDebuggingGuide({ issue: 'access-groups', includeCode: true })],
+      ["deso_debugging_guide: message-decryption", desoDebuggingGuide({ issue: 'message-decryption', includeCode: true })]
+    ],
+    task: ({ framework = 'react', features }) => `Build a DeSo DM inbox in ${framework}${features ? ` with ${features}` : ''}.
+
+Using the reference material above:
+1. Configure the SDK with the AccessGroupLimitMap, AccessGroupMemberLimitMap and NEW_MESSAGE permissions messaging needs
+2. Ensure the logged-in user owns the "default-key" access group before sending
+3. List conversations with getAllMessageThreads and decrypt them with the user's access groups
+4. Show a thread with getPaginatedDMThread and send messages with sendDMMessage
+5. Poll for new messages without causing render loops
+Follow the messaging-flow pattern and avoid every pitfall the debugging guides call out.`
+  },
+  "debug-message-decryption": {
+    description: "Diagnose DeSo messages that fail to decrypt or render as [Encrypted Message]",
+    arguments: [
+      { name: "symptom", description: "What you see (error text, console output, wrong rendering)", required: true },
+      { name: "code", description: "The code that fetches and decrypts messages", required: false }
+    ],
+    sections: () => [
+      ["deso_debugging_guide: message-decryption", desoDebuggingGuide({ issue: 'message-decryption', includeCode: true })],
+      ["deso_debugging_guide: access-groups", desoDebuggingGuide({ issue: 'access-groups', includeCode: true })],
+      ["deso_implementation_patterns: messaging-flow", desoImplementationPatterns({ pattern: 'messaging-flow' })]
+    ],
+    task: ({ symptom, code }) => `My DeSo message decryption is failing.
+
+**Symptom:** ${symptom}
+${code ? `\n**My code:**\n\`\`\`javascript\n${code}\n\`\`\`\n` : ''}
+Using the reference material above, work out the root cause step by step:
+1. Check whether the code reads DecryptedMessage (not MessageText)
+2. Check that all owned and member access groups are passed to the decryption call
+3. Check access group key names for empty strings vs undefined
+4. Propose a minimal fix and a way to verify it`
   }
 };
-\`\`\`
 
-### 3. React Error Boundary for DeSo Operations
-\`\`\`javascript
-class DeSoErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { 
-      hasError: false, 
-      error: null,
-      errorInfo: null 
-    };
+async function listPrompts() {
+  const prompts = Object.entries(DESO_PROMPTS).map(([name, prompt]) => ({
+    name,
+    description: prompt.description,
+    arguments: prompt.arguments
+  }));
+  
+  console.error("DeSo MCP: Returning", prompts.length, "prompts");
+  return { prompts };
+}
+
+async function getPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = DESO_PROMPTS[name];
+  
+  if (!prompt) {
+    throw new Error(`Unknown DeSo prompt: ${name}. Available: ${Object.keys(DESO_PROMPTS).join(', ')}`);
   }
   
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new Error(`Missing required argument "${argument.name}" for prompt ${name}`);
+    }
   }
   
-  componentDidCatch(error, errorInfo) {
-    const classified = classifyError(error);
-    console.error('DeSo Error Boundary:', {
-      error,
-      errorInfo,
-      classified
+  console.error("DeSo MCP: Prompt requested:", name);
+  
+  const messages = [];
+  for (const [label, pending] of prompt.sections(args)) {
+    const result = await pending;
+    const text = result.content.map(item => item.text).join('\n\n');
+    messages.push({
+      role: "user",
+      content: { type: "text", text: `# Reference: ${label}\n\n${text}` }
     });
-    
-    this.setState({ errorInfo: classified });
   }
   
-  render() {
-    if (this.state.hasError) {
-      return (
-        <div className="error-boundary">
-          <h2>DeSo Integration Error</h2>
-          <p>{this.state.errorInfo?.userMessage}</p>
-          {process.env.NODE_ENV === 'development' && (
-            <details>
-              <summary>Technical Details</summary>
-              <pre>{this.state.errorInfo?.technical}</pre>
-            </details>
-          )}
-          <button onClick={() => this.setState({ hasError: false, error: null })}>
-            Try Again
-          </button>
-        </div>
-      );
-    }
-    
-    return this.props.children;
-  }
+  messages.push({
+    role: "user",
+    content: { type: "text", text: prompt.task(args) }
+  });
+  
+  return { description: prompt.description, messages };
 }
-\`\`\`
 
-### 4. Graceful Degradation Pattern
-\`\`\`javascript
-const useDesoWithFallback = (apiCall, fallbackValue = null) => {
-  const [data, setData] = useState(fallbackValue);
-  const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(false);
-  
-  const execute = useCallback(async (...args) => {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      const result = await withRetry(() => apiCall(...args));
-      setData(result);
-      return result;
-    } catch (err) {
-      const errorInfo = classifyError(err);
-      setError(errorInfo);
-      
-      // Return fallback for non-critical errors
-      if (errorInfo.type === 'NOT_FOUND') {
-        setData(fallbackValue);
-        return fallbackValue;
-      }
-      
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [apiCall, fallbackValue]);
+// Comprehensive DeSo debugging guide based on real debugging experience
+async function desoDebuggingGuide(args) {
+  const { issue, includeCode = false } = args;
   
-  return { data, error, loading, execute };
-};
-\`\`\``
-    },
-    
-    "state-management": {
-      title: "🔄 DeSo State Management Pattern",
-      content: `# DeSo State Management Best Practices
+  const debuggingGuides = {
+    "message-decryption": {
+      title: "🔐 Message Decryption Issues",
+      content: `# Message Decryption Debugging
 
-## 🎯 Centralized DeSo State with Context
+## 🚨 CRITICAL: DecryptedMessage vs MessageText
 
-### 1. DeSo Context Provider
-\`\`\`javascript
-const DeSoContext = createContext();
+**The #1 Issue:** Using wrong property name for decrypted messages
 
-export const DeSoProvider = ({ children }) => {
-  const [user, setUser] = useState({
-    isAuthenticated: false,
-    publicKey: null,
-    username: null,
-    alternateUsers: []
-  });
-  
-  const [messaging, setMessaging] = useState({
-    conversations: {},
-    messages: {},
-    loading: false,
-    error: null
-  });
-  
-  const [sdk, setSdk] = useState({
-    isInitialized: false,
-    functions: {}
-  });
-  
-  // Initialize SDK
-  useEffect(() => {
-    const initializeSdk = async () => {
-      try {
-        const desoFunctions = await import('deso-protocol');
-        setSdk({
-          isInitialized: true,
-          functions: desoFunctions
-        });
-      } catch (error) {
-        console.error('Failed to initialize DeSo SDK:', error);
-      }
-    };
-    
-    initializeSdk();
-  }, []);
-  
-  // Identity subscription
-  useEffect(() => {
-    if (!sdk.isInitialized) return;
-    
-    const { identity } = sdk.functions;
-    
-    const unsubscribe = identity.subscribe(({ currentUser, alternateUsers, event }) => {
-      if (event === 'LOGIN_END' && currentUser) {
-        setUser({
-          isAuthenticated: true,
-          publicKey: currentUser.publicKey,
-          username: currentUser.username || currentUser.publicKey?.slice(0, 10) + '...',
-          alternateUsers: alternateUsers || []
-        });
-      } else if (event === 'LOGOUT') {
-        setUser({
-          isAuthenticated: false,
-          publicKey: null,
-          username: null,
-          alternateUsers: []
-        });
-        setMessaging({
-          conversations: {},
-          messages: {},
-          loading: false,
-          error: null
-        });
-      }
-    });
-    
-    return unsubscribe;
-  }, [sdk.isInitialized]);
-  
-  const value = {
-    user,
-    messaging,
-    sdk,
-    setUser,
-    setMessaging
-  };
-  
-  return (
-    <DeSoContext.Provider value={value}>
-      {children}
-    </DeSoContext.Provider>
-  );
-};
+### ❌ WRONG (Common Mistake)
+\`\`\`javascript
+if (decryptedMessage.MessageText) {
+  messageText = decryptedMessage.MessageText; // This is WRONG!
+}
+\`\`\`
 
-export const useDeSo = () => {
-  const context = useContext(DeSoContext);
-  if (!context) {
-    throw new Error('useDeSo must be used within DeSoProvider');
-  }
-  return context;
-};
+### ✅ CORRECT (Actual Fix)
+\`\`\`javascript
+if (decryptedMessage.DecryptedMessage) {
+  messageText = decryptedMessage.DecryptedMessage; // This is RIGHT!
+}
 \`\`\`
 
-### 2. Custom Hooks for DeSo Operations
+## 🔍 Debugging Steps
+
+1. **Check Console Logs**: Look for \`hasMessageText: false\` vs \`hasDecryptedMessage: true\`
+2. **Inspect Response Structure**: Use \`Object.keys(decryptedMessage)\` to see available properties
+3. **Reference Implementation**: Always check deso-chat for correct patterns
+
+## 🛠️ Complete Decryption Pattern
 \`\`\`javascript
-// Custom hook for messaging operations
-export const useDesoMessaging = () => {
-  const { user, messaging, setMessaging, sdk } = useDeSo();
-  
-  const sendMessage = useCallback(async (recipientPublicKey, messageText) => {
-    if (!user.isAuthenticated || !sdk.isInitialized) {
-      throw new Error('User not authenticated or SDK not initialized');
-    }
-    
-    setMessaging(prev => ({ ...prev, loading: true, error: null }));
-    
-    try {
-      const { sendDMMessage, checkPartyAccessGroups, identity } = sdk.functions;
-      
-      // Implementation from messaging-flow pattern...
-      const txnHash = await sendMessage(user.publicKey, recipientPublicKey, messageText);
-      
-      // Update local state optimistically
-      setMessaging(prev => ({
-        ...prev,
-        loading: false,
-        // Add optimistic message to state
-      }));
-      
-      return txnHash;
-    } catch (error) {
-      setMessaging(prev => ({ 
-        ...prev, 
-        loading: false, 
-        error: classifyError(error) 
-      }));
-      throw error;
-    }
-  }, [user, sdk, setMessaging]);
+// Proper message decryption handling
+for (const decryptedMessage of decrypted) {
+  let messageText = '[Encrypted Message]';
   
-  const refreshConversations = useCallback(async () => {
-    if (!user.isAuthenticated) return;
-    
-    setMessaging(prev => ({ ...prev, loading: true }));
-    
+  if (decryptedMessage.error) {
+    messageText = '[Decryption Failed]';
+  } else if (decryptedMessage.DecryptedMessage) {
+    // ✅ CORRECT: Use DecryptedMessage property
+    messageText = decryptedMessage.DecryptedMessage;
+  } else if (decryptedMessage.MessageInfo?.ExtraData?.unencrypted === "true") {
+    // Handle unencrypted messages (hex-encoded)
     try {
-      const { conversations } = await getConversationsWithDecryption(user.publicKey);
-      setMessaging(prev => ({
-        ...prev,
-        conversations,
-        loading: false,
-        error: null
-      }));
+      const hexString = decryptedMessage.MessageInfo.EncryptedText;
+      const bytes = new Uint8Array(Buffer.from(hexString, 'hex'));
+      messageText = new TextDecoder().decode(bytes);
     } catch (error) {
-      setMessaging(prev => ({
-        ...prev,
-        loading: false,
-        error: classifyError(error)
-      }));
+      messageText = '[Decoding Failed]';
     }
-  }, [user.publicKey, setMessaging]);
-  
-  return {
-    conversations: messaging.conversations,
-    loading: messaging.loading,
-    error: messaging.error,
-    sendMessage,
-    refreshConversations
-  };
-};
+  }
+}
 \`\`\`
 
-### 3. Optimistic Updates Pattern
-\`\`\`javascript
-const useOptimisticMessages = () => {
-  const { messaging, setMessaging } = useDeSo();
-  
-  const addOptimisticMessage = useCallback((conversationId, message) => {
-    const optimisticMessage = {
-      ...message,
-      id: \`optimistic-\${Date.now()}\`,
-      isOptimistic: true,
-      timestamp: Date.now()
-    };
-    
-    setMessaging(prev => ({
-      ...prev,
-      conversations: {
-        ...prev.conversations,
-        [conversationId]: {
-          ...prev.conversations[conversationId],
-          messages: [
-            optimisticMessage,
-            ...(prev.conversations[conversationId]?.messages || [])
-          ]
-        }
-      }
-    }));
+## 🔧 Common Error Messages
+- **"incorrect MAC"**: Normal for old/incompatible messages - handle gracefully
+- **"access group key not found"**: Need to fetch updated access groups
+- **Empty DecryptedMessage**: Check if message is unencrypted (ExtraData.unencrypted)`
+    },
     
-    return optimisticMessage.id;
-  }, [setMessaging]);
-  
-  const confirmOptimisticMessage = useCallback((conversationId, optimisticId, confirmedMessage) => {
-    setMessaging(prev => ({
-      ...prev,
-      conversations: {
-        ...prev.conversations,
-        [conversationId]: {
-          ...prev.conversations[conversationId],
-          messages: prev.conversations[conversationId]?.messages.map(msg =>
-            msg.id === optimisticId ? { ...confirmedMessage, isOptimistic: false } : msg
-          ) || []
-        }
-      }
-    }));
-  }, [setMessaging]);
-  
-  return { addOptimisticMessage, confirmOptimisticMessage };
-};
-\`\`\``
-    }
-  };
-
-  if (pattern === 'all') {
-    let response = `# 🏗️ Complete DeSo Implementation Patterns
+    "access-groups": {
+      title: "🔑 Access Group Issues",
+      content: `# Access Group Debugging
 
-Based on deso-chat analysis and real debugging experience.
+## 🚨 CRITICAL: Empty String vs Undefined
 
-## 🎯 Pattern Overview
+**The Issue:** \`checkPartyAccessGroups\` returns empty strings, not undefined!
 
-| Pattern | Purpose | Key Benefits |
-|---------|---------|--------------|
-| Messaging Flow | Complete message send/receive | Proper encryption, access groups |
-| Error Handling | Robust error management | User-friendly errors, retry logic |
-| State Management | Centralized DeSo state | Clean architecture, reusability |
-| API Integration | Consistent API usage | Proper response handling |
-| User Switching | Multi-account support | Professional UX |
-| Real-time Updates | Live message polling | Current conversation state |
+### ❌ WRONG (Common Mistake)
+\`\`\`javascript
+if (response.SenderAccessGroupKeyName) {
+  // This fails when API returns empty string!
+}
+\`\`\`
 
-`;
+### ✅ CORRECT (Actual Fix)
+\`\`\`javascript
+const senderKeyName = response.SenderAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+const recipientKeyName = response.RecipientAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+\`\`\`
 
-    for (const [key, patternInfo] of Object.entries(patterns)) {
-      response += `\n## ${patternInfo.title}\n\n`;
-      response += patternInfo.content.split('\n').slice(2, 8).join('\n'); // Summary
-      response += `\n\n*Use \`deso_implementation_patterns\` with pattern="${key}" for complete implementation*\n\n`;
-    }
+## 🔍 Access Group Flow
 
-    return { content: [{ type: "text", text: response }] };
+1. **Check Party Access Groups**: Always check both sender and recipient
+2. **Handle Empty Responses**: API returns empty strings when groups don't exist
+3. **Fallback to Default**: Use "default-key" as fallback
+4. **Auto-Create Groups**: Create default messaging groups if needed
+
+## 🛠️ Complete Access Group Pattern
+\`\`\`javascript
+// Proper access group handling
+const response = await checkPartyAccessGroups({
+  SenderPublicKeyBase58Check: senderPublicKey,
+  SenderAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+  RecipientPublicKeyBase58Check: recipientPublicKey,
+  RecipientAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME
+});
+
+// ✅ CORRECT: Handle empty strings properly
+const senderKeyName = response.SenderAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+const recipientKeyName = response.RecipientAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+
+if (!senderKeyName || !recipientKeyName) {
+  throw new Error('Access groups not available for messaging');
+}
+\`\`\`
+
+## 🔧 Error Messages to Watch For
+- **"SenderAccessGroupKeyName is undefined"**: Check for empty string handling
+- **"access group key not found"**: Need to create or fetch access groups
+- **"insufficient permissions"**: Check derived key permissions for access groups`
+    },
+    
+    "infinite-loops": {
+      title: "🔄 Infinite Loop Issues",
+      content: `# Infinite Loop Debugging
+
+## 🚨 CRITICAL: useCallback Dependencies
+
+**The Issue:** Missing or incorrect dependencies in useCallback hooks
+
+### ❌ WRONG (Causes Infinite Loops)
+\`\`\`javascript
+const searchUsers = useCallback(async (query) => {
+  // Missing dependencies!
+}, []); // Empty dependency array is often wrong
+\`\`\`
+
+### ✅ CORRECT (Prevents Infinite Loops)
+\`\`\`javascript
+const searchUsers = useCallback(async (query) => {
+  if (!query.trim()) return;
+  // Implementation...
+}, [getSingleProfile, setUsers, setLoading]); // Include ALL dependencies
+\`\`\`
+
+## 🔍 Debugging Steps
+
+1. **Check React DevTools**: Look for "Maximum update depth exceeded"
+2. **Add Dependency Warnings**: Use ESLint react-hooks/exhaustive-deps
+3. **Add Debouncing**: Prevent rapid API calls
+4. **Isolate State Updates**: Separate loading states from data states
+
+## 🛠️ Complete Debounced Search Pattern
+\`\`\`javascript
+// Proper debounced search with correct dependencies
+const [searchQuery, setSearchQuery] = useState('');
+const [debouncedQuery, setDebouncedQuery] = useState('');
+
+// Debounce the search query
+useEffect(() => {
+  const timer = setTimeout(() => {
+    setDebouncedQuery(searchQuery);
+  }, 500); // 500ms debounce
+
+  return () => clearTimeout(timer);
+}, [searchQuery]);
+
+// Search function with proper dependencies
+const searchUsers = useCallback(async (query) => {
+  if (!query.trim()) {
+    setUsers([]);
+    return;
+  }
+  
+  setLoading(true);
+  try {
+    const profile = await getSingleProfile({ Username: query });
+    setUsers(profile ? [profile] : []);
+  } catch (error) {
+    setError(error.message);
+    setUsers([]);
+  } finally {
+    setLoading(false);
   }
+}, [getSingleProfile]); // Only include stable dependencies
 
-  if (patterns[pattern]) {
-    return { content: [{ type: "text", text: patterns[pattern].content }] };
+// Trigger search when debounced query changes
+useEffect(() => {
+  if (debouncedQuery) {
+    searchUsers(debouncedQuery);
   }
+}, [debouncedQuery, searchUsers]);
+\`\`\`
 
-  return { content: [{ type: "text", text: `Unknown pattern: ${pattern}. Available: ${Object.keys(patterns).join(', ')}` }] };
+## 🔧 Common Patterns That Cause Loops
+- **Missing useCallback**: Functions recreated on every render
+- **Incorrect dependencies**: Including unstable objects/functions
+- **State updates in render**: Causing immediate re-renders
+- **Effect cleanup issues**: Not properly cleaning up timers/subscriptions`
+    },
+    
+    "api-responses": {
+      title: "📡 API Response Structure Issues",
+      content: `# API Response Structure Debugging
+
+## 🚨 CRITICAL: Different Endpoints, Different Structures
+
+**The Issue:** Each DeSo endpoint has different response structures!
+
+### Key Response Differences:
+- \`getAllMessageThreads\` → \`MessageThreads\` array
+- \`getPaginatedDMThread\` → \`ThreadMessages\` array  
+- \`getAllAccessGroups\` → \`AccessGroupsOwned\` + \`AccessGroupsMember\`
+
+Every endpoint's full response schema, with its commonly misread fields flagged, is in \`deso_api_explorer\` (e.g. \`endpoint: "get-paginated-messages-for-dm-thread"\`).
+
+## 🔍 Debugging API Responses
+
+### 1. Always Log Response Structure
+\`\`\`javascript
+const response = await getPaginatedDMThread(params);
+console.log('API Response keys:', Object.keys(response));
+console.log('Messages array:', response.ThreadMessages?.length);
+\`\`\`
+
+### 2. Handle Empty/Null Responses
+\`\`\`javascript
+// ✅ CORRECT: Always validate response structure
+const messages = response?.ThreadMessages || [];
+const profiles = response?.PublicKeyToProfileEntryResponse || {};
+\`\`\`
+
+### 3. Check for JSON Parsing Errors
+\`\`\`javascript
+// ✅ CORRECT: Validate before parsing
+if (!response || response.trim() === '') {
+  throw new Error('Empty response from API');
 }
 
-// Comprehensive DeSo UI Components tool based on deso-ui library analysis
-async function desoUIComponents(args) {
-  const { action, component, category, framework = 'react', query } = args;
+try {
+  const data = JSON.parse(response);
+  return data;
+} catch (error) {
+  throw new Error(\`Invalid JSON response: \${error.message}\`);
+}
+\`\`\`
+
+## 🛠️ Complete API Error Handling Pattern
+\`\`\`javascript
+async function safeApiCall(apiFunction, params, fallback = null) {
+  try {
+    const response = await apiFunction(params);
+    
+    // Validate response structure
+    if (!response || typeof response !== 'object') {
+      throw new Error('Invalid API response structure');
+    }
+    
+    return response;
+  } catch (error) {
+    console.error('API call failed:', error);
+    
+    // Categorize errors for user-friendly messages
+    if (error.message.includes('404')) {
+      throw new Error('User not found');
+    } else if (error.message.includes('network')) {
+      throw new Error('Network connection issue');
+    } else {
+      throw new Error(\`API error: \${error.message}\`);
+    }
+  }
+}
+\`\`\`
+
+## 🔧 Common API Issues
+- **"Cannot read property of undefined"**: Missing null checks
+- **"Unexpected end of JSON input"**: Empty response handling
+- **"404 errors"**: User/resource not found - handle gracefully
+- **Rate limiting**: Implement proper retry logic with exponential backoff`
+    },
+    
+    "authentication": {
+      title: "🔐 Authentication & User Switching Issues",
+      content: `# Authentication Debugging
+
+## 🚨 CRITICAL: Identity Event Handling
+
+**The Issue:** Not properly handling identity state changes and user switching
+
+### ✅ CORRECT: Complete Identity Setup
+\`\`\`javascript
+// Proper identity subscription with user switching
+identity.subscribe(({ currentUser, alternateUsers, event }) => {
+  console.log('Identity event:', event);
   
-  // Complete component registry from deso-ui/registry.json analysis
-  const componentRegistry = {
-    social: {
-      description: "Components for social interactions, posts, and feeds",
-      components: {
-        "post-card": {
-          title: "Post Card",
-          description: "A comprehensive card for displaying social media posts with images, videos, polls, quotes, and engagement stats",
-          dependencies: ["user-info", "post-text", "post-image", "post-video", "post-audio", "post-embed", "post-poll", "post-engagement", "post-reactions", "action-menu", "timestamp"],
-          props: ["publicKey", "postContent", "timestamp", "images", "embedUrl", "quotedPost", "status", "videoUrl", "audioUrl", "reactions", "comments", "poll", "layout", "nft"],
-          examples: ["Default post", "With images", "With video", "With poll", "Quote post", "Repost", "NFT post"]
-        },
-        "post-text": {
-          title: "Post Text",
-          description: "Component for displaying post text content with linkification and mentions",
-          dependencies: [],
-          props: ["content", "lineClamp", "variant"],
-          examples: ["Simple text", "Rich text with links", "Truncated text"]
-        },
-        "post-image": {
-          title: "Post Image",
-          description: "Advanced image display with bento grid layouts, carousels, and blur hash support",
-          dependencies: [],
-          props: ["images", "layout", "blurhash", "onImageClick"],
-          examples: ["Single image", "Bento grid (2-4 images)", "Carousel (5+ images)"]
-        },
-        "post-video": {
-          title: "Post Video",
-          description: "Video player component with react-player integration",
-          dependencies: ["react-player"],
+  if (event === 'LOGIN_END' && currentUser) {
+    setUser({
+      isAuthenticated: true,
+      username: currentUser.username || currentUser.publicKey?.slice(0, 10) + '...',
+      publicKey: currentUser.publicKey,
+      alternateUsers: alternateUsers || []
+    });
+  } else if (event === 'LOGOUT') {
+    setUser({
+      isAuthenticated: false,
+      username: null,
+      publicKey: null,
+      alternateUsers: []
+    });
+  }
+});
+\`\`\`
+
+## 🔍 User Switching Implementation
+
+### Account Switcher Component
+\`\`\`javascript
+function AccountSwitcher({ currentUser, alternateUsers }) {
+  const [isOpen, setIsOpen] = useState(false);
+  
+  const handleSwitchUser = async (publicKey) => {
+    try {
+      await identity.setActiveUser(publicKey);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Failed to switch user:', error);
+    }
+  };
+  
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(!isOpen)}>
+        {currentUser.username}
+        <ChevronDownIcon />
+      </button>
+      
+      {isOpen && (
+        <div className="absolute right-0 mt-2 bg-white shadow-lg rounded-lg">
+          {alternateUsers.map(user => (
+            <button
+              key={user.publicKey}
+              onClick={() => handleSwitchUser(user.publicKey)}
+              className="block w-full text-left px-4 py-2 hover:bg-gray-100"
+            >
+              {user.username || user.publicKey.slice(0, 10) + '...'}
+            </button>
+          ))}
+          <hr />
+          <button
+            onClick={() => identity.login()}
+            className="block w-full text-left px-4 py-2 hover:bg-gray-100"
+          >
+            Add Another Account
+          </button>
+          <button
+            onClick={() => identity.logout()}
+            className="block w-full text-left px-4 py-2 hover:bg-gray-100 text-red-600"
+          >
+            Logout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+\`\`\`
+
+## 🔧 Common Authentication Issues
+- **Identity not showing**: Check if LoginButton is in the header when authenticated
+- **User switching not working**: Ensure proper identity.setActiveUser() usage
+- **Permissions issues**: Check derived key permissions for messaging/transactions
+- **State not updating**: Verify identity.subscribe() is properly set up`
+    },
+    
+    "react-errors": {
+      title: "⚛️ React-Specific Issues",
+      content: `# React Integration Debugging
+
+## 🚨 CRITICAL: Key Warnings & State Management
+
+### 1. Unique Key Generation
+\`\`\`javascript
+// ❌ WRONG: Non-unique keys
+{messages.map((msg, index) => (
+  <div key={index}> // Don't use array index!
+))}
+
+// ✅ CORRECT: Unique, stable keys
+{messages.map((msg) => (
+  <div key={\`\${msg.timestampNanos}-\${msg.senderPublicKey}\`}>
+))}
+\`\`\`
+
+### 2. Proper Loading State Management
+\`\`\`javascript
+// ✅ CORRECT: Separate loading states
+const [isLoading, setIsLoading] = useState(false);
+const [isLoadingMessages, setIsLoadingMessages] = useState(false);
+const [isLoadingConversations, setIsLoadingConversations] = useState(false);
+\`\`\`
+
+### 3. Error Boundary Implementation
+\`\`\`javascript
+class DeSoErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+  
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+  
+  componentDidCatch(error, errorInfo) {
+    console.error('DeSo Error:', error, errorInfo);
+  }
+  
+  render() {
+    if (this.state.hasError) {
+      return (
+        <div className="error-fallback">
+          <h2>Something went wrong with DeSo integration</h2>
+          <details>
+            {this.state.error?.message}
+          </details>
+          <button onClick={() => this.setState({ hasError: false, error: null })}>
+            Try Again
+          </button>
+        </div>
+      );
+    }
+    
+    return this.props.children;
+  }
+}
+\`\`\`
+
+## 🔧 Common React Issues
+- **"Maximum update depth exceeded"**: Check useCallback dependencies
+- **"Cannot read property of undefined"**: Add proper null checks
+- **"Each child should have unique key"**: Use stable, unique identifiers
+- **State not updating**: Verify proper state setter usage and dependencies`
+    }
+  };
+
+  if (issue === 'all') {
+    let response = `# 🛠️ Complete DeSo Debugging Guide
+
+Based on real debugging experience and fixes applied during development.
+
+## 🎯 Quick Reference
+
+| Issue | Key Fix | Common Error |
+|-------|---------|--------------|
+| Message Decryption | Use \`DecryptedMessage\` not \`MessageText\` | "[Encrypted Message]" showing |
+| Access Groups | Handle empty strings, not undefined | "SenderAccessGroupKeyName is undefined" |
+| Infinite Loops | Fix useCallback dependencies | "Maximum update depth exceeded" |
+| API Responses | Check response structure per endpoint | "Cannot read property of undefined" |
+| Authentication | Proper identity.subscribe() setup | User switching not working |
+| React Errors | Unique keys, proper state management | Key warnings, state issues |
+
+## 🔍 Debugging Methodology
+
+1. **Check Console Logs**: Look for specific error patterns
+2. **Inspect Response Structure**: Use \`Object.keys()\` to see available properties  
+3. **Reference deso-chat**: Always check reference implementation
+4. **Add Comprehensive Logging**: Use emoji-coded logging for easy identification
+5. **Test Edge Cases**: Empty responses, failed API calls, network issues
+
+`;
+
+    for (const [key, guide] of Object.entries(debuggingGuides)) {
+      response += `\n## ${guide.title}\n\n`;
+      response += guide.content.split('\n').slice(2, 8).join('\n'); // Summary
+      response += `\n\n*Use \`deso_debugging_guide\` with issue="${key}" for complete details*\n\n`;
+    }
+
+    return { content: [{ type: "text", text: response }] };
+  }
+
+  if (debuggingGuides[issue]) {
+    const guide = debuggingGuides[issue];
+    let response = guide.content;
+    
+    if (includeCode) {
+      response += `\n\n## 🧪 Testing & Validation
+
+### Debug Logging Pattern
+\`\`\`javascript
+// Emoji-coded logging for easy debugging
+const log = {
+  info: (category, message, data) => console.log(\`🔵 [\${category}] \${message}\`, data),
+  warn: (category, message, data) => console.warn(\`⚠️ [\${category}] \${message}\`, data),
+  error: (category, message, data) => console.error(\`❌ [\${category}] \${message}\`, data),
+  debug: (category, message, data) => console.debug(\`🔍 [\${category}] \${message}\`, data),
+  success: (category, message, data) => console.log(\`✅ [\${category}] \${message}\`, data)
+};
+\`\`\`
+
+### Validation Helpers
+\`\`\`javascript
+// Helper functions for common validations
+const validateApiResponse = (response, expectedKeys) => {
+  if (!response || typeof response !== 'object') {
+    throw new Error('Invalid API response');
+  }
+  
+  for (const key of expectedKeys) {
+    if (!(key in response)) {
+      console.warn(\`Missing expected key: \${key}\`);
+    }
+  }
+  
+  return response;
+};
+
+const validatePublicKey = (publicKey) => {
+  if (!publicKey || typeof publicKey !== 'string' || publicKey.length < 50) {
+    throw new Error('Invalid public key format');
+  }
+  return publicKey;
+};
+\`\`\``;
+    }
+    
+    return { content: [{ type: "text", text: response }] };
+  }
+
+  return { content: [{ type: "text", text: `Unknown issue: ${issue}. Available: ${Object.keys(debuggingGuides).join(', ')}` }] };
+}
+
+// Implementation patterns based on deso-chat analysis and debugging experience
+async function desoImplementationPatterns(args) {
+  const { pattern, framework = 'react' } = args;
+  
+  const patterns = {
+    "messaging-flow": {
+      title: "📱 Complete Messaging Flow Pattern",
+      content: `# DeSo Messaging Implementation Pattern
+
+## 🎯 Complete Flow (from deso-chat analysis)
+
+### 1. SDK Configuration with Messaging Permissions
+\`\`\`javascript
+import { configure, DeSoNetwork } from 'deso-protocol';
+
+configure({
+  identityURI: process.env.REACT_APP_IDENTITY_URL,
+  nodeURI: process.env.REACT_APP_NODE_URL,
+  network: DeSoNetwork.mainnet,
+  spendingLimitOptions: {
+    GlobalDESOLimit: 5 * 1e9, // 5 DeSo
+    TransactionCountLimitMap: {
+      AUTHORIZE_DERIVED_KEY: 1,
+      NEW_MESSAGE: "UNLIMITED" // ✅ CRITICAL: Unlimited messaging
+    },
+    AccessGroupLimitMap: [{
+      AccessGroupOwnerPublicKeyBase58Check: "",
+      ScopeType: "Any",
+      AccessGroupKeyName: "",
+      OperationType: "Any", 
+      OpCount: "UNLIMITED"
+    }]
+  }
+});
+\`\`\`
+
+For apps that also post, trade or bid, \`build_deso_spending_limits\` with \`operations: ["messaging", ...]\` produces the combined limits.
+
+### 2. Access Group Auto-Setup Pattern
+\`\`\`javascript
+// Auto-create default messaging access group
+const setupMessagingForUser = async (userPublicKey, messagingPublicKey) => {
+  const { AccessGroupsOwned } = await getAllAccessGroups({
+    PublicKeyBase58Check: userPublicKey
+  });
+  
+  // Check if default messaging group exists
+  const hasDefaultGroup = AccessGroupsOwned?.find(
+    group => group.AccessGroupKeyName === "default-key"
+  );
+  
+  if (!hasDefaultGroup) {
+    await createAccessGroup({
+      AccessGroupOwnerPublicKeyBase58Check: userPublicKey,
+      AccessGroupPublicKeyBase58Check: messagingPublicKey,
+      AccessGroupKeyName: "default-key",
+      MinFeeRateNanosPerKB: 1000
+    });
+  }
+};
+\`\`\`
+
+### 3. Message Sending with Access Group Validation
+\`\`\`javascript
+const sendMessage = async (senderPublicKey, recipientPublicKey, messageText) => {
+  // 1. Check party access groups
+  const response = await checkPartyAccessGroups({
+    SenderPublicKeyBase58Check: senderPublicKey,
+    SenderAccessGroupKeyName: "default-key",
+    RecipientPublicKeyBase58Check: recipientPublicKey,
+    RecipientAccessGroupKeyName: "default-key"
+  });
+  
+  // 2. Handle empty string responses (not undefined!)
+  const senderKeyName = response.SenderAccessGroupKeyName || "default-key";
+  const recipientKeyName = response.RecipientAccessGroupKeyName || "default-key";
+  
+  // 3. Encrypt message
+  let encryptedMessage;
+  let isUnencrypted = false;
+  const ExtraData = {};
+  
+  if (response.RecipientAccessGroupPublicKeyBase58Check) {
+    encryptedMessage = await identity.encryptMessage(
+      response.RecipientAccessGroupPublicKeyBase58Check,
+      messageText
+    );
+  } else {
+    // Fallback to unencrypted (hex-encoded)
+    encryptedMessage = bytesToHex(new TextEncoder().encode(messageText));
+    isUnencrypted = true;
+    ExtraData["unencrypted"] = "true";
+  }
+  
+  // 4. Send message
+  const result = await sendDMMessage({
+    SenderAccessGroupOwnerPublicKeyBase58Check: senderPublicKey,
+    SenderAccessGroupPublicKeyBase58Check: response.SenderAccessGroupPublicKeyBase58Check,
+    SenderAccessGroupKeyName: senderKeyName,
+    RecipientAccessGroupOwnerPublicKeyBase58Check: recipientPublicKey,
+    RecipientAccessGroupPublicKeyBase58Check: isUnencrypted 
+      ? response.RecipientPublicKeyBase58Check 
+      : response.RecipientAccessGroupPublicKeyBase58Check,
+    RecipientAccessGroupKeyName: recipientKeyName,
+    EncryptedMessageText: encryptedMessage,
+    ExtraData,
+    MinFeeRateNanosPerKB: 1000
+  });
+  
+  return result.submittedTransactionResponse.TxnHashHex;
+};
+\`\`\`
+
+### 4. Message Retrieval and Decryption Pattern
+\`\`\`javascript
+const getConversationsWithDecryption = async (userPublicKey) => {
+  // 1. Get all message threads
+  const threads = await getAllMessageThreads({
+    UserPublicKeyBase58Check: userPublicKey
+  });
+  
+  // 2. Get access groups for decryption
+  const { AccessGroupsOwned, AccessGroupsMember } = await getAllAccessGroups({
+    PublicKeyBase58Check: userPublicKey
+  });
+  const allAccessGroups = (AccessGroupsOwned || []).concat(AccessGroupsMember || []);
+  
+  // 3. Decrypt messages with retry logic
+  const { decrypted } = await decryptAccessGroupMessagesWithRetry(
+    userPublicKey,
+    threads.MessageThreads,
+    allAccessGroups
+  );
+  
+  // 4. Process decrypted messages
+  const conversations = {};
+  for (const decryptedMessage of decrypted) {
+    if (!decryptedMessage.MessageInfo) continue;
+    
+    const otherUserKey = decryptedMessage.IsSender 
+      ? decryptedMessage.RecipientInfo.OwnerPublicKeyBase58Check
+      : decryptedMessage.SenderInfo.OwnerPublicKeyBase58Check;
+    
+    // ✅ CRITICAL: Use DecryptedMessage property, not MessageText!
+    let messageText = '[Encrypted Message]';
+    if (decryptedMessage.error) {
+      messageText = '[Decryption Failed]';
+    } else if (decryptedMessage.DecryptedMessage) {
+      messageText = decryptedMessage.DecryptedMessage;
+    } else if (decryptedMessage.MessageInfo.ExtraData?.unencrypted === "true") {
+      // Handle unencrypted messages
+      try {
+        const hexString = decryptedMessage.MessageInfo.EncryptedText;
+        const bytes = new Uint8Array(Buffer.from(hexString, 'hex'));
+        messageText = new TextDecoder().decode(bytes);
+      } catch (error) {
+        messageText = '[Decoding Failed]';
+      }
+    }
+    
+    if (!conversations[otherUserKey]) {
+      conversations[otherUserKey] = {
+        messages: [],
+        ChatType: decryptedMessage.ChatType,
+        lastMessage: messageText,
+        lastTimestamp: decryptedMessage.MessageInfo.TimestampNanos
+      };
+    }
+    
+    conversations[otherUserKey].messages.push({
+      id: \`\${decryptedMessage.MessageInfo.TimestampNanos}-\${decryptedMessage.SenderInfo.OwnerPublicKeyBase58Check}\`,
+      messageText,
+      timestampNanos: decryptedMessage.MessageInfo.TimestampNanos,
+      isFromSender: decryptedMessage.IsSender,
+      isEncrypted: !decryptedMessage.MessageInfo.ExtraData?.unencrypted
+    });
+  }
+  
+  return {
+    conversations,
+    profiles: threads.PublicKeyToProfileEntryResponse
+  };
+};
+\`\`\`
+
+### 5. Real-time Polling Pattern
+\`\`\`javascript
+const useMessagePolling = (userPublicKey, interval = 5000) => {
+  const [conversations, setConversations] = useState({});
+  const [isPolling, setIsPolling] = useState(false);
+  
+  useEffect(() => {
+    if (!userPublicKey) return;
+    
+    const pollMessages = async () => {
+      try {
+        setIsPolling(true);
+        const { conversations: newConversations } = await getConversationsWithDecryption(userPublicKey);
+        setConversations(newConversations);
+      } catch (error) {
+        console.error('Polling error:', error);
+      } finally {
+        setIsPolling(false);
+      }
+    };
+    
+    // Initial load
+    pollMessages();
+    
+    // Set up polling
+    const pollInterval = setInterval(pollMessages, interval);
+    
+    return () => clearInterval(pollInterval);
+  }, [userPublicKey, interval]);
+  
+  return { conversations, isPolling };
+};
+\`\`\``
+    },
+    
+    "error-handling": {
+      title: "🛡️ Comprehensive Error Handling Pattern",
+      content: `# DeSo Error Handling Best Practices
+
+## 🎯 Categorized Error Handling
+
+### 1. API Error Classification
+\`\`\`javascript
+const classifyError = (error) => {
+  const message = error.message.toLowerCase();
+  
+  if (message.includes('404') || message.includes('not found')) {
+    return {
+      type: 'NOT_FOUND',
+      userMessage: 'User or resource not found',
+      technical: error.message,
+      recoverable: false
+    };
+  }
+  
+  if (message.includes('network') || message.includes('fetch')) {
+    return {
+      type: 'NETWORK',
+      userMessage: 'Network connection issue. Please try again.',
+      technical: error.message,
+      recoverable: true
+    };
+  }
+  
+  if (message.includes('incorrect mac')) {
+    return {
+      type: 'DECRYPTION',
+      userMessage: 'Message could not be decrypted',
+      technical: error.message,
+      recoverable: false
+    };
+  }
+  
+  if (message.includes('access group')) {
+    return {
+      type: 'ACCESS_GROUP',
+      userMessage: 'Messaging permissions issue',
+      technical: error.message,
+      recoverable: true
+    };
+  }
+  
+  return {
+    type: 'UNKNOWN',
+    userMessage: 'An unexpected error occurred',
+    technical: error.message,
+    recoverable: false
+  };
+};
+\`\`\`
+
+### 2. Retry Logic with Exponential Backoff
+\`\`\`javascript
+const withRetry = async (apiCall, maxRetries = 3, baseDelay = 1000) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await apiCall();
+    } catch (error) {
+      const errorInfo = classifyError(error);
+      
+      if (!errorInfo.recoverable || attempt === maxRetries) {
+        throw error;
+      }
+      
+      const delay = baseDelay * Math.pow(2, attempt - 1);
+      console.warn(\`Attempt \${attempt} failed, retrying in \${delay}ms...\`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+\`\`\`
+
+### 3. React Error Boundary for DeSo Operations
+\`\`\`javascript
+class DeSoErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { 
+      hasError: false, 
+      error: null,
+      errorInfo: null 
+    };
+  }
+  
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+  
+  componentDidCatch(error, errorInfo) {
+    const classified = classifyError(error);
+    console.error('DeSo Error Boundary:', {
+      error,
+      errorInfo,
+      classified
+    });
+    
+    this.setState({ errorInfo: classified });
+  }
+  
+  render() {
+    if (this.state.hasError) {
+      return (
+        <div className="error-boundary">
+          <h2>DeSo Integration Error</h2>
+          <p>{this.state.errorInfo?.userMessage}</p>
+          {process.env.NODE_ENV === 'development' && (
+            <details>
+              <summary>Technical Details</summary>
+              <pre>{this.state.errorInfo?.technical}</pre>
+            </details>
+          )}
+          <button onClick={() => this.setState({ hasError: false, error: null })}>
+            Try Again
+          </button>
+        </div>
+      );
+    }
+    
+    return this.props.children;
+  }
+}
+\`\`\`
+
+### 4. Graceful Degradation Pattern
+\`\`\`javascript
+const useDesoWithFallback = (apiCall, fallbackValue = null) => {
+  const [data, setData] = useState(fallbackValue);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  
+  const execute = useCallback(async (...args) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const result = await withRetry(() => apiCall(...args));
+      setData(result);
+      return result;
+    } catch (err) {
+      const errorInfo = classifyError(err);
+      setError(errorInfo);
+      
+      // Return fallback for non-critical errors
+      if (errorInfo.type === 'NOT_FOUND') {
+        setData(fallbackValue);
+        return fallbackValue;
+      }
+      
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, fallbackValue]);
+  
+  return { data, error, loading, execute };
+};
+\`\`\``
+    },
+    
+    "state-management": {
+      title: "🔄 DeSo State Management Pattern",
+      content: `# DeSo State Management Best Practices
+
+## 🎯 Centralized DeSo State with Context
+
+### 1. DeSo Context Provider
+\`\`\`javascript
+const DeSoContext = createContext();
+
+export const DeSoProvider = ({ children }) => {
+  const [user, setUser] = useState({
+    isAuthenticated: false,
+    publicKey: null,
+    username: null,
+    alternateUsers: []
+  });
+  
+  const [messaging, setMessaging] = useState({
+    conversations: {},
+    messages: {},
+    loading: false,
+    error: null
+  });
+  
+  const [sdk, setSdk] = useState({
+    isInitialized: false,
+    functions: {}
+  });
+  
+  // Initialize SDK
+  useEffect(() => {
+    const initializeSdk = async () => {
+      try {
+        const desoFunctions = await import('deso-protocol');
+        setSdk({
+          isInitialized: true,
+          functions: desoFunctions
+        });
+      } catch (error) {
+        console.error('Failed to initialize DeSo SDK:', error);
+      }
+    };
+    
+    initializeSdk();
+  }, []);
+  
+  // Identity subscription
+  useEffect(() => {
+    if (!sdk.isInitialized) return;
+    
+    const { identity } = sdk.functions;
+    
+    const unsubscribe = identity.subscribe(({ currentUser, alternateUsers, event }) => {
+      if (event === 'LOGIN_END' && currentUser) {
+        setUser({
+          isAuthenticated: true,
+          publicKey: currentUser.publicKey,
+          username: currentUser.username || currentUser.publicKey?.slice(0, 10) + '...',
+          alternateUsers: alternateUsers || []
+        });
+      } else if (event === 'LOGOUT') {
+        setUser({
+          isAuthenticated: false,
+          publicKey: null,
+          username: null,
+          alternateUsers: []
+        });
+        setMessaging({
+          conversations: {},
+          messages: {},
+          loading: false,
+          error: null
+        });
+      }
+    });
+    
+    return unsubscribe;
+  }, [sdk.isInitialized]);
+  
+  const value = {
+    user,
+    messaging,
+    sdk,
+    setUser,
+    setMessaging
+  };
+  
+  return (
+    <DeSoContext.Provider value={value}>
+      {children}
+    </DeSoContext.Provider>
+  );
+};
+
+export const useDeSo = () => {
+  const context = useContext(DeSoContext);
+  if (!context) {
+    throw new Error('useDeSo must be used within DeSoProvider');
+  }
+  return context;
+};
+\`\`\`
+
+### 2. Custom Hooks for DeSo Operations
+\`\`\`javascript
+// Custom hook for messaging operations
+export const useDesoMessaging = () => {
+  const { user, messaging, setMessaging, sdk } = useDeSo();
+  
+  const sendMessage = useCallback(async (recipientPublicKey, messageText) => {
+    if (!user.isAuthenticated || !sdk.isInitialized) {
+      throw new Error('User not authenticated or SDK not initialized');
+    }
+    
+    setMessaging(prev => ({ ...prev, loading: true, error: null }));
+    
+    try {
+      const { sendDMMessage, checkPartyAccessGroups, identity } = sdk.functions;
+      
+      // Implementation from messaging-flow pattern...
+      const txnHash = await sendMessage(user.publicKey, recipientPublicKey, messageText);
+      
+      // Update local state optimistically
+      setMessaging(prev => ({
+        ...prev,
+        loading: false,
+        // Add optimistic message to state
+      }));
+      
+      return txnHash;
+    } catch (error) {
+      setMessaging(prev => ({ 
+        ...prev, 
+        loading: false, 
+        error: classifyError(error) 
+      }));
+      throw error;
+    }
+  }, [user, sdk, setMessaging]);
+  
+  const refreshConversations = useCallback(async () => {
+    if (!user.isAuthenticated) return;
+    
+    setMessaging(prev => ({ ...prev, loading: true }));
+    
+    try {
+      const { conversations } = await getConversationsWithDecryption(user.publicKey);
+      setMessaging(prev => ({
+        ...prev,
+        conversations,
+        loading: false,
+        error: null
+      }));
+    } catch (error) {
+      setMessaging(prev => ({
+        ...prev,
+        loading: false,
+        error: classifyError(error)
+      }));
+    }
+  }, [user.publicKey, setMessaging]);
+  
+  return {
+    conversations: messaging.conversations,
+    loading: messaging.loading,
+    error: messaging.error,
+    sendMessage,
+    refreshConversations
+  };
+};
+\`\`\`
+
+### 3. Optimistic Updates Pattern
+\`\`\`javascript
+const useOptimisticMessages = () => {
+  const { messaging, setMessaging } = useDeSo();
+  
+  const addOptimisticMessage = useCallback((conversationId, message) => {
+    const optimisticMessage = {
+      ...message,
+      id: \`optimistic-\${Date.now()}\`,
+      isOptimistic: true,
+      timestamp: Date.now()
+    };
+    
+    setMessaging(prev => ({
+      ...prev,
+      conversations: {
+        ...prev.conversations,
+        [conversationId]: {
+          ...prev.conversations[conversationId],
+          messages: [
+            optimisticMessage,
+            ...(prev.conversations[conversationId]?.messages || [])
+          ]
+        }
+      }
+    }));
+    
+    return optimisticMessage.id;
+  }, [setMessaging]);
+  
+  const confirmOptimisticMessage = useCallback((conversationId, optimisticId, confirmedMessage) => {
+    setMessaging(prev => ({
+      ...prev,
+      conversations: {
+        ...prev.conversations,
+        [conversationId]: {
+          ...prev.conversations[conversationId],
+          messages: prev.conversations[conversationId]?.messages.map(msg =>
+            msg.id === optimisticId ? { ...confirmedMessage, isOptimistic: false } : msg
+          ) || []
+        }
+      }
+    }));
+  }, [setMessaging]);
+  
+  return { addOptimisticMessage, confirmOptimisticMessage };
+};
+\`\`\``
+    }
+  };
+
+  if (pattern === 'all') {
+    let response = `# 🏗️ Complete DeSo Implementation Patterns
+
+Based on deso-chat analysis and real debugging experience.
+
+## 🎯 Pattern Overview
+
+| Pattern | Purpose | Key Benefits |
+|---------|---------|--------------|
+| Messaging Flow | Complete message send/receive | Proper encryption, access groups |
+| Error Handling | Robust error management | User-friendly errors, retry logic |
+| State Management | Centralized DeSo state | Clean architecture, reusability |
+| API Integration | Consistent API usage | Proper response handling |
+| User Switching | Multi-account support | Professional UX |
+| Real-time Updates | Live message polling | Current conversation state |
+
+`;
+
+    for (const [key, patternInfo] of Object.entries(patterns)) {
+      response += `\n## ${patternInfo.title}\n\n`;
+      response += patternInfo.content.split('\n').slice(2, 8).join('\n'); // Summary
+      response += `\n\n*Use \`deso_implementation_patterns\` with pattern="${key}" for complete implementation*\n\n`;
+    }
+
+    return { content: [{ type: "text", text: response }] };
+  }
+
+  if (patterns[pattern]) {
+    return { content: [{ type: "text", text: patterns[pattern].content }] };
+  }
+
+  return { content: [{ type: "text", text: `Unknown pattern: ${pattern}. Available: ${Object.keys(patterns).join(', ')}` }] };
+}
+
+// Example layouts from deso-ui; scaffold_deso_app builds one feature per layout
+const DESO_UI_LAYOUTS = {
+  "twitter-clone": {
+    title: "Twitter-like Social Media",
+    description: "Complete social media layout with feeds, profiles, and messaging",
+    components: ["navigation-list", "user-menu", "feed-list", "post-card", "editor", "search-bar", "profile-card"],
+    layout: "Three-column layout with sidebar navigation, main feed, and right sidebar"
+  },
+  "messaging-app": {
+    title: "DeSo Messaging Application",
+    description: "Encrypted messaging interface with conversation management",
+    components: ["message-inbox", "message-chat-list", "message-chat-item", "user-search", "editor"],
+    layout: "Two-panel layout with conversation list and active chat"
+  },
+  "profile-page": {
+    title: "User Profile Page",
+    description: "Complete user profile with posts, followers, and actions",
+    components: ["profile-cover-photo", "profile-picture", "username-display", "profile-description", "profile-stat", "follow-button", "feed-list"],
+    layout: "Profile header with tabbed content sections"
+  },
+  "media-gallery": {
+    title: "Media Gallery Application",
+    description: "Instagram-like media browsing and discovery",
+    components: ["media-gallery", "media-card", "video-reel", "user-info", "post-engagement"],
+    layout: "Grid layout with modal overlays for detailed view"
+  }
+};
+
+// Comprehensive DeSo UI Components tool based on deso-ui library analysis
+async function desoUIComponents(args) {
+  const { action, component, category, framework = 'react', query } = args;
+  
+  // Complete component registry from deso-ui/registry.json analysis
+  const componentRegistry = {
+    social: {
+      description: "Components for social interactions, posts, and feeds",
+      components: {
+        "post-card": {
+          title: "Post Card",
+          description: "A comprehensive card for displaying social media posts with images, videos, polls, quotes, and engagement stats",
+          dependencies: ["user-info", "post-text", "post-image", "post-video", "post-audio", "post-embed", "post-poll", "post-engagement", "post-reactions", "action-menu", "timestamp"],
+          props: ["publicKey", "postContent", "timestamp", "images", "embedUrl", "quotedPost", "status", "videoUrl", "audioUrl", "reactions", "comments", "poll", "layout", "nft"],
+          examples: ["Default post", "With images", "With video", "With poll", "Quote post", "Repost", "NFT post"]
+        },
+        "post-text": {
+          title: "Post Text",
+          description: "Component for displaying post text content with linkification and mentions",
+          dependencies: [],
+          props: ["content", "lineClamp", "variant"],
+          examples: ["Simple text", "Rich text with links", "Truncated text"]
+        },
+        "post-image": {
+          title: "Post Image",
+          description: "Advanced image display with bento grid layouts, carousels, and blur hash support",
+          dependencies: [],
+          props: ["images", "layout", "blurhash", "onImageClick"],
+          examples: ["Single image", "Bento grid (2-4 images)", "Carousel (5+ images)"]
+        },
+        "post-video": {
+          title: "Post Video",
+          description: "Video player component with react-player integration",
+          dependencies: ["react-player"],
           props: ["videoUrl", "controls", "autoplay"],
           examples: ["YouTube embed", "Direct video file", "Vimeo embed"]
         },
@@ -3101,1536 +6361,6349 @@ async function desoUIComponents(args) {
           title: "Post Embed",
           description: "Universal embed component for YouTube, Spotify, Twitter, and other platforms",
           dependencies: [],
-          props: ["embedUrl", "platform"],
-          examples: ["YouTube video", "Spotify track", "Twitter tweet"]
+          props: ["embedUrl", "platform"],
+          examples: ["YouTube video", "Spotify track", "Twitter tweet"]
+        },
+        "post-poll": {
+          title: "Post Poll",
+          description: "Interactive poll component with voting functionality",
+          dependencies: [],
+          props: ["options", "votes", "totalVotes", "userVotedIndex", "onVote"],
+          examples: ["Multiple choice poll", "Binary poll", "Completed poll"]
+        },
+        "post-engagement": {
+          title: "Post Engagement",
+          description: "Display and interact with post metrics (likes, comments, reposts, diamonds)",
+          dependencies: [],
+          props: ["comments", "likes", "reposts", "diamonds", "views", "onLike", "onComment", "onRepost"],
+          examples: ["Basic engagement", "With actions", "High numbers formatting"]
+        },
+        "post-reactions": {
+          title: "Post Reactions",
+          description: "Emoji reactions system for posts",
+          dependencies: [],
+          props: ["reactions", "onReactionClick"],
+          examples: ["Reaction picker", "Reaction display", "Custom reactions"]
+        },
+        "feed-list": {
+          title: "Feed List",
+          description: "Scrollable list of posts for news feeds",
+          dependencies: ["post-card"],
+          props: ["posts", "loading", "onLoadMore"],
+          examples: ["Home feed", "Profile posts", "Infinite scroll"]
+        }
+      }
+    },
+    user: {
+      description: "Components for user profiles, authentication, and user interactions",
+      components: {
+        "profile-card": {
+          title: "Profile Card",
+          description: "Complete user profile card with stats, follow button, and actions",
+          dependencies: ["profile-picture", "username-display", "profile-description", "profile-stat", "follow-button"],
+          props: ["publicKey", "variant", "showStats", "showActions"],
+          examples: ["Compact card", "Full profile", "Followers list item"]
+        },
+        "profile-picture": {
+          title: "Profile Picture",
+          description: "Smart profile picture with NFT support, hex decoding, and fallbacks",
+          dependencies: [],
+          props: ["publicKey", "size", "shape", "nftImage"],
+          examples: ["Standard avatar", "NFT profile pic", "Different sizes"]
+        },
+        "username-display": {
+          title: "Username Display",
+          description: "Username with verification badge, truncation, and copy functionality",
+          dependencies: ["verification-badge", "copy-button"],
+          props: ["publicKey", "username", "variant", "truncate", "maxLength", "showCopy"],
+          examples: ["Basic username", "Verified user", "Truncated display"]
+        },
+        "user-info": {
+          title: "User Info",
+          description: "Combined user display with avatar, username, and timestamp",
+          dependencies: ["profile-picture", "username-display", "timestamp"],
+          props: ["publicKey", "timestamp", "layout"],
+          examples: ["Post header", "Comment author", "Compact info"]
+        },
+        "user-menu": {
+          title: "User Menu",
+          description: "Dropdown menu for authenticated user with account switching",
+          dependencies: ["profile-picture", "username-display"],
+          props: ["currentUser", "alternateUsers", "onSwitch", "onLogout"],
+          examples: ["Single account", "Multi-account switcher", "Settings menu"]
+        },
+        "user-search": {
+          title: "User Search",
+          description: "Typeahead search for finding users with profile previews",
+          dependencies: ["search-bar", "user-info"],
+          props: ["onUserSelect", "placeholder", "maxResults"],
+          examples: ["Mention search", "Follow search", "Message recipient"]
+        },
+        "follow-button": {
+          title: "Follow Button",
+          description: "Smart follow/unfollow button with state management",
+          dependencies: [],
+          props: ["targetPublicKey", "isFollowing", "variant", "onFollow"],
+          examples: ["Follow button", "Icon only", "Disabled state"]
+        },
+        "profile-list": {
+          title: "Profile List",
+          description: "List of user profiles for followers, following, etc.",
+          dependencies: ["profile-card"],
+          props: ["profiles", "variant", "showActions"],
+          examples: ["Followers list", "Following list", "Search results"]
+        }
+      }
+    },
+    messaging: {
+      description: "Components for DeSo's encrypted messaging system",
+      components: {
+        "message-inbox": {
+          title: "Message Inbox",
+          description: "Complete chat interface with conversation list and message thread",
+          dependencies: ["message-inbox-item", "message-chat-list", "editor"],
+          props: ["conversations", "selectedConversation", "currentUser"],
+          examples: ["Desktop inbox", "Mobile chat", "Empty state"]
+        },
+        "message-chat-list": {
+          title: "Message Chat List",
+          description: "List of messages in a conversation thread",
+          dependencies: ["message-chat-item"],
+          props: ["messages", "currentUser", "onLoadMore"],
+          examples: ["Active conversation", "Message history", "Loading states"]
+        },
+        "message-chat-item": {
+          title: "Message Chat Item",
+          description: "Individual message bubble with timestamp and status",
+          dependencies: ["profile-picture", "timestamp"],
+          props: ["message", "isFromCurrentUser", "showTimestamp"],
+          examples: ["Text message", "Media message", "System message"]
+        },
+        "message-inbox-item": {
+          title: "Message Inbox Item",
+          description: "Conversation preview in the sidebar",
+          dependencies: ["profile-picture", "timestamp"],
+          props: ["conversation", "isSelected", "unreadCount"],
+          examples: ["Recent conversation", "Unread messages", "Selected state"]
+        },
+        "message-button": {
+          title: "Message Button",
+          description: "Button to initiate messaging with a user",
+          dependencies: [],
+          props: ["targetPublicKey", "variant", "onClick"],
+          examples: ["Profile message button", "Icon only", "Disabled state"]
+        }
+      }
+    },
+    media: {
+      description: "Components for media display and interaction",
+      components: {
+        "media-gallery": {
+          title: "Media Gallery",
+          description: "Masonry layout gallery for images and videos",
+          dependencies: ["media-item", "react-photo-album"],
+          props: ["media", "layout", "onItemClick"],
+          examples: ["Image gallery", "Mixed media", "Lightbox integration"]
+        },
+        "media-card": {
+          title: "Media Card",
+          description: "Media preview card with hover effects and engagement",
+          dependencies: ["post-engagement", "react-player"],
+          props: ["mediaUrl", "mediaType", "engagement", "onPlay"],
+          examples: ["Image card", "Video card", "Hover preview"]
+        },
+        "media-item": {
+          title: "Media Item",
+          description: "Individual media item with optimization",
+          dependencies: ["post-engagement"],
+          props: ["mediaUrl", "mediaType", "size", "onClick"],
+          examples: ["Thumbnail", "Full size", "Loading placeholder"]
+        },
+        "video-reel": {
+          title: "Video Reel",
+          description: "TikTok-style vertical video player for short content",
+          dependencies: ["user-info", "post-engagement", "post-text", "react-player"],
+          props: ["videos", "currentIndex", "onVideoChange"],
+          examples: ["Short video feed", "Single video", "Auto-play reel"]
+        }
+      }
+    },
+    interactive: {
+      description: "Interactive components for content creation and actions",
+      components: {
+        "editor": {
+          title: "Editor",
+          description: "Rich text editor with media uploads, emojis, and markdown support",
+          dependencies: ["editor-emoji-picker", "editor-markdown", "editor-upload"],
+          props: ["currentUser", "onSubmit", "placeholder", "maxChars", "showImageUpload", "showVideoUpload"],
+          examples: ["Basic post editor", "Reply editor", "DM composer"]
+        },
+        "editor-upload": {
+          title: "Editor Upload",
+          description: "File upload component with drag-and-drop and progress",
+          dependencies: [],
+          props: ["acceptedTypes", "maxFiles", "onUpload", "uploadType"],
+          examples: ["Image upload", "Video upload", "Multiple files"]
+        },
+        "editor-emoji-picker": {
+          title: "Editor Emoji Picker",
+          description: "Emoji picker for editor integration",
+          dependencies: ["emoji-picker-react"],
+          props: ["onEmojiClick", "theme"],
+          examples: ["Emoji picker", "Custom categories", "Skin tone selector"]
+        },
+        "search-bar": {
+          title: "Search Bar",
+          description: "Universal search with autocomplete and keyboard navigation",
+          dependencies: [],
+          props: ["placeholder", "onSearch", "suggestions", "loading"],
+          examples: ["Global search", "User search", "Post search"]
+        },
+        "action-menu": {
+          title: "Action Menu",
+          description: "Dropdown menu for post and user actions",
+          dependencies: ["confirmation-dialog"],
+          props: ["actions", "onAction", "triggerIcon"],
+          examples: ["Post actions", "User actions", "Custom actions"]
+        },
+        "confirmation-dialog": {
+          title: "Confirmation Dialog",
+          description: "Modal dialog for confirming destructive actions",
+          dependencies: [],
+          props: ["title", "description", "onConfirm", "onCancel"],
+          examples: ["Delete confirmation", "Unfollow confirmation", "Block user"]
+        }
+      }
+    },
+    navigation: {
+      description: "Navigation and layout components",
+      components: {
+        "navigation-list": {
+          title: "Navigation List",
+          description: "Sidebar navigation with icons and badges",
+          dependencies: [],
+          props: ["items", "activeItem", "onItemClick"],
+          examples: ["Main sidebar", "Mobile menu", "Settings nav"]
         },
-        "post-poll": {
-          title: "Post Poll",
-          description: "Interactive poll component with voting functionality",
+        "logo": {
+          title: "Logo",
+          description: "DeSo logo with light/dark mode support",
           dependencies: [],
-          props: ["options", "votes", "totalVotes", "userVotedIndex", "onVote"],
-          examples: ["Multiple choice poll", "Binary poll", "Completed poll"]
+          props: ["variant", "size", "theme"],
+          examples: ["Header logo", "Loading logo", "Favicon"]
+        }
+      }
+    },
+    utility: {
+      description: "Utility components for common functionality",
+      components: {
+        "timestamp": {
+          title: "Timestamp",
+          description: "Smart timestamp display with relative and absolute formatting",
+          dependencies: ["date-fns"],
+          props: ["date", "format", "relative"],
+          examples: ["Relative time", "Full date", "Custom format"]
         },
-        "post-engagement": {
-          title: "Post Engagement",
-          description: "Display and interact with post metrics (likes, comments, reposts, diamonds)",
+        "copy-button": {
+          title: "Copy Button",
+          description: "Button with copy-to-clipboard functionality",
           dependencies: [],
-          props: ["comments", "likes", "reposts", "diamonds", "views", "onLike", "onComment", "onRepost"],
-          examples: ["Basic engagement", "With actions", "High numbers formatting"]
+          props: ["text", "variant", "showFeedback"],
+          examples: ["Copy text", "Copy link", "Copy public key"]
         },
-        "post-reactions": {
-          title: "Post Reactions",
-          description: "Emoji reactions system for posts",
+        "verification-badge": {
+          title: "Verification Badge",
+          description: "Verification badge with multiple styles",
           dependencies: [],
-          props: ["reactions", "onReactionClick"],
-          examples: ["Reaction picker", "Reaction display", "Custom reactions"]
-        },
-        "feed-list": {
-          title: "Feed List",
-          description: "Scrollable list of posts for news feeds",
-          dependencies: ["post-card"],
-          props: ["posts", "loading", "onLoadMore"],
-          examples: ["Home feed", "Profile posts", "Infinite scroll"]
+          props: ["verified", "variant", "size"],
+          examples: ["Verified user", "Different styles", "Custom colors"]
+        }
+      }
+    }
+  };
+
+  switch (action) {
+    case 'explore':
+      if (component) {
+        return exploreSpecificComponent(component, componentRegistry, framework);
+      } else if (category && category !== 'all') {
+        return exploreCategoryComponents(category, componentRegistry, framework);
+      } else {
+        return exploreAllComponents(componentRegistry);
+      }
+    
+    case 'install':
+      return generateInstallInstructions(component, componentRegistry);
+    
+    case 'usage':
+      return generateUsageExamples(component, componentRegistry, framework);
+    
+    case 'dependencies':
+      return showComponentDependencies(component, componentRegistry);
+    
+    case 'examples':
+      return showComponentExamples(component, componentRegistry, framework);
+    
+    case 'layouts':
+      return showExampleLayouts(DESO_UI_LAYOUTS, framework);
+    
+    case 'categories':
+      return showComponentCategories(componentRegistry);
+    
+    case 'search':
+      return searchComponents(query, componentRegistry);
+    
+    default:
+      return { content: [{ type: "text", text: `Unknown action: ${action}. Available: explore, install, usage, dependencies, examples, layouts, categories, search` }] };
+  }
+}
+
+// Helper functions for DeSo UI Components
+function exploreAllComponents(registry) {
+  let response = `# 🎨 DeSo UI Component Library
+
+A comprehensive React component library for building DeSo blockchain applications.
+
+**Built with:** TypeScript, Shadcn UI, Tailwind CSS, Storybook  
+**Installation:** \`npx shadcn@latest add http://ui.deso.com/r/[component].json\`
+
+## 📊 Component Overview
+
+`;
+
+  let totalComponents = 0;
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    const componentCount = Object.keys(categoryInfo.components).length;
+    totalComponents += componentCount;
+    response += `### ${categoryName.toUpperCase()} (${componentCount} components)\n`;
+    response += `${categoryInfo.description}\n\n`;
+    
+    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
+      response += `- **${componentInfo.title}**: ${componentInfo.description}\n`;
+    }
+    response += `\n`;
+  }
+
+  response += `## 🚀 Quick Start
+
+\`\`\`bash
+# Install a specific component
+npx shadcn@latest add http://ui.deso.com/r/post-card.json
+
+# Install all shadcn base components
+npx shadcn@latest add --all
+\`\`\`
+
+**Total Components:** ${totalComponents}
+
+Use \`deso_ui_components\` with specific actions:
+- \`explore\` - Explore categories or specific components  
+- \`install\` - Get installation commands
+- \`usage\` - See usage examples
+- \`examples\` - View component examples
+- \`layouts\` - See complete layout examples`;
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function exploreSpecificComponent(componentName, registry, framework) {
+  // Find component across all categories
+  let foundComponent = null;
+  let foundCategory = null;
+  
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    if (categoryInfo.components[componentName]) {
+      foundComponent = categoryInfo.components[componentName];
+      foundCategory = categoryName;
+      break;
+    }
+  }
+  
+  if (!foundComponent) {
+    return { content: [{ type: "text", text: `Component "${componentName}" not found. Use 'search' action to find similar components.` }] };
+  }
+
+  let response = `# ${foundComponent.title}
+
+**Category:** ${foundCategory.toUpperCase()}  
+**Component:** \`${componentName}\`
+
+${foundComponent.description}
+
+## 🛠️ Installation
+
+\`\`\`bash
+npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
+\`\`\`
+
+## 📋 Dependencies
+
+`;
+
+  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
+    response += `**Registry Dependencies:**\n`;
+    for (const dep of foundComponent.dependencies) {
+      response += `- ${dep}\n`;
+    }
+  } else {
+    response += `No additional dependencies required.\n`;
+  }
+
+  response += `\n## 🎯 Props
+
+**Key Props:**\n`;
+  for (const prop of foundComponent.props || []) {
+    response += `- \`${prop}\`\n`;
+  }
+
+  response += `\n## 📱 Usage Example (${framework})
+
+\`\`\`${framework === 'react' ? 'tsx' : 'javascript'}
+import { ${foundComponent.title.replace(/\s+/g, '')} } from '@/components/deso-ui/${componentName}';
+
+function MyComponent() {
+  return (
+    <${foundComponent.title.replace(/\s+/g, '')}
+      // Add your props here
+    />
+  );
+}
+\`\`\`
+
+## ✨ Examples
+
+`;
+
+  for (const example of foundComponent.examples || []) {
+    response += `- ${example}\n`;
+  }
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function generateInstallInstructions(componentName, registry) {
+  if (!componentName) {
+    return { content: [{ type: "text", text: "Please specify a component name for installation instructions." }] };
+  }
+
+  let response = `# 📦 Installation Instructions
+
+## Install ${componentName}
+
+\`\`\`bash
+npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
+\`\`\`
+
+## Setup Dependencies
+
+\`\`\`bash
+# Install required npm packages if needed
+npm install deso-protocol lucide-react class-variance-authority
+\`\`\`
+
+## Usage
+
+\`\`\`tsx
+import { ${componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')} } from '@/components/deso-ui/${componentName}';
+
+export default function MyApp() {
+  return (
+    <${componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')} />
+  );
+}
+\`\`\`
+
+## Additional Setup
+
+For DeSo integration, configure the SDK:
+
+\`\`\`tsx
+import { configure } from 'deso-protocol';
+
+configure({
+  nodeURI: 'https://node.deso.org',
+  identityURI: 'https://identity.deso.org'
+});
+\`\`\``;
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function showExampleLayouts(layouts, framework) {
+  let response = `# 🏗️ Complete Layout Examples
+
+Ready-to-use layout patterns combining multiple DeSo UI components.
+
+`;
+
+  for (const [layoutName, layoutInfo] of Object.entries(layouts)) {
+    response += `## ${layoutInfo.title}
+
+${layoutInfo.description}
+
+**Layout:** ${layoutInfo.layout}
+
+**Components Used:**
+`;
+    for (const component of layoutInfo.components) {
+      response += `- ${component}\n`;
+    }
+
+    response += `\n**Installation:**\n\`\`\`bash\n`;
+    for (const component of layoutInfo.components) {
+      response += `npx shadcn@latest add http://ui.deso.com/r/${component}.json\n`;
+    }
+    response += `\`\`\`\n\n`;
+  }
+
+  response += `## 🎯 Framework Integration
+
+### Next.js Setup
+\`\`\`bash
+npx create-next-app@latest my-deso-app --typescript --tailwind --app
+cd my-deso-app
+npm install deso-protocol
+\`\`\`
+
+### Component Installation
+\`\`\`bash
+# Install all base UI components
+npx shadcn@latest add --all
+
+# Install specific DeSo components
+npx shadcn@latest add http://ui.deso.com/r/post-card.json
+\`\`\``;
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function exploreCategoryComponents(category, registry, framework) {
+  if (!registry[category]) {
+    return { content: [{ type: "text", text: `Category "${category}" not found. Available: ${Object.keys(registry).join(', ')}` }] };
+  }
+
+  const categoryInfo = registry[category];
+  let response = `# ${category.toUpperCase()} Components
+
+${categoryInfo.description}
+
+## Components (${Object.keys(categoryInfo.components).length})
+
+`;
+
+  for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
+    response += `### ${componentInfo.title} (\`${componentName}\`)
+
+${componentInfo.description}
+
+**Installation:** \`npx shadcn@latest add http://ui.deso.com/r/${componentName}.json\`
+
+**Key Props:** ${componentInfo.props?.join(', ') || 'None'}
+
+**Dependencies:** ${componentInfo.dependencies?.length > 0 ? componentInfo.dependencies.join(', ') : 'None'}
+
+---
+
+`;
+  }
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function generateUsageExamples(componentName, registry, framework) {
+  if (!componentName) {
+    return { content: [{ type: "text", text: "Please specify a component name for usage examples." }] };
+  }
+
+  let foundComponent = null;
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    if (categoryInfo.components[componentName]) {
+      foundComponent = categoryInfo.components[componentName];
+      break;
+    }
+  }
+
+  if (!foundComponent) {
+    return { content: [{ type: "text", text: `Component "${componentName}" not found.` }] };
+  }
+
+  const componentPascal = componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+  let response = `# ${foundComponent.title} Usage Examples
+
+## Basic Usage
+
+\`\`\`${framework === 'react' ? 'tsx' : 'javascript'}
+import { ${componentPascal} } from '@/components/deso-ui/${componentName}';
+
+export default function Example() {
+  return (
+    <${componentPascal} 
+      // Basic props
+    />
+  );
+}
+\`\`\`
+
+## Advanced Examples
+
+`;
+
+  // Generate specific examples based on component type
+  if (componentName === 'post-card') {
+    response += `### Social Media Post
+\`\`\`tsx
+<PostCard
+  publicKey="BC1YLi..."
+  postContent="Hello DeSo! 🚀"
+  timestamp={new Date()}
+  images={["https://example.com/image.jpg"]}
+  actions={{
+    comments: 5,
+    likes: 25,
+    reposts: 3,
+    diamonds: 2,
+    views: 150
+  }}
+/>
+\`\`\`
+
+### Post with Poll
+\`\`\`tsx
+<PostCard
+  publicKey="BC1YLi..."
+  postContent="What's your favorite DeSo feature?"
+  poll={{
+    options: [
+      { text: "Creator Coins" },
+      { text: "Diamonds" },
+      { text: "NFTs" }
+    ],
+    votes: [15, 10, 8],
+    totalVotes: 33,
+    userVotedIndex: null
+  }}
+/>
+\`\`\``;
+  } else if (componentName === 'editor') {
+    response += `### Post Composer
+\`\`\`tsx
+<Editor
+  currentUser={{
+    publicKey: "BC1YLi...",
+    profile: { username: "creator" }
+  }}
+  onSubmit={(data) => {
+    console.log('Post submitted:', data);
+  }}
+  placeholder="What's on your mind?"
+  maxChars={600}
+  showImageUpload={true}
+  showVideoUpload={true}
+/>
+\`\`\``;
+  } else if (componentName === 'message-inbox') {
+    response += `### Chat Interface
+\`\`\`tsx
+<MessageInbox
+  conversations={[
+    {
+      id: "conv1",
+      otherUser: { publicKey: "BC1YLi...", username: "friend" },
+      lastMessage: "Hey there!",
+      unreadCount: 2
+    }
+  ]}
+  selectedConversation="conv1"
+  currentUser={{ publicKey: "BC1YLi..." }}
+/>
+\`\`\``;
+  }
+
+  response += `\n## Integration with DeSo SDK
+
+\`\`\`tsx
+import { identity, ${componentName.includes('post') ? 'submitPost' : 'getSingleProfile'} } from 'deso-protocol';
+import { ${componentPascal} } from '@/components/deso-ui/${componentName}';
+
+function DeSoIntegratedExample() {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    identity.subscribe((state) => {
+      setUser(state.currentUser);
+    });
+  }, []);
+
+  return user ? (
+    <${componentPascal} 
+      publicKey={user.publicKey}
+      // Additional DeSo-specific props
+    />
+  ) : (
+    <div>Please log in</div>
+  );
+}
+\`\`\``;
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function showComponentDependencies(componentName, registry) {
+  if (!componentName) {
+    return { content: [{ type: "text", text: "Please specify a component name to show dependencies." }] };
+  }
+
+  let foundComponent = null;
+  let foundCategory = null;
+  
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    if (categoryInfo.components[componentName]) {
+      foundComponent = categoryInfo.components[componentName];
+      foundCategory = categoryName;
+      break;
+    }
+  }
+
+  if (!foundComponent) {
+    return { content: [{ type: "text", text: `Component "${componentName}" not found.` }] };
+  }
+
+  let response = `# ${foundComponent.title} Dependencies
+
+## Installation Order
+
+\`\`\`bash
+# Install base component first
+npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
+`;
+
+  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
+    response += `\n# Install dependencies\n`;
+    for (const dep of foundComponent.dependencies) {
+      if (dep.startsWith('react-') || dep.includes('.')) {
+        response += `npm install ${dep}\n`;
+      } else {
+        response += `npx shadcn@latest add http://ui.deso.com/r/${dep}.json\n`;
+      }
+    }
+  }
+
+  response += `\`\`\`
+
+## Dependency Tree
+
+\`\`\`
+${componentName}
+`;
+
+  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
+    for (const dep of foundComponent.dependencies) {
+      response += `├── ${dep}\n`;
+    }
+  } else {
+    response += `└── (no dependencies)\n`;
+  }
+
+  response += `\`\`\`
+
+## Component Imports
+
+\`\`\`tsx
+// Main component
+import { ${foundComponent.title.replace(/\s+/g, '')} } from '@/components/deso-ui/${componentName}';
+
+`;
+
+  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
+    response += `// Dependencies (automatically imported)\n`;
+    for (const dep of foundComponent.dependencies) {
+      if (!dep.startsWith('react-') && !dep.includes('.')) {
+        const depPascal = dep.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+        response += `// import { ${depPascal} } from '@/components/deso-ui/${dep}';\n`;
+      }
+    }
+  }
+
+  response += `\`\`\``;
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function showComponentCategories(registry) {
+  let response = `# 📁 Component Categories
+
+Overview of all component categories in the DeSo UI library.
+
+`;
+
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    const componentCount = Object.keys(categoryInfo.components).length;
+    response += `## ${categoryName.toUpperCase()} (${componentCount} components)
+
+${categoryInfo.description}
+
+**Components:**
+`;
+
+    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
+      response += `- \`${componentName}\` - ${componentInfo.title}\n`;
+    }
+
+    response += `\n**Install all ${categoryName} components:**
+\`\`\`bash
+`;
+
+    for (const componentName of Object.keys(categoryInfo.components)) {
+      response += `npx shadcn@latest add http://ui.deso.com/r/${componentName}.json\n`;
+    }
+
+    response += `\`\`\`
+
+---
+
+`;
+  }
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+function searchComponents(query, registry) {
+  if (!query) {
+    return { content: [{ type: "text", text: "Please provide a search query." }] };
+  }
+
+  const searchTerm = query.toLowerCase();
+  const results = [];
+
+  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
+    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
+      const searchableText = `${componentName} ${componentInfo.title} ${componentInfo.description}`.toLowerCase();
+      
+      if (searchableText.includes(searchTerm)) {
+        results.push({
+          category: categoryName,
+          name: componentName,
+          title: componentInfo.title,
+          description: componentInfo.description,
+          score: (searchableText.match(new RegExp(searchTerm, 'g')) || []).length
+        });
+      }
+    }
+  }
+
+  // Sort by relevance
+  results.sort((a, b) => b.score - a.score);
+
+  if (results.length === 0) {
+    return { content: [{ type: "text", text: `No components found matching "${query}".` }] };
+  }
+
+  let response = `# 🔍 Search Results for "${query}"
+
+Found ${results.length} matching components:
+
+`;
+
+  for (const result of results.slice(0, 10)) { // Show top 10 results
+    response += `## ${result.title} (\`${result.name}\`)
+
+**Category:** ${result.category.toUpperCase()}  
+**Description:** ${result.description}  
+**Install:** \`npx shadcn@latest add http://ui.deso.com/r/${result.name}.json\`
+
+---
+
+`;
+  }
+
+  if (results.length > 10) {
+    response += `*Showing top 10 of ${results.length} results*`;
+  }
+
+  return { content: [{ type: "text", text: response }] };
+}
+
+// Project templates for scaffold_deso_app. Browser templates share the feature modules below and
+// differ only in routing, links and how env vars reach the bundle; Node scripts sign with a key
+// from the environment instead of DeSo Identity.
+const SCAFFOLD_TEMPLATES = {
+  "vite-react": {
+    title: "Vite + React",
+    description: "Single-page app with react-router and DeSo Identity login",
+    run: "npm run dev",
+    envPrefix: "VITE_",
+    envAccess: (name) => `import.meta.env.VITE_${name}`,
+    sourceDir: "src/",
+    clientDirective: "",
+    linkImport: "import { Link } from 'react-router-dom';",
+    link: (href, children, attributes = '') => `<Link to=${href}${attributes}>${children}</Link>`,
+    navigationImport: "import { useNavigate } from 'react-router-dom';",
+    navigationHook: "const navigate = useNavigate();",
+    navigate: (path) => `navigate(${path})`
+  },
+  nextjs: {
+    title: "Next.js App Router",
+    description: "App Router project with client components for everything that touches DeSo Identity",
+    run: "npm run dev",
+    envPrefix: "NEXT_PUBLIC_",
+    envAccess: (name) => `process.env.NEXT_PUBLIC_${name}`,
+    sourceDir: "",
+    clientDirective: "'use client';\n\n",
+    linkImport: "import Link from 'next/link';",
+    link: (href, children, attributes = '') => `<Link href=${href}${attributes}>${children}</Link>`,
+    navigationImport: "import { useRouter } from 'next/navigation';",
+    navigationHook: "const router = useRouter();",
+    navigate: (path) => `router.push(${path})`
+  },
+  node: {
+    title: "Node scripts",
+    description: "Command-line scripts that build, sign and submit transactions with a key from the environment",
+    run: "npm start -- <command>"
+  }
+};
+
+const SCAFFOLD_PACKAGE_VERSIONS = {
+  "deso-protocol": "^3.0.0",
+  "react": "^18.3.1",
+  "react-dom": "^18.3.1",
+  "react-router-dom": "^6.28.0",
+  "next": "^14.2.0",
+  "vite": "^5.4.0",
+  "@vitejs/plugin-react": "^4.3.0",
+  "@noble/curves": "^1.6.0",
+  "@noble/hashes": "^1.5.0"
+};
+
+// One feature per deso-ui layout: its routes (browser templates), the operations its derived key
+// needs, and the Node commands that cover the same ground
+const SCAFFOLD_FEATURES = {
+  "twitter-clone": {
+    name: "feed",
+    title: "Global feed with a post composer",
+    routes: [
+      { path: "/", component: "FeedPage", file: "FeedPage", label: "Feed" },
+      { path: "/posts/:postHashHex", component: "PostPage", file: "PostPage", param: "postHashHex" }
+    ],
+    transactionLimits: { SUBMIT_POST: "UNLIMITED" },
+    dependencies: [],
+    nodeCommands: {
+      feed: { usage: "feed", description: "Print the newest posts of the global feed" },
+      post: { usage: "post <text>", description: "Publish a post as DESO_PUBLIC_KEY", account: true }
+    }
+  },
+  "messaging-app": {
+    name: "messages",
+    title: "Encrypted direct messages (deso_implementation_patterns messaging-flow)",
+    routes: [
+      { path: "/", component: "InboxPage", file: "InboxPage", label: "Inbox" },
+      { path: "/messages/:publicKey", component: "ThreadPage", file: "ThreadPage", param: "publicKey" }
+    ],
+    transactionLimits: { AUTHORIZE_DERIVED_KEY: 1, NEW_MESSAGE: "UNLIMITED" },
+    accessGroupLimits: true,
+    globalDesoLimit: 5,
+    dependencies: ["@noble/hashes"],
+    nodeCommands: {
+      threads: { usage: "threads", description: "List the DM threads of DESO_PUBLIC_KEY, newest first", account: true }
+    }
+  },
+  "profile-page": {
+    name: "profile",
+    title: "Profile page with follower counts, posts and a follow button",
+    routes: [
+      { path: "/", component: "ProfileSearchPage", file: "ProfileSearchPage", label: "Profiles" },
+      { path: "/u/:username", component: "ProfilePage", file: "ProfilePage", param: "username" }
+    ],
+    transactionLimits: { FOLLOW: "UNLIMITED" },
+    dependencies: [],
+    nodeCommands: {
+      profile: { usage: "profile <username>", description: "Print a profile with its follower counts" },
+      follow: { usage: "follow <username>", description: "Follow a user as DESO_PUBLIC_KEY", account: true },
+      unfollow: { usage: "unfollow <username>", description: "Unfollow a user as DESO_PUBLIC_KEY", account: true }
+    }
+  },
+  "media-gallery": {
+    name: "gallery",
+    title: "Image and video grid with an upload page",
+    routes: [
+      { path: "/", component: "GalleryPage", file: "GalleryPage", label: "Gallery" },
+      { path: "/upload", component: "UploadPage", file: "UploadPage", label: "Upload" }
+    ],
+    transactionLimits: { SUBMIT_POST: "UNLIMITED" },
+    dependencies: [],
+    nodeCommands: {
+      gallery: { usage: "gallery", description: "Print recent posts that carry images or videos" },
+      upload: { usage: "upload <file> [caption]", description: "Upload an image and post it as DESO_PUBLIC_KEY", account: true }
+    }
+  }
+};
+
+// Feature modules shared by the browser templates. `fw` is a SCAFFOLD_TEMPLATES entry: it supplies
+// the client directive, links and navigation so the same component works under both routers.
+const SCAFFOLD_FEATURE_FILES = {
+  feed: (fw) => ({
+    "api.js": `import { getPostsStateless, getSinglePost, submitPost } from 'deso-protocol';
+
+const FEED_PAGE_SIZE = 30;
+
+// Global feed, newest first. The reader key fills in each post's PostEntryReaderState (liked, reposted).
+export async function fetchFeed(readerPublicKey) {
+  const { PostsFound } = await getPostsStateless({
+    ReaderPublicKeyBase58Check: readerPublicKey,
+    NumToFetch: FEED_PAGE_SIZE,
+    GetPostsForGlobalWhitelist: true,
+  });
+  return PostsFound || [];
+}
+
+// Comments come back under PostFound.Comments
+export async function fetchPost(postHashHex, readerPublicKey) {
+  const { PostFound } = await getSinglePost({
+    PostHashHex: postHashHex,
+    ReaderPublicKeyBase58Check: readerPublicKey,
+    CommentLimit: 20,
+  });
+  return PostFound;
+}
+
+// submitPost builds the transaction, signs it with the derived key from login and submits it
+export async function publishPost(publicKey, body) {
+  const { submittedTransactionResponse } = await submitPost({
+    UpdaterPublicKeyBase58Check: publicKey,
+    BodyObj: { Body: body, ImageURLs: [], VideoURLs: [] },
+    MinFeeRateNanosPerKB: 1000,
+  });
+  return submittedTransactionResponse?.TxnHashHex;
+}
+`,
+    "PostCard.jsx": `${fw.linkImport}
+import { profilePictureUrl, shortKey } from '../../lib/deso';
+
+// A post laid out like the deso-ui post-card: avatar, author, text, images and engagement counts
+export function PostCard({ post }) {
+  const author = post.ProfileEntryResponse?.Username || shortKey(post.PosterPublicKeyBase58Check);
+  const postedAt = new Date(post.TimestampNanos / 1e6);
+  const images = (post.ImageURLs || []).filter(Boolean);
+
+  return (
+    <article className="card post">
+      <img className="avatar" src={profilePictureUrl(post.PosterPublicKeyBase58Check)} alt="" />
+      <div className="post-content">
+        <header>
+          <strong>{author}</strong>
+          ${fw.link('{`/posts/${post.PostHashHex}`}', '<time dateTime={postedAt.toISOString()}>{postedAt.toLocaleString()}</time>', ' className="muted"')}
+        </header>
+        <p className="post-body">{post.Body}</p>
+        {images.map((url) => (
+          <img key={url} className="post-image" src={url} alt="" />
+        ))}
+        <footer className="muted">
+          💬 {post.CommentCount} · 🔁 {post.RepostCount} · ❤️ {post.LikeCount} · 💎 {post.DiamondCount}
+        </footer>
+      </div>
+    </article>
+  );
+}
+`,
+    "Composer.jsx": `${fw.clientDirective}import { useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { publishPost } from './api';
+
+export function Composer({ onPosted }) {
+  const { currentUser } = useDesoUser();
+  const [body, setBody] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!currentUser) return null;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsPosting(true);
+    setError(null);
+    try {
+      await publishPost(currentUser.publicKey, body.trim());
+      setBody('');
+      onPosted?.();
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  return (
+    <form className="card stack" onSubmit={handleSubmit}>
+      <textarea
+        value={body}
+        onChange={(event) => setBody(event.target.value)}
+        placeholder="What's happening?"
+        rows={3}
+      />
+      {error && <p className="error">{error}</p>}
+      <button type="submit" disabled={isPosting || !body.trim()}>
+        {isPosting ? 'Posting…' : 'Post'}
+      </button>
+    </form>
+  );
+}
+`,
+    "FeedPage.jsx": `${fw.clientDirective}import { useCallback, useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { fetchFeed } from './api';
+import { Composer } from './Composer';
+import { PostCard } from './PostCard';
+
+export function FeedPage() {
+  const { currentUser, isLoading: isLoadingUser } = useDesoUser();
+  const readerPublicKey = currentUser?.publicKey;
+  const [posts, setPosts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadFeed = useCallback(async () => {
+    try {
+      setPosts(await fetchFeed(readerPublicKey));
+      setError(null);
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [readerPublicKey]);
+
+  // Wait for identity so the first request already carries the reader's key
+  useEffect(() => {
+    if (!isLoadingUser) loadFeed();
+  }, [isLoadingUser, loadFeed]);
+
+  return (
+    <section className="stack">
+      <Composer onPosted={loadFeed} />
+      {error && <p className="error">{error}</p>}
+      {isLoading ? (
+        <p className="muted">Loading feed…</p>
+      ) : (
+        posts.map((post) => <PostCard key={post.PostHashHex} post={post} />)
+      )}
+    </section>
+  );
+}
+`,
+    "PostPage.jsx": `${fw.clientDirective}import { useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { fetchPost } from './api';
+import { PostCard } from './PostCard';
+
+export function PostPage({ postHashHex }) {
+  const { currentUser, isLoading: isLoadingUser } = useDesoUser();
+  const readerPublicKey = currentUser?.publicKey;
+  const [post, setPost] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isLoadingUser) return undefined;
+    let cancelled = false;
+    fetchPost(postHashHex, readerPublicKey)
+      .then((found) => !cancelled && setPost(found))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [postHashHex, readerPublicKey, isLoadingUser]);
+
+  if (error) return <p className="error">{error}</p>;
+  if (!post) return <p className="muted">Loading post…</p>;
+
+  const comments = post.Comments || [];
+  return (
+    <section className="stack">
+      <PostCard post={post} />
+      <h2>Comments</h2>
+      {comments.length === 0 && <p className="muted">No comments yet.</p>}
+      {comments.map((comment) => (
+        <PostCard key={comment.PostHashHex} post={comment} />
+      ))}
+    </section>
+  );
+}
+`
+  }),
+
+  // Follows the messaging-flow pattern of deso_implementation_patterns (and deso-chat itself)
+  messages: (fw) => ({
+    "api.js": `import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import {
+  ChatType,
+  checkPartyAccessGroups,
+  createAccessGroup,
+  getAllAccessGroups,
+  getAllMessageThreads,
+  getPaginatedDMThread,
+  identity,
+  sendDMMessage,
+  waitForTransactionFound,
+} from 'deso-protocol';
+
+export const DEFAULT_KEY_MESSAGING_GROUP_NAME = 'default-key';
+const MESSAGES_PER_PAGE = 25;
+
+async function fetchAccessGroups(publicKey) {
+  const { AccessGroupsOwned, AccessGroupsMember } = await getAllAccessGroups({
+    PublicKeyBase58Check: publicKey,
+  });
+  const owned = AccessGroupsOwned || [];
+  return { owned, all: owned.concat(AccessGroupsMember || []) };
+}
+
+// Sending and decrypting DMs needs the "default-key" access group, so create it on first use
+export async function setupMessaging(currentUser) {
+  const { owned, all } = await fetchAccessGroups(currentUser.publicKey);
+  if (owned.some((group) => group.AccessGroupKeyName === DEFAULT_KEY_MESSAGING_GROUP_NAME)) {
+    return all;
+  }
+
+  const { submittedTransactionResponse } = await createAccessGroup({
+    AccessGroupOwnerPublicKeyBase58Check: currentUser.publicKey,
+    AccessGroupPublicKeyBase58Check: currentUser.primaryDerivedKey.messagingPublicKeyBase58Check,
+    AccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+    MinFeeRateNanosPerKB: 1000,
+  });
+  await waitForTransactionFound(submittedTransactionResponse.TxnHashHex);
+  return (await fetchAccessGroups(currentUser.publicKey)).all;
+}
+
+// Decrypt with the groups we have; when a group key is missing, refetch the groups once and retry
+async function decryptMessages(publicKey, messages, accessGroups) {
+  const decryptAll = (groups) =>
+    Promise.all(messages.map((message) => identity.decryptMessage(message, groups)));
+
+  const decrypted = await decryptAll(accessGroups);
+  if (decrypted.some((message) => message.error === 'Error: access group key not found for group message')) {
+    return decryptAll((await fetchAccessGroups(publicKey)).all);
+  }
+  return decrypted;
+}
+
+// The text lives in DecryptedMessage, not MessageInfo.EncryptedText
+export function messageText(message) {
+  if (message.DecryptedMessage) return message.DecryptedMessage;
+  if (message.MessageInfo?.ExtraData?.unencrypted === 'true') {
+    return new TextDecoder().decode(hexToBytes(message.MessageInfo.EncryptedText));
+  }
+  return message.error ? '[Decryption failed]' : '[Encrypted message]';
+}
+
+// One entry per DM partner with their latest message, newest first (group chats are left out)
+export async function loadInbox(publicKey, accessGroups) {
+  const { MessageThreads, PublicKeyToProfileEntryResponse } = await getAllMessageThreads({
+    UserPublicKeyBase58Check: publicKey,
+  });
+  const directMessages = (MessageThreads || []).filter((thread) => thread.ChatType === ChatType.DM);
+  const decrypted = await decryptMessages(publicKey, directMessages, accessGroups);
+
+  return decrypted
+    .map((message) => {
+      const partner = message.IsSender ? message.RecipientInfo : message.SenderInfo;
+      return {
+        publicKey: partner.OwnerPublicKeyBase58Check,
+        username: PublicKeyToProfileEntryResponse?.[partner.OwnerPublicKeyBase58Check]?.Username,
+        lastMessage: messageText(message),
+        timestampNanos: message.MessageInfo.TimestampNanos,
+      };
+    })
+    .sort((a, b) => b.timestampNanos - a.timestampNanos);
+}
+
+// The latest page of a DM thread, oldest first for display
+export async function loadThread(publicKey, partnerPublicKey, accessGroups) {
+  const { ThreadMessages } = await getPaginatedDMThread({
+    UserGroupOwnerPublicKeyBase58Check: publicKey,
+    UserGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+    PartyGroupOwnerPublicKeyBase58Check: partnerPublicKey,
+    PartyGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+    MaxMessagesToFetch: MESSAGES_PER_PAGE,
+    StartTimeStamp: Date.now() * 1e6,
+  });
+  const decrypted = await decryptMessages(publicKey, ThreadMessages || [], accessGroups);
+
+  return decrypted
+    .map((message) => ({
+      id: message.MessageInfo.TimestampNanosString,
+      isSender: message.IsSender,
+      text: messageText(message),
+      timestampNanos: message.MessageInfo.TimestampNanos,
+    }))
+    .sort((a, b) => a.timestampNanos - b.timestampNanos);
+}
+
+export async function sendMessage(senderPublicKey, recipientPublicKey, text) {
+  const groups = await checkPartyAccessGroups({
+    SenderPublicKeyBase58Check: senderPublicKey,
+    SenderAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+    RecipientPublicKeyBase58Check: recipientPublicKey,
+    RecipientAccessGroupKeyName: DEFAULT_KEY_MESSAGING_GROUP_NAME,
+  });
+
+  // Missing groups come back as empty strings, not undefined
+  const senderKeyName = groups.SenderAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+  const recipientKeyName = groups.RecipientAccessGroupKeyName || DEFAULT_KEY_MESSAGING_GROUP_NAME;
+
+  // Recipients without a messaging group get hex-encoded plain text, flagged in ExtraData
+  const ExtraData = {};
+  let encryptedMessageText;
+  if (groups.RecipientAccessGroupPublicKeyBase58Check) {
+    encryptedMessageText = await identity.encryptMessage(groups.RecipientAccessGroupPublicKeyBase58Check, text);
+  } else {
+    encryptedMessageText = bytesToHex(new TextEncoder().encode(text));
+    ExtraData.unencrypted = 'true';
+  }
+
+  const { submittedTransactionResponse } = await sendDMMessage({
+    SenderAccessGroupOwnerPublicKeyBase58Check: senderPublicKey,
+    SenderAccessGroupPublicKeyBase58Check: groups.SenderAccessGroupPublicKeyBase58Check,
+    SenderAccessGroupKeyName: senderKeyName,
+    RecipientAccessGroupOwnerPublicKeyBase58Check: recipientPublicKey,
+    RecipientAccessGroupPublicKeyBase58Check:
+      groups.RecipientAccessGroupPublicKeyBase58Check || groups.RecipientPublicKeyBase58Check,
+    RecipientAccessGroupKeyName: recipientKeyName,
+    EncryptedMessageText: encryptedMessageText,
+    ExtraData,
+    MinFeeRateNanosPerKB: 1000,
+  });
+  return submittedTransactionResponse.TxnHashHex;
+}
+`,
+    "useMessaging.js": `${fw.clientDirective}import { useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { setupMessaging } from './api';
+
+// The logged-in user's access groups, once messaging is set up for them
+export function useMessaging() {
+  const { currentUser, isLoading: isLoadingUser } = useDesoUser();
+  const [accessGroups, setAccessGroups] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setAccessGroups(null);
+    if (!currentUser) return undefined;
+
+    let cancelled = false;
+    setupMessaging(currentUser)
+      .then((groups) => !cancelled && setAccessGroups(groups))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser]);
+
+  return { currentUser, isLoadingUser, accessGroups, error };
+}
+`,
+    "LoginPrompt.jsx": `${fw.clientDirective}import { identity } from 'deso-protocol';
+
+export function LoginPrompt() {
+  return (
+    <div className="card stack">
+      <p>Log in to read and send encrypted messages.</p>
+      <button onClick={() => identity.login().catch(console.error)}>Log in with DeSo</button>
+    </div>
+  );
+}
+`,
+    "InboxPage.jsx": `${fw.clientDirective}import { useEffect, useState } from 'react';
+${fw.linkImport}
+${fw.navigationImport}
+import { profilePictureUrl, shortKey } from '../../lib/deso';
+import { loadInbox } from './api';
+import { LoginPrompt } from './LoginPrompt';
+import { useMessaging } from './useMessaging';
+
+export function InboxPage() {
+  const { currentUser, isLoadingUser, accessGroups, error: setupError } = useMessaging();
+  const [threads, setThreads] = useState(null);
+  const [error, setError] = useState(null);
+  const [recipient, setRecipient] = useState('');
+  ${fw.navigationHook}
+
+  useEffect(() => {
+    if (!currentUser || !accessGroups) return undefined;
+    let cancelled = false;
+    loadInbox(currentUser.publicKey, accessGroups)
+      .then((found) => !cancelled && setThreads(found))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, accessGroups]);
+
+  if (isLoadingUser) return <p className="muted">Loading…</p>;
+  if (!currentUser) return <LoginPrompt />;
+  if (setupError || error) return <p className="error">{setupError || error}</p>;
+  if (!threads) return <p className="muted">Loading conversations…</p>;
+
+  const startConversation = (event) => {
+    event.preventDefault();
+    ${fw.navigate('`/messages/${recipient.trim()}`')};
+  };
+
+  return (
+    <section className="stack">
+      <form className="row" onSubmit={startConversation}>
+        <input
+          value={recipient}
+          onChange={(event) => setRecipient(event.target.value)}
+          placeholder="Recipient public key (BC1YL…)"
+        />
+        <button type="submit" disabled={!recipient.trim()}>
+          New message
+        </button>
+      </form>
+      {threads.length === 0 && <p className="muted">No conversations yet.</p>}
+      {threads.map((thread) => (
+        ${fw.link('{`/messages/${thread.publicKey}`}', `
+          <img className="avatar" src={profilePictureUrl(thread.publicKey)} alt="" />
+          <div>
+            <strong>{thread.username || shortKey(thread.publicKey)}</strong>
+            <p className="muted truncate">{thread.lastMessage}</p>
+          </div>
+        `, ' key={thread.publicKey} className="card row thread"')}
+      ))}
+    </section>
+  );
+}
+`,
+    "ThreadPage.jsx": `${fw.clientDirective}import { useCallback, useEffect, useState } from 'react';
+import { shortKey } from '../../lib/deso';
+import { loadThread, sendMessage } from './api';
+import { LoginPrompt } from './LoginPrompt';
+import { useMessaging } from './useMessaging';
+
+// Poll for new messages like deso-chat does; the node has no push channel for DMs
+const REFRESH_INTERVAL_MS = 5000;
+
+export function ThreadPage({ publicKey: partnerPublicKey }) {
+  const { currentUser, isLoadingUser, accessGroups, error: setupError } = useMessaging();
+  const [messages, setMessages] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const publicKey = currentUser?.publicKey;
+
+  const refresh = useCallback(async () => {
+    try {
+      setMessages(await loadThread(publicKey, partnerPublicKey, accessGroups));
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  }, [publicKey, partnerPublicKey, accessGroups]);
+
+  useEffect(() => {
+    if (!publicKey || !accessGroups) return undefined;
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [publicKey, accessGroups, refresh]);
+
+  if (isLoadingUser) return <p className="muted">Loading…</p>;
+  if (!currentUser) return <LoginPrompt />;
+  if (setupError) return <p className="error">{setupError}</p>;
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    setIsSending(true);
+    setError(null);
+    try {
+      await sendMessage(publicKey, partnerPublicKey, draft.trim());
+      setDraft('');
+      await refresh();
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <section className="stack">
+      <h2>Chat with {shortKey(partnerPublicKey)}</h2>
+      {!messages && <p className="muted">Loading messages…</p>}
+      <div className="stack">
+        {messages?.map((message) => (
+          <p key={message.id} className={message.isSender ? 'bubble mine' : 'bubble'}>
+            {message.text}
+          </p>
+        ))}
+      </div>
+      {error && <p className="error">{error}</p>}
+      <form className="row" onSubmit={handleSend}>
+        <input value={draft} onChange={(event) => setDraft(event.target.value)} placeholder="Write a message" />
+        <button type="submit" disabled={isSending || !draft.trim() || !accessGroups}>
+          {isSending ? 'Sending…' : 'Send'}
+        </button>
+      </form>
+    </section>
+  );
+}
+`
+  }),
+
+  profile: (fw) => ({
+    "api.js": `import { getFollowersForUser, getPostsForUser, getSingleProfile, updateFollowingStatus } from 'deso-protocol';
+
+const PUBLIC_KEY_PATTERN = /^t?BC[1-9A-HJ-NP-Za-km-z]{51,53}$/;
+
+// Profile URLs take either a username or a public key
+function profileLookup(usernameOrPublicKey) {
+  return PUBLIC_KEY_PATTERN.test(usernameOrPublicKey)
+    ? { PublicKeyBase58Check: usernameOrPublicKey }
+    : { Username: usernameOrPublicKey };
+}
+
+// Null when the account has no profile (NoErrorOnMissing turns the 404 into a null Profile)
+export async function fetchProfile(usernameOrPublicKey) {
+  const { Profile } = await getSingleProfile({ ...profileLookup(usernameOrPublicKey), NoErrorOnMissing: true });
+  return Profile;
+}
+
+// NumFollowers is the total whatever NumToFetch says; GetEntriesFollowingUsername picks
+// followers (true) or the accounts the user follows (false)
+export async function fetchFollowCounts(publicKey) {
+  const [followers, following] = await Promise.all([
+    getFollowersForUser({ PublicKeyBase58Check: publicKey, GetEntriesFollowingUsername: true, NumToFetch: 1 }),
+    getFollowersForUser({ PublicKeyBase58Check: publicKey, GetEntriesFollowingUsername: false, NumToFetch: 1 }),
+  ]);
+  return { followers: followers.NumFollowers, following: following.NumFollowers };
+}
+
+// Whether the reader follows publicKey. Only the first 1000 followed accounts are checked;
+// page with LastPublicKeyBase58Check if your users follow more.
+export async function fetchIsFollowing(readerPublicKey, publicKey) {
+  const { PublicKeyToProfileEntry } = await getFollowersForUser({
+    PublicKeyBase58Check: readerPublicKey,
+    GetEntriesFollowingUsername: false,
+    NumToFetch: 1000,
+  });
+  return Boolean(PublicKeyToProfileEntry?.[publicKey]);
+}
+
+export async function fetchPosts(publicKey, readerPublicKey) {
+  const { Posts } = await getPostsForUser({
+    PublicKeyBase58Check: publicKey,
+    ReaderPublicKeyBase58Check: readerPublicKey,
+    NumToFetch: 20,
+  });
+  return Posts || [];
+}
+
+export async function setFollowing(followerPublicKey, followedPublicKey, follow) {
+  const { submittedTransactionResponse } = await updateFollowingStatus({
+    FollowerPublicKeyBase58Check: followerPublicKey,
+    FollowedPublicKeyBase58Check: followedPublicKey,
+    IsUnfollow: !follow,
+    MinFeeRateNanosPerKB: 1000,
+  });
+  return submittedTransactionResponse?.TxnHashHex;
+}
+`,
+    "ProfileSearchPage.jsx": `${fw.clientDirective}import { useState } from 'react';
+${fw.linkImport}
+${fw.navigationImport}
+import { useDesoUser } from '../../contexts/DesoUserContext';
+
+export function ProfileSearchPage() {
+  const { currentUser } = useDesoUser();
+  const [username, setUsername] = useState('');
+  ${fw.navigationHook}
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    ${fw.navigate('`/u/${encodeURIComponent(username.trim())}`')};
+  };
+
+  return (
+    <section className="stack">
+      <form className="row" onSubmit={handleSubmit}>
+        <input value={username} onChange={(event) => setUsername(event.target.value)} placeholder="Username" />
+        <button type="submit" disabled={!username.trim()}>
+          View profile
+        </button>
+      </form>
+      {currentUser && ${fw.link('{`/u/${currentUser.publicKey}`}', 'View my profile')}}
+    </section>
+  );
+}
+`,
+    "FollowButton.jsx": `${fw.clientDirective}import { useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { fetchIsFollowing, setFollowing } from './api';
+
+export function FollowButton({ publicKey, onChange }) {
+  const { currentUser } = useDesoUser();
+  const readerPublicKey = currentUser?.publicKey;
+  const [isFollowing, setIsFollowing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!readerPublicKey || readerPublicKey === publicKey) return undefined;
+    let cancelled = false;
+    fetchIsFollowing(readerPublicKey, publicKey)
+      .then((following) => !cancelled && setIsFollowing(following))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [readerPublicKey, publicKey]);
+
+  if (!readerPublicKey || readerPublicKey === publicKey || isFollowing === null) return null;
+
+  const toggle = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await setFollowing(readerPublicKey, publicKey, !isFollowing);
+      setIsFollowing(!isFollowing);
+      onChange?.();
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <button className={isFollowing ? 'secondary' : undefined} onClick={toggle} disabled={isSaving}>
+        {isFollowing ? 'Unfollow' : 'Follow'}
+      </button>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+`,
+    "ProfilePage.jsx": `${fw.clientDirective}import { useCallback, useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { profilePictureUrl } from '../../lib/deso';
+import { fetchFollowCounts, fetchPosts, fetchProfile } from './api';
+import { FollowButton } from './FollowButton';
+
+// Layout of the deso-ui profile-page: header with picture, name, bio and stats, then the posts
+export function ProfilePage({ username }) {
+  const { currentUser, isLoading: isLoadingUser } = useDesoUser();
+  const readerPublicKey = currentUser?.publicKey;
+  const [profile, setProfile] = useState(undefined);
+  const [counts, setCounts] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(undefined);
+    fetchProfile(decodeURIComponent(username))
+      .then((found) => !cancelled && setProfile(found))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  const publicKey = profile?.PublicKeyBase58Check;
+  const loadCounts = useCallback(() => {
+    fetchFollowCounts(publicKey).then(setCounts, (err) => setError(err.message || String(err)));
+  }, [publicKey]);
+
+  useEffect(() => {
+    if (publicKey) loadCounts();
+  }, [publicKey, loadCounts]);
+
+  useEffect(() => {
+    if (!publicKey || isLoadingUser) return undefined;
+    let cancelled = false;
+    fetchPosts(publicKey, readerPublicKey)
+      .then((found) => !cancelled && setPosts(found))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [publicKey, readerPublicKey, isLoadingUser]);
+
+  if (error) return <p className="error">{error}</p>;
+  if (profile === undefined) return <p className="muted">Loading profile…</p>;
+  if (profile === null) return <p className="muted">No profile found for {decodeURIComponent(username)}.</p>;
+
+  return (
+    <section className="stack">
+      <header className="card row profile-header">
+        <img className="avatar large" src={profilePictureUrl(publicKey)} alt="" />
+        <div className="stack">
+          <h1>{profile.Username}</h1>
+          <p>{profile.Description}</p>
+          {counts && (
+            <p className="muted">
+              <strong>{counts.followers}</strong> followers · <strong>{counts.following}</strong> following
+            </p>
+          )}
+        </div>
+        <FollowButton publicKey={publicKey} onChange={loadCounts} />
+      </header>
+      {posts.map((post) => (
+        <article key={post.PostHashHex} className="card">
+          <p className="post-body">{post.Body}</p>
+          <p className="muted">
+            {new Date(post.TimestampNanos / 1e6).toLocaleString()} · ❤️ {post.LikeCount} · 💬 {post.CommentCount}
+          </p>
+        </article>
+      ))}
+    </section>
+  );
+}
+`
+  }),
+
+  gallery: (fw) => ({
+    "api.js": `import { getPostsStateless, identity, submitPost, uploadImage } from 'deso-protocol';
+
+export async function fetchMediaPosts(readerPublicKey) {
+  const { PostsFound } = await getPostsStateless({
+    ReaderPublicKeyBase58Check: readerPublicKey,
+    NumToFetch: 60,
+    MediaRequired: true,
+  });
+  return (PostsFound || []).filter(
+    (post) => post.ImageURLs?.some(Boolean) || post.VideoURLs?.some(Boolean)
+  );
+}
+
+// upload-image only stores the file and returns its URL; the post is what attaches it
+export async function publishImage(publicKey, file, caption) {
+  const { ImageURL } = await uploadImage({
+    UserPublicKeyBase58Check: publicKey,
+    JWT: await identity.jwt(),
+    file,
+  });
+  const { submittedTransactionResponse } = await submitPost({
+    UpdaterPublicKeyBase58Check: publicKey,
+    BodyObj: { Body: caption, ImageURLs: [ImageURL], VideoURLs: [] },
+    MinFeeRateNanosPerKB: 1000,
+  });
+  return submittedTransactionResponse?.TxnHashHex;
+}
+`,
+    "MediaCard.jsx": `import { shortKey } from '../../lib/deso';
+
+// A grid tile like the deso-ui media-card: first image, or a video badge
+export function MediaCard({ post, onOpen }) {
+  const image = post.ImageURLs?.find(Boolean);
+  return (
+    <button className="media-card" onClick={() => onOpen(post)}>
+      {image ? <img src={image} alt={post.Body} loading="lazy" /> : <span className="video-badge">▶ Video</span>}
+      <span className="media-author">{post.ProfileEntryResponse?.Username || shortKey(post.PosterPublicKeyBase58Check)}</span>
+    </button>
+  );
+}
+`,
+    "GalleryPage.jsx": `${fw.clientDirective}import { useEffect, useState } from 'react';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { fetchMediaPosts } from './api';
+import { MediaCard } from './MediaCard';
+
+// Grid with a modal overlay for the selected post (the deso-ui media-gallery layout)
+export function GalleryPage() {
+  const { currentUser, isLoading: isLoadingUser } = useDesoUser();
+  const readerPublicKey = currentUser?.publicKey;
+  const [posts, setPosts] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isLoadingUser) return undefined;
+    let cancelled = false;
+    fetchMediaPosts(readerPublicKey)
+      .then((found) => !cancelled && setPosts(found))
+      .catch((err) => !cancelled && setError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [readerPublicKey, isLoadingUser]);
+
+  if (error) return <p className="error">{error}</p>;
+  if (!posts) return <p className="muted">Loading gallery…</p>;
+
+  return (
+    <>
+      <section className="grid">
+        {posts.map((post) => (
+          <MediaCard key={post.PostHashHex} post={post} onOpen={setSelected} />
+        ))}
+      </section>
+      {selected && (
+        <div className="modal" onClick={() => setSelected(null)}>
+          <div className="card stack" onClick={(event) => event.stopPropagation()}>
+            {selected.ImageURLs?.filter(Boolean).map((url) => (
+              <img key={url} className="post-image" src={url} alt="" />
+            ))}
+            {selected.VideoURLs?.filter(Boolean).map((url) => (
+              <iframe key={url} className="post-video" src={url} title="Video" allow="fullscreen" />
+            ))}
+            <p className="post-body">{selected.Body}</p>
+            <p className="muted">
+              ❤️ {selected.LikeCount} · 💬 {selected.CommentCount} · 💎 {selected.DiamondCount}
+            </p>
+            <button className="secondary" onClick={() => setSelected(null)}>
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+`,
+    "UploadPage.jsx": `${fw.clientDirective}import { useEffect, useState } from 'react';
+${fw.navigationImport}
+import { identity } from 'deso-protocol';
+import { useDesoUser } from '../../contexts/DesoUserContext';
+import { publishImage } from './api';
+
+export function UploadPage() {
+  const { currentUser } = useDesoUser();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [caption, setCaption] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState(null);
+  ${fw.navigationHook}
+
+  useEffect(() => {
+    if (!file) return undefined;
+    const url = URL.createObjectURL(file);
+    setPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  if (!currentUser) {
+    return (
+      <div className="card stack">
+        <p>Log in to share images.</p>
+        <button onClick={() => identity.login().catch(console.error)}>Log in with DeSo</button>
+      </div>
+    );
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsUploading(true);
+    setError(null);
+    try {
+      await publishImage(currentUser.publicKey, file, caption.trim());
+      ${fw.navigate("'/'")};
+    } catch (err) {
+      setError(err.message || String(err));
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <form className="card stack" onSubmit={handleSubmit}>
+      <input type="file" accept="image/*" onChange={(event) => setFile(event.target.files[0] || null)} />
+      {preview && <img className="post-image" src={preview} alt="Preview" />}
+      <input value={caption} onChange={(event) => setCaption(event.target.value)} placeholder="Caption" />
+      {error && <p className="error">{error}</p>}
+      <button type="submit" disabled={!file || isUploading}>
+        {isUploading ? 'Uploading…' : 'Post image'}
+      </button>
+    </form>
+  );
+}
+`
+  })
+};
+
+async function scaffoldDesoApp(args) {
+  const { template, layout = 'twitter-clone', appName = 'DeSo App', network = 'mainnet', format = 'markdown' } = args;
+
+  if (!SCAFFOLD_TEMPLATES[template]) {
+    return invalidArgument(template ? `Unknown Template: ${template}` : 'Missing Template', `Available: ${Object.keys(SCAFFOLD_TEMPLATES).join(', ')}`);
+  }
+  if (!DESO_UI_LAYOUTS[layout]) {
+    return invalidArgument(`Unknown Layout: ${layout}`, `Available: ${Object.keys(DESO_UI_LAYOUTS).join(', ')}`);
+  }
+  if (network !== 'mainnet' && network !== 'testnet') {
+    return invalidArgument(`Unknown Network: ${network}`, 'Available: mainnet, testnet');
+  }
+
+  const context = {
+    template: SCAFFOLD_TEMPLATES[template],
+    templateName: template,
+    layout: DESO_UI_LAYOUTS[layout],
+    layoutName: layout,
+    feature: SCAFFOLD_FEATURES[layout],
+    appName,
+    packageName: appName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'deso-app',
+    network,
+    nodeUrl: network === 'testnet' ? 'https://test.deso.org' : 'https://node.deso.org',
+    identityUrl: network === 'testnet' ? 'https://test.deso.org' : 'https://identity.deso.org'
+  };
+  const files = template === 'node' ? buildNodeScaffold(context) : buildBrowserScaffold(context);
+
+  if (format === 'json') {
+    const result = { template, layout, appName, network, files };
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  }
+
+  const paths = Object.keys(files);
+  let result = `# 🏗️ DeSo App Scaffold: ${appName}\n\n`;
+  result += `**Template:** ${context.template.title} — ${context.template.description}  \n`;
+  result += `**Layout:** ${context.layout.title} (\`${layout}\`) — ${context.layout.layout}  \n`;
+  result += `**Feature:** ${context.feature.title}  \n`;
+  result += `**Network:** ${network}  \n`;
+  result += `**Files:** ${paths.length}\n\n`;
+
+  if (template === 'node') {
+    result += `## Commands\n\n`;
+    for (const command of Object.values(context.feature.nodeCommands)) {
+      result += `- \`npm start -- ${command.usage}\`: ${command.description}\n`;
+    }
+  } else {
+    result += `## Routes\n\n`;
+    for (const route of context.feature.routes) {
+      result += `- \`${route.path}\` → \`${route.component}\`\n`;
+    }
+  }
+  result += `\n## Project Layout\n\n\`\`\`\n${paths.join('\n')}\n\`\`\`\n\n`;
+
+  result += `## Files\n\n`;
+  for (const [filePath, contents] of Object.entries(files)) {
+    result += `### \`${filePath}\`\n\n\`\`\`${scaffoldFence(filePath)}\n${contents.replace(/\n$/, '')}\n\`\`\`\n\n`;
+  }
+
+  result += `## Next Steps\n\n\`\`\`bash\nnpm install\ncp .env.example .env\n${context.template.run}\n\`\`\`\n\n`;
+  if (template !== 'node') {
+    result += `Swap the plain components for the deso-ui ones this layout is built from (needs a shadcn setup):\n\n\`\`\`bash\n`;
+    result += context.layout.components.map(component => `npx shadcn@latest add http://ui.deso.com/r/${component}.json`).join('\n');
+    result += `\n\`\`\`\n\n`;
+  }
+  result += `Use \`format: "json"\` to get the same files as a \`{ path: contents }\` map for writing them to disk. For single operations beyond this feature, use \`generate_deso_code\`.\n\n`;
+  result += `Your DeSo MCP server is scaffolding apps! 🏗️`;
+
+  return { content: [{ type: "text", text: result }] };
+}
+
+function scaffoldFence(filePath) {
+  const extension = path.extname(filePath);
+  const fences = { '.js': 'javascript', '.mjs': 'javascript', '.jsx': 'jsx', '.json': 'json', '.html': 'html', '.css': 'css', '.md': 'markdown' };
+  if (fences[extension]) return fences[extension];
+  return filePath.endsWith('.env.example') ? 'bash' : 'text';
+}
+
+function scaffoldPackageJson(name, scripts, dependencies, devDependencies = []) {
+  const versions = (names) => Object.fromEntries([...names].sort().map(dep => [dep, SCAFFOLD_PACKAGE_VERSIONS[dep]]));
+  const pkg = { name, private: true, version: '0.1.0', type: 'module', scripts, dependencies: versions(dependencies) };
+  if (devDependencies.length > 0) pkg.devDependencies = versions(devDependencies);
+  return `${JSON.stringify(pkg, null, 2)}\n`;
+}
+
+// The configure() module every browser template imports first
+function scaffoldDesoModule(context) {
+  const { template, feature } = context;
+  const env = template.envAccess;
+  const limits = Object.entries(feature.transactionLimits)
+    .map(([operation, count]) => `    ${operation}: ${count === 'UNLIMITED' ? 'UNLIMITED' : count},`)
+    .join('\n');
+  const accessGroupLimit = (mapName) => `  ${mapName}: [
+    {
+      AccessGroupOwnerPublicKeyBase58Check: '',
+      ScopeType: 'Any',
+      AccessGroupKeyName: '',
+      OperationType: 'Any',
+      OpCount: UNLIMITED,
+    },
+  ],
+`;
+
+  return `import { configure, DeSoNetwork } from 'deso-protocol';
+
+export const NODE_URL = ${env('DESO_NODE_URL')} || '${context.nodeUrl}';
+export const IDENTITY_URL = ${env('DESO_IDENTITY_URL')} || '${context.identityUrl}';
+export const NETWORK = (${env('DESO_NETWORK')} || '${context.network}') === 'testnet' ? DeSoNetwork.testnet : DeSoNetwork.mainnet;
+
+const UNLIMITED = 'UNLIMITED';
+
+// What the derived key created at login may sign without asking again. Keep it to the operations
+// this app performs: anything else opens an identity approval window.
+export const SPENDING_LIMIT_OPTIONS = {
+  GlobalDESOLimit: ${feature.globalDesoLimit || 1} * 1e9,
+  TransactionCountLimitMap: {
+${limits}
+  },
+${feature.accessGroupLimits ? accessGroupLimit('AccessGroupLimitMap') + accessGroupLimit('AccessGroupMemberLimitMap') : ''}};
+
+// Call once, before any other deso-protocol function
+export function configureDeso() {
+  configure({
+    identityURI: IDENTITY_URL,
+    nodeURI: NODE_URL,
+    network: NETWORK,
+    appName: ${JSON.stringify(context.appName)},
+    spendingLimitOptions: SPENDING_LIMIT_OPTIONS,
+  });
+}
+
+// The node's small avatar for any public key; larger pictures live in the profile's ExtraData
+export function profilePictureUrl(publicKey) {
+  return \`\${NODE_URL}/api/v0/get-single-profile-picture/\${publicKey}\`;
+}
+
+export function shortKey(publicKey) {
+  return \`\${publicKey.slice(0, 8)}…\${publicKey.slice(-4)}\`;
+}
+`;
+}
+
+// Files both browser templates share: configure(), the identity user context, the header and the feature
+function scaffoldBrowserSharedFiles(context) {
+  const { template, feature } = context;
+  const dir = template.sourceDir;
+  const files = {};
+
+  files[`${dir}lib/deso.js`] = scaffoldDesoModule(context);
+  files[`${dir}contexts/DesoUserContext.jsx`] = `${template.clientDirective}import { createContext, useContext, useEffect, useState } from 'react';
+import { identity } from 'deso-protocol';
+
+const DesoUserContext = createContext({ currentUser: null, alternateUsers: null, isLoading: true });
+
+// identity.subscribe keeps a single listener, so subscribe once here and share the user through context.
+// It fires right away with the stored user, then on every login, logout and account switch.
+export function DesoUserProvider({ children }) {
+  const [state, setState] = useState({ currentUser: null, alternateUsers: null, isLoading: true });
+
+  useEffect(() => {
+    identity.subscribe(({ currentUser, alternateUsers }) => {
+      setState({ currentUser, alternateUsers, isLoading: false });
+    });
+  }, []);
+
+  return <DesoUserContext.Provider value={state}>{children}</DesoUserContext.Provider>;
+}
+
+export function useDesoUser() {
+  return useContext(DesoUserContext);
+}
+`;
+  files[`${dir}components/LoginButton.jsx`] = `${template.clientDirective}import { identity } from 'deso-protocol';
+import { useDesoUser } from '../contexts/DesoUserContext';
+import { shortKey } from '../lib/deso';
+
+export function LoginButton() {
+  const { currentUser, isLoading } = useDesoUser();
+
+  if (isLoading) return null;
+  if (!currentUser) {
+    // Closing the identity window rejects the promise; there is nothing to recover
+    return <button onClick={() => identity.login().catch(console.error)}>Log in with DeSo</button>;
+  }
+  return (
+    <div className="row">
+      <span className="muted" title={currentUser.publicKey}>
+        {shortKey(currentUser.publicKey)}
+      </span>
+      <button className="secondary" onClick={() => identity.logout().catch(console.error)}>
+        Log out
+      </button>
+    </div>
+  );
+}
+`;
+  const navLinks = feature.routes.filter(route => route.label)
+    .map(route => `        ${template.link(`"${route.path}"`, route.label)}`)
+    .join('\n');
+  files[`${dir}components/Header.jsx`] = `${template.linkImport}
+import { LoginButton } from './LoginButton';
+
+export function Header() {
+  return (
+    <header className="app-header">
+      <nav className="row">
+        <strong>${escapeJsxText(context.appName)}</strong>
+${navLinks}
+      </nav>
+      <LoginButton />
+    </header>
+  );
+}
+`;
+  for (const [fileName, contents] of Object.entries(SCAFFOLD_FEATURE_FILES[feature.name](template))) {
+    files[`${dir}features/${feature.name}/${fileName}`] = contents;
+  }
+  return files;
+}
+
+function escapeJsxText(text) {
+  return text.replace(/[{}<>]/g, char => `{'${char}'}`);
+}
+
+function scaffoldStyles() {
+  return `:root {
+  font-family: system-ui, sans-serif;
+  color: #1c1c1e;
+  background: #f5f5f7;
+  --accent: #0059f7;
+}
+
+body {
+  margin: 0;
+}
+
+button {
+  border: 0;
+  border-radius: 999px;
+  padding: 0.5rem 1rem;
+  background: var(--accent);
+  color: white;
+  cursor: pointer;
+}
+
+button.secondary {
+  background: #e5e5ea;
+  color: inherit;
+}
+
+button:disabled {
+  opacity: 0.5;
+  cursor: default;
+}
+
+input,
+textarea {
+  flex: 1;
+  padding: 0.5rem;
+  border: 1px solid #d1d1d6;
+  border-radius: 8px;
+  font: inherit;
+}
+
+a {
+  color: inherit;
+}
+
+.app-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 0.75rem 1.5rem;
+  background: white;
+  border-bottom: 1px solid #e5e5ea;
+}
+
+.container {
+  max-width: 720px;
+  margin: 1.5rem auto;
+  padding: 0 1rem;
+}
+
+.row {
+  display: flex;
+  gap: 0.75rem;
+  align-items: center;
+}
+
+.stack {
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+}
+
+.card {
+  padding: 1rem;
+  background: white;
+  border-radius: 12px;
+  text-decoration: none;
+}
+
+.post {
+  display: flex;
+  gap: 0.75rem;
+}
+
+.post-content {
+  flex: 1;
+  min-width: 0;
+}
+
+.post-content header {
+  display: flex;
+  justify-content: space-between;
+}
+
+.post-body {
+  white-space: pre-wrap;
+  overflow-wrap: anywhere;
+}
+
+.post-image,
+.post-video {
+  width: 100%;
+  border: 0;
+  border-radius: 8px;
+}
+
+.post-video {
+  aspect-ratio: 16 / 9;
+}
+
+.avatar {
+  width: 48px;
+  height: 48px;
+  border-radius: 50%;
+  object-fit: cover;
+}
+
+.avatar.large {
+  width: 96px;
+  height: 96px;
+}
+
+.profile-header {
+  align-items: flex-start;
+}
+
+.muted {
+  color: #8e8e93;
+}
+
+.error {
+  color: #d70015;
+}
+
+.truncate {
+  margin: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.thread > div {
+  min-width: 0;
+}
+
+.bubble {
+  max-width: 75%;
+  margin: 0;
+  padding: 0.5rem 0.75rem;
+  border-radius: 12px;
+  background: white;
+}
+
+.bubble.mine {
+  align-self: flex-end;
+  background: var(--accent);
+  color: white;
+}
+
+.grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 0.5rem;
+}
+
+.media-card {
+  position: relative;
+  aspect-ratio: 1;
+  padding: 0;
+  overflow: hidden;
+  border-radius: 8px;
+  background: #1c1c1e;
+}
+
+.media-card img {
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+}
+
+.media-author {
+  position: absolute;
+  left: 0.5rem;
+  bottom: 0.5rem;
+  font-size: 0.8rem;
+}
+
+.modal {
+  position: fixed;
+  inset: 0;
+  display: grid;
+  place-items: center;
+  padding: 1rem;
+  background: rgba(0, 0, 0, 0.6);
+}
+
+.modal > .card {
+  max-width: 640px;
+  max-height: 90vh;
+  overflow-y: auto;
+}
+`;
+}
+
+function scaffoldEnvExample(context, prefix, { identity = true } = {}) {
+  const lines = (network, nodeUrl, identityUrl, comment = '') => [
+    `${comment}${prefix}DESO_NETWORK=${network}`,
+    `${comment}${prefix}DESO_NODE_URL=${nodeUrl}`,
+    ...(identity ? [`${comment}${prefix}DESO_IDENTITY_URL=${identityUrl}`] : [])
+  ].join('\n');
+  let env = `# Which DeSo node${identity ? ' and identity service' : ''} to talk to\n${lines(context.network, context.nodeUrl, context.identityUrl)}\n`;
+  if (context.network !== 'testnet') {
+    env += `\n# Testnet:\n${lines('testnet', 'https://test.deso.org', 'https://test.deso.org', '# ')}\n`;
+  }
+  return env;
+}
+
+function scaffoldReadme(context, sections) {
+  const { template, feature, layout } = context;
+  let readme = `# ${context.appName}
+
+${layout.title} scaffold (${template.title}): ${feature.title.charAt(0).toLowerCase()}${feature.title.slice(1)}.
+
+## Getting started
+
+\`\`\`bash
+npm install
+cp .env.example .env
+${template.run}
+\`\`\`
+`;
+  for (const [title, body] of sections) {
+    readme += `\n## ${title}\n\n${body}\n`;
+  }
+  return readme;
+}
+
+function buildBrowserScaffold(context) {
+  const { template, feature, layout } = context;
+  const isNext = context.templateName === 'nextjs';
+  const dependencies = ['deso-protocol', 'react', 'react-dom', ...(isNext ? ['next'] : ['react-router-dom']), ...feature.dependencies];
+  const files = {};
+
+  if (isNext) {
+    files['package.json'] = scaffoldPackageJson(context.packageName, { dev: 'next dev', build: 'next build', start: 'next start' }, dependencies);
+    files['next.config.mjs'] = `/** @type {import('next').NextConfig} */
+const nextConfig = {};
+
+export default nextConfig;
+`;
+    files['jsconfig.json'] = `${JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['./*'] } } }, null, 2)}\n`;
+  } else {
+    files['package.json'] = scaffoldPackageJson(context.packageName, { dev: 'vite', build: 'vite build', preview: 'vite preview' }, dependencies, ['@vitejs/plugin-react', 'vite']);
+    files['vite.config.js'] = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+});
+`;
+    files['index.html'] = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${context.appName.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+  </body>
+</html>
+`;
+  }
+  files['.env.example'] = scaffoldEnvExample(context, template.envPrefix);
+  files['.gitignore'] = `node_modules\n${isNext ? '.next\n' : 'dist\n'}.env\n`;
+
+  const routeComponent = (route) => `${route.component}`;
+  if (isNext) {
+    files['app/layout.jsx'] = `import { Header } from '@/components/Header';
+import { Providers } from './providers';
+import './globals.css';
+
+export const metadata = {
+  title: ${JSON.stringify(context.appName)},
+  description: ${JSON.stringify(layout.description)},
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>
+        <Providers>
+          <Header />
+          <main className="container">{children}</main>
+        </Providers>
+      </body>
+    </html>
+  );
+}
+`;
+    files['app/providers.jsx'] = `'use client';
+
+import { DesoUserProvider } from '@/contexts/DesoUserContext';
+import { configureDeso } from '@/lib/deso';
+
+// DeSo Identity runs in the browser, so configure deso-protocol in the client bundle only
+if (typeof window !== 'undefined') {
+  configureDeso();
+}
+
+export function Providers({ children }) {
+  return <DesoUserProvider>{children}</DesoUserProvider>;
+}
+`;
+    files['app/globals.css'] = scaffoldStyles();
+    for (const route of feature.routes) {
+      const segments = route.path.split('/').filter(Boolean).map(segment => segment.startsWith(':') ? `[${segment.slice(1)}]` : segment);
+      const pagePath = ['app', ...segments, 'page.jsx'].join('/');
+      const component = routeComponent(route);
+      files[pagePath] = route.param
+        ? `import { ${component} } from '@/features/${feature.name}/${route.file}';
+
+export default function Page({ params }) {
+  return <${component} ${route.param}={params.${route.param}} />;
+}
+`
+        : `import { ${component} } from '@/features/${feature.name}/${route.file}';
+
+export default function Page() {
+  return <${component} />;
+}
+`;
+    }
+  } else {
+    files['src/main.jsx'] = `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
+import App from './App';
+import { DesoUserProvider } from './contexts/DesoUserContext';
+import { configureDeso } from './lib/deso';
+import './styles.css';
+
+// configure() has to run before any other deso-protocol call, identity.subscribe included
+configureDeso();
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <BrowserRouter>
+      <DesoUserProvider>
+        <App />
+      </DesoUserProvider>
+    </BrowserRouter>
+  </React.StrictMode>
+);
+`;
+    const paramRoutes = feature.routes.filter(route => route.param);
+    const imports = [
+      `import { Route, Routes${paramRoutes.length > 0 ? ', useParams' : ''} } from 'react-router-dom';`,
+      `import { Header } from './components/Header';`,
+      ...feature.routes.map(route => `import { ${route.component} } from './features/${feature.name}/${route.file}';`)
+    ];
+    const wrappers = paramRoutes.map(route => `function ${route.component}Route() {
+  const { ${route.param} } = useParams();
+  return <${route.component} ${route.param}={${route.param}} />;
+}
+`).join('\n');
+    const routes = feature.routes
+      .map(route => `          <Route path="${route.path}" element={<${route.component}${route.param ? 'Route' : ''} />} />`)
+      .join('\n');
+    files['src/App.jsx'] = `${imports.join('\n')}
+${wrappers ? `
+// Route wrappers hand URL params to the feature pages as props, so the pages don't depend on the router
+${wrappers}` : ''}
+export default function App() {
+  return (
+    <>
+      <Header />
+      <main className="container">
+        <Routes>
+${routes}
+          <Route path="*" element={<p className="muted">Page not found.</p>} />
+        </Routes>
+      </main>
+    </>
+  );
+}
+`;
+    files['src/styles.css'] = scaffoldStyles();
+  }
+
+  Object.assign(files, scaffoldBrowserSharedFiles(context));
+
+  const dir = template.sourceDir;
+  files['README.md'] = scaffoldReadme(context, [
+    ['How it fits together', [
+      `- \`${dir}lib/deso.js\` calls \`configure()\` with the node, network and the spending limits of the derived key created at login.`,
+      `- \`${dir}contexts/DesoUserContext.jsx\` subscribes to DeSo Identity once and exposes \`useDesoUser()\`.`,
+      `- \`${dir}components/LoginButton.jsx\` logs in and out with \`identity.login()\` and \`identity.logout()\`.`,
+      `- \`${dir}features/${feature.name}/\` holds the feature: \`api.js\` talks to DeSo, the components render it.`
+    ].join('\n')],
+    ['Routes', feature.routes.map(route => `- \`${route.path}\`: \`${route.component}\``).join('\n')],
+    ['deso-ui components', `This layout is built from these deso-ui components. The scaffold ships plain versions so it runs without a shadcn setup. Add the real ones with:\n\n\`\`\`bash\n${layout.components.map(component => `npx shadcn@latest add http://ui.deso.com/r/${component}.json`).join('\n')}\n\`\`\``]
+  ]);
+  return files;
+}
+
+// Node commands per feature; each module exports one async function per command taking (args, account)
+const SCAFFOLD_NODE_COMMANDS = {
+  feed: () => `import { postJson } from '../client.js';
+import { buildSignSubmit } from '../transactions.js';
+
+export async function feed() {
+  const { PostsFound } = await postJson('/api/v0/get-posts-stateless', {
+    NumToFetch: 20,
+    GetPostsForGlobalWhitelist: true,
+  });
+  for (const post of PostsFound ?? []) {
+    const author = post.ProfileEntryResponse?.Username ?? post.PosterPublicKeyBase58Check;
+    const postedAt = new Date(post.TimestampNanos / 1e6).toLocaleString();
+    console.log(\`@\${author} · \${postedAt} · \${post.PostHashHex}\\n\${post.Body}\\n\`);
+  }
+}
+
+export async function post(args, account) {
+  const body = args.join(' ').trim();
+  if (!body) throw new Error('Usage: post <text>');
+
+  const { PostHashHex, TxnHashHex } = await buildSignSubmit('/api/v0/submit-post', {
+    UpdaterPublicKeyBase58Check: account.publicKey,
+    BodyObj: { Body: body, ImageURLs: [], VideoURLs: [] },
+    MinFeeRateNanosPerKB: 1000,
+  }, account);
+  console.log(\`Posted \${PostHashHex} (transaction \${TxnHashHex})\`);
+}
+`,
+  messages: () => `import { postJson } from '../client.js';
+
+// Reading and writing encrypted messages needs the messaging key that DeSo Identity keeps in the
+// browser, so this script lists threads and shows only messages sent unencrypted (ExtraData.unencrypted).
+// See the messaging-flow pattern of deso_implementation_patterns for the full browser flow.
+export async function threads(args, account) {
+  const { MessageThreads, PublicKeyToProfileEntryResponse } = await postJson('/api/v0/get-all-user-message-threads', {
+    UserPublicKeyBase58Check: account.publicKey,
+  });
+  if (!MessageThreads?.length) {
+    console.log('No conversations yet.');
+    return;
+  }
+
+  for (const thread of MessageThreads) {
+    const { SenderInfo, RecipientInfo, MessageInfo } = thread;
+    const party = thread.ChatType === 'GroupChat'
+      ? RecipientInfo
+      : SenderInfo.OwnerPublicKeyBase58Check === account.publicKey ? RecipientInfo : SenderInfo;
+    const name = thread.ChatType === 'GroupChat'
+      ? \`group \${party.AccessGroupKeyName}\`
+      : PublicKeyToProfileEntryResponse?.[party.OwnerPublicKeyBase58Check]?.Username ?? party.OwnerPublicKeyBase58Check;
+    const sentAt = new Date(MessageInfo.TimestampNanos / 1e6).toLocaleString();
+    const text = MessageInfo.ExtraData?.unencrypted === 'true'
+      ? Buffer.from(MessageInfo.EncryptedText, 'hex').toString('utf8')
+      : '(encrypted)';
+    console.log(\`\${name} · \${sentAt}\\n  \${text}\`);
+  }
+}
+`,
+  profile: () => `import { postJson } from '../client.js';
+import { buildSignSubmit } from '../transactions.js';
+
+async function fetchProfile(username) {
+  const { Profile } = await postJson('/api/v0/get-single-profile', { Username: username, NoErrorOnMissing: true });
+  if (!Profile) throw new Error(\`No profile named \${username}\`);
+  return Profile;
+}
+
+// NumFollowers is the total whatever NumToFetch is, so fetch no entries
+async function countFollows(username, followers) {
+  const { NumFollowers } = await postJson('/api/v0/get-follows-stateless', {
+    Username: username,
+    GetEntriesFollowingUsername: followers,
+    NumToFetch: 0,
+  });
+  return NumFollowers;
+}
+
+export async function profile(args) {
+  const [username] = args;
+  if (!username) throw new Error('Usage: profile <username>');
+
+  const found = await fetchProfile(username);
+  const [followers, following] = await Promise.all([countFollows(username, true), countFollows(username, false)]);
+  console.log(\`@\${found.Username} (\${found.PublicKeyBase58Check})\`);
+  console.log(\`\${followers} followers · \${following} following\`);
+  if (found.Description) console.log(\`\\n\${found.Description}\`);
+}
+
+async function setFollowing(args, account, isUnfollow) {
+  const [username] = args;
+  if (!username) throw new Error(\`Usage: \${isUnfollow ? 'unfollow' : 'follow'} <username>\`);
+
+  const { PublicKeyBase58Check } = await fetchProfile(username);
+  const { TxnHashHex } = await buildSignSubmit('/api/v0/create-follow-txn-stateless', {
+    FollowerPublicKeyBase58Check: account.publicKey,
+    FollowedPublicKeyBase58Check: PublicKeyBase58Check,
+    IsUnfollow: isUnfollow,
+    MinFeeRateNanosPerKB: 1000,
+  }, account);
+  console.log(\`\${isUnfollow ? 'Unfollowed' : 'Followed'} @\${username} (transaction \${TxnHashHex})\`);
+}
+
+export function follow(args, account) {
+  return setFollowing(args, account, false);
+}
+
+export function unfollow(args, account) {
+  return setFollowing(args, account, true);
+}
+`,
+  gallery: () => `import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { postForm, postJson } from '../client.js';
+import { createJwt } from '../signer.js';
+import { buildSignSubmit } from '../transactions.js';
+
+const IMAGE_TYPES = { '.gif': 'image/gif', '.jpeg': 'image/jpeg', '.jpg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+export async function gallery() {
+  const { PostsFound } = await postJson('/api/v0/get-posts-stateless', {
+    NumToFetch: 30,
+    MediaRequired: true,
+    GetPostsForGlobalWhitelist: true,
+  });
+  for (const post of PostsFound ?? []) {
+    const author = post.ProfileEntryResponse?.Username ?? post.PosterPublicKeyBase58Check;
+    const media = [...(post.ImageURLs ?? []), ...(post.VideoURLs ?? [])];
+    console.log(\`@\${author} · \${post.PostHashHex}\\n  \${media.join('\\n  ')}\`);
+  }
+}
+
+export async function upload(args, account) {
+  const [file, ...caption] = args;
+  if (!file) throw new Error('Usage: upload <file> [caption]');
+  const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+  if (!type) throw new Error(\`Unsupported image type: \${file}. Use \${Object.keys(IMAGE_TYPES).join(', ')}\`);
+
+  // upload-image only returns a URL; the post that references it is what shows up in the gallery
+  const form = new FormData();
+  form.append('file', new Blob([await readFile(file)], { type }), path.basename(file));
+  form.append('UserPublicKeyBase58Check', account.publicKey);
+  form.append('JWT', createJwt(account));
+  const { ImageURL } = await postForm('/api/v0/upload-image', form);
+
+  const { PostHashHex } = await buildSignSubmit('/api/v0/submit-post', {
+    UpdaterPublicKeyBase58Check: account.publicKey,
+    BodyObj: { Body: caption.join(' '), ImageURLs: [ImageURL], VideoURLs: [] },
+    MinFeeRateNanosPerKB: 1000,
+  }, account);
+  console.log(\`Uploaded \${ImageURL}\\nPosted \${PostHashHex}\`);
+}
+`
+};
+
+function buildNodeScaffold(context) {
+  const { feature } = context;
+  const needsJwt = feature.name === 'gallery';
+  const files = {};
+  const pkg = {
+    name: context.packageName,
+    private: true,
+    version: '0.1.0',
+    type: 'module',
+    scripts: { start: 'node --env-file=.env src/index.js' },
+    engines: { node: '>=20.6' },
+    dependencies: Object.fromEntries(['@noble/curves', '@noble/hashes'].map(dep => [dep, SCAFFOLD_PACKAGE_VERSIONS[dep]]))
+  };
+  files['package.json'] = `${JSON.stringify(pkg, null, 2)}\n`;
+  files['.env.example'] = `${scaffoldEnvExample(context, '', { identity: false })}
+# The account the scripts act as. DESO_SEED_HEX is the 64-character hex private key of that account,
+# or of a derived key authorized for it (then also set DESO_DERIVED_PUBLIC_KEY). Never commit .env.
+DESO_PUBLIC_KEY=
+DESO_SEED_HEX=
+DESO_DERIVED_PUBLIC_KEY=
+`;
+  files['.gitignore'] = 'node_modules\n.env\n';
+
+  files['src/config.js'] = `export const NODE_URL = process.env.DESO_NODE_URL || '${context.nodeUrl}';
+export const NETWORK = process.env.DESO_NETWORK || '${context.network}';
+
+// Scripts have no DeSo Identity window to log in with; the account comes from the environment instead
+export function loadAccount() {
+  const publicKey = process.env.DESO_PUBLIC_KEY;
+  const seedHex = process.env.DESO_SEED_HEX;
+  if (!publicKey || !seedHex) {
+    throw new Error('Set DESO_PUBLIC_KEY and DESO_SEED_HEX in .env (see .env.example)');
+  }
+  if (!/^[0-9a-f]{64}$/i.test(seedHex)) {
+    throw new Error('DESO_SEED_HEX must be a 64-character hex private key');
+  }
+  return { publicKey, seedHex, derivedPublicKey: process.env.DESO_DERIVED_PUBLIC_KEY || null };
+}
+`;
+  files['src/client.js'] = `import { NODE_URL } from './config.js';
+
+export class DeSoApiError extends Error {
+  constructor(status, message) {
+    super(\`DeSo API error \${status}: \${message}\`);
+    this.status = status;
+  }
+}
+
+// The node reports failures as { "error": "..." } with a non-2xx status
+async function parse(response) {
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    body = { error: text };
+  }
+  if (!response.ok) throw new DeSoApiError(response.status, body.error ?? response.statusText);
+  return body;
+}
+
+export async function postJson(path, body) {
+  const response = await fetch(\`\${NODE_URL}\${path}\`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return parse(response);
+}
+
+export async function getJson(path) {
+  return parse(await fetch(\`\${NODE_URL}\${path}\`));
+}
+
+export async function postForm(path, form) {
+  return parse(await fetch(\`\${NODE_URL}\${path}\`, { method: 'POST', body: form }));
+}
+`;
+  files['src/signer.js'] = `import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, concatBytes, hexToBytes${needsJwt ? ', utf8ToBytes' : ''} } from '@noble/hashes/utils';
+
+function uvarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  bytes.push(value);
+  return Uint8Array.from(bytes);
+}
+
+// Offset of the signature length: after the inputs, outputs, type, metadata, public key and ExtraData
+function signatureOffset(transaction) {
+  let offset = 0;
+  const read = (skip = 0) => {
+    offset += skip;
+    let value = 0;
+    for (let shift = 1; ; shift *= 128) {
+      if (offset >= transaction.length) throw new Error('Truncated transaction');
+      const byte = transaction[offset++];
+      value += (byte & 0x7f) * shift;
+      if (byte < 0x80) return value;
+    }
+  };
+  const skipBytes = () => {
+    const length = read();
+    offset += length;
+  };
+  for (let count = read(); count > 0; count--) read(32); // 32-byte TxID + index
+  for (let count = read(); count > 0; count--) read(33); // 33-byte public key + amount
+  read(); // TxnType
+  skipBytes(); // metadata
+  skipBytes(); // transactor public key
+  for (let count = 2 * read(); count > 0; count--) skipBytes(); // ExtraData keys and values
+  if (offset >= transaction.length) throw new Error('Truncated transaction');
+  return offset;
+}
+
+// Signs the double SHA-256 of the transaction and swaps in the DER signature for the empty one the
+// node left (a single 0x00 length byte). Version 1 transactions keep their version, fee and nonce
+// after it. Derived keys use DeSo-DER, which stores the recovery id in the first byte.
+export function signTransaction(transactionHex, account) {
+  const transaction = hexToBytes(transactionHex);
+  const signature = secp256k1.sign(sha256(sha256(transaction)), account.seedHex, { lowS: true });
+  const der = signature.toDERRawBytes();
+  if (account.derivedPublicKey) der[0] += 1 + signature.recovery;
+  const offset = signatureOffset(transaction);
+  return bytesToHex(concatBytes(transaction.slice(0, offset), uvarint(der.length), der, transaction.slice(offset + 1)));
+}
+${needsJwt ? `
+function base64url(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+// Short-lived ES256 JWT the node accepts as proof of key ownership (upload-image and other media endpoints)
+export function createJwt(account) {
+  const header = { alg: 'ES256', typ: 'JWT' };
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = { iat: issuedAt, exp: issuedAt + 600 };
+  if (account.derivedPublicKey) payload.derivedPublicKeyBase58Check = account.derivedPublicKey;
+
+  const signingInput = \`\${base64url(utf8ToBytes(JSON.stringify(header)))}.\${base64url(utf8ToBytes(JSON.stringify(payload)))}\`;
+  const signature = secp256k1.sign(sha256(utf8ToBytes(signingInput)), account.seedHex, { lowS: true });
+  return \`\${signingInput}.\${base64url(signature.toCompactRawBytes())}\`;
+}
+` : ''}`;
+  files['src/transactions.js'] = `import { postJson } from './client.js';
+import { signTransaction } from './signer.js';
+
+// Every write is the same three steps: the node builds the unsigned transaction, we sign it locally,
+// the node broadcasts it. Returns the construction response plus the submitted TxnHashHex.
+export async function buildSignSubmit(path, body, account) {
+  const constructed = await postJson(path, body);
+  const { TxnHashHex } = await postJson('/api/v0/submit-transaction', {
+    TransactionHex: signTransaction(constructed.TransactionHex, account),
+  });
+  return { ...constructed, TxnHashHex };
+}
+`;
+  files[`src/commands/${feature.name}.js`] = SCAFFOLD_NODE_COMMANDS[feature.name]();
+
+  const commands = Object.entries(feature.nodeCommands);
+  const names = commands.map(([name]) => name);
+  const usageWidth = Math.max(...commands.map(([, command]) => command.usage.length));
+  const usage = commands.map(([, command]) => `  ${command.usage.padEnd(usageWidth)}  ${command.description}`).join('\n');
+  files['src/index.js'] = `import { loadAccount, NETWORK, NODE_URL } from './config.js';
+import { ${[...names].sort().join(', ')} } from './commands/${feature.name}.js';
+
+// needsAccount: commands that sign transactions or act as DESO_PUBLIC_KEY
+const COMMANDS = {
+${commands.map(([name, command]) => `  ${name}: { run: ${name}, needsAccount: ${Boolean(command.account)} },`).join('\n')}
+};
+
+const USAGE = \`Usage: npm start -- <command> [args]
+
+Commands:
+${usage}\`;
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+  const command = COMMANDS[name];
+  if (!command) {
+    console.log(USAGE);
+    if (name) process.exitCode = 1;
+    return;
+  }
+
+  console.error(\`\${NETWORK} · \${NODE_URL}\`);
+  await command.run(args, command.needsAccount ? loadAccount() : null);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
+`;
+
+  files['README.md'] = scaffoldReadme(context, [
+    ['Commands', commands.map(([, command]) => `- \`npm start -- ${command.usage}\`: ${command.description}`).join('\n')],
+    ['How it fits together', [
+      '- `src/config.js` reads the node and the account from `.env`; this replaces DeSo Identity login.',
+      '- `src/transactions.js` asks the node to build a transaction, signs it with `src/signer.js` and submits it.',
+      `- \`src/commands/${feature.name}.js\` implements the commands.`,
+      '',
+      'Prefer a derived key with tight spending limits over the owner seed: set `DESO_DERIVED_PUBLIC_KEY` and use the derived seed as `DESO_SEED_HEX`.'
+    ].join('\n')]
+  ]);
+  return files;
+}
+
+// Comprehensive DeSo GraphQL Helper based on schema analysis
+async function desoGraphQLHelper(args) {
+  const { action, queryType, typeName, username, publicKey, question, customQuery, variables, connection, pageSize, maxPages } = args;
+  
+  switch (action) {
+    case "query":
+      return buildGraphQLQuery(queryType, username, publicKey, question);
+    case "schema":
+      return await exploreGraphQLSchema(queryType, typeName);
+    case "examples":
+      return getGraphQLExamples(queryType);
+    case "build":
+      return await buildQueryFromQuestion(question, username, publicKey);
+    case "explain":
+      return await explainGraphQLQuery(customQuery);
+    case "validate":
+      return await validateGraphQLQuery(customQuery, variables);
+    case "analyze":
+      return await analyzeGraphQLQuery(customQuery, variables);
+    case "types":
+      return await generateGraphQLTypes(customQuery);
+    case "paginate":
+      return await generateGraphQLPagination(connection, queryType, username, publicKey, pageSize, maxPages);
+    default:
+      return { content: [{ type: "text", text: `Unknown GraphQL action: ${action}. Available: query, schema, examples, build, explain, validate, analyze, types, paginate` }] };
+  }
+}
+
+function buildGraphQLQuery(queryType, username, publicKey, question) {
+  const queries = {
+    user: {
+      title: "Get User Information",
+      description: "Fetch user profile data including username, description, follower counts, and coin price",
+      query: `query GetUser($username: String!) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      id
+      publicKey
+      username
+      description
+      profilePic
+      creatorBasisPoints
+      coinPriceDesoNanos
+      desoLockedNanos
+      ccCoinsInCirculationNanos
+      followers {
+        totalCount
+      }
+      following {
+        totalCount
+      }
+      posts {
+        totalCount
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}" }` : `{ "username": "YOUR_USERNAME_HERE" }`,
+      example: username ? `// Example: Get user info for ${username}` : "// Example: Get user info for a specific username"
+    },
+    
+    followers: {
+      title: "Get User Followers",
+      description: "Fetch all followers of a specific user with their profile information",
+      query: `query GetFollowers($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      followers(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        totalCount
+        nodes {
+          follower {
+            username
+            publicKey
+            description
+            profilePic
+          }
+        }
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get followers for ${username}` : "// Example: Get followers for a specific user"
+    },
+    
+    following: {
+      title: "Get Users Following",
+      description: "Fetch all users that a specific user is following",
+      query: `query GetFollowing($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      following(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        totalCount
+        nodes {
+          followee {
+            username
+            publicKey
+            description
+            profilePic
+          }
         }
       }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get users ${username} is following` : "// Example: Get users a specific user is following"
     },
-    user: {
-      description: "Components for user profiles, authentication, and user interactions",
-      components: {
-        "profile-card": {
-          title: "Profile Card",
-          description: "Complete user profile card with stats, follow button, and actions",
-          dependencies: ["profile-picture", "username-display", "profile-description", "profile-stat", "follow-button"],
-          props: ["publicKey", "variant", "showStats", "showActions"],
-          examples: ["Compact card", "Full profile", "Followers list item"]
-        },
-        "profile-picture": {
-          title: "Profile Picture",
-          description: "Smart profile picture with NFT support, hex decoding, and fallbacks",
-          dependencies: [],
-          props: ["publicKey", "size", "shape", "nftImage"],
-          examples: ["Standard avatar", "NFT profile pic", "Different sizes"]
-        },
-        "username-display": {
-          title: "Username Display",
-          description: "Username with verification badge, truncation, and copy functionality",
-          dependencies: ["verification-badge", "copy-button"],
-          props: ["publicKey", "username", "variant", "truncate", "maxLength", "showCopy"],
-          examples: ["Basic username", "Verified user", "Truncated display"]
-        },
-        "user-info": {
-          title: "User Info",
-          description: "Combined user display with avatar, username, and timestamp",
-          dependencies: ["profile-picture", "username-display", "timestamp"],
-          props: ["publicKey", "timestamp", "layout"],
-          examples: ["Post header", "Comment author", "Compact info"]
-        },
-        "user-menu": {
-          title: "User Menu",
-          description: "Dropdown menu for authenticated user with account switching",
-          dependencies: ["profile-picture", "username-display"],
-          props: ["currentUser", "alternateUsers", "onSwitch", "onLogout"],
-          examples: ["Single account", "Multi-account switcher", "Settings menu"]
-        },
-        "user-search": {
-          title: "User Search",
-          description: "Typeahead search for finding users with profile previews",
-          dependencies: ["search-bar", "user-info"],
-          props: ["onUserSelect", "placeholder", "maxResults"],
-          examples: ["Mention search", "Follow search", "Message recipient"]
-        },
-        "follow-button": {
-          title: "Follow Button",
-          description: "Smart follow/unfollow button with state management",
-          dependencies: [],
-          props: ["targetPublicKey", "isFollowing", "variant", "onFollow"],
-          examples: ["Follow button", "Icon only", "Disabled state"]
-        },
-        "profile-list": {
-          title: "Profile List",
-          description: "List of user profiles for followers, following, etc.",
-          dependencies: ["profile-card"],
-          props: ["profiles", "variant", "showActions"],
-          examples: ["Followers list", "Following list", "Search results"]
+    
+    posts: {
+      title: "Get User Posts",
+      description: "Fetch recent posts by a specific user with engagement metrics",
+      query: `query GetUserPosts($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      posts(first: $first, orderBy: [TIMESTAMP_DESC]) {
+        totalCount
+        nodes {
+          postHash
+          body
+          imageUrls
+          videoUrls
+          timestamp
+          isQuotedRepost
+          isPinned
+          likes {
+            totalCount
+          }
+          diamonds {
+            totalCount
+          }
+          parentPost {
+            postHash
+            body
+            poster {
+              username
+            }
+          }
+          repostedPost {
+            postHash
+            body
+            poster {
+              username
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get recent posts by ${username}` : "// Example: Get recent posts by a specific user"
+    },
+    
+    likes: {
+      title: "Get User Likes",
+      description: "Fetch posts that a user has liked",
+      query: `query GetUserLikes($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      likes(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        totalCount
+        nodes {
+          post {
+            postHash
+            body
+            timestamp
+            poster {
+              username
+              profilePic
+            }
+            likes {
+              totalCount
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get posts liked by ${username}` : "// Example: Get posts liked by a specific user"
+    },
+    
+    diamonds: {
+      title: "Get User Diamonds",
+      description: "Fetch diamonds sent and received by a user",
+      query: `query GetUserDiamonds($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      diamondsSent(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        totalCount
+        nodes {
+          diamondLevel
+          post {
+            postHash
+            body
+            poster {
+              username
+            }
+          }
+          reciever {  # sic: the schema spells the Diamond relation this way
+            username
+          }
+        }
+      }
+      diamondsReceived(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        totalCount
+        nodes {
+          diamondLevel
+          post {
+            postHash
+            body
+          }
+          sender {
+            username
+          }
+        }
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get diamonds for ${username}` : "// Example: Get diamonds for a specific user"
+    },
+    
+    nfts: {
+      title: "Get User NFTs",
+      description: "Fetch NFTs created or owned by a user",
+      query: `query GetUserNFTs($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      posts(filter: { isNft: { equalTo: true } }, first: $first, orderBy: [TIMESTAMP_DESC]) {
+        totalCount
+        nodes {
+          postHash
+          body
+          imageUrls
+          isNft
+          numNftCopies
+          numNftCopiesForSale
+          numNftCopiesBurned
+          nftRoyaltyToCreatorBasisPoints
+          nfts(first: 5) {
+            nodes {
+              serialNumber
+              isForSale
+              minBidAmountNanos
+              owner {
+                username
+              }
+            }
+          }
+          nftBids(first: 5, orderBy: [BID_AMOUNT_NANOS_DESC]) {
+            nodes {
+              bidAmountNanos
+              bidder {
+                username
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get NFTs by ${username}` : "// Example: Get NFTs by a specific user"
+    },
+
+    staking: {
+      title: "Get User Staking Positions",
+      description: "Fetch a user's stake totals, stakes by validator, locked stake and recent staking rewards",
+      query: `query GetUserStaking($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      myStakeSummary {
+        totalStake
+        totalLockedStake
+        totalStakeRewards
+      }
+      stakeEntries(first: $first, orderBy: [STAKE_AMOUNT_NANOS_DESC]) {
+        totalCount
+        nodes {
+          stakeAmountNanos
+          rewardMethod
+          validatorAccount {
+            username
+            publicKey
+          }
+          validatorEntry {
+            totalStakeAmountNanos
+            delegatedStakeCommissionBasisPoints
+            jailedAtEpochNumber
+          }
+        }
+      }
+      lockedStakeEntries(first: $first, orderBy: [LOCKED_AT_EPOCH_NUMBER_DESC]) {
+        nodes {
+          lockedAmountNanos
+          lockedAtEpochNumber
+          validatorAccount {
+            username
+          }
+        }
+      }
+      stakeRewards(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
+        nodes {
+          rewardNanos
+          isValidatorCommission
+          validator {
+            username
+          }
+          block {
+            height
+            timestamp
+          }
         }
       }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get staking positions for ${username}` : "// Example: Get staking positions for a specific user",
+      tips: [
+        "Stake, locked stake and reward amounts are in DESO nanos (1 DESO = 1e9 nanos). `BigFloat` and `BigInt` values arrive as strings",
+        "Locked stake is stake that was unstaked and is waiting out its lockup; `lockedAtEpochNumber` is when it started",
+        "`stakeRewards` has no timestamp of its own; `block { timestamp }` dates each reward"
+      ]
     },
-    messaging: {
-      description: "Components for DeSo's encrypted messaging system",
-      components: {
-        "message-inbox": {
-          title: "Message Inbox",
-          description: "Complete chat interface with conversation list and message thread",
-          dependencies: ["message-inbox-item", "message-chat-list", "editor"],
-          props: ["conversations", "selectedConversation", "currentUser"],
-          examples: ["Desktop inbox", "Mobile chat", "Empty state"]
-        },
-        "message-chat-list": {
-          title: "Message Chat List",
-          description: "List of messages in a conversation thread",
-          dependencies: ["message-chat-item"],
-          props: ["messages", "currentUser", "onLoadMore"],
-          examples: ["Active conversation", "Message history", "Loading states"]
-        },
-        "message-chat-item": {
-          title: "Message Chat Item",
-          description: "Individual message bubble with timestamp and status",
-          dependencies: ["profile-picture", "timestamp"],
-          props: ["message", "isFromCurrentUser", "showTimestamp"],
-          examples: ["Text message", "Media message", "System message"]
-        },
-        "message-inbox-item": {
-          title: "Message Inbox Item",
-          description: "Conversation preview in the sidebar",
-          dependencies: ["profile-picture", "timestamp"],
-          props: ["conversation", "isSelected", "unreadCount"],
-          examples: ["Recent conversation", "Unread messages", "Selected state"]
-        },
-        "message-button": {
-          title: "Message Button",
-          description: "Button to initiate messaging with a user",
-          dependencies: [],
-          props: ["targetPublicKey", "variant", "onClick"],
-          examples: ["Profile message button", "Icon only", "Disabled state"]
-        }
+
+    validators: {
+      title: "Get Validators by Stake",
+      description: "Fetch network staking totals and the validators with the most stake, with their rank, commission, jail status and leader schedule share",
+      query: `query GetValidators($first: Int = 20) {
+  stakingSummaries(first: 1) {
+    nodes {
+      globalStakeAmountNanos
+      numValidators
+      numStakers
+      currentEpochNumber
+    }
+  }
+  validatorEntries(first: $first, orderBy: [TOTAL_STAKE_AMOUNT_NANOS_DESC]) {
+    totalCount
+    nodes {
+      validatorPkid
+      domains
+      totalStakeAmountNanos
+      delegatedStakeCommissionBasisPoints
+      disableDelegatedStake
+      lastActiveAtEpochNumber
+      jailedAtEpochNumber
+      account {
+        username
+        profilePic
+      }
+      validatorStats {
+        validatorRank
+        percentTotalStake
+        percentEpochsInLeaderSchedule
+        totalStakeRewardNanos
+      }
+      stakeEntries {
+        totalCount
       }
+    }
+  }
+}`,
+      variables: `{ "first": 20 }`,
+      example: "// Example: Get the top validators by total stake",
+      tips: [
+        "`jailedAtEpochNumber` is 0 for validators that have never been jailed; compare it with `currentEpochNumber` to show recently jailed ones",
+        "`delegatedStakeCommissionBasisPoints` is the validator's cut of delegators' rewards: 1000 basis points = 10%",
+        "`stakeEntries { totalCount }` counts each validator's stakers. Drop it for a faster list"
+      ]
     },
-    media: {
-      description: "Components for media display and interaction",
-      components: {
-        "media-gallery": {
-          title: "Media Gallery",
-          description: "Masonry layout gallery for images and videos",
-          dependencies: ["media-item", "react-photo-album"],
-          props: ["media", "layout", "onItemClick"],
-          examples: ["Image gallery", "Mixed media", "Lightbox integration"]
-        },
-        "media-card": {
-          title: "Media Card",
-          description: "Media preview card with hover effects and engagement",
-          dependencies: ["post-engagement", "react-player"],
-          props: ["mediaUrl", "mediaType", "engagement", "onPlay"],
-          examples: ["Image card", "Video card", "Hover preview"]
-        },
-        "media-item": {
-          title: "Media Item",
-          description: "Individual media item with optimization",
-          dependencies: ["post-engagement"],
-          props: ["mediaUrl", "mediaType", "size", "onClick"],
-          examples: ["Thumbnail", "Full size", "Loading placeholder"]
-        },
-        "video-reel": {
-          title: "Video Reel",
-          description: "TikTok-style vertical video player for short content",
-          dependencies: ["user-info", "post-engagement", "post-text", "react-player"],
-          props: ["videos", "currentIndex", "onVideoChange"],
-          examples: ["Short video feed", "Single video", "Auto-play reel"]
+
+    "dao-orders": {
+      title: "Get DAO Coin Limit Orders",
+      description: "Fetch open DAO coin limit orders that buy or sell a creator's DAO coin (the order book for that coin)",
+      query: `query GetDaoCoinOrders($username: String!, $first: Int = 20) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      buying: desoTokenLimitOrderByCreatorBought(first: $first, orderBy: [BLOCK_HEIGHT_DESC]) {
+        totalCount
+        nodes {
+          orderId
+          operationType
+          fillType
+          scaledExchangeRateCoinsToSellPerCoinToBuyNumeric
+          quantityToFillInBaseUnitsNumeric
+          blockHeight
+          transactorAccount {
+            username
+          }
+          creatorSoldAccount {
+            username
+          }
+        }
+      }
+      selling: desoTokenLimitOrderByCreatorSold(first: $first, orderBy: [BLOCK_HEIGHT_DESC]) {
+        totalCount
+        nodes {
+          orderId
+          operationType
+          fillType
+          scaledExchangeRateCoinsToSellPerCoinToBuyNumeric
+          quantityToFillInBaseUnitsNumeric
+          blockHeight
+          transactorAccount {
+            username
+          }
+          creatorBoughtAccount {
+            username
+          }
         }
       }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 20 }` : `{ "username": "DAO_CREATOR_USERNAME_HERE", "first": 20 }`,
+      example: username ? `// Example: Get the open orders for ${username}'s DAO coin` : "// Example: Get the open orders for a creator's DAO coin",
+      tips: [
+        "`buying` orders receive the coin and `selling` orders give it up; the other side is DESO when `creatorSoldAccount`/`creatorBoughtAccount` is null",
+        "`operationType` is 1 for an ask and 2 for a bid; `fillType` is 1 good-till-cancelled, 2 immediate-or-cancel, 3 fill-or-kill",
+        "The exchange rate is scaled by 1e38, and DAO coin quantities are in base units of 1e18 per coin (DESO nanos when DESO is the side being filled)",
+        "Only open orders are stored: filled and cancelled orders disappear from these lists"
+      ]
     },
-    interactive: {
-      description: "Interactive components for content creation and actions",
-      components: {
-        "editor": {
-          title: "Editor",
-          description: "Rich text editor with media uploads, emojis, and markdown support",
-          dependencies: ["editor-emoji-picker", "editor-markdown", "editor-upload"],
-          props: ["currentUser", "onSubmit", "placeholder", "maxChars", "showImageUpload", "showVideoUpload"],
-          examples: ["Basic post editor", "Reply editor", "DM composer"]
-        },
-        "editor-upload": {
-          title: "Editor Upload",
-          description: "File upload component with drag-and-drop and progress",
-          dependencies: [],
-          props: ["acceptedTypes", "maxFiles", "onUpload", "uploadType"],
-          examples: ["Image upload", "Video upload", "Multiple files"]
-        },
-        "editor-emoji-picker": {
-          title: "Editor Emoji Picker",
-          description: "Emoji picker for editor integration",
-          dependencies: ["emoji-picker-react"],
-          props: ["onEmojiClick", "theme"],
-          examples: ["Emoji picker", "Custom categories", "Skin tone selector"]
-        },
-        "search-bar": {
-          title: "Search Bar",
-          description: "Universal search with autocomplete and keyboard navigation",
-          dependencies: [],
-          props: ["placeholder", "onSearch", "suggestions", "loading"],
-          examples: ["Global search", "User search", "Post search"]
-        },
-        "action-menu": {
-          title: "Action Menu",
-          description: "Dropdown menu for post and user actions",
-          dependencies: ["confirmation-dialog"],
-          props: ["actions", "onAction", "triggerIcon"],
-          examples: ["Post actions", "User actions", "Custom actions"]
-        },
-        "confirmation-dialog": {
-          title: "Confirmation Dialog",
-          description: "Modal dialog for confirming destructive actions",
-          dependencies: [],
-          props: ["title", "description", "onConfirm", "onCancel"],
-          examples: ["Delete confirmation", "Unfollow confirmation", "Block user"]
+
+    associations: {
+      title: "Get User Associations",
+      description: "Fetch the user and post associations a user created and the user associations that target them",
+      query: `query GetUserAssociations($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      userAssociationsAsTransactor(first: $first, orderBy: [BLOCK_HEIGHT_DESC]) {
+        totalCount
+        nodes {
+          associationType
+          associationValue
+          blockHeight
+          target {
+            username
+          }
+          app {
+            username
+          }
+        }
+      }
+      userAssociationsAsTarget(first: $first, orderBy: [BLOCK_HEIGHT_DESC]) {
+        totalCount
+        nodes {
+          associationType
+          associationValue
+          blockHeight
+          transactor {
+            username
+          }
+          app {
+            username
+          }
+        }
+      }
+      postAssociations(first: $first, orderBy: [BLOCK_HEIGHT_DESC]) {
+        totalCount
+        nodes {
+          associationType
+          associationValue
+          blockHeight
+          post {
+            postHash
+            body
+          }
+          app {
+            username
+          }
         }
       }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get associations made by and about ${username}` : "// Example: Get associations made by and about a specific user",
+      tips: [
+        "Narrow a list to one kind with `filter: { associationType: { equalTo: \"ENDORSEMENT\" } }` (types and values are free-form strings chosen by apps)",
+        "`app` is the account of the app that created the association, so apps can keep their own associations apart"
+      ]
     },
-    navigation: {
-      description: "Navigation and layout components",
-      components: {
-        "navigation-list": {
-          title: "Navigation List",
-          description: "Sidebar navigation with icons and badges",
-          dependencies: [],
-          props: ["items", "activeItem", "onItemClick"],
-          examples: ["Main sidebar", "Mobile menu", "Settings nav"]
-        },
-        "logo": {
-          title: "Logo",
-          description: "DeSo logo with light/dark mode support",
-          dependencies: [],
-          props: ["variant", "size", "theme"],
-          examples: ["Header logo", "Loading logo", "Favicon"]
+
+    "derived-keys": {
+      title: "Get User Derived Keys",
+      description: "Fetch the derived keys a user has authorized, with expiration, validity and spending limits",
+      query: `query GetDerivedKeys($username: String!, $first: Int = 10) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      publicKey
+      derivedKeys(first: $first, orderBy: [EXPIRATION_BLOCK_DESC]) {
+        totalCount
+        nodes {
+          derivedPublicKey
+          expirationBlock
+          isValid
+          isUnlimited
+          operationType
+          globalDesoLimit
+          transactionSpendingLimits
         }
       }
+    }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
+      example: username ? `// Example: Get derived keys authorized by ${username}` : "// Example: Get derived keys authorized by a specific user",
+      tips: [
+        "`operationType` is 1 while the key is authorized and 0 once it has been revoked; a key also stops working at `expirationBlock`",
+        "`globalDesoLimit` is in DESO nanos, and `transactionSpendingLimits` is the JSON of per-transaction limits the key was issued with"
+      ]
     },
-    utility: {
-      description: "Utility components for common functionality",
-      components: {
-        "timestamp": {
-          title: "Timestamp",
-          description: "Smart timestamp display with relative and absolute formatting",
-          dependencies: ["date-fns"],
-          props: ["date", "format", "relative"],
-          examples: ["Relative time", "Full date", "Custom format"]
-        },
-        "copy-button": {
-          title: "Copy Button",
-          description: "Button with copy-to-clipboard functionality",
-          dependencies: [],
-          props: ["text", "variant", "showFeedback"],
-          examples: ["Copy text", "Copy link", "Copy public key"]
-        },
-        "verification-badge": {
-          title: "Verification Badge",
-          description: "Verification badge with multiple styles",
-          dependencies: [],
-          props: ["verified", "variant", "size"],
-          examples: ["Verified user", "Different styles", "Custom colors"]
+
+    blocks: {
+      title: "Get Recent Blocks",
+      description: "Fetch the latest blocks with their proposer and transaction counts",
+      query: `query GetRecentBlocks($first: Int = 10) {
+  blocks(first: $first, orderBy: [HEIGHT_DESC]) {
+    nodes {
+      height
+      blockHash
+      prevBlockHash
+      timestamp
+      proposedInView
+      proposerVotingPublicKey
+      transactions {
+        totalCount
+      }
+    }
+  }
+}`,
+      variables: `{ "first": 10 }`,
+      example: "// Example: Get the 10 most recent blocks",
+      tips: [
+        "Look up a single block with `blockByHeight(height: \"123456\")` or `blockByBlockHash(blockHash: ...)`",
+        "`proposedInView` and `proposerVotingPublicKey` are only set on proof-of-stake blocks"
+      ]
+    },
+
+    transactions: {
+      title: "Get User Transactions",
+      description: "Fetch the most recent transactions signed by a user, with their type, fee and block",
+      query: `query GetUserTransactions($username: String!, $first: Int = 20) {
+  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
+    nodes {
+      username
+      transactions(first: $first, orderBy: [TIMESTAMP_DESC]) {
+        totalCount
+        nodes {
+          transactionHash
+          txnType
+          transactionType {
+            name
+          }
+          feeNanos
+          blockHeight
+          timestamp
         }
       }
     }
+  }
+}`,
+      variables: username ? `{ "username": "${username}", "first": 20 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 20 }`,
+      example: username ? `// Example: Get recent transactions by ${username}` : "// Example: Get recent transactions by a specific user",
+      tips: [
+        "These are transactions the user signed. For every transaction that touches the account (received DESO, diamonds, follows), list `transactionHashes` (affected public keys) instead",
+        "Filter by kind with `filter: { txnType: { equalTo: 2 } }` (2 is a basic DESO transfer); `transactionType { name }` gives the readable name",
+        "Fetch one transaction with `transactionByTransactionHash(transactionHash: ...)`"
+      ]
+    },
+
+    dashboard: {
+      title: "Get Network Dashboard Stats",
+      description: "Fetch network-wide totals, staking totals and daily transaction and wallet counts for a dashboard",
+      query: `query GetNetworkDashboard($days: Int = 30) {
+  dashboardStats(first: 1) {
+    nodes {
+      blockHeightCurrent
+      txnCountAll
+      txnCount30D
+      txnCountPending
+      txnFee1D
+      walletCountAll
+      activeWalletCount30D
+      newWalletCount30D
+      totalSupply
+      postCount
+      commentCount
+      repostCount
+      followCount
+      messageCount
+      txnCountSocial
+      txnCountCreatorCoin
+      txnCountNft
+      txnCountDex
+    }
+  }
+  stakingSummaries(first: 1) {
+    nodes {
+      globalStakeAmountNanos
+      numValidators
+      numStakers
+      currentEpochNumber
+    }
+  }
+  dailyTxnCountStats(first: $days, orderBy: [DAY_DESC]) {
+    nodes {
+      day
+      transactionCount
+    }
+  }
+  dailyActiveWalletCountStats(first: $days, orderBy: [DAY_DESC]) {
+    nodes {
+      day
+      count
+    }
+  }
+  dailyNewWalletCountStats(first: $days, orderBy: [DAY_DESC]) {
+    nodes {
+      day
+      walletCount
+    }
+  }
+}`,
+      variables: `{ "days": 30 }`,
+      example: "// Example: Get the stats for a network dashboard covering the last 30 days",
+      tips: [
+        "`dashboardStats` and `stakingSummaries` each hold a single row of precomputed totals",
+        "Daily series come newest first; reverse them before charting. `monthlyTxnCountStats` and `monthlyNewWalletCountStats` give longer ranges"
+      ]
+    }
   };
+  
+  if (!queryType || !queries[queryType]) {
+    return { content: [{ type: "text", text: `Available query types: ${Object.keys(queries).join(', ')}` }] };
+  }
+  
+  const queryInfo = queries[queryType];
+  let response = `# ${queryInfo.title}\n\n${queryInfo.description}\n\n## GraphQL Query\n\n\`\`\`graphql\n${queryInfo.query}\n\`\`\`\n\n## Variables\n\n\`\`\`json\n${queryInfo.variables}\n\`\`\`\n\n## Usage Example\n\n\`\`\`javascript\n${queryInfo.example}\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: {\n    'Content-Type': 'application/json',\n  },\n  body: JSON.stringify({\n    query: \`${queryInfo.query.replace(/`/g, '\\`')}\`,\n    variables: ${queryInfo.variables}\n  })\n});\n\nconst data = await response.json();\nconsole.log(data);\n\`\`\``;
+  
+  // Add specific usage tips based on query type
+  if (queryType === 'followers' || queryType === 'following') {
+    response += `\n\n## Tips\n\n- Use \`totalCount\` to get the exact number of ${queryType}\n- Adjust \`first\` parameter to get more/fewer results\n- Use \`orderBy: [PRIMARY_KEY_DESC]\` for most recent ${queryType}`;
+  }
+  if (queryInfo.tips) {
+    response += `\n\n## Tips\n\n${queryInfo.tips.map(tip => `- ${tip}`).join('\n')}`;
+  }
+  
+  response += `\n\n## Run It Offline\n\n\`npm run start:mock-graphql\` serves the bundled schema at \`http://localhost:4000/graphql\` with seeded accounts (alice, bob, carol, ...). Swap the URL above to run this query without network access.`;
+  const operationName = queryInfo.query.match(/^query (\w+)/)?.[1];
+  if (operationName) {
+    response += `\n\n## TypeScript Types\n\nCall this tool with \`action: "types"\` and this query as \`customQuery\` to generate \`${operationName.replace(/Query$/, '')}Query\` and \`${operationName.replace(/Query$/, '')}QueryVariables\` from the schema instead of writing them by hand.`;
+  }
+  
+  return { content: [{ type: "text", text: response }] };
+}
 
-  const exampleLayouts = {
-    "twitter-clone": {
-      title: "Twitter-like Social Media",
-      description: "Complete social media layout with feeds, profiles, and messaging",
-      components: ["navigation-list", "user-menu", "feed-list", "post-card", "editor", "search-bar", "profile-card"],
-      layout: "Three-column layout with sidebar navigation, main feed, and right sidebar"
-    },
-    "messaging-app": {
-      title: "DeSo Messaging Application",
-      description: "Encrypted messaging interface with conversation management",
-      components: ["message-inbox", "message-chat-list", "message-chat-item", "user-search", "editor"],
-      layout: "Two-panel layout with conversation list and active chat"
-    },
-    "profile-page": {
-      title: "User Profile Page",
-      description: "Complete user profile with posts, followers, and actions",
-      components: ["profile-cover-photo", "profile-picture", "username-display", "profile-description", "profile-stat", "follow-button", "feed-list"],
-      layout: "Profile header with tabbed content sections"
-    },
-    "media-gallery": {
-      title: "Media Gallery Application",
-      description: "Instagram-like media browsing and discovery",
-      components: ["media-gallery", "media-card", "video-reel", "user-info", "post-engagement"],
-      layout: "Grid layout with modal overlays for detailed view"
+// The entity type each canned queryType is about
+const GRAPHQL_QUERY_TYPE_ENTITIES = {
+  user: 'Account',
+  posts: 'Post',
+  followers: 'Follow',
+  following: 'Follow',
+  likes: 'Like',
+  diamonds: 'Diamond',
+  messages: 'Message',
+  nfts: 'Nft',
+  staking: 'StakeEntry',
+  validators: 'ValidatorEntry',
+  'dao-orders': 'DesoTokenLimitOrder',
+  associations: 'UserAssociation',
+  'derived-keys': 'DerivedKey',
+  blocks: 'Block',
+  transactions: 'Transaction',
+  dashboard: 'DashboardStat'
+};
+
+const GRAPHQL_KIND_LABELS = {
+  OBJECT: 'Object type',
+  INTERFACE: 'Interface',
+  UNION: 'Union',
+  ENUM: 'Enum',
+  INPUT_OBJECT: 'Input type',
+  SCALAR: 'Scalar'
+};
+
+// Docstrings can span several lines; table cells and list items need them on one
+function graphQLDescription(description) {
+  return (description || '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+// Arguments as a signature. The standard pagination arguments are folded together since every connection has them.
+function formatGraphQLArguments(args) {
+  const entries = Object.values(args);
+  if (entries.length === 0) return '';
+  const pagination = ['first', 'last', 'offset', 'before', 'after'];
+  const paged = pagination.every(name => args[name]);
+  const rest = entries.filter(arg => !paged || !pagination.includes(arg.name)).map(arg => (
+    `${arg.name}: ${printGraphQLType(arg.type)}${arg.defaultValue ? ` = ${printGraphQLValue(arg.defaultValue)}` : ''}`
+  ));
+  return `(${[...(paged ? ['first, last, offset, before, after'] : []), ...rest].join(', ')})`;
+}
+
+// The node type of a PostGraphile connection type, or null for anything else
+function graphQLConnectionNode(schema, typeName) {
+  const type = schema.types[typeName];
+  if (type?.kind !== 'OBJECT' || !type.fields.nodes || !type.fields.pageInfo) return null;
+  return namedGraphQLType(type.fields.nodes.type);
+}
+
+function formatGraphQLFilter(schema, filterName) {
+  const filter = schema.types[filterName];
+  const columns = [];
+  const toOne = [];
+  const toMany = [];
+  const operatorTypes = new Set();
+  for (const field of Object.values(filter.fields)) {
+    const typeName = namedGraphQLType(field.type);
+    const type = schema.types[typeName];
+    // and/or/not, and the postsExist / profileExists flags that pair with each relation
+    if (['and', 'or', 'not'].includes(field.name) || typeName === 'Boolean') continue;
+    if (type.fields.some) toMany.push(`\`${field.name}\` (${namedGraphQLType(type.fields.some.type)})`);
+    else if (type.fields.and) toOne.push(`\`${field.name}\` (${typeName})`);
+    else {
+      columns.push(`\`${field.name}\` (${typeName})`);
+      operatorTypes.add(typeName);
     }
-  };
+  }
 
-  switch (action) {
-    case 'explore':
-      if (component) {
-        return exploreSpecificComponent(component, componentRegistry, framework);
-      } else if (category && category !== 'all') {
-        return exploreCategoryComponents(category, componentRegistry, framework);
-      } else {
-        return exploreAllComponents(componentRegistry);
-      }
-    
-    case 'install':
-      return generateInstallInstructions(component, componentRegistry);
-    
-    case 'usage':
-      return generateUsageExamples(component, componentRegistry, framework);
-    
-    case 'dependencies':
-      return showComponentDependencies(component, componentRegistry);
-    
-    case 'examples':
-      return showComponentExamples(component, componentRegistry, framework);
-    
-    case 'layouts':
-      return showExampleLayouts(exampleLayouts, framework);
-    
-    case 'categories':
-      return showComponentCategories(componentRegistry);
-    
-    case 'search':
-      return searchComponents(query, componentRegistry);
-    
-    default:
-      return { content: [{ type: "text", text: `Unknown action: ${action}. Available: explore, install, usage, dependencies, examples, layouts, categories, search` }] };
+  let text = `## Filtering (\`filter: ${filterName}\`)\n\nCombine conditions with \`and\`, \`or\` and \`not\`.\n\n`;
+  if (columns.length > 0) text += `**Columns:** ${columns.join(', ')}\n\n`;
+  if (toOne.length > 0) text += `**Related rows** (filter the related row, or test \`<name>Exists: Boolean\`): ${toOne.join(', ')}\n\n`;
+  if (toMany.length > 0) text += `**Related sets** (\`{ some | every | none: <filter> }\`, or test \`<name>Exist: Boolean\`): ${toMany.join(', ')}\n\n`;
+  if (operatorTypes.size > 0) {
+    text += `**Operators:**\n`;
+    for (const typeName of [...operatorTypes].sort()) {
+      text += `- \`${typeName}\`: ${Object.keys(schema.types[typeName].fields).join(', ')}\n`;
+    }
+    text += '\n';
   }
+  return text;
 }
 
-// Helper functions for DeSo UI Components
-function exploreAllComponents(registry) {
-  let response = `# 🎨 DeSo UI Component Library
+function formatGraphQLObjectType(schema, type) {
+  const fields = Object.values(type.fields);
+  const connections = fields.filter(field => graphQLConnectionNode(schema, namedGraphQLType(field.type)));
+  const relations = fields.filter(field => !connections.includes(field) && ['OBJECT', 'INTERFACE', 'UNION'].includes(schema.types[namedGraphQLType(field.type)].kind));
+  const columns = fields.filter(field => !connections.includes(field) && !relations.includes(field));
+  const deprecated = (field) => (field.deprecationReason ? ` ⚠️ Deprecated: ${graphQLDescription(field.deprecationReason)}` : '');
+  let text = '';
+
+  // Root fields that read this type, directly or through a connection
+  const entryPoints = type.name === schema.queryType ? [] : Object.values(schema.types[schema.queryType].fields).filter(field => {
+    const returned = namedGraphQLType(field.type);
+    return returned === type.name || graphQLConnectionNode(schema, returned) === type.name;
+  });
+  if (entryPoints.length > 0) {
+    text += `## Query Entry Points\n\n`;
+    for (const field of entryPoints) {
+      text += `- \`${field.name}${formatGraphQLArguments(field.args)}: ${printGraphQLType(field.type)}\`${field.description ? ` — ${graphQLDescription(field.description)}` : ''}${deprecated(field)}\n`;
+    }
+    text += '\n';
+  }
 
-A comprehensive React component library for building DeSo blockchain applications.
+  if (columns.length > 0) {
+    text += `## Fields (${columns.length})\n\n| Field | Type | Description |\n|-------|------|-------------|\n`;
+    for (const field of columns) {
+      text += `| \`${field.name}${formatGraphQLArguments(field.args)}\` | \`${printGraphQLType(field.type)}\` | ${graphQLDescription(field.description)}${deprecated(field)} |\n`;
+    }
+    text += '\n';
+  }
 
-**Built with:** TypeScript, Shadcn UI, Tailwind CSS, Storybook  
-**Installation:** \`npx shadcn@latest add http://ui.deso.com/r/[component].json\`
+  if (relations.length > 0) {
+    text += `## Relations (${relations.length})\n\n`;
+    for (const field of relations) {
+      text += `- \`${field.name}${formatGraphQLArguments(field.args)}: ${printGraphQLType(field.type)}\`${field.description ? ` — ${graphQLDescription(field.description)}` : ''}${deprecated(field)}\n`;
+    }
+    text += '\n';
+  }
 
-## 📊 Component Overview
+  if (connections.length > 0) {
+    text += `## Connections (${connections.length})\n\nEach takes \`first\`, \`last\`, \`offset\`, \`before\`, \`after\`, \`orderBy\`, \`condition\` and \`filter\`, and returns \`nodes\`, \`edges { cursor node }\`, \`pageInfo\` and \`totalCount\`.\n\n`;
+    for (const field of connections) {
+      const node = graphQLConnectionNode(schema, namedGraphQLType(field.type));
+      const { filter, orderBy } = field.args;
+      text += `- \`${field.name}\` → \`[${node}]\`${filter ? `, filter \`${namedGraphQLType(filter.type)}\`` : ''}${orderBy ? `, orderBy \`${namedGraphQLType(orderBy.type)}\`` : ''}${deprecated(field)}\n`;
+    }
+    text += '\n';
+  }
 
-`;
+  // Filter, condition and ordering types come from the connection that lists this type
+  const listing = [...entryPoints, ...Object.values(schema.types).flatMap(other => (other.kind === 'OBJECT' ? Object.values(other.fields) : []))]
+    .find(field => graphQLConnectionNode(schema, namedGraphQLType(field.type)) === type.name);
+  const argType = (name) => (listing?.args[name] ? namedGraphQLType(listing.args[name].type) : null);
+  const filterName = argType('filter');
+  const conditionName = argType('condition');
+  const orderByName = argType('orderBy');
+
+  if (filterName) text += formatGraphQLFilter(schema, filterName);
+  if (conditionName) {
+    text += `## Condition (\`condition: ${conditionName}\`)\n\nExact matches on ${Object.values(schema.types[conditionName].fields).map(field => `\`${field.name}\``).join(', ')}.\n\n`;
+  }
+  if (orderByName) {
+    text += `## Ordering (\`orderBy: [${orderByName}!]\`)\n\n${Object.keys(schema.types[orderByName].values).map(value => `\`${value}\``).join(', ')}\n\n`;
+  }
+  return text;
+}
 
-  let totalComponents = 0;
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    const componentCount = Object.keys(categoryInfo.components).length;
-    totalComponents += componentCount;
-    response += `### ${categoryName.toUpperCase()} (${componentCount} components)\n`;
-    response += `${categoryInfo.description}\n\n`;
+async function exploreGraphQLSchema(queryType, typeName) {
+  const schema = await loadGraphQLSchema();
+  const requested = typeName || GRAPHQL_QUERY_TYPE_ENTITIES[queryType];
+
+  if (!requested) {
+    const entities = Object.values(schema.types[schema.queryType].fields)
+      .map(field => ({ field, node: graphQLConnectionNode(schema, namedGraphQLType(field.type)) }))
+      .filter(({ node }) => node);
+    const counts = Object.values(schema.types).reduce((totals, type) => ({ ...totals, [type.kind]: (totals[type.kind] || 0) + 1 }), {});
+    const rootFields = Object.values(schema.types[schema.queryType].fields);
+    let response = `# DeSo GraphQL Schema\n\nParsed from \`repos/graphql/schema.graphql\`: ${Object.entries(counts).map(([kind, count]) => `${count} ${GRAPHQL_KIND_LABELS[kind].toLowerCase()}${count === 1 ? '' : 's'}`).join(', ')}.\n\n`;
+    response += `## Entities (${entities.length})\n\nEach can be listed from the root \`Query\`. Pass \`typeName\` to see its fields, filters and ordering.\n\n| Type | Root connection | Lookups |\n|------|-----------------|---------|\n`;
+    for (const { field, node } of entities) {
+      // Single-row readers such as accountByUsername; every type also has a <type>ById(id) lookup
+      const lookups = rootFields.filter(lookup => namedGraphQLType(lookup.type) === node && !lookup.name.endsWith('ById'));
+      response += `| \`${node}\` | \`${field.name}\` | ${lookups.map(lookup => `\`${lookup.name}${formatGraphQLArguments(lookup.args)}\``).join(', ')} |\n`;
+    }
+    response += `\n## Common Patterns\n\n**Pagination:**\n\`\`\`graphql\n{\n  accounts(first: 10, after: "cursor") {\n    nodes { ... }\n    pageInfo {\n      hasNextPage\n      endCursor\n    }\n    totalCount\n  }\n}\n\`\`\`\n\n**Ordering:**\n\`\`\`graphql\n{\n  posts(orderBy: [TIMESTAMP_DESC]) {\n    nodes { ... }\n  }\n}\n\`\`\``;
+    return { content: [{ type: "text", text: response }] };
+  }
+
+  const type = schema.types[requested] || Object.values(schema.types).find(candidate => candidate.name.toLowerCase() === requested.toLowerCase());
+  if (!type) {
+    const suggestions = suggestNames(requested, Object.keys(schema.types));
+    let text = `# ❌ Unknown GraphQL Type: ${requested}\n\n`;
+    text += suggestions.length > 0
+      ? `Did you mean ${suggestions.map(s => `\`${s}\``).join(' or ')}?\n`
+      : `Use the \`schema\` action without \`typeName\` to list the entity types.\n`;
+    return { content: [{ type: "text", text }] };
+  }
+
+  let response = `# DeSo GraphQL Schema: ${type.name}\n\n`;
+  if (type.description) response += `${type.description}\n\n`;
+  response += `**Kind:** ${GRAPHQL_KIND_LABELS[type.kind]}${type.interfaces?.length ? ` implementing ${type.interfaces.map(name => `\`${name}\``).join(', ')}` : ''}\n\n`;
+
+  switch (type.kind) {
+    case 'OBJECT':
+    case 'INTERFACE':
+      response += formatGraphQLObjectType(schema, type);
+      if (type.kind === 'INTERFACE') response += `## Implemented By (${type.possibleTypes.length})\n\n${type.possibleTypes.map(name => `\`${name}\``).join(', ')}\n`;
+      break;
+    case 'UNION':
+      response += `## Member Types\n\n${type.possibleTypes.map(name => `\`${name}\``).join(', ')}\n`;
+      break;
+    case 'ENUM':
+      response += `## Values (${Object.keys(type.values).length})\n\n`;
+      if (Object.values(type.values).every(value => !value.description && !value.deprecationReason)) {
+        response += `${Object.keys(type.values).map(value => `\`${value}\``).join(', ')}\n`;
+        break;
+      }
+      for (const value of Object.values(type.values)) {
+        response += `- \`${value.name}\`${value.description ? ` — ${graphQLDescription(value.description)}` : ''}${value.deprecationReason ? ` ⚠️ Deprecated: ${graphQLDescription(value.deprecationReason)}` : ''}\n`;
+      }
+      break;
+    case 'INPUT_OBJECT':
+      response += `## Fields (${Object.keys(type.fields).length})\n\n| Field | Type | Default | Description |\n|-------|------|---------|-------------|\n`;
+      for (const field of Object.values(type.fields)) {
+        response += `| \`${field.name}\` | \`${printGraphQLType(field.type)}\` | ${field.defaultValue ? `\`${printGraphQLValue(field.defaultValue)}\`` : ''} | ${graphQLDescription(field.description)} |\n`;
+      }
+      break;
+  }
+
+  return { content: [{ type: "text", text: response.trimEnd() }] };
+}
+
+function getGraphQLExamples(queryType) {
+  const examples = {
+    user: [
+      {
+        title: "Get User Follower Count",
+        query: `query GetFollowerCount($username: String!) {
+  accounts(filter: { username: { equalToInsensitive: $username } }) {
+    nodes {
+      username
+      followers {
+        totalCount
+      }
+    }
+  }
+}`,
+        description: "Simple query to get just the follower count for a user"
+      },
+      {
+        title: "Get User Profile Summary",
+        query: `query GetUserSummary($username: String!) {
+  accounts(filter: { username: { equalToInsensitive: $username } }) {
+    nodes {
+      username
+      description
+      profilePic
+      followers { totalCount }
+      following { totalCount }
+      posts { totalCount }
+      coinPriceDesoNanos
+    }
+  }
+}`,
+        description: "Complete user profile summary with all key metrics"
+      }
+    ],
     
-    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
-      response += `- **${componentInfo.title}**: ${componentInfo.description}\n`;
+    posts: [
+      {
+        title: "Get Recent Posts with Engagement",
+        query: `query GetRecentPosts($first: Int = 10, $after: Cursor) {
+  posts(first: $first, after: $after, orderBy: [TIMESTAMP_DESC]) {
+    nodes {
+      postHash
+      body
+      timestamp
+      poster {
+        username
+        profilePic
+      }
+      likes { totalCount }
+      diamonds { totalCount }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}`,
+        description: "Get recent posts across the platform with engagement metrics. Pass `pageInfo.endCursor` as `after` for the next page while `hasNextPage` is true"
+      },
+      {
+        title: "Get User's Last Post",
+        query: `query GetLastPost($username: String!) {
+  accounts(filter: { username: { equalToInsensitive: $username } }) {
+    nodes {
+      posts(first: 1, orderBy: [TIMESTAMP_DESC]) {
+        nodes {
+          body
+          timestamp
+          likes { totalCount }
+        }
+      }
+    }
+  }
+}`,
+        description: "Get the most recent post by a specific user"
+      }
+    ]
+  };
+  
+  const typeExamples = examples[queryType] || examples.user;
+  
+  let response = `# GraphQL Examples: ${queryType}\n\n`;
+  
+  typeExamples.forEach((example, index) => {
+    response += `## ${index + 1}. ${example.title}\n\n${example.description}\n\n\`\`\`graphql\n${example.query}\n\`\`\`\n\n`;
+  });
+  
+  response += `## Usage with JavaScript\n\n\`\`\`javascript\nconst query = \`...\`; // Your GraphQL query\nconst variables = { username: "nader" };\n\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({ query, variables })\n});\n\nconst data = await response.json();\nconsole.log(data.data);\n\`\`\``;
+  response += `\n\nFor a complete pagination loop or a React infinite-scroll hook over any connection, use the \`paginate\` action with \`connection\` (e.g. \`posts\` or \`Account.followers\`).`;
+  
+  return { content: [{ type: "text", text: response }] };
+}
+
+// Question vocabulary for the build action. Each view names an entity, the words that refer to it, the Account
+// relations a named user can fill (as a filter path; the first role whose words match wins, else the default),
+// what to select, the flags a question can switch on, and where its time and recency live.
+const QUESTION_VIEWS = [
+  {
+    type: 'Follow', noun: 'followers', words: /\bfollowers?\b|\bwho follows\b/,
+    roles: [{ path: ['followee'], label: 'followed account', default: true }],
+    select: ['follower { username publicKey description profilePic }']
+  },
+  {
+    type: 'Follow', noun: 'followed accounts', words: /\b(following|follows?|followings)\b/,
+    roles: [{ path: ['follower'], label: 'follower', default: true }],
+    select: ['followee { username publicKey description profilePic }']
+  },
+  {
+    type: 'NftBid', noun: 'NFT bids', words: /\bbids?\b/,
+    roles: [
+      { path: ['post', 'poster'], label: 'NFT creator', words: /\b(received|on \w+'s|creator|created)\b/ },
+      { path: ['bidder'], label: 'bidder', default: true }
+    ],
+    select: ['bidAmountNanos', 'serialNumber', 'acceptedBlockHeight', 'bidder { username }', 'post { postHash body }'],
+    time: ['block', 'timestamp'],
+    flags: [
+      { words: /\b(open|unaccepted|pending|active|outstanding)\b/, filter: { acceptedBlockHeight: { isNull: true } }, label: 'not yet accepted' },
+      { words: /\baccepted\b/, filter: { acceptedBlockHeight: { isNull: false } }, label: 'accepted' }
+    ],
+    metric: 'BID_AMOUNT_NANOS'
+  },
+  {
+    type: 'Nft', noun: 'NFTs', words: /\bnfts?\b(?!\s+(posts?|bids?))/,
+    roles: [
+      { path: ['post', 'poster'], label: 'creator', words: /\b(created|minted|made|creator)\b/ },
+      { path: ['lastOwner'], label: 'previous owner', words: /\b(previously owned|last owner|sold)\b/ },
+      { path: ['owner'], label: 'owner', default: true }
+    ],
+    select: ['serialNumber', 'isForSale', 'minBidAmountNanos', 'isBuyNow', 'buyNowPriceNanos', 'owner { username }', 'post { postHash body imageUrls poster { username } }'],
+    flags: [
+      { words: /\bfor sale\b/, filter: { isForSale: { equalTo: true } }, label: 'for sale' },
+      { words: /\bbuy now\b/, filter: { isBuyNow: { equalTo: true } }, label: 'buy-now' },
+      {
+        words: /\b(with|having|that have) (open |active |unaccepted |any )?bids\b/,
+        filter: { post: { nftBids: { some: { acceptedBlockHeight: { isNull: true } } } } },
+        label: 'with open bids',
+        caveat: 'Bids are matched through the NFT post, so an NFT counts when any serial number of its post has an unaccepted bid.'
+      }
+    ],
+    metric: 'LAST_ACCEPTED_BID_AMOUNT_NANOS',
+    price: 'MIN_BID_AMOUNT_NANOS'
+  },
+  {
+    type: 'Diamond', noun: 'diamonds', words: /\bdiamonds?\b/,
+    roles: [
+      { path: ['sender'], label: 'sender', words: /\b(sent|gave|given by|from|by)\b/ },
+      { path: ['reciever'], label: 'receiver', default: true }
+    ],
+    select: ['diamondLevel', 'sender { username }', 'reciever { username }', 'post { postHash body }'],
+    metric: 'DIAMOND_LEVEL'
+  },
+  {
+    type: 'Like', noun: 'likes', words: /\blikes?\b/,
+    roles: [
+      { path: ['post', 'poster'], label: 'author of the liked post', words: /\b(received|got|on \w+'s)\b/ },
+      { path: ['account'], label: 'liker', default: true }
+    ],
+    select: ['account { username }', 'post { postHash body poster { username } }']
+  },
+  {
+    type: 'Message', noun: 'messages', words: /\b(messages?|dms?|chats?)\b/,
+    roles: [
+      { path: ['receiver'], label: 'recipient', words: /\b(sent to|received|inbox|to)\b/ },
+      { path: ['sender'], label: 'sender', words: /\b(sent|from|by)\b/ },
+      { paths: [['sender'], ['receiver']], label: 'sender or recipient', default: true }
+    ],
+    select: ['timestamp', 'isGroupChatMessage', 'encryptedText', 'sender { username }', 'receiver { username }'],
+    time: ['timestamp'],
+    recency: 'TIMESTAMP',
+    flags: [
+      { words: /\bgroup\b/, filter: { isGroupChatMessage: { equalTo: true } }, label: 'group chat' },
+      { words: /\b(direct|dms?|private)\b/, filter: { isGroupChatMessage: { equalTo: false } }, label: 'direct' }
+    ]
+  },
+  {
+    type: 'CreatorCoinBalance', noun: 'creator coin balances', words: /\b(holders?|hodlers?|holdings?|creator coins?|coin balances?)\b/,
+    roles: [
+      { path: ['creator'], label: 'creator', words: /\b(holders?|hodlers?|who (holds|owns))\b/ },
+      { path: ['holder'], label: 'holder', default: true }
+    ],
+    select: ['balanceNanos', 'hasPurchased', 'holder { username }', 'creator { username }'],
+    metric: 'BALANCE_NANOS'
+  },
+  {
+    type: 'TokenBalance', noun: 'token balances', words: /\b(dao coins?|tokens?|token balances?)\b/,
+    roles: [
+      { path: ['creator'], label: 'token creator', words: /\b(holders?|hodlers?|who (holds|owns))\b/ },
+      { path: ['holder'], label: 'holder', default: true }
+    ],
+    select: ['balanceNanos', 'isDaoCoin', 'holder { username }', 'creator { username }'],
+    flags: [{ words: /\bdao\b/, filter: { isDaoCoin: { equalTo: true } }, label: 'DAO coin' }],
+    metric: 'BALANCE_NANOS'
+  },
+  {
+    type: 'StakeEntry', noun: 'stakes', words: /\b(stakes?|staked|staking|stakers?|delegat\w*)\b/,
+    roles: [
+      { path: ['validatorAccount'], label: 'validator', words: /\b(staked (to|with)|delegated to|stakers|validator)\b/ },
+      { path: ['staker'], label: 'staker', default: true }
+    ],
+    select: ['stakeAmountNanos', 'rewardMethod', 'staker { username }', 'validatorAccount { username }'],
+    metric: 'STAKE_AMOUNT_NANOS'
+  },
+  {
+    type: 'ValidatorEntry', noun: 'validators', words: /\bvalidators?\b/,
+    roles: [{ path: ['account'], label: 'validator account', default: true }],
+    select: ['validatorPkid', 'domains', 'totalStakeAmountNanos', 'delegatedStakeCommissionBasisPoints', 'jailedAtEpochNumber', 'account { username }'],
+    flags: [{ words: /\bjailed\b/, filter: { jailedAtEpochNumber: { isNull: false } }, label: 'jailed' }],
+    metric: 'TOTAL_STAKE_AMOUNT_NANOS'
+  },
+  {
+    type: 'DerivedKey', noun: 'derived keys', words: /\bderived keys?\b/,
+    roles: [{ path: ['owner'], label: 'owner', default: true }],
+    select: ['derivedPublicKey', 'expirationBlock', 'isUnlimited', 'owner { username }'],
+    flags: [{ words: /\bunlimited\b/, filter: { isUnlimited: { equalTo: true } }, label: 'unlimited' }],
+    metric: 'EXPIRATION_BLOCK'
+  },
+  {
+    type: 'Block', noun: 'blocks', words: /\bblocks?\b/,
+    roles: [],
+    select: ['height', 'blockHash', 'timestamp'],
+    time: ['timestamp'],
+    recency: 'HEIGHT',
+    metric: 'HEIGHT'
+  },
+  {
+    type: 'Transaction', noun: 'transactions', words: /\b(transactions?|txns?)\b/,
+    roles: [{ path: ['account'], label: 'transactor', default: true }],
+    select: ['transactionHash', 'txnType', 'feeNanos', 'blockHeight', 'timestamp', 'account { username }'],
+    time: ['timestamp'],
+    recency: 'TIMESTAMP',
+    metric: 'FEE_NANOS'
+  },
+  {
+    type: 'Post', noun: 'posts', words: /\b(posts?|content|replies|repl(y|ied)|comments?|reposts?)\b/,
+    roles: [
+      { path: ['likes', 'some', 'account'], label: 'liker', words: /\bliked\b/ },
+      { path: ['parentPost', 'poster'], label: 'author of the parent post', words: /\b(replies|comments?) (to|on)\b/ },
+      { path: ['poster'], label: 'author', default: true }
+    ],
+    select: ['postHash', 'body', 'timestamp', 'imageUrls', 'poster { username }'],
+    time: ['timestamp'],
+    recency: 'TIMESTAMP',
+    counts: { diamonds: 'diamonds', likes: 'likes', liked: 'likes', replies: 'replies', comments: 'replies', reposts: 'reposts', reposted: 'reposts', bids: 'nftBids' },
+    flags: [
+      { words: /\bnfts?\s+posts?\b/, filter: { isNft: { equalTo: true } }, label: 'NFT' },
+      { words: /\bpinned\b/, filter: { isPinned: { equalTo: true } }, label: 'pinned' },
+      { words: /\bquote(d)?\b/, filter: { isQuotedRepost: { equalTo: true } }, label: 'quote repost' },
+      { words: /\breposts?\b/, filter: { repostedPostHash: { isNull: false } }, label: 'repost' },
+      { words: /\b(replies|repl(y|ied)|comments?)\b/, filter: { parentPostHash: { isNull: false } }, label: 'reply' },
+      { words: /\b(images?|photos?|pictures?|pics?)\b/, filter: { imageUrls: { isNull: false, notEqualTo: [] } }, label: 'with images' },
+      { words: /\bvideos?\b/, filter: { videoUrls: { isNull: false, notEqualTo: [] } }, label: 'with videos' }
+    ]
+  },
+  {
+    type: 'Account', noun: 'accounts', words: /\b(profiles?|accounts?|users?|creators?|bios?|info|information)\b/,
+    roles: [{ path: [], label: 'account', default: true }],
+    select: ['username', 'publicKey', 'description', 'profilePic', 'coinPriceDesoNanos', 'followers { totalCount }', 'following { totalCount }', 'posts { totalCount }'],
+    counts: { followers: 'followers', following: 'following', posts: 'posts' },
+    metric: 'COIN_PRICE_DESO_NANOS',
+    price: 'COIN_PRICE_DESO_NANOS'
+  }
+];
+
+// Things a question can ask for that the indexer does not store
+const QUESTION_UNSUPPORTED = [
+  { words: /\b(usd|dollars?|\$\d)/, reason: 'The GraphQL API stores amounts in DeSo nanos; it has no exchange rates. Convert with the price from `get-exchange-rate` on a node.' },
+  { words: /\btrending\b|\bviral\b/, reason: 'There is no trending score in the schema. Rank recent posts by diamonds or likes instead (e.g. "top 10 posts by likes this week").' },
+  { words: /\bsentiment\b|\brecommend\w*\b|\bsimilar\b/, reason: 'The API returns stored chain data only; it does no text analysis or recommendations.' }
+];
+
+const QUESTION_NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20, fifty: 50, hundred: 100 };
+const QUESTION_MAX_PAGE = 100;
+
+// The [since, until) window a phrase like "last week", "past 3 days", "this month", "in 2024" or
+// "since 2024-05-01" covers, relative to now
+function parseQuestionTimeRange(text, now = new Date()) {
+  const units = { hour: 3600000, day: 86400000, week: 7 * 86400000, month: 30 * 86400000, year: 365 * 86400000 };
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const patterns = [
+    [/\btoday\b/, () => [startOfDay, null]],
+    [/\byesterday\b/, () => [new Date(startOfDay - units.day), startOfDay]],
+    [/\b(?:in the |over the )?(?:last|past) (\d+|[a-z]+) (hour|day|week|month|year)s?\b/, ([, count, unit]) => {
+      const n = Number(count) || QUESTION_NUMBER_WORDS[count];
+      return n ? [new Date(now - n * units[unit]), null] : null;
+    }],
+    [/\b(?:in the |over the )?(?:last|past) (24 hours|hour|day|week|month|year)\b/, ([, unit]) => [new Date(now - (unit === '24 hours' ? units.day : units[unit])), null]],
+    [/\bthis (week|month|year)\b/, ([, unit]) => {
+      if (unit === 'year') return [new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), null];
+      if (unit === 'month') return [new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), null];
+      return [new Date(startOfDay - ((now.getUTCDay() + 6) % 7) * units.day), null];  // weeks start on Monday
+    }],
+    [/\bbetween (\d{4}-\d{2}-\d{2}) and (\d{4}-\d{2}-\d{2})\b/, ([, from, to]) => [new Date(from), new Date(new Date(to).getTime() + units.day)]],
+    [/\b(?:since|after|from) (\d{4}-\d{2}-\d{2})\b/, ([, from]) => [new Date(from), null]],
+    [/\bbefore (\d{4}-\d{2}-\d{2})\b/, ([, to]) => [null, new Date(to)]],
+    [/\bin (20\d{2})\b/, ([, year]) => [new Date(Date.UTC(Number(year), 0, 1)), new Date(Date.UTC(Number(year) + 1, 0, 1))]]
+  ];
+  for (const [pattern, toRange] of patterns) {
+    const match = text.match(pattern);
+    const range = match && toRange(match);
+    if (range && range.every(date => date === null || !Number.isNaN(date.getTime()))) {
+      return { phrase: match[0], since: range[0]?.toISOString() ?? null, until: range[1]?.toISOString() ?? null };
     }
-    response += `\n`;
   }
+  return null;
+}
 
-  response += `## 🚀 Quick Start
-
-\`\`\`bash
-# Install a specific component
-npx shadcn@latest add http://ui.deso.com/r/post-card.json
-
-# Install all shadcn base components
-npx shadcn@latest add --all
-\`\`\`
-
-**Total Components:** ${totalComponents}
-
-Use \`deso_ui_components\` with specific actions:
-- \`explore\` - Explore categories or specific components  
-- \`install\` - Get installation commands
-- \`usage\` - See usage examples
-- \`examples\` - View component examples
-- \`layouts\` - See complete layout examples`;
-
-  return { content: [{ type: "text", text: response }] };
+// The user a question is about and the words that introduce it ("owned by", "from", "'s", "does ... have").
+// An @handle is explicit; the other phrasings are guesses.
+function parseQuestionUser(question, reserved) {
+  const candidates = [
+    ...[...question.matchAll(/@([A-Za-z0-9_]{1,25})\b/g)].map(m => ({ name: m[1], index: m.index, explicit: true })),
+    ...[...question.matchAll(/\b(?:owned|created|minted|made|sent|received|given|liked|followed|held|staked|posted|written) by\s+([A-Za-z0-9_]{1,25})\b/gi)].map(m => ({ name: m[1], index: m.index })),
+    ...[...question.matchAll(/\b(?:by|from|of|for|to|with|does|did|is|has|about|follows)\s+([A-Za-z0-9_]{1,25})\b/gi)].map(m => ({ name: m[1], index: m.index })),
+    ...[...question.matchAll(/\b([A-Za-z0-9_]{1,25})'s\b/gi)].map(m => ({ name: m[1], index: m.index })),
+    ...[...question.matchAll(/\b([A-Za-z0-9_]{1,25})\s+(?:has|have|had|posted|owns|holds|follows|sent|received|liked|bid|staked)\b/gi)].map(m => ({ name: m[1], index: m.index }))
+  ];
+  return candidates.find(({ name }) => !reserved(name.toLowerCase())) ?? null;
 }
 
-function exploreSpecificComponent(componentName, registry, framework) {
-  // Find component across all categories
-  let foundComponent = null;
-  let foundCategory = null;
-  
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    if (categoryInfo.components[componentName]) {
-      foundComponent = categoryInfo.components[componentName];
-      foundCategory = categoryName;
-      break;
-    }
-  }
-  
-  if (!foundComponent) {
-    return { content: [{ type: "text", text: `Component "${componentName}" not found. Use 'search' action to find similar components.` }] };
+// Plain JS filter values as a GraphQL input literal; { $: 'name' } stands for a variable
+function toGraphQLLiteral(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `[${value.map(toGraphQLLiteral).join(', ')}]`;
+  if (typeof value === 'object') {
+    if (value.$) return `$${value.$}`;
+    return `{ ${Object.entries(value).map(([key, item]) => `${key}: ${toGraphQLLiteral(item)}`).join(', ')} }`;
   }
+  return JSON.stringify(value);
+}
 
-  let response = `# ${foundComponent.title}
-
-**Category:** ${foundCategory.toUpperCase()}  
-**Component:** \`${componentName}\`
+// Nest a condition under a filter path: ['post', 'poster'] + cond -> { post: { poster: cond } }
+function nestQuestionFilter(path, condition) {
+  return path.reduceRight((inner, key) => ({ [key]: inner }), condition);
+}
 
-${foundComponent.description}
+// Turn a question into a plan against the schema: which entity, which user in which role, which filters,
+// time range, order and limit. Anything that cannot be expressed is listed in caveats rather than guessed.
+function planQuestionQuery(schema, question, username, publicKey, now = new Date()) {
+  const text = question.toLowerCase().replace(/[?!.,;]+(\s|$)/g, ' ').replace(/\s+/g, ' ').trim();
+  const plan = { filters: [], understood: [], caveats: [], unsupported: [] };
+  let rest = ` ${text} `;
+  const consume = (phrase) => { rest = rest.replace(phrase, ' '); };
 
-## 🛠️ Installation
+  for (const { words, reason } of QUESTION_UNSUPPORTED) {
+    if (words.test(text)) plan.unsupported.push(reason);
+  }
 
-\`\`\`bash
-npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
-\`\`\`
+  // Time range first, so "last week" is not read as a limit or ordering
+  const timeRange = parseQuestionTimeRange(rest, now);
+  if (timeRange) consume(timeRange.phrase);
 
-## 📋 Dependencies
+  // Rankings by how many related rows something has ("top posts by diamonds", "most liked posts")
+  const countMetric = rest.match(/\b(?:by|most|with the most|highest number of)\s+(diamonds?|likes?|liked|replies|comments|reposts?|reposted|bids|followers|following|posts)\b/);
+  if (countMetric) consume(countMetric[0]);
 
-`;
+  const isEntityWord = (word) => QUESTION_VIEWS.some(view => view.words.test(` ${word} `) || view.words.test(` ${word}s `));
+  const reservedWords = new Set(['the', 'a', 'an', 'me', 'my', 'i', 'you', 'all', 'any', 'every', 'most', 'top', 'last', 'latest', 'recent', 'this', 'that', 'these', 'sale', 'now', 'deso', 'open', 'active', 'which', 'what', 'who', 'whom', 'how', 'many', 'much', 'show', 'get', 'find', 'list', 'it', 'them', 'their', 'there', 'week', 'month', 'year', 'day', 'today', 'yesterday', 'amount', 'price', 'balance', 'stake', 'level', 'height', 'fee', 'time', 'date', 'sent', 'received', 'bids', 'images', 'videos', 'one', 'someone', 'anyone', 'everyone', 'people']);
+  const reserved = (word) => reservedWords.has(word) || /^\d+$/.test(word) || isEntityWord(word) || Boolean(QUESTION_NUMBER_WORDS[word]);
 
-  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
-    response += `**Registry Dependencies:**\n`;
-    for (const dep of foundComponent.dependencies) {
-      response += `- ${dep}\n`;
-    }
+  // The user: an explicit parameter, a public key in the question, or a name the phrasing points at
+  const keyInQuestion = question.match(/\b(BC1YL[1-9A-HJ-NP-Za-km-z]{40,50}|tBC1YL[1-9A-HJ-NP-Za-km-z]{40,50})\b/)?.[1];
+  if (publicKey || keyInQuestion) {
+    plan.user = { variable: 'publicKey', value: publicKey || keyInQuestion, explicit: true, condition: { publicKey: { equalTo: { $: 'publicKey' } } } };
+    if (keyInQuestion) consume(keyInQuestion.toLowerCase());
   } else {
-    response += `No additional dependencies required.\n`;
+    const { name, explicit } = username ? { name: username, explicit: true } : parseQuestionUser(question.replace(/[?!.,;]+(\s|$)/g, ' '), reserved) ?? {};
+    if (name) {
+      plan.user = { variable: 'username', value: name.replace(/^@/, ''), explicit, condition: { username: { equalToInsensitive: { $: 'username' } } } };
+      rest = rest.replace(new RegExp(`@?\\b${name.replace(/^@/, '').toLowerCase()}\\b('s)?`, 'g'), ' ');
+    }
   }
 
-  response += `\n## 🎯 Props
-
-**Key Props:**\n`;
-  for (const prop of foundComponent.props || []) {
-    response += `- \`${prop}\`\n`;
+  // The entity is the first thing the rest of the question names. Naming no entity shows a profile only for a user
+  // given explicitly; a name guessed from the phrasing ("the meaning of life") is no reason to build a query.
+  const matches = QUESTION_VIEWS
+    .map(view => ({ view, index: rest.search(view.words) }))
+    .filter(({ index }) => index >= 0)
+    .sort((a, b) => a.index - b.index);
+  plan.view = matches[0]?.view ?? (plan.user?.explicit ? QUESTION_VIEWS.find(view => view.type === 'Account') : null);
+  if (!plan.view) return plan;
+  const view = plan.view;
+  const matchedWord = matches[0] ? rest.slice(matches[0].index).match(view.words)[0] : null;
+  plan.root = Object.values(schema.types[schema.queryType].fields).find(field => graphQLConnectionNode(schema, namedGraphQLType(field.type)) === view.type).name;
+  plan.understood.push(`**Entity:** ${view.noun} (\`${view.type}\`, root connection \`${plan.root}\`)${matches[0] ? '' : ' (no data type named, so the profile is shown)'}`);
+
+  // The user's role, as a filter on the entity's relation to Account
+  if (plan.user) {
+    const role = view.roles.find(candidate => candidate.words?.test(text)) || view.roles.find(candidate => candidate.default);
+    if (!role) {
+      plan.caveats.push(`\`${view.type}\` has no relation to an account, so the user "${plan.user.value}" is ignored.`);
+      plan.user = null;
+    } else {
+      plan.filters.push(role.paths
+        ? { or: role.paths.map(path => nestQuestionFilter(path, plan.user.condition)) }
+        : nestQuestionFilter(role.path, plan.user.condition));
+      plan.understood.push(`**User:** ${plan.user.variable === 'username' ? `@${plan.user.value}` : `\`${plan.user.value}\``} as ${role.label}${role.path?.length ? ` (\`${role.path.join('.')}\`)` : ''}`);
+    }
   }
 
-  response += `\n## 📱 Usage Example (${framework})
-
-\`\`\`${framework === 'react' ? 'tsx' : 'javascript'}
-import { ${foundComponent.title.replace(/\s+/g, '')} } from '@/components/deso-ui/${componentName}';
-
-function MyComponent() {
-  return (
-    <${foundComponent.title.replace(/\s+/g, '')}
-      // Add your props here
-    />
-  );
-}
-\`\`\`
-
-## ✨ Examples
-
-`;
-
-  for (const example of foundComponent.examples || []) {
-    response += `- ${example}\n`;
+  for (const flag of view.flags || []) {
+    // A word that named the entity ("replies") also sets its flag; "nft posts" marks posts as NFTs
+    if (!flag.words.test(rest) && !(matchedWord && flag.words.test(` ${matchedWord} `))) continue;
+    plan.filters.push(flag.filter);
+    plan.understood.push(`**Filter:** ${flag.label} (\`${toGraphQLLiteral(flag.filter)}\`)`);
+    if (flag.caveat) plan.caveats.push(flag.caveat);
   }
 
-  return { content: [{ type: "text", text: response }] };
-}
-
-function generateInstallInstructions(componentName, registry) {
-  if (!componentName) {
-    return { content: [{ type: "text", text: "Please specify a component name for installation instructions." }] };
+  // Keyword search in post bodies or bios: a quoted phrase, or the word after "about" / "mentioning"
+  const keyword = question.match(/["“']([^"”']{2,})["”']/)?.[1] || rest.match(/\b(?:about|mentioning|containing|mention|with the word|saying)\s+([a-z0-9#$_-]{2,})/)?.[1];
+  const searchable = { Post: 'body', Account: 'description' }[view.type];
+  if (keyword && searchable) {
+    plan.filters.push({ [searchable]: { includesInsensitive: keyword } });
+    plan.understood.push(`**Search:** \`${searchable}\` contains "${keyword}"`);
+  } else if (keyword) {
+    plan.caveats.push(`\`${view.type}\` has no text to search, so "${keyword}" is ignored.`);
   }
 
-  let response = `# 📦 Installation Instructions
-
-## Install ${componentName}
-
-\`\`\`bash
-npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
-\`\`\`
-
-## Setup Dependencies
-
-\`\`\`bash
-# Install required npm packages if needed
-npm install deso-protocol lucide-react class-variance-authority
-\`\`\`
-
-## Usage
+  if (timeRange) {
+    if (view.time) {
+      const condition = { ...(timeRange.since && { greaterThanOrEqualTo: timeRange.since }), ...(timeRange.until && { lessThan: timeRange.until }) };
+      plan.filters.push(nestQuestionFilter(view.time, condition));
+      plan.understood.push(`**Time range:** "${timeRange.phrase.trim()}" → \`${view.time.join('.')}\` ${timeRange.since ? `from ${timeRange.since}` : ''}${timeRange.since && timeRange.until ? ' ' : ''}${timeRange.until ? `before ${timeRange.until}` : ''} (computed when the query was built)`);
+      if (view.time.length > 1) plan.caveats.push(`\`${view.type}\` has no timestamp of its own; the time range applies to the ${view.time.slice(0, -1).join('.')}'s \`${view.time[view.time.length - 1]}\`.`);
+    } else {
+      plan.caveats.push(`\`${view.type}\` has no timestamp in the schema, so "${timeRange.phrase.trim()}" cannot be applied.`);
+    }
+  }
 
-\`\`\`tsx
-import { ${componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')} } from '@/components/deso-ui/${componentName}';
+  plan.count = /\b(how many|count|number of|total)\b/.test(text) && !countMetric;
+
+  // Order: a count ranking is sorted client-side; a column ranking or recency maps onto the orderBy enum
+  const orderValues = Object.keys(schema.types[`${view.type === 'Account' ? 'Accounts' : plan.root[0].toUpperCase() + plan.root.slice(1)}OrderBy`]?.values || {});
+  const hasOrder = (column) => orderValues.includes(`${column}_DESC`);
+  const descending = !/\b(lowest|smallest|cheapest|least|fewest|oldest|earliest|first)\b/.test(rest);
+  if (plan.count) {
+    // totalCount does not depend on order
+  } else if (countMetric) {
+    const relation = view.counts?.[countMetric[1].replace(/^(diamond|like|repost|bid)$/, '$1s')];
+    if (relation) {
+      plan.clientSort = relation;
+      plan.understood.push(`**Ranking:** by \`${relation} { totalCount }\`, sorted in your code`);
+      plan.caveats.push(`The schema has no \`orderBy\` for counts of related rows, so this fetches up to ${QUESTION_MAX_PAGE} ${view.recency ? 'of the most recent ' : ''}${view.noun}${timeRange ? ' in the time range' : ''} and ranks them client-side. The ranking only covers that page.`);
+    } else {
+      plan.caveats.push(`${view.noun} cannot be ranked by ${countMetric[1]}; the ranking is ignored.`);
+    }
+  }
+  const columnWord = rest.match(/\b(?:by|highest|largest|biggest|lowest|smallest|cheapest|most expensive|most valuable)\s+([a-z]+(?: [a-z]+)?)/)?.[1];
+  if (!plan.clientSort && !plan.count) {
+    // Rank on numeric columns only ("by stake" means TOTAL_STAKE_AMOUNT_NANOS, not DISABLE_DELEGATED_STAKE), shortest name first
+    const wanted = columnWord?.toUpperCase().replace(/S\b/g, '').split(' ') || [];
+    const numeric = (name) => {
+      const field = schema.types[view.type].fields[name.toLowerCase().replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase())];
+      return Boolean(field) && ['Int', 'BigInt', 'Float', 'BigFloat', 'Datetime'].includes(namedGraphQLType(field.type));
+    };
+    const column = (wanted.length && orderValues.map(value => value.replace(/_(ASC|DESC)$/, ''))
+      .filter(name => numeric(name) && wanted.every(word => name.split('_').some(part => part.startsWith(word))))
+      .sort((a, b) => a.split('_').length - b.split('_').length)[0])
+      || (/\b(cheapest|most expensive|priciest)\b/.test(rest) && view.price);
+    const ranked = /\b(top|highest|largest|biggest|lowest|smallest|cheapest|most expensive|most valuable|richest)\b/.test(rest);
+    const recent = /\b(latest|recent|newest|last|oldest|earliest|first)\b/.test(rest);
+    if (column) plan.orderBy = `${column}_${descending ? 'DESC' : 'ASC'}`;
+    else if (ranked && view.metric && hasOrder(view.metric)) plan.orderBy = `${view.metric}_${descending ? 'DESC' : 'ASC'}`;
+    else if (view.recency) plan.orderBy = `${view.recency}_${descending || !recent ? 'DESC' : 'ASC'}`;
+    else if (recent) plan.caveats.push(`\`${view.type}\` has no timestamp to order by, so "latest" cannot be honoured; results come in primary-key order.`);
+    if (plan.orderBy) plan.understood.push(`**Order:** \`${plan.orderBy}\``);
+  } else if (plan.clientSort && view.recency) {
+    plan.orderBy = `${view.recency}_DESC`;
+  }
 
-export default function MyApp() {
-  return (
-    <${componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')} />
-  );
+  // How many rows to return; a named account is a single profile
+  const number = rest.match(/\b(\d{1,3}|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|fifty|hundred)\b/)?.[1];
+  const singular = matchedWord && !/s$/.test(matchedWord) && /\b(last|latest|most recent|newest|first|oldest|top|biggest|largest|highest)\b/.test(rest);
+  let limit = number ? Number(number) || QUESTION_NUMBER_WORDS[number] : singular || (view.type === 'Account' && plan.user) ? 1 : 10;
+  if (limit > QUESTION_MAX_PAGE) {
+    plan.caveats.push(`Pages are capped at ${QUESTION_MAX_PAGE} rows here; use \`pageInfo.endCursor\` with \`after\` for the rest.`);
+    limit = QUESTION_MAX_PAGE;
+  }
+  plan.limit = limit;
+  plan.understood.push(plan.count ? '**Result:** a count (`totalCount`)' : `**Limit:** ${limit}${plan.clientSort ? ` after sorting (fetches ${QUESTION_MAX_PAGE})` : ''}`);
+  return plan;
 }
-\`\`\`
-
-## Additional Setup
 
-For DeSo integration, configure the SDK:
-
-\`\`\`tsx
-import { configure } from 'deso-protocol';
+// Render a plan as a GraphQL operation with its variables
+function buildQuestionQuery(plan) {
+  const { view, root, user } = plan;
+  const variableDefinitions = [];
+  const variables = {};
+  if (user) {
+    variableDefinitions.push(`$${user.variable}: String!`);
+    variables[user.variable] = user.value;
+  }
 
-configure({
-  nodeURI: 'https://node.deso.org',
-  identityURI: 'https://identity.deso.org'
-});
-\`\`\``;
+  const args = [];
+  const filters = plan.filters;
+  if (filters.length > 0) args.push(`filter: ${toGraphQLLiteral(filters.length === 1 ? filters[0] : { and: filters })}`);
+  if (plan.orderBy && !plan.count) args.push(`orderBy: [${plan.orderBy}]`);
+  if (!plan.count) {
+    variableDefinitions.push(`$first: Int = ${plan.clientSort ? QUESTION_MAX_PAGE : plan.limit}`);
+    variables.first = plan.clientSort ? QUESTION_MAX_PAGE : plan.limit;
+    args.push('first: $first');
+  }
 
-  return { content: [{ type: "text", text: response }] };
+  const select = [...view.select, ...(plan.clientSort && !view.select.some(line => line.startsWith(`${plan.clientSort} `)) ? [`${plan.clientSort} { totalCount }`] : [])];
+  const name = `${plan.count ? 'Count' : 'Get'}${view.noun.split(' ').map(word => word[0].toUpperCase() + word.slice(1)).join('').replace(/^Nft/, 'NFT')}`;
+  const body = plan.count
+    ? '    totalCount'
+    : `    totalCount\n    nodes {\n${select.map(line => `      ${line}`).join('\n')}\n    }\n    pageInfo {\n      hasNextPage\n      endCursor\n    }`;
+  const query = `query ${name}${variableDefinitions.length ? `(${variableDefinitions.join(', ')})` : ''} {\n  ${root}${args.length ? `(${args.join(', ')})` : ''} {\n${body}\n  }\n}`;
+  return { query, variables };
 }
 
-function showExampleLayouts(layouts, framework) {
-  let response = `# 🏗️ Complete Layout Examples
-
-Ready-to-use layout patterns combining multiple DeSo UI components.
-
-`;
-
-  for (const [layoutName, layoutInfo] of Object.entries(layouts)) {
-    response += `## ${layoutInfo.title}
-
-${layoutInfo.description}
-
-**Layout:** ${layoutInfo.layout}
-
-**Components Used:**
-`;
-    for (const component of layoutInfo.components) {
-      response += `- ${component}\n`;
-    }
-
-    response += `\n**Installation:**\n\`\`\`bash\n`;
-    for (const component of layoutInfo.components) {
-      response += `npx shadcn@latest add http://ui.deso.com/r/${component}.json\n`;
-    }
-    response += `\`\`\`\n\n`;
+async function buildQueryFromQuestion(question, username, publicKey) {
+  if (!question) {
+    return { content: [{ type: "text", text: "Please provide a question to convert to GraphQL. Example: 'How many followers does nader have?'" }] };
   }
 
-  response += `## 🎯 Framework Integration
-
-### Next.js Setup
-\`\`\`bash
-npx create-next-app@latest my-deso-app --typescript --tailwind --app
-cd my-deso-app
-npm install deso-protocol
-\`\`\`
-
-### Component Installation
-\`\`\`bash
-# Install all base UI components
-npx shadcn@latest add --all
+  const schema = await loadGraphQLSchema();
+  const plan = planQuestionQuery(schema, question, username, publicKey);
 
-# Install specific DeSo components
-npx shadcn@latest add http://ui.deso.com/r/post-card.json
-\`\`\``;
+  if (!plan.view || plan.unsupported.length > 0) {
+    let text = `# ❌ Can't Answer: "${question}"\n\n`;
+    if (plan.unsupported.length > 0) text += `${plan.unsupported.map(reason => `- ${reason}`).join('\n')}\n\n`;
+    else text += `No data type in the question matched the schema. The builder understands:\n\n${[...new Set(QUESTION_VIEWS.map(view => `- **${view.noun}** (\`${view.type}\`)`))].join('\n')}\n\n`;
+    if (!plan.view && plan.user) text += `For the profile of "${plan.user.value}", write \`@${plan.user.value}\` or pass \`username\`.\n\n`;
+    text += `Examples: "top 5 posts by diamonds from nader last week", "NFTs owned by nader with open bids", "how many followers does nader have".\n\nFor anything else, use the \`schema\` action to find the type and write the query, then check it with the \`validate\` action.`;
+    return { content: [{ type: "text", text }] };
+  }
 
+  const { query, variables } = buildQuestionQuery(plan);
+  // The builder only emits schema names, but check anyway: a mistake here should be reported, not shipped
+  const errors = validateGraphQLDocument(schema, query, variables);
+  const variablesJson = JSON.stringify(variables, null, 2);
+  const nodesPath = `data.data.${plan.root}`;
+
+  let response = `# GraphQL Query for: "${question}"\n\n## Interpretation\n\n${plan.understood.map(line => `- ${line}`).join('\n')}\n\n`;
+  if (plan.caveats.length > 0) response += `## Caveats\n\n${plan.caveats.map(line => `- ${line}`).join('\n')}\n\n`;
+  response += `## Generated Query\n\n\`\`\`graphql\n${query}\n\`\`\`\n\n`;
+  response += errors.length === 0 ? `✅ Validated against the bundled schema.\n\n` : `## ⚠️ Validation Problems\n\n${formatGraphQLErrors(query, errors)}\n`;
+  response += `## Variables\n\n\`\`\`json\n${variablesJson}\n\`\`\`\n\n`;
+
+  const result = plan.count
+    ? `console.log(${nodesPath}.totalCount);`
+    : plan.clientSort
+      ? `const ranked = [...${nodesPath}.nodes]\n  .sort((a, b) => b.${plan.clientSort}.totalCount - a.${plan.clientSort}.totalCount)\n  .slice(0, ${plan.limit});\nconsole.log(ranked);`
+      : `console.log(${nodesPath}.nodes);`;
+  response += `## Complete Example\n\n\`\`\`javascript\nconst query = \`${query.replace(/`/g, '\\`')}\`;\nconst variables = ${variablesJson};\n\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({ query, variables })\n});\n\nconst data = await response.json();\n${result}\n\`\`\``;
+
+  if (!plan.user && plan.view.roles.length > 0) {
+    response += `\n\n**Note:** No user was found in the question, so this covers all ${plan.view.noun}. Name one ("from nader", "@nader") or pass \`username\` to narrow it.`;
+  }
   return { content: [{ type: "text", text: response }] };
 }
 
-function exploreCategoryComponents(category, registry, framework) {
-  if (!registry[category]) {
-    return { content: [{ type: "text", text: `Category "${category}" not found. Available: ${Object.keys(registry).join(', ')}` }] };
+async function explainGraphQLQuery(customQuery) {
+  if (!customQuery) {
+    return { content: [{ type: "text", text: "Please provide a GraphQL query to explain." }] };
   }
-
-  const categoryInfo = registry[category];
-  let response = `# ${category.toUpperCase()} Components
-
-${categoryInfo.description}
-
-## Components (${Object.keys(categoryInfo.components).length})
-
-`;
-
-  for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
-    response += `### ${componentInfo.title} (\`${componentName}\`)
-
-${componentInfo.description}
-
-**Installation:** \`npx shadcn@latest add http://ui.deso.com/r/${componentName}.json\`
-
-**Key Props:** ${componentInfo.props?.join(', ') || 'None'}
-
-**Dependencies:** ${componentInfo.dependencies?.length > 0 ? componentInfo.dependencies.join(', ') : 'None'}
-
----
-
-`;
+  
+  let explanation = `# GraphQL Query Explanation\n\n## Your Query\n\n\`\`\`graphql\n${customQuery}\n\`\`\`\n\n`;
+  
+  const schema = await loadGraphQLSchema();
+  let document = null;
+  let errors;
+  try {
+    document = parseGraphQLDocument(customQuery);
+    errors = validateGraphQLDocument(schema, customQuery);
+  } catch (error) {
+    errors = [error];  // syntax error
+  }
+  explanation += `## Validation\n\n${errors.length === 0 ? '✅ Valid against the bundled schema.\n' : formatGraphQLErrors(customQuery, errors)}\n## Analysis\n\n`;
+  
+  // Basic query analysis
+  if (customQuery.includes('accounts')) {
+    explanation += "- **accounts**: Querying user/account data from the DeSo blockchain\n";
+  }
+  if (customQuery.includes('posts')) {
+    explanation += "- **posts**: Querying post/content data\n";
+  }
+  if (customQuery.includes('follows')) {
+    explanation += "- **follows**: Querying follower relationship data\n";
+  }
+  if (customQuery.includes('filter:')) {
+    explanation += "- **filter**: Applying conditions to narrow down results\n";
+  }
+  if (customQuery.includes('first:')) {
+    explanation += "- **first**: Limiting the number of results (pagination)\n";
+  }
+  if (customQuery.includes('orderBy:')) {
+    explanation += "- **orderBy**: Sorting the results\n";
+  }
+  if (customQuery.includes('totalCount')) {
+    explanation += "- **totalCount**: Getting the total count without fetching all records\n";
+  }
+  
+  // Check for common patterns
+  if (customQuery.includes('username') && customQuery.includes('equalToInsensitive')) {
+    explanation += "\n## Pattern Detected: User Lookup\nThis query is looking up a user by username (case-insensitive).\n";
+  }
+  
+  if (customQuery.includes('followers') || customQuery.includes('following')) {
+    explanation += "\n## Pattern Detected: Social Relationships\nThis query is examining follower/following relationships.\n";
+  }
+  
+  if (customQuery.includes('TIMESTAMP_DESC')) {
+    explanation += "\n## Pattern Detected: Recent Content\nThis query is ordering by timestamp to get the most recent items first.\n";
+  }
+  
+  // Cost of each query operation, with the warnings that matter most; the analyze action has the full breakdown
+  const queries = document ? document.definitions.filter(definition => definition.kind === 'OperationDefinition' && definition.operation === 'query') : [];
+  if (queries.length > 0) {
+    explanation += `\n## Cost\n\n`;
+    for (const operation of queries) {
+      const cost = analyzeGraphQLCost(schema, document, operation);
+      explanation += `- ${queries.length > 1 ? `\`${operation.name || 'anonymous'}\`: ` : ''}score **${cost.score.toLocaleString('en-US')}** (${cost.rating}), depth ${cost.depth}, up to ${cost.rows.toLocaleString('en-US')} rows from ${cost.connections.length} connection${cost.connections.length === 1 ? '' : 's'}\n`;
+      for (const finding of cost.findings.filter(finding => finding.level === 'warning')) {
+        explanation += `  - ⚠️ ${finding.message}\n`;
+      }
+    }
+    explanation += `\nUse the \`analyze\` action for the per-connection breakdown and cheaper rewrites.\n`;
   }
 
-  return { content: [{ type: "text", text: response }] };
+  explanation += `\n## Tips for Optimization\n\n1. **Use pagination**: Always include \`first\` parameter to limit results\n2. **Request only needed fields**: Don't fetch unnecessary data\n3. **Use totalCount**: For counts, use \`totalCount\` instead of fetching all records\n4. **Case-insensitive search**: Use \`equalToInsensitive\` for username lookups\n5. **Proper ordering**: Use appropriate \`orderBy\` for your use case\n\n## Execution\n\nTo run this query:\n\n\`\`\`javascript\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({\n    query: \`${customQuery.replace(/`/g, '\\`')}\`,\n    variables: {} // Add your variables here\n  })\n});\n\nconst data = await response.json();\nconsole.log(data);\n\`\`\``;
+  
+  return { content: [{ type: "text", text: explanation }] };
 }
 
-function generateUsageExamples(componentName, registry, framework) {
-  if (!componentName) {
-    return { content: [{ type: "text", text: "Please specify a component name for usage examples." }] };
-  }
+// Validation errors as a numbered list, each with the offending line of the query and a caret under the column
+function formatGraphQLErrors(source, errors) {
+  const lines = source.split(/\r\n|[\n\r]/);
+  return errors.map((error, index) => {
+    const [location] = error.locations;
+    if (!location) return `${index + 1}. ${error.message}\n`;
+    const line = lines[location.line - 1] ?? '';
+    return `${index + 1}. **Line ${location.line}, column ${location.column}:** ${error.message}\n   \`\`\`\n   ${line}\n   ${' '.repeat(location.column - 1)}^\n   \`\`\`\n`;
+  }).join('');
+}
 
-  let foundComponent = null;
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    if (categoryInfo.components[componentName]) {
-      foundComponent = categoryInfo.components[componentName];
-      break;
-    }
+// Parse and validate a query, with optional variable values, against the bundled schema
+async function validateGraphQLQuery(customQuery, variables) {
+  if (!customQuery) {
+    return { content: [{ type: "text", text: "Please provide a GraphQL query to validate." }] };
   }
 
-  if (!foundComponent) {
-    return { content: [{ type: "text", text: `Component "${componentName}" not found.` }] };
+  let values;
+  try {
+    values = parseGraphQLVariables(variables);
+  } catch (error) {
+    return { content: [{ type: "text", text: `# ❌ Invalid JSON\n\nThe variables could not be parsed: ${error.message}\n` }] };
   }
 
-  const componentPascal = componentName.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
-
-  let response = `# ${foundComponent.title} Usage Examples
-
-## Basic Usage
+  const schema = await loadGraphQLSchema();
+  let document;
+  try {
+    document = parseGraphQLDocument(customQuery);
+  } catch (error) {
+    return { content: [{ type: "text", text: `# GraphQL Validation\n\n**Result:** ❌ Syntax error\n\n${formatGraphQLErrors(customQuery, [error])}` }] };
+  }
 
-\`\`\`${framework === 'react' ? 'tsx' : 'javascript'}
-import { ${componentPascal} } from '@/components/deso-ui/${componentName}';
+  const errors = validateGraphQLDocument(schema, customQuery, values);
+  let result = `# GraphQL Validation\n\n`;
+  result += `**Result:** ${errors.length === 0 ? '✅ Valid against the bundled schema' : `❌ ${errors.length} problem${errors.length === 1 ? '' : 's'} found`}\n`;
+  if (!values) result += `**Variables:** not checked; pass \`variables\` to check required and typed values\n`;
+  result += '\n';
 
-export default function Example() {
-  return (
-    <${componentPascal} 
-      // Basic props
-    />
-  );
+  if (errors.length > 0) {
+    result += `## Problems\n\n${formatGraphQLErrors(customQuery, errors)}\n`;
+  } else {
+    for (const operation of document.definitions.filter(definition => definition.kind === 'OperationDefinition')) {
+      const rootFields = operation.selectionSet.selections.filter(selection => selection.kind === 'Field').map(field => `\`${field.name}\``);
+      result += `- ${operation.operation} \`${operation.name || 'anonymous'}\`${operation.variableDefinitions.length ? ` with ${operation.variableDefinitions.map(definition => `\`$${definition.name}: ${printGraphQLType(definition.type)}\``).join(', ')}` : ''} reads ${rootFields.join(', ')}\n`;
+    }
+    result += `\nRun it offline with \`npm run start:mock-graphql\` or against \`https://graphql.deso.com/graphql\`.\n`;
+  }
+  return { content: [{ type: "text", text: result }] };
 }
-\`\`\`
 
-## Advanced Examples
+// Estimate the cost of a query before it hits the API: depth, fan-out per connection, a score, and rewrites
+async function analyzeGraphQLQuery(customQuery, variables) {
+  if (!customQuery) {
+    return { content: [{ type: "text", text: "Please provide a GraphQL query to analyze." }] };
+  }
 
-`;
+  let values;
+  try {
+    values = parseGraphQLVariables(variables);
+  } catch (error) {
+    return { content: [{ type: "text", text: `# ❌ Invalid JSON\n\nThe variables could not be parsed: ${error.message}\n` }] };
+  }
 
-  // Generate specific examples based on component type
-  if (componentName === 'post-card') {
-    response += `### Social Media Post
-\`\`\`tsx
-<PostCard
-  publicKey="BC1YLi..."
-  postContent="Hello DeSo! 🚀"
-  timestamp={new Date()}
-  images={["https://example.com/image.jpg"]}
-  actions={{
-    comments: 5,
-    likes: 25,
-    reposts: 3,
-    diamonds: 2,
-    views: 150
-  }}
-/>
-\`\`\`
+  const schema = await loadGraphQLSchema();
+  let document;
+  try {
+    document = parseGraphQLDocument(customQuery);
+  } catch (error) {
+    return { content: [{ type: "text", text: `# GraphQL Cost Analysis\n\n**Result:** ❌ Syntax error\n\n${formatGraphQLErrors(customQuery, [error])}` }] };
+  }
 
-### Post with Poll
-\`\`\`tsx
-<PostCard
-  publicKey="BC1YLi..."
-  postContent="What's your favorite DeSo feature?"
-  poll={{
-    options: [
-      { text: "Creator Coins" },
-      { text: "Diamonds" },
-      { text: "NFTs" }
-    ],
-    votes: [15, 10, 8],
-    totalVotes: 33,
-    userVotedIndex: null
-  }}
-/>
-\`\`\``;
-  } else if (componentName === 'editor') {
-    response += `### Post Composer
-\`\`\`tsx
-<Editor
-  currentUser={{
-    publicKey: "BC1YLi...",
-    profile: { username: "creator" }
-  }}
-  onSubmit={(data) => {
-    console.log('Post submitted:', data);
-  }}
-  placeholder="What's on your mind?"
-  maxChars={600}
-  showImageUpload={true}
-  showVideoUpload={true}
-/>
-\`\`\``;
-  } else if (componentName === 'message-inbox') {
-    response += `### Chat Interface
-\`\`\`tsx
-<MessageInbox
-  conversations={[
-    {
-      id: "conv1",
-      otherUser: { publicKey: "BC1YLi...", username: "friend" },
-      lastMessage: "Hey there!",
-      unreadCount: 2
-    }
-  ]}
-  selectedConversation="conv1"
-  currentUser={{ publicKey: "BC1YLi..." }}
-/>
-\`\`\``;
+  let result = `# GraphQL Cost Analysis\n\n`;
+  const errors = validateGraphQLDocument(schema, customQuery, values);
+  if (errors.length > 0) {
+    result += `## Validation\n\n${formatGraphQLErrors(customQuery, errors)}\nFields the schema does not have are left out of the estimate below.\n\n`;
   }
 
-  response += `\n## Integration with DeSo SDK
+  const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+  for (const operation of operations) {
+    if (operations.length > 1) result += `## Operation \`${operation.name || 'anonymous'}\`\n\n`;
+    if (operation.operation !== 'query') {
+      result += `Only queries are analyzed; this is a ${operation.operation}.\n\n`;
+      continue;
+    }
 
-\`\`\`tsx
-import { identity, ${componentName.includes('post') ? 'submitPost' : 'getSingleProfile'} } from 'deso-protocol';
-import { ${componentPascal} } from '@/components/deso-ui/${componentName}';
+    const analysis = analyzeGraphQLCost(schema, document, operation, values);
+    const count = (n) => n.toLocaleString('en-US');
+    result += `| Measure | Value |\n|---------|-------|\n`;
+    result += `| Cost score | **${count(analysis.score)}** (${analysis.rating}) |\n`;
+    result += `| Depth | ${analysis.depth} levels |\n`;
+    result += `| Connection nesting | ${analysis.connectionDepth} |\n`;
+    result += `| Connection requests | ${count(analysis.requests)} |\n`;
+    result += `| Rows returned, at most | ${count(analysis.rows)} |\n\n`;
+
+    if (analysis.connections.length > 0) {
+      result += `### Connections\n\n| Path | Page size | Runs | Rows |\n|------|-----------|------|------|\n`;
+      for (const connection of analysis.connections) {
+        const page = !connection.selectsRows ? 'counts only'
+          : connection.page !== null ? count(connection.page)
+            : connection.pageVariable ? `$${connection.pageVariable} (${GRAPHQL_ASSUMED_PAGE_SIZE} assumed)`
+              : `unbounded (${GRAPHQL_ASSUMED_PAGE_SIZE} assumed)`;
+        result += `| \`${connection.path}\` | ${page} | ${count(connection.runs)} | ${count(connection.rows)} |\n`;
+      }
+      result += '\n';
+    }
 
-function DeSoIntegratedExample() {
-  const [user, setUser] = useState(null);
+    if (analysis.findings.length > 0) {
+      result += `### Findings\n\n`;
+      analysis.findings.forEach((finding, index) => {
+        result += `${index + 1}. ${finding.level === 'warning' ? '⚠️' : 'ℹ️'} **Line ${finding.loc.line}:** ${finding.message}\n`;
+      });
+      result += '\n';
+    } else {
+      result += `No problems found: every connection is bounded and nothing fans out.\n\n`;
+    }
 
-  useEffect(() => {
-    identity.subscribe((state) => {
-      setUser(state.currentUser);
-    });
-  }, []);
+    if (analysis.findings.length === 0) continue;
 
-  return user ? (
-    <${componentPascal} 
-      publicKey={user.publicKey}
-      // Additional DeSo-specific props
-    />
-  ) : (
-    <div>Please log in</div>
-  );
-}
-\`\`\``;
+    // Offer the rewrites that change something, each scored and checked against the schema
+    const rewrites = [
+      { title: 'Paginated', note: 'Every connection gets a page size; top-level lists page with `after: $after` from `pageInfo.endCursor`.', countsOnly: false },
+      { title: 'Counts only for nested connections', note: 'Nested connections that fan out return just `totalCount`. Load their rows for one item at a time when it is opened.', countsOnly: true }
+    ];
+    const seen = new Set([printGraphQLDocument(rewriteGraphQLForCost(document, { operation, connections: [] }))]);
+    for (const { title, note, countsOnly } of rewrites) {
+      const query = printGraphQLDocument(rewriteGraphQLForCost(document, analysis, { countsOnly }));
+      if (seen.has(query)) continue;
+      seen.add(query);
+      const rewritten = parseGraphQLDocument(query);
+      if (validateGraphQLDocument(schema, query, values).length > 0 && errors.length === 0) continue;
+      const after = analyzeGraphQLCost(schema, rewritten, rewritten.definitions[0], values);
+      result += `### Suggested Rewrite: ${title}\n\n${note} Cost score ${count(analysis.score)} → **${count(after.score)}** (${after.rating}).\n\n\`\`\`graphql\n${query}\n\`\`\`\n\n`;
+    }
+  }
 
-  return { content: [{ type: "text", text: response }] };
+  result += `## How the Score Works\n\nEach connection runs once per row of its parent and returns up to \`first\`/\`last\` rows each time. The score adds up those requests and rows. A connection without \`first\` or \`last\` returns every matching row and is scored as ${GRAPHQL_ASSUMED_PAGE_SIZE}. Ratings: up to 100 low, 1,000 moderate, 10,000 high, above that very high.\n`;
+  return { content: [{ type: "text", text: result.trimEnd() }] };
 }
 
-function showComponentDependencies(componentName, registry) {
-  if (!componentName) {
-    return { content: [{ type: "text", text: "Please specify a component name to show dependencies." }] };
+// TypeScript result and variables types for a query, generated from the bundled schema
+async function generateGraphQLTypes(customQuery) {
+  if (!customQuery) {
+    return { content: [{ type: "text", text: "Please provide a GraphQL query to generate TypeScript types for." }] };
   }
 
-  let foundComponent = null;
-  let foundCategory = null;
-  
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    if (categoryInfo.components[componentName]) {
-      foundComponent = categoryInfo.components[componentName];
-      foundCategory = categoryName;
-      break;
-    }
+  const schema = await loadGraphQLSchema();
+  let document;
+  try {
+    document = parseGraphQLDocument(customQuery);
+  } catch (error) {
+    return { content: [{ type: "text", text: `# GraphQL TypeScript Types\n\n**Result:** ❌ Syntax error\n\n${formatGraphQLErrors(customQuery, [error])}` }] };
   }
-
-  if (!foundComponent) {
-    return { content: [{ type: "text", text: `Component "${componentName}" not found.` }] };
+  // Types for fields the schema does not have would only be guesses
+  const errors = validateGraphQLDocument(schema, customQuery);
+  if (errors.length > 0) {
+    return { content: [{ type: "text", text: `# GraphQL TypeScript Types\n\n**Result:** ❌ The query does not match the schema; fix these first:\n\n${formatGraphQLErrors(customQuery, errors)}` }] };
   }
 
-  let response = `# ${foundComponent.title} Dependencies
-
-## Installation Order
-
-\`\`\`bash
-# Install base component first
-npx shadcn@latest add http://ui.deso.com/r/${componentName}.json
-`;
+  const { text, operations } = generateGraphQLTypeScript(schema, document);
+  const [first] = operations;
+  let result = `# GraphQL TypeScript Types\n\nGenerated from \`repos/graphql/schema.graphql\` for ${operations.map(name => `\`${name}\``).join(', ')}.\n\n`;
+  result += `- Nullable fields are \`T | null\`; fields under \`@include\`/\`@skip\` are optional\n`;
+  result += `- \`BigInt\`, \`BigFloat\`, \`Cursor\` and \`Datetime\` arrive as strings (see \`Scalars\`)\n`;
+  result += `- Each connection's rows have their own \`...Node\` type\n\n`;
+  result += `\`\`\`typescript\n${text}\n\`\`\`\n\n`;
+  result += `## Usage\n\n\`\`\`typescript\nconst variables: ${first}Variables = { /* ... */ };\n\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({ query, variables })\n});\n\nconst { data, errors } = (await response.json()) as {\n  data?: ${first};\n  errors?: Array<{ message: string; locations?: Array<{ line: number; column: number }>; path?: Array<string | number> }>;\n};\n\`\`\``;
+  return { content: [{ type: "text", text: result }] };
+}
 
-  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
-    response += `\n# Install dependencies\n`;
-    for (const dep of foundComponent.dependencies) {
-      if (dep.startsWith('react-') || dep.includes('.')) {
-        response += `npm install ${dep}\n`;
-      } else {
-        response += `npx shadcn@latest add http://ui.deso.com/r/${dep}.json\n`;
-      }
+// Cursor pagination code for one connection field: the query, a page fetcher, a loop that stops at a page
+// budget, and a React infinite-scroll hook. Everything pages forward with after and pageInfo.endCursor.
+const GRAPHQL_DEFAULT_MAX_PAGES = 10;
+
+// Resolve "posts", "Account.followers" or a queryType's entity to a connection field. Nested connections are
+// reached through a root lookup of their parent, such as account(publicKey:). Returns { error } or a listing of
+// the connections on a type when only the type is named.
+function findGraphQLConnection(schema, connection, queryType, username) {
+  const rootFields = schema.types[schema.queryType].fields;
+  const isConnection = (field) => Boolean(graphQLConnectionNode(schema, namedGraphQLType(field.type)));
+  const connectionsOf = (typeName) => Object.values(schema.types[typeName].fields).filter(isConnection);
+
+  let requested = connection;
+  if (!requested && GRAPHQL_QUERY_TYPE_ENTITIES[queryType]) {
+    const entity = GRAPHQL_QUERY_TYPE_ENTITIES[queryType];
+    requested = Object.values(rootFields).find(field => isConnection(field) && graphQLConnectionNode(schema, namedGraphQLType(field.type)) === entity)?.name;
+  }
+  if (!requested) return { list: schema.queryType, fields: connectionsOf(schema.queryType) };
+
+  if (!requested.includes('.')) {
+    if (rootFields[requested] && isConnection(rootFields[requested])) requested = `${schema.queryType}.${requested}`;
+    else {
+      // A type name on its own lists that type's connections
+      const type = schema.types[requested] || Object.values(schema.types).find(candidate => candidate.name.toLowerCase() === requested.toLowerCase());
+      if (type?.kind === 'OBJECT') return { list: type.name, fields: connectionsOf(type.name) };
+      const names = connectionsOf(schema.queryType).map(field => field.name);
+      return { error: `No root connection or type is named "${requested}".${didYouMean(suggestNames(requested, names))}` };
     }
   }
 
-  response += `\`\`\`
-
-## Dependency Tree
-
-\`\`\`
-${componentName}
-`;
+  const [typePart, fieldPart] = requested.split('.');
+  const parentType = schema.types[typePart] || Object.values(schema.types).find(type => type.name.toLowerCase() === typePart.toLowerCase());
+  if (parentType?.kind !== 'OBJECT') {
+    return { error: `Unknown type "${typePart}".${didYouMean(suggestNames(typePart, Object.keys(schema.types)))}` };
+  }
 
-  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
-    for (const dep of foundComponent.dependencies) {
-      response += `├── ${dep}\n`;
-    }
-  } else {
-    response += `└── (no dependencies)\n`;
+  const field = parentType.fields[fieldPart];
+  if (!field || !isConnection(field)) {
+    const names = connectionsOf(parentType.name).map(candidate => candidate.name);
+    return { error: `"${parentType.name}" has no connection field "${fieldPart}".${didYouMean(suggestNames(fieldPart, names))}` };
+  }
+  if (!field.args.after || !field.args.first) {
+    return { error: `\`${parentType.name}.${field.name}\` does not take \`first\` and \`after\`, so it cannot be paged with cursors.` };
+  }
+  if (parentType.name === schema.queryType) return { parentType: parentType.name, field, lookup: null };
+
+  // Lookups whose arguments are all required, fewest first; a username lookup wins when a username was given
+  const lookups = Object.values(rootFields)
+    .filter(candidate => namedGraphQLType(candidate.type) === parentType.name && !isConnection(candidate) && candidate.name !== 'node' && !candidate.name.endsWith('ById'))
+    .filter(candidate => Object.values(candidate.args).every(arg => arg.type.kind === 'NonNullType'))
+    .sort((a, b) => Object.keys(a.args).length - Object.keys(b.args).length);
+  const lookup = (username && lookups.find(candidate => Object.keys(candidate.args).join() === 'username')) || lookups[0];
+  if (!lookup) {
+    return { error: `\`${parentType.name}\` has no root lookup to reach \`${field.name}\` from. Page it inside your own query with the same \`first\`/\`after\` arguments.` };
   }
+  return { parentType: parentType.name, field, lookup };
+}
 
-  response += `\`\`\`
+async function generateGraphQLPagination(connection, queryType, username, publicKey, pageSize, maxPages) {
+  if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize > 0)) {
+    return invalidArgument(`Invalid Page Size: ${JSON.stringify(pageSize)}`, `\`pageSize\` is the number of rows per page: a whole number from 1 to ${GRAPHQL_ASSUMED_PAGE_SIZE} (default: ${GRAPHQL_SUGGESTED_PAGE_SIZE}).`);
+  }
+  if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages > 0)) {
+    return invalidArgument(`Invalid Page Budget: ${JSON.stringify(maxPages)}`, `\`maxPages\` is the most pages one run may read: a whole number of at least 1 (default: ${GRAPHQL_DEFAULT_MAX_PAGES}).`);
+  }
+  const schema = await loadGraphQLSchema();
+  const found = findGraphQLConnection(schema, connection, queryType, username);
+  if (found.error) {
+    return { content: [{ type: "text", text: `# ❌ Can't Paginate: ${connection}\n\n${found.error}\n\nPass a root connection (\`posts\`), \`Type.field\` for a nested one (\`Account.followers\`), or a type name to list its connections.` }] };
+  }
+  if (found.list) {
+    const prefix = found.list === schema.queryType ? '' : `${found.list}.`;
+    let text = `# Paginated Connections: ${found.list}\n\nPass one of these as \`connection\` to generate its pagination loop and React hook.${prefix ? '' : ' Name a type, such as `Account`, to list its nested connections.'}\n\n`;
+    text += `| Connection | Rows |\n|------------|------|\n`;
+    text += found.fields.map(field => `| \`${prefix}${field.name}\` | \`${graphQLConnectionNode(schema, namedGraphQLType(field.type))}\` |`).join('\n');
+    return { content: [{ type: "text", text }] };
+  }
 
-## Component Imports
+  const { parentType, field, lookup } = found;
+  const node = graphQLConnectionNode(schema, namedGraphQLType(field.type));
+  const notes = [];
+  let size = pageSize ?? GRAPHQL_SUGGESTED_PAGE_SIZE;
+  if (size > GRAPHQL_ASSUMED_PAGE_SIZE) {
+    notes.push(`A page size of ${size} was lowered to ${GRAPHQL_ASSUMED_PAGE_SIZE}; larger pages are slow to build and to render. Raise \`maxPages\` instead.`);
+    size = GRAPHQL_ASSUMED_PAGE_SIZE;
+  }
+  const budget = maxPages ?? GRAPHQL_DEFAULT_MAX_PAGES;
+
+  // Rows select what the build action shows for the type (the view named like the field first), else its
+  // scalar columns. The id is always there to key list items by.
+  const nodeType = schema.types[node];
+  const views = QUESTION_VIEWS.filter(view => view.type === node);
+  const view = views.find(candidate => candidate.words.test(field.name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase())) || views[0];
+  const select = view
+    ? [...view.select]
+    : Object.values(nodeType.fields)
+      .filter(candidate => !candidate.deprecationReason && Object.keys(candidate.args).length === 0 && ['SCALAR', 'ENUM'].includes(schema.types[namedGraphQLType(candidate.type)].kind) && namedGraphQLType(candidate.type) !== 'JSON' && candidate.name !== 'id')
+      .slice(0, 8)
+      .map(candidate => candidate.name);
+  if (nodeType.fields.id && !select.includes('id')) select.unshift('id');
+  // What the usage example shows for a row: its first column, else the username of its first related account
+  const column = select.find(entry => entry !== 'id' && !entry.includes('{'));
+  const account = select.find(entry => /^\w+ \{[^{]*\busername\b/.test(entry));
+  const label = column ? `item.${column}` : account ? `item.${account.split(' ')[0]}?.username` : 'JSON.stringify(item)';
+
+  const pascal = (text) => text.replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (_, __, char) => char.toUpperCase());
+  const base = lookup ? `${parentType}${pascal(field.name)}` : pascal(field.name);
+  const constant = `PAGINATE_${base.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_QUERY`;
+  const moduleName = `${base[0].toLowerCase()}${base.slice(1)}Pagination`;
+
+  // Parent lookup arguments, then the page, then the filter and order the caller may pass through
+  const parentArgs = lookup ? Object.values(lookup.args) : [];
+  const passThrough = ['filter', 'orderBy'].filter(name => field.args[name]);
+  const definitions = [
+    ...parentArgs.map(arg => `$${arg.name}: ${printGraphQLType(arg.type)}`),
+    '$first: Int!',
+    `$after: ${printGraphQLType(field.args.after.type)}`,
+    ...passThrough.map(name => `$${name}: ${printGraphQLType(field.args[name].type)}`)
+  ];
+  const connectionArgs = ['first', 'after', ...passThrough].map(name => `${name}: $${name}`).join(', ');
+  let selection = `${field.name}(${connectionArgs}) { nodes { ${select.join(' ')} } pageInfo { hasNextPage endCursor } }`;
+  if (lookup) selection = `${lookup.name}(${parentArgs.map(arg => `${arg.name}: $${arg.name}`).join(', ')}) { ${selection} }`;
+  const document = parseGraphQLDocument(`query Paginate${base}(${definitions.join(', ')}) { ${selection} }`);
+  const query = printGraphQLDocument(document);
+
+  const sample = Object.fromEntries(parentArgs.map(arg => [
+    arg.name,
+    arg.name === 'username' && username ? username : arg.name === 'publicKey' && publicKey ? publicKey : `<${arg.name}>`
+  ]));
+  const variables = { ...sample, first: size, after: null };
+  const errors = validateGraphQLDocument(schema, query, variables);
+  const cost = analyzeGraphQLCost(schema, document, document.definitions[0], variables);
+
+  const access = lookup ? `data.${lookup.name}?.${field.name}` : `data.${field.name}`;
+  const parentParams = parentArgs.map(arg => arg.name);
+  const hookParams = [...parentParams, ...passThrough].join(', ');
+  const params = [...parentParams, ...passThrough, `pageSize = ${size}`, `maxPages = ${budget}`].join(', ');
+  const pageVariables = [...parentParams, 'first: pageSize', ...passThrough].join(', ');
+  const sampleArgs = [...parentParams.map(name => `${name}: ${JSON.stringify(sample[name])}`), `pageSize: ${size}`, `maxPages: ${budget}`].join(', ');
+  const rows = `\`${lookup ? `${parentType}.` : ''}${field.name}\``;
+
+  let result = `# Cursor Pagination: ${rows}\n\n`;
+  result += `Pages through ${rows} (\`${node}\` rows) ${size} at a time, passing each page's \`pageInfo.endCursor\` as \`after\` until \`hasNextPage\` is false. `;
+  result += `A run stops after ${budget} pages: at most ${(size * budget).toLocaleString('en-US')} rows and ${budget} requests.\n\n`;
+  if (notes.length > 0) result += `${notes.map(note => `⚠️ ${note}`).join('\n')}\n\n`;
+
+  result += `## Query\n\n\`\`\`graphql\n${query}\n\`\`\`\n\n`;
+  result += errors.length === 0 ? `✅ Validated against the bundled schema. ` : `## ⚠️ Validation Problems\n\n${formatGraphQLErrors(query, errors)}\n`;
+  result += `Each page has a cost score of ${cost.score.toLocaleString('en-US')} (${cost.rating}); see the \`analyze\` action.\n\n`;
+  result += `## Variables (first page)\n\n\`\`\`json\n${JSON.stringify(variables, null, 2)}\n\`\`\`\n\n`;
+
+  const empty = lookup ? ` ?? { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } }` : '';
+  result += `## Pagination Loop: \`${moduleName}.js\`\n\n\`\`\`javascript
+const DESO_GRAPHQL_URL = 'https://graphql.deso.com/graphql';
+
+export const ${constant} = \`${query}\`;
+
+// One page of ${field.name}; pass the previous page's pageInfo.endCursor as \`after\` to get the next
+export async function fetch${base}Page(variables) {
+  const response = await fetch(DESO_GRAPHQL_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: ${constant}, variables })
+  });
+  // Invalid queries and variables come back as 400 with the reasons in \`errors\`
+  const { data, errors } = await response.json().catch(() => ({}));
+  if (errors?.length) throw new Error(errors.map(error => error.message).join('\\n'));
+  if (!response.ok) throw new Error(\`DeSo GraphQL request failed: \${response.status} \${response.statusText}\`);
+${lookup ? `  // No ${lookup.name} matched, so there is nothing to page through\n` : ''}  return ${access}${empty};
+}
 
-\`\`\`tsx
-// Main component
-import { ${foundComponent.title.replace(/\s+/g, '')} } from '@/components/deso-ui/${componentName}';
+// Every row, reading at most maxPages pages. hasNextPage is true when the budget ran out first; pass endCursor
+// back as \`after\` to carry on from there.
+export async function fetchAll${base}({ ${params}, after = null } = {}) {
+  const nodes = [];
+  for (let page = 0; page < maxPages; page++) {
+    const { nodes: rows, pageInfo } = await fetch${base}Page({ ${pageVariables}, after });
+    nodes.push(...rows);
+    if (!pageInfo.hasNextPage) return { nodes, hasNextPage: false, endCursor: pageInfo.endCursor ?? after };
+    after = pageInfo.endCursor;
+  }
+  return { nodes, hasNextPage: true, endCursor: after };
+}
+\`\`\`\n\n`;
+  result += `\`\`\`javascript\nconst { nodes, hasNextPage, endCursor } = await fetchAll${base}({ ${sampleArgs} });\n\`\`\`\n\n`;
+
+  result += `## React Infinite Scroll: \`useInfinite${base}.js\`\n\n\`\`\`jsx
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetch${base}Page } from './${moduleName}';
+
+// ${pascal(field.name)} for an infinite list. loadMore does nothing while a page is loading, after the last page,
+// or once maxPages pages have been read; raising maxPages lets it continue.
+export function useInfinite${base}({ ${params} } = {}) {
+  const [items, setItems] = useState([]);
+  const [pages, setPages] = useState(0);
+  const [hasNextPage, setHasNextPage] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const cursor = useRef({ after: null, pages: 0, done: false, loading: false });
+  const budget = useRef(maxPages);
+  useEffect(() => {
+    budget.current = maxPages;
+  }, [maxPages]);
 
-`;
+  // Compared as a string so a new object with the same contents does not start over
+  const variables = JSON.stringify({ ${pageVariables} });
 
-  if (foundComponent.dependencies && foundComponent.dependencies.length > 0) {
-    response += `// Dependencies (automatically imported)\n`;
-    for (const dep of foundComponent.dependencies) {
-      if (!dep.startsWith('react-') && !dep.includes('.')) {
-        const depPascal = dep.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
-        response += `// import { ${depPascal} } from '@/components/deso-ui/${dep}';\n`;
-      }
+  const loadMore = useCallback(async () => {
+    const run = cursor.current;
+    if (run.loading || run.done || run.pages >= budget.current) return;
+    run.loading = true;
+    setLoading(true);
+    setError(null);
+    try {
+      const { nodes, pageInfo } = await fetch${base}Page({ ...JSON.parse(variables), after: run.after });
+      // The variables changed while this page was loading
+      if (run !== cursor.current) return;
+      run.after = pageInfo.endCursor;
+      run.pages += 1;
+      run.done = !pageInfo.hasNextPage;
+      setItems(previous => [...previous, ...nodes]);
+      setPages(run.pages);
+      setHasNextPage(pageInfo.hasNextPage);
+    } catch (err) {
+      if (run === cursor.current) setError(err);
+    } finally {
+      run.loading = false;
+      if (run === cursor.current) setLoading(false);
     }
-  }
+  }, [variables]);
 
-  response += `\`\`\``;
+  // Start again from the first page whenever the variables change
+  useEffect(() => {
+    cursor.current = { after: null, pages: 0, done: false, loading: false };
+    setItems([]);
+    setPages(0);
+    setHasNextPage(true);
+    setError(null);
+    setLoading(false);
+    loadMore();
+  }, [loadMore]);
 
-  return { content: [{ type: "text", text: response }] };
+  return {
+    items,
+    loadMore,
+    loading,
+    error,
+    hasMore: hasNextPage && pages < maxPages,
+    // More rows exist but the page budget is spent
+    budgetReached: hasNextPage && pages >= maxPages
+  };
 }
 
-function showComponentCategories(registry) {
-  let response = `# 📁 Component Categories
+// Calls loadMore whenever the element the returned ref is attached to comes within 400px of the viewport
+export function useLoadMoreOnScroll(loadMore, enabled) {
+  const sentinel = useRef(null);
+  useEffect(() => {
+    const element = sentinel.current;
+    if (!element || !enabled) return undefined;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [loadMore, enabled]);
+  return sentinel;
+}
+\`\`\`\n\n`;
 
-Overview of all component categories in the DeSo UI library.
+  const key = nodeType.fields.id ? 'item.id' : 'index';
+  result += `## Usage\n\n\`\`\`jsx
+function ${base}List() {
+  const { items, loadMore, loading, error, hasMore, budgetReached } = useInfinite${base}({ ${sampleArgs} });
+  const sentinel = useLoadMoreOnScroll(loadMore, hasMore && !loading && !error);
 
-`;
+  return (
+    <div>
+      <ul>
+        {items.map(${key === 'index' ? '(item, index)' : 'item'} => <li key={${key}}>{${label}}</li>)}
+      </ul>
+      {loading && <p>Loading…</p>}
+      {error && <p>Could not load more: {error.message} <button onClick={loadMore}>Retry</button></p>}
+      {budgetReached && <p>Showing the first {items.length} results.</p>}
+      <div ref={sentinel} />
+    </div>
+  );
+}
+\`\`\`\n\n`;
+
+  result += `## Notes\n\n`;
+  result += `- Cursors belong to the order and filter that produced them. Keep ${hookParams ? hookParams.split(', ').map(name => `\`${name}\``).join(', ') : 'the variables'} the same for a whole run; the hook starts over when they change.\n`;
+  if (passThrough.includes('orderBy')) result += `- Without \`orderBy\` rows come in primary key order, which is stable for paging. Sort by a column such as \`TIMESTAMP_DESC\` for newest first.\n`;
+  result += `- Page with \`after\`, not \`offset\`: offset reads and discards every skipped row, and rows inserted meanwhile shift the pages.\n`;
+  result += `- \`totalCount\` is left out because it runs a count on every page. Ask for it once, in a separate query, if the UI shows it.\n`;
+  result += `- Use the \`types\` action on the query above for TypeScript types of the page and its rows.\n`;
+  return { content: [{ type: "text", text: result.trimEnd() }] };
+}
 
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    const componentCount = Object.keys(categoryInfo.components).length;
-    response += `## ${categoryName.toUpperCase()} (${componentCount} components)
+// Variables arrive as an object or, from some clients, as a JSON string
+function parseGraphQLVariables(variables) {
+  return typeof variables === 'string' ? JSON.parse(variables) : variables ?? null;
+}
 
-${categoryInfo.description}
+// GraphQL language support for the bundled schema and the queries built above. graphql-js parses, validates and
+// executes; its AST is simplified here (names as strings, a line and column on every node) for the cost analyzer,
+// the TypeScript generator and the query rewrites, which walk and rebuild documents by hand.
+const GRAPHQL_SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'repos', 'graphql', 'schema.graphql');
+const GRAPHQL_BUILTIN_SCALARS = ['Int', 'Float', 'String', 'Boolean', 'ID'];
+
+function simplifyGraphQLNode(node) {
+  if (!node) return null;
+  const simplify = (nodes = []) => nodes.map(simplifyGraphQLNode);
+  const names = (nodes = []) => nodes.map(named => named.name.value);
+  const loc = node.loc && { line: node.loc.startToken.line, column: node.loc.startToken.column };
+  const name = node.name?.value;
+  const description = node.description?.value ?? null;
+  switch (node.kind) {
+    case Kind.DOCUMENT:
+      return { definitions: simplify(node.definitions) };
+    case Kind.OPERATION_DEFINITION:
+      return { kind: 'OperationDefinition', operation: node.operation, name: name ?? null, variableDefinitions: simplify(node.variableDefinitions), directives: simplify(node.directives), selectionSet: simplifyGraphQLNode(node.selectionSet), loc };
+    case Kind.VARIABLE_DEFINITION:
+      return { name: node.variable.name.value, type: simplifyGraphQLNode(node.type), defaultValue: simplifyGraphQLNode(node.defaultValue), directives: simplify(node.directives), loc };
+    case Kind.SELECTION_SET:
+      return { selections: simplify(node.selections), loc };
+    case Kind.FIELD:
+      return { kind: 'Field', alias: node.alias?.value ?? null, name, arguments: simplify(node.arguments), directives: simplify(node.directives), selectionSet: simplifyGraphQLNode(node.selectionSet), loc };
+    case Kind.FRAGMENT_SPREAD:
+      return { kind: 'FragmentSpread', name, directives: simplify(node.directives), loc };
+    case Kind.INLINE_FRAGMENT:
+      return { kind: 'InlineFragment', typeCondition: node.typeCondition?.name.value ?? null, directives: simplify(node.directives), selectionSet: simplifyGraphQLNode(node.selectionSet), loc };
+    case Kind.FRAGMENT_DEFINITION:
+      return { kind: 'FragmentDefinition', name, typeCondition: node.typeCondition.name.value, directives: simplify(node.directives), selectionSet: simplifyGraphQLNode(node.selectionSet), loc };
+    case Kind.ARGUMENT:
+    case Kind.OBJECT_FIELD:
+      return { name, value: simplifyGraphQLNode(node.value), loc };
+    case Kind.DIRECTIVE:
+      return { name, arguments: simplify(node.arguments), loc };
+    case Kind.NAMED_TYPE:
+      return { kind: 'NamedType', name, loc };
+    case Kind.LIST_TYPE:
+      return { kind: 'ListType', type: simplifyGraphQLNode(node.type), loc };
+    case Kind.NON_NULL_TYPE:
+      return { kind: 'NonNullType', type: simplifyGraphQLNode(node.type), loc };
+    case Kind.VARIABLE:
+      return { kind: 'Variable', name, loc };
+    case Kind.INT:
+      return { kind: 'Int', value: node.value, loc };
+    case Kind.FLOAT:
+      return { kind: 'Float', value: node.value, loc };
+    case Kind.STRING:
+      return { kind: 'String', value: node.value, block: Boolean(node.block), loc };
+    case Kind.BOOLEAN:
+      return { kind: 'Boolean', value: node.value, loc };
+    case Kind.NULL:
+      return { kind: 'Null', loc };
+    case Kind.ENUM:
+      return { kind: 'Enum', value: node.value, loc };
+    case Kind.LIST:
+      return { kind: 'List', values: simplify(node.values), loc };
+    case Kind.OBJECT:
+      return { kind: 'Object', fields: simplify(node.fields), loc };
+    // Type system documents (SDL)
+    case Kind.SCHEMA_DEFINITION:
+      return { kind: 'SchemaDefinition', operationTypes: node.operationTypes.map(({ operation, type }) => ({ operation, type: type.name.value })), loc };
+    case Kind.SCALAR_TYPE_DEFINITION:
+      return { kind: 'ScalarTypeDefinition', name, description, directives: simplify(node.directives), loc };
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_DEFINITION:
+      return { kind: node.kind, name, description, interfaces: names(node.interfaces), directives: simplify(node.directives), fields: simplify(node.fields), loc };
+    case Kind.FIELD_DEFINITION:
+      return { name, description, arguments: simplify(node.arguments), type: simplifyGraphQLNode(node.type), directives: simplify(node.directives), loc };
+    case Kind.INPUT_VALUE_DEFINITION:
+      return { name, description, type: simplifyGraphQLNode(node.type), defaultValue: simplifyGraphQLNode(node.defaultValue), directives: simplify(node.directives), loc };
+    case Kind.UNION_TYPE_DEFINITION:
+      return { kind: 'UnionTypeDefinition', name, description, directives: simplify(node.directives), types: names(node.types), loc };
+    case Kind.ENUM_TYPE_DEFINITION:
+      return { kind: 'EnumTypeDefinition', name, description, directives: simplify(node.directives), values: simplify(node.values), loc };
+    case Kind.ENUM_VALUE_DEFINITION:
+      return { name, description, directives: simplify(node.directives), loc };
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+      return { kind: 'InputObjectTypeDefinition', name, description, directives: simplify(node.directives), fields: simplify(node.fields), loc };
+    case Kind.DIRECTIVE_DEFINITION:
+      return { kind: 'DirectiveDefinition', name, description, arguments: simplify(node.arguments), locations: node.locations.map(location => location.value), loc };
+    default:
+      throw new Error(`Unsupported GraphQL definition: ${node.kind}`);
+  }
+}
 
-**Components:**
-`;
+// Throws graphql-js's GraphQLError, with the line and column in its locations, on a syntax error
+function parseGraphQLDocument(source) {
+  return simplifyGraphQLNode(parse(source));
+}
 
-    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
-      response += `- \`${componentName}\` - ${componentInfo.title}\n`;
-    }
+function printGraphQLType(type) {
+  if (type.kind === 'NonNullType') return `${printGraphQLType(type.type)}!`;
+  if (type.kind === 'ListType') return `[${printGraphQLType(type.type)}]`;
+  return type.name;
+}
 
-    response += `\n**Install all ${categoryName} components:**
-\`\`\`bash
-`;
+// A literal as it would be written in a document, e.g. an argument default such as [PRIMARY_KEY_ASC]
+function printGraphQLValue(node) {
+  switch (node.kind) {
+    case 'Variable': return `$${node.name}`;
+    case 'String': return JSON.stringify(node.value);
+    case 'List': return `[${node.values.map(printGraphQLValue).join(', ')}]`;
+    case 'Object': return `{ ${node.fields.map(field => `${field.name}: ${printGraphQLValue(field.value)}`).join(', ')} }`;
+    case 'Null': return 'null';
+    default: return String(node.value);
+  }
+}
 
-    for (const componentName of Object.keys(categoryInfo.components)) {
-      response += `npx shadcn@latest add http://ui.deso.com/r/${componentName}.json\n`;
-    }
+function namedGraphQLType(type) {
+  return type.kind === 'NamedType' ? type.name : namedGraphQLType(type.type);
+}
 
-    response += `\`\`\`
+function deprecationReason(directives) {
+  const deprecated = directives.find(directive => directive.name === 'deprecated');
+  if (!deprecated) return null;
+  return deprecated.arguments.find(arg => arg.name === 'reason')?.value.value ?? 'No longer supported';
+}
 
----
+// PostGraphile sends 64-bit integers, arbitrary-precision numbers, cursors and dates as strings so no precision
+// is lost, and takes them back as strings (or plain numbers for the numeric ones). The SDL only names these
+// scalars, so without this graphql-js would let any value through.
+const GRAPHQL_STRING_SCALARS = {
+  BigInt: { pattern: /^-?\d+$/, literals: [Kind.STRING, Kind.INT] },
+  BigFloat: { pattern: /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/, literals: [Kind.STRING, Kind.INT, Kind.FLOAT] },
+  Cursor: { literals: [Kind.STRING] },
+  Datetime: { literals: [Kind.STRING] },
+  Date: { literals: [Kind.STRING] }
+};
 
-`;
+function configureGraphQLScalars(executable) {
+  for (const [name, { pattern, literals }] of Object.entries(GRAPHQL_STRING_SCALARS)) {
+    const scalar = executable.getType(name);
+    if (!scalar) continue;
+    const accepts = (value) => (typeof value === 'string' || (pattern && typeof value === 'number')) && (!pattern || pattern.test(String(value)));
+    scalar.serialize = (value) => String(value);
+    // Returning undefined makes graphql-js report the value as not of this type
+    scalar.parseValue = (value) => (accepts(value) ? String(value) : undefined);
+    scalar.parseLiteral = (node) => (literals.includes(node.kind) && accepts(node.value) ? node.value : undefined);
   }
-
-  return { content: [{ type: "text", text: response }] };
 }
 
-function searchComponents(query, registry) {
-  if (!query) {
-    return { content: [{ type: "text", text: "Please provide a search query." }] };
+// Index an SDL document by type name. Fields, arguments, input fields and enum values are keyed by name;
+// types keep the interfaces they implement and interfaces and unions the object types they can resolve to.
+// `executable` is the graphql-js schema that validates and runs queries.
+function buildGraphQLSchema(source) {
+  const ast = parse(source);
+  const executable = buildASTSchema(ast);
+  configureGraphQLScalars(executable);
+  const document = simplifyGraphQLNode(ast);
+  const types = Object.fromEntries(GRAPHQL_BUILTIN_SCALARS.map(name => [name, { kind: 'SCALAR', name, description: null }]));
+  const inputValues = (definitions) => Object.fromEntries(definitions.map(({ name, description, type, defaultValue, directives }) => (
+    [name, { name, description, type, defaultValue, deprecationReason: deprecationReason(directives) }]
+  )));
+  const operationTypes = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+  const directives = {};
+
+  for (const definition of document.definitions) {
+    const { name, description } = definition;
+    switch (definition.kind) {
+      case 'SchemaDefinition':
+        definition.operationTypes.forEach(({ operation, type }) => { operationTypes[operation] = type; });
+        break;
+      case 'ScalarTypeDefinition':
+        types[name] = { kind: 'SCALAR', name, description };
+        break;
+      case 'ObjectTypeDefinition':
+      case 'InterfaceTypeDefinition':
+        types[name] = {
+          kind: definition.kind === 'ObjectTypeDefinition' ? 'OBJECT' : 'INTERFACE',
+          name,
+          description,
+          interfaces: definition.interfaces,
+          fields: Object.fromEntries(definition.fields.map(field => [field.name, {
+            name: field.name,
+            description: field.description,
+            type: field.type,
+            args: inputValues(field.arguments),
+            deprecationReason: deprecationReason(field.directives)
+          }])),
+          possibleTypes: []
+        };
+        break;
+      case 'UnionTypeDefinition':
+        types[name] = { kind: 'UNION', name, description, possibleTypes: definition.types };
+        break;
+      case 'EnumTypeDefinition':
+        types[name] = {
+          kind: 'ENUM',
+          name,
+          description,
+          values: Object.fromEntries(definition.values.map(value => [value.name, { name: value.name, description: value.description, deprecationReason: deprecationReason(value.directives) }]))
+        };
+        break;
+      case 'InputObjectTypeDefinition':
+        types[name] = { kind: 'INPUT_OBJECT', name, description, fields: inputValues(definition.fields) };
+        break;
+      case 'DirectiveDefinition':
+        directives[name] = { name, description, args: inputValues(definition.arguments), locations: definition.locations };
+        break;
+    }
   }
 
-  const searchTerm = query.toLowerCase();
-  const results = [];
-
-  for (const [categoryName, categoryInfo] of Object.entries(registry)) {
-    for (const [componentName, componentInfo] of Object.entries(categoryInfo.components)) {
-      const searchableText = `${componentName} ${componentInfo.title} ${componentInfo.description}`.toLowerCase();
-      
-      if (searchableText.includes(searchTerm)) {
-        results.push({
-          category: categoryName,
-          name: componentName,
-          title: componentInfo.title,
-          description: componentInfo.description,
-          score: (searchableText.match(new RegExp(searchTerm, 'g')) || []).length
-        });
-      }
+  for (const type of Object.values(types)) {
+    for (const name of type.kind === 'OBJECT' ? type.interfaces : []) {
+      if (types[name]?.kind === 'INTERFACE') types[name].possibleTypes.push(type.name);
     }
   }
 
-  // Sort by relevance
-  results.sort((a, b) => b.score - a.score);
+  return {
+    types,
+    directives,
+    executable,
+    queryType: types[operationTypes.query] ? operationTypes.query : null,
+    mutationType: types[operationTypes.mutation] ? operationTypes.mutation : null,
+    subscriptionType: types[operationTypes.subscription] ? operationTypes.subscription : null
+  };
+}
 
-  if (results.length === 0) {
-    return { content: [{ type: "text", text: `No components found matching "${query}".` }] };
+// Parse repos/graphql/schema.graphql once, on first use
+let GRAPHQL_SCHEMA = null;
+async function loadGraphQLSchema() {
+  if (!GRAPHQL_SCHEMA) {
+    const source = await fs.readFile(GRAPHQL_SCHEMA_PATH, 'utf-8');
+    GRAPHQL_SCHEMA = buildGraphQLSchema(source);
   }
+  return GRAPHQL_SCHEMA;
+}
 
-  let response = `# 🔍 Search Results for "${query}"
+function didYouMean(suggestions) {
+  if (suggestions.length === 0) return '';
+  const quoted = suggestions.map(s => `"${s}"`);
+  return ` Did you mean ${quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0]}?`;
+}
 
-Found ${results.length} matching components:
+// Check a query against the schema the way a GraphQL server does before running it: graphql-js's specified
+// rules (unknown fields, arguments, types and fragments, argument and input values, enum values, leaf
+// selections, undefined or unused variables, subscriptions with more than one root field, ...) and, when
+// values are given, each operation's variables: required ones present and each of the declared type.
+// Takes the query text or a graphql-js document. Returns GraphQL-style errors with locations, in document
+// order; "did you mean" suggestions are part of each message.
+function validateGraphQLDocument(schema, source, variables = null) {
+  const document = typeof source === 'string' ? parse(source) : source;
+  const errors = [...validate(schema.executable, document, specifiedRules)];
+  if (variables) {
+    for (const operation of document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION)) {
+      // Variables declared with an unknown or output type were reported above
+      const declared = (operation.variableDefinitions ?? []).filter(definition => isInputType(typeFromAST(schema.executable, definition.type)));
+      errors.push(...(getVariableValues(schema.executable, declared, variables).errors ?? []));
+    }
+  }
 
-`;
+  const position = ({ locations: [first] }) => (first ? first.line * 1e6 + first.column : 0);
+  return errors.map(error => ({ message: error.message, locations: error.locations ?? [] })).sort((a, b) => position(a) - position(b));
+}
 
-  for (const result of results.slice(0, 10)) { // Show top 10 results
-    response += `## ${result.title} (\`${result.name}\`)
+// Print a parsed executable document back as GraphQL, two-space indented. Comments are not kept.
+function printGraphQLDocument(document) {
+  const args = (list) => (list.length > 0 ? `(${list.map(arg => `${arg.name}: ${printGraphQLValue(arg.value)}`).join(', ')})` : '');
+  const directives = (list) => list.map(directive => ` @${directive.name}${args(directive.arguments)}`).join('');
+  const selections = (selectionSet, indent) => (
+    `{\n${selectionSet.selections.map(selection => `${indent}  ${printSelection(selection, `${indent}  `)}`).join('\n')}\n${indent}}`
+  );
+  const printSelection = (node, indent) => {
+    if (node.kind === 'FragmentSpread') return `...${node.name}${directives(node.directives)}`;
+    if (node.kind === 'InlineFragment') return `...${node.typeCondition ? ` on ${node.typeCondition}` : ''}${directives(node.directives)} ${selections(node.selectionSet, indent)}`;
+    return `${node.alias ? `${node.alias}: ` : ''}${node.name}${args(node.arguments)}${directives(node.directives)}${node.selectionSet ? ` ${selections(node.selectionSet, indent)}` : ''}`;
+  };
+  return document.definitions.map(definition => {
+    if (definition.kind === 'FragmentDefinition') {
+      return `fragment ${definition.name} on ${definition.typeCondition}${directives(definition.directives)} ${selections(definition.selectionSet, '')}`;
+    }
+    const variables = definition.variableDefinitions.map(variable => (
+      `$${variable.name}: ${printGraphQLType(variable.type)}${variable.defaultValue ? ` = ${printGraphQLValue(variable.defaultValue)}` : ''}`
+    ));
+    return `${definition.operation}${definition.name ? ` ${definition.name}` : ''}${variables.length > 0 ? `(${variables.join(', ')})` : ''}${directives(definition.directives)} ${selections(definition.selectionSet, '')}`;
+  }).join('\n\n');
+}
 
-**Category:** ${result.category.toUpperCase()}  
-**Description:** ${result.description}  
-**Install:** \`npx shadcn@latest add http://ui.deso.com/r/${result.name}.json\`
+// Query cost model. A connection runs once per row of its parent and returns up to first/last rows each time;
+// without either, PostGraphile returns every matching row, which is scored as GRAPHQL_ASSUMED_PAGE_SIZE.
+const GRAPHQL_ASSUMED_PAGE_SIZE = 100;
+const GRAPHQL_SUGGESTED_PAGE_SIZE = 20;
+const GRAPHQL_DEEP_QUERY = 8;
+const GRAPHQL_COST_RATINGS = [[100, 'low'], [1000, 'moderate'], [10000, 'high'], [Infinity, 'very high']];
+
+// Estimate what one operation asks of the server: depth, the rows and requests each connection fans out to,
+// a cost score (requests plus rows) and findings about unbounded, offset-paged and nested connections
+function analyzeGraphQLCost(schema, document, operation, variables = null) {
+  const fragments = Object.fromEntries(document.definitions.filter(definition => definition.kind === 'FragmentDefinition').map(fragment => [fragment.name, fragment]));
+  const defaults = Object.fromEntries(operation.variableDefinitions.filter(definition => definition.defaultValue).map(definition => [definition.name, graphQLValueFromAST(definition.defaultValue)]));
+  const values = { ...defaults, ...(variables || {}) };
+  const connections = [];
+  let depth = 0;
+
+  // Names selected directly on a type, looking through fragments
+  const selectedNames = (selectionSet, seen = new Set()) => selectionSet.selections.flatMap(selection => {
+    if (selection.kind === 'Field') return [selection.name];
+    if (selection.kind === 'InlineFragment') return selectedNames(selection.selectionSet, seen);
+    if (seen.has(selection.name) || !fragments[selection.name]) return [];
+    return selectedNames(fragments[selection.name].selectionSet, new Set([...seen, selection.name]));
+  });
 
----
+  const walk = (typeName, selectionSet, parentRows, level, path, parent, seen) => {
+    for (const selection of selectionSet.selections) {
+      if (selection.kind !== 'Field') {
+        const fragment = selection.kind === 'FragmentSpread' ? fragments[selection.name] : selection;
+        if (!fragment || seen.has(selection.name)) continue;
+        walk(fragment.typeCondition || typeName, fragment.selectionSet, parentRows, level, path, parent, selection.kind === 'FragmentSpread' ? new Set([...seen, selection.name]) : seen);
+        continue;
+      }
+      // __typename and unknown fields (which validation reports) cost nothing
+      const field = schema.types[typeName]?.fields?.[selection.name];
+      if (!field) continue;
+      depth = Math.max(depth, level);
+      if (!selection.selectionSet) continue;
+
+      const fieldPath = [...path, selection.alias || selection.name];
+      const returned = namedGraphQLType(field.type);
+      if (!graphQLConnectionNode(schema, returned)) {
+        // Object fields and the nodes/edges lists of a connection are joins on rows already counted
+        walk(returned, selection.selectionSet, parentRows, level + 1, fieldPath, parent, seen);
+        continue;
+      }
 
-`;
+      const pageArgument = selection.arguments.find(arg => arg.name === 'first') || selection.arguments.find(arg => arg.name === 'last');
+      const page = pageArgument ? graphQLValueFromAST(pageArgument.value, values) : null;
+      const names = new Set(selectedNames(selection.selectionSet));
+      const selectsRows = names.has('nodes') || names.has('edges');
+      const connection = {
+        field: selection,
+        path: fieldPath.join('.'),
+        parent,
+        args: field.args,
+        page: typeof page === 'number' ? page : null,
+        pageVariable: pageArgument?.value.kind === 'Variable' && typeof page !== 'number' ? pageArgument.value.name : null,
+        runs: parentRows,
+        rows: selectsRows ? parentRows * (typeof page === 'number' ? page : GRAPHQL_ASSUMED_PAGE_SIZE) : 0,
+        selectsRows,
+        counts: names.has('totalCount'),
+        paged: names.has('pageInfo'),
+        offset: selection.arguments.some(arg => arg.name === 'offset')
+      };
+      connections.push(connection);
+      walk(returned, selection.selectionSet, Math.max(connection.rows, 1), level + 1, fieldPath, connection, seen);
+    }
+  };
+  walk(schema.queryType, operation.selectionSet, 1, 1, [], null, new Set());
+
+  const findings = [];
+  for (const connection of connections) {
+    const { field, path, parent, page, runs } = connection;
+    const perParent = runs > 1 ? ` for each of up to ${runs.toLocaleString('en-US')} \`${parent.path}\` rows` : '';
+    if (connection.pageVariable) {
+      findings.push({ level: 'info', loc: field.loc, message: `\`${path}\` takes its page size from \`$${connection.pageVariable}\`, which has no value here. Scored as ${GRAPHQL_ASSUMED_PAGE_SIZE} rows; pass \`variables\` for an exact estimate.` });
+    } else if (connection.selectsRows && page === null) {
+      findings.push({ level: 'warning', loc: field.loc, message: `\`${path}\` has no \`first\` or \`last\`, so the server returns every matching row${perParent}. Scored as ${GRAPHQL_ASSUMED_PAGE_SIZE} rows per request.` });
+    } else if (page > GRAPHQL_ASSUMED_PAGE_SIZE) {
+      findings.push({ level: 'warning', loc: field.loc, message: `\`${path}\` asks for ${page.toLocaleString('en-US')} rows per request. Keep pages at ${GRAPHQL_ASSUMED_PAGE_SIZE} or fewer and follow \`pageInfo.endCursor\`.` });
+    }
+    if (connection.offset) {
+      findings.push({ level: 'info', loc: field.loc, message: `\`${path}\` pages with \`offset\`, which still reads every skipped row. Page with \`after: <pageInfo.endCursor>\` instead.` });
+    }
+    if (parent && runs > 1 && connection.selectsRows) {
+      findings.push({ level: 'warning', loc: field.loc, message: `\`${path}\` runs once${perParent} (up to ${connection.rows.toLocaleString('en-US')} rows in all). If only the number is shown, select \`totalCount\` alone; otherwise load it for one item at a time.` });
+    } else if (parent && runs > 1 && connection.counts) {
+      findings.push({ level: 'info', loc: field.loc, message: `\`totalCount\` on \`${path}\` runs a count${perParent}.` });
+    }
+    if (!parent && connection.selectsRows && page !== null && !connection.paged) {
+      findings.push({ level: 'info', loc: field.loc, message: `\`${path}\` returns one page. Select \`pageInfo { hasNextPage endCursor }\` to fetch the next one with \`after\`.` });
+    }
   }
-
-  if (results.length > 10) {
-    response += `*Showing top 10 of ${results.length} results*`;
+  if (depth > GRAPHQL_DEEP_QUERY) {
+    findings.push({ level: 'warning', loc: operation.loc, message: `The query nests ${depth} levels deep. Each level of relations is another join; split rarely used branches into their own query.` });
   }
 
-  return { content: [{ type: "text", text: response }] };
+  const requests = connections.reduce((total, connection) => total + connection.runs, 0);
+  const rows = connections.reduce((total, connection) => total + connection.rows, 0);
+  const score = requests + rows;
+  return {
+    operation,
+    depth,
+    connectionDepth: connections.reduce((deepest, connection) => {
+      let nesting = 1;
+      for (let parent = connection.parent; parent; parent = parent.parent) nesting++;
+      return Math.max(deepest, nesting);
+    }, 0),
+    connections,
+    requests,
+    rows,
+    score,
+    rating: GRAPHQL_COST_RATINGS.find(([limit]) => score <= limit)[1],
+    findings
+  };
 }
 
-// Comprehensive DeSo GraphQL Helper based on schema analysis
-async function desoGraphQLHelper(args) {
-  const { action, queryType, username, publicKey, question, customQuery } = args;
-  
-  switch (action) {
-    case "query":
-      return buildGraphQLQuery(queryType, username, publicKey, question);
-    case "schema":
-      return exploreGraphQLSchema(queryType);
-    case "examples":
-      return getGraphQLExamples(queryType);
-    case "build":
-      return buildQueryFromQuestion(question, username, publicKey);
-    case "explain":
-      return explainGraphQLQuery(customQuery);
-    default:
-      return { content: [{ type: "text", text: `Unknown GraphQL action: ${action}. Available: query, schema, examples, build, explain` }] };
-  }
-}
+// Rewrite an analyzed operation: bound every connection, page top-level connections with cursors and, with
+// countsOnly, reduce nested connections that fan out to just their totalCount. Returns a document with the
+// rewritten operation and the fragments it uses.
+function rewriteGraphQLForCost(document, analysis, { countsOnly = false } = {}) {
+  // One structuredClone keeps the analyzed field nodes pointing into the copied document
+  const { document: copy, operation, fields } = structuredClone({ document, operation: analysis.operation, fields: analysis.connections.map(connection => connection.field) });
+  const leaf = (name) => ({ kind: 'Field', alias: null, name, arguments: [], directives: [], selectionSet: null });
+  const setArgument = (field, name, value) => {
+    field.arguments = [...field.arguments.filter(arg => arg.name !== name), { name, value }];
+  };
 
-function buildGraphQLQuery(queryType, username, publicKey, question) {
-  const queries = {
-    user: {
-      title: "Get User Information",
-      description: "Fetch user profile data including username, description, follower counts, and coin price",
-      query: `query GetUser($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      id
-      publicKey
-      username
-      description
-      profilePic
-      creatorBasisPoints
-      coinPriceDesoNanos
-      desoLockedNanos
-      ccCoinsInCirculationNanos
-      followers {
-        totalCount
+  analysis.connections.forEach((connection, index) => {
+    const field = fields[index];
+    if (countsOnly && connection.parent && connection.runs > 1 && connection.selectsRows) {
+      field.arguments = field.arguments.filter(arg => !['first', 'last', 'offset', 'before', 'after', 'orderBy'].includes(arg.name));
+      field.selectionSet = { selections: [leaf('totalCount')] };
+      return;
+    }
+    if (connection.selectsRows && !connection.pageVariable && (connection.page === null || connection.page > GRAPHQL_ASSUMED_PAGE_SIZE)) {
+      const size = connection.page === null ? GRAPHQL_SUGGESTED_PAGE_SIZE : GRAPHQL_ASSUMED_PAGE_SIZE;
+      if (!field.arguments.some(arg => arg.name === 'last')) setArgument(field, 'first', { kind: 'Int', value: String(size) });
+      else setArgument(field, 'last', { kind: 'Int', value: String(size) });
+    }
+    if (!connection.parent && connection.selectsRows && connection.args.after) {
+      // Top-level lists page from pageInfo cursors rather than by offset: forward with first, backward with last
+      const backward = field.arguments.some(arg => arg.name === 'last');
+      const cursor = backward ? 'before' : 'after';
+      field.arguments = field.arguments.filter(arg => arg.name !== 'offset');
+      if (!field.arguments.some(arg => arg.name === cursor)) {
+        const name = operation.variableDefinitions.some(definition => definition.name === cursor) ? `${cursor}${index + 1}` : cursor;
+        operation.variableDefinitions.push({ name, type: connection.args[cursor].type, defaultValue: null, directives: [] });
+        setArgument(field, cursor, { kind: 'Variable', name });
       }
-      following {
-        totalCount
+      if (!connection.paged) {
+        const pageInfo = backward ? [leaf('hasPreviousPage'), leaf('startCursor')] : [leaf('hasNextPage'), leaf('endCursor')];
+        field.selectionSet.selections.push({ ...leaf('pageInfo'), selectionSet: { selections: pageInfo } });
       }
-      posts {
-        totalCount
+    }
+  });
+
+  // Keep the fragments the operation still reaches and the variables it still uses
+  const fragments = Object.fromEntries(copy.definitions.filter(definition => definition.kind === 'FragmentDefinition').map(fragment => [fragment.name, fragment]));
+  const usedVariables = new Set();
+  const usedFragments = new Set();
+  const collect = (node) => {
+    if (Array.isArray(node)) node.forEach(collect);
+    else if (node && typeof node === 'object') {
+      if (node.kind === 'Variable') usedVariables.add(node.name);
+      if (node.kind === 'FragmentSpread' && fragments[node.name] && !usedFragments.has(node.name)) {
+        usedFragments.add(node.name);
+        collect(fragments[node.name]);
       }
+      Object.values(node).forEach(collect);
     }
-  }
-}`,
-      variables: username ? `{ "username": "${username}" }` : `{ "username": "YOUR_USERNAME_HERE" }`,
-      example: username ? `// Example: Get user info for ${username}` : "// Example: Get user info for a specific username"
-    },
-    
-    followers: {
-      title: "Get User Followers",
-      description: "Fetch all followers of a specific user with their profile information",
-      query: `query GetFollowers($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      followers(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
-        totalCount
-        nodes {
-          follower {
-            username
-            publicKey
-            description
-            profilePic
-          }
-        }
+  };
+  collect([operation.directives, operation.selectionSet]);
+  operation.variableDefinitions = operation.variableDefinitions.filter(definition => usedVariables.has(definition.name));
+  return { definitions: [operation, ...Object.values(fragments).filter(fragment => usedFragments.has(fragment.name))] };
+}
+
+// TypeScript for each scalar as it arrives in JSON. PostGraphile sends 64-bit integers, arbitrary-precision
+// numbers, cursors and dates as strings so no precision is lost.
+const GRAPHQL_TYPESCRIPT_SCALARS = {
+  ID: ['string'],
+  String: ['string'],
+  Boolean: ['boolean'],
+  Int: ['number'],
+  Float: ['number'],
+  BigInt: ['string', 'Signed 64-bit integer sent as a string; use BigInt(value) for arithmetic'],
+  BigFloat: ['string', 'Arbitrary-precision decimal sent as a string'],
+  Cursor: ['string', 'Opaque pagination cursor from pageInfo or edges'],
+  Datetime: ['string', 'ISO 8601 timestamp, e.g. "2024-01-01T00:00:00+00:00"'],
+  Date: ['string', 'ISO 8601 date, e.g. "2024-01-01"'],
+  JSON: ['JsonValue', 'Any JSON value']
+};
+
+const GRAPHQL_OPERATION_SUFFIXES = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+
+// TypeScript result and variables types for every operation in a validated document. Selections become
+// object types (aliases as keys, nullable fields as `| null`, @include/@skip fields optional), enums become
+// string unions, and each connection in a result gets a named type for one of its rows.
+function generateGraphQLTypeScript(schema, document) {
+  const fragments = Object.fromEntries(document.definitions.filter(definition => definition.kind === 'FragmentDefinition').map(fragment => [fragment.name, fragment]));
+  const enums = new Set();
+  const inputs = [];
+  const pascal = (text) => text.replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (_, __, char) => char.toUpperCase());
+  const isConditional = (node) => node.directives.some(directive => directive.name === 'include' || directive.name === 'skip');
+
+  const namedType = (name) => {
+    const type = schema.types[name];
+    if (type.kind === 'SCALAR') return `Scalars['${name}']`;
+    if (type.kind === 'ENUM') enums.add(name);
+    if (type.kind === 'INPUT_OBJECT' && !inputs.includes(name)) inputs.push(name);
+    return name;
+  };
+  const inputType = (type) => {
+    if (type.kind === 'NonNullType') return inputType(type.type).replace(/ \| null$/, '');
+    if (type.kind === 'ListType') return `Array<${inputType(type.type)}> | null`;
+    return `${namedType(type.name)} | null`;
+  };
+  // Nullable or defaulted inputs can be left out
+  const inputMember = (name, type, defaultValue) => `${name}${type.kind === 'NonNullType' && !defaultValue ? '' : '?'}: ${inputType(type)};`;
+
+  // The fields a selection set picks on a concrete type, grouped by response key, with fragments merged in
+  const collect = (typeName, selectionSet, fields = new Map(), conditional = false, seen = new Set()) => {
+    for (const selection of selectionSet.selections) {
+      const optional = conditional || isConditional(selection);
+      if (selection.kind === 'Field') {
+        const key = selection.alias || selection.name;
+        const entry = fields.get(key) || { name: selection.name, nodes: [], optional: true };
+        entry.nodes.push(selection);
+        entry.optional = entry.optional && optional;
+        fields.set(key, entry);
+        continue;
       }
+      const fragment = selection.kind === 'FragmentSpread' ? fragments[selection.name] : selection;
+      if (!fragment || seen.has(selection.name) || !graphQLTypeApplies(schema, typeName, fragment.typeCondition)) continue;
+      collect(typeName, fragment.selectionSet, fields, optional, selection.kind === 'FragmentSpread' ? new Set([...seen, selection.name]) : seen);
     }
-  }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get followers for ${username}` : "// Example: Get followers for a specific user"
-    },
-    
-    following: {
-      title: "Get Users Following",
-      description: "Fetch all users that a specific user is following",
-      query: `query GetFollowing($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      following(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
-        totalCount
-        nodes {
-          followee {
-            username
-            publicKey
-            description
-            profilePic
-          }
-        }
+    return fields;
+  };
+
+  // Type conditions used anywhere in a selection set, to split an interface or union into its members
+  const typeConditions = (selectionSet, seen = new Set()) => selectionSet.selections.flatMap(selection => {
+    if (selection.kind === 'Field') return [];
+    const fragment = selection.kind === 'FragmentSpread' ? fragments[selection.name] : selection;
+    if (!fragment || seen.has(selection.name)) return [];
+    return [fragment.typeCondition, ...typeConditions(fragment.selectionSet, selection.kind === 'FragmentSpread' ? new Set([...seen, selection.name]) : seen)].filter(Boolean);
+  });
+
+  // Connections and their edges wrap rows; their nodes, edges and node fields are left out of row names
+  const isWrapper = (typeName) => Boolean(graphQLConnectionNode(schema, typeName) || (schema.types[typeName].fields?.cursor && schema.types[typeName].fields.node));
+
+  const objectType = (typeName, selectionSet, indent, access, path, rows, typename = `'${typeName}'`) => {
+    const members = [];
+    const wrapper = isWrapper(typeName);
+    for (const [key, { name, nodes, optional }] of collect(typeName, selectionSet)) {
+      const property = `${indent}  ${key}${optional ? '?' : ''}: `;
+      if (name === '__typename') {
+        members.push(`${property}${typename};`);
+        continue;
       }
+      const field = schema.types[typeName].fields[name];
+      const merged = nodes.some(node => node.selectionSet) ? { selections: nodes.flatMap(node => node.selectionSet?.selections || []) } : null;
+      const through = wrapper && ['nodes', 'edges', 'node'].includes(name);
+      const isRow = wrapper && (name === 'nodes' || name === 'node');
+      members.push(`${property}${outputType(field.type, merged, `${indent}  `, `${access}['${key}']`, through ? path : [...path, key], isRow ? rows : null)};`);
     }
-  }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get users ${username} is following` : "// Example: Get users a specific user is following"
-    },
-    
-    posts: {
-      title: "Get User Posts",
-      description: "Fetch recent posts by a specific user with engagement metrics",
-      query: `query GetUserPosts($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      posts(first: $first, orderBy: [TIMESTAMP_DESC]) {
-        totalCount
-        nodes {
-          postHash
-          body
-          imageUrls
-          videoUrls
-          timestamp
-          isQuotedRepost
-          isPinned
-          likes {
-            totalCount
-          }
-          diamonds {
-            totalCount
-          }
-          parentPost {
-            postHash
-            body
-            poster {
-              username
-            }
-          }
-          repostedPost {
-            postHash
-            body
-            poster {
-              username
-            }
-          }
-        }
+    return `{\n${members.join('\n')}\n${indent}}`;
+  };
+
+  const outputType = (type, selectionSet, indent, access, path, rows) => {
+    const nonNull = type.kind === 'NonNullType';
+    const inner = nonNull ? type.type : type;
+    const element = nonNull ? access : `NonNullable<${access}>`;
+    let text;
+    if (inner.kind === 'ListType') {
+      text = `Array<${outputType(inner.type, selectionSet, indent, `${element}[number]`, path, rows)}>`;
+    } else {
+      const named = schema.types[inner.name];
+      if (rows && !rows.seen.has(path.join('.'))) {
+        rows.seen.add(path.join('.'));
+        rows.list.push({ path, access: element });
       }
+      if (!selectionSet) {
+        text = namedType(inner.name);
+      } else if (named.kind === 'OBJECT') {
+        text = objectType(named.name, selectionSet, indent, element, path, rowsFor(named.name));
+      } else {
+        // Interfaces and unions: one member per type condition, plus the shared fields for the other types.
+        // Naming those other types keeps __typename a discriminant that narrows to a variant.
+        const members = [...new Set([...new Set(typeConditions(selectionSet))]
+          .flatMap(condition => (schema.types[condition]?.possibleTypes?.length ? schema.types[condition].possibleTypes : [condition]))
+          .filter(member => named.possibleTypes.includes(member)))];
+        const variants = members.map(member => objectType(member, selectionSet, indent, element, path, null));
+        const others = named.possibleTypes.filter(member => !members.includes(member));
+        const shared = objectType(named.name, { selections: selectionSet.selections.filter(selection => selection.kind === 'Field') }, indent, element, path, null, others.map(member => `'${member}'`).join(' | '));
+        const unique = [...new Set([...variants, ...(others.length > 0 ? [shared] : [])])];
+        text = unique.length > 1 ? `(${unique.join(' | ')})` : unique[0];
+      }
+    }
+    return nonNull ? text : `${text} | null`;
+  };
+
+  // Connections record their row types while the result type is built
+  let rowTypes;
+  const rowsFor = (typeName) => (isWrapper(typeName) ? rowTypes : null);
+
+  const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition').map((operation, index) => {
+    const suffix = GRAPHQL_OPERATION_SUFFIXES[operation.operation];
+    const base = pascal(operation.name || `Anonymous${index + 1}`).replace(new RegExp(`${suffix}$`), '');
+    const name = `${base}${suffix}`;
+    rowTypes = { list: [], seen: new Set() };
+    const variables = operation.variableDefinitions.map(definition => `  ${inputMember(definition.name, definition.type, definition.defaultValue)}`);
+    const result = objectType(schema[`${operation.operation}Type`], operation.selectionSet, '', name, [], null);
+    let text = `export type ${name}Variables = ${variables.length > 0 ? `{\n${variables.join('\n')}\n}` : 'Record<string, never>'};\n\n`;
+    text += `export type ${name} = ${result};\n`;
+    for (const row of rowTypes.list) {
+      text += `\n/** One row of \`${row.path.join('.')}\` */\nexport type ${base}${pascal(row.path.join(' '))}Node = ${row.access};\n`;
+    }
+    return { name, text };
+  });
+
+  // Input objects pull in further input objects and enums as they are printed. A filter variable reaches
+  // every related filter, so these stay one member per line without the schema's docstrings.
+  const inputTexts = [];
+  for (let i = 0; i < inputs.length; i++) {
+    const input = schema.types[inputs[i]];
+    const members = Object.values(input.fields).map(field => `  ${inputMember(field.name, field.type, field.defaultValue)}`);
+    inputTexts.push(`export type ${input.name} = {\n${members.join('\n')}\n};\n`);
+  }
+
+  const scalarNames = Object.values(schema.types).filter(type => type.kind === 'SCALAR').map(type => type.name);
+  let text = `/** Any value the JSON scalar can hold */\nexport type JsonValue = string | number | boolean | null | JsonValue[] | { [key: string]: JsonValue };\n\n`;
+  text += `/** Scalars as the DeSo GraphQL API sends them in JSON */\nexport type Scalars = {\n`;
+  for (const scalar of scalarNames) {
+    const [tsType, note] = GRAPHQL_TYPESCRIPT_SCALARS[scalar] || ['unknown', 'Scalar with no known JSON mapping'];
+    text += `${note ? `  /** ${note} */\n` : ''}  ${scalar}: ${tsType};\n`;
+  }
+  text += `};\n\n`;
+  for (const name of [...enums].sort()) {
+    const values = Object.keys(schema.types[name].values).map(value => `'${value}'`);
+    text += `export type ${name} =${values.length > 4 ? `\n  | ${values.join('\n  | ')}` : ` ${values.join(' | ')}`};\n\n`;
+  }
+  text += inputTexts.map(input => `${input}\n`).join('');
+  text += operations.map(operation => operation.text).join('\n');
+  return { text: text.trimEnd(), operations: operations.map(operation => operation.name) };
+}
+
+// Plain JavaScript value of a GraphQL literal, with variables substituted
+function graphQLValueFromAST(node, variables = {}) {
+  switch (node.kind) {
+    case 'Variable': return variables[node.name] ?? null;
+    case 'Int': return parseInt(node.value, 10);
+    case 'Float': return parseFloat(node.value);
+    case 'Null': return null;
+    case 'List': return node.values.map(value => graphQLValueFromAST(value, variables));
+    case 'Object': return Object.fromEntries(node.fields.map(field => [field.name, graphQLValueFromAST(field.value, variables)]));
+    default: return node.value;
+  }
+}
+
+// Whether an object type matches a fragment's type condition (itself, an interface it implements or a union it is in)
+function graphQLTypeApplies(schema, typeName, condition) {
+  if (!condition || condition === typeName) return true;
+  const conditionType = schema.types[condition];
+  return Boolean(conditionType?.possibleTypes?.includes(typeName));
+}
+
+// Offline stand-in for a DeSo node (--mock-node): every GET/POST endpoint in the catalog, with requests
+// checked against the catalog parameters and responses built from the catalog response shapes. Values
+// are derived from the endpoint, the field path and the request, so the same call always gets the same answer.
+const MOCK_NODE_DEFAULT_PORT = 17001;  // the port a real node serves its API on
+const MOCK_BLOCK_HEIGHT = 400000;
+const MOCK_TIMESTAMP_NANOS = 1700000000000000000;
+
+function encodeUvarint(value) {
+  let remaining = BigInt(value);
+  const bytes = [];
+  while (remaining >= 0x80n) {
+    bytes.push(Number(remaining & 0x7fn) | 0x80);
+    remaining >>= 7n;
+  }
+  bytes.push(Number(remaining));
+  return Buffer.from(bytes);
+}
+
+function encodeVarBytes(bytes) {
+  return Buffer.concat([encodeUvarint(bytes.length), bytes]);
+}
+
+// A valid compressed secp256k1 key derived from the seed: hash until the x coordinate lands on the curve
+function mockPublicKey(seed) {
+  for (let attempt = 0; ; attempt++) {
+    const key = Buffer.concat([Buffer.from([0x02]), sha256(`${seed}:${attempt}`)]);
+    try {
+      decompressSecp256k1Key(key);
+      return key;
+    } catch {
+      // not on the curve, try the next hash
     }
   }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get recent posts by ${username}` : "// Example: Get recent posts by a specific user"
-    },
-    
-    likes: {
-      title: "Get User Likes",
-      description: "Fetch posts that a user has liked",
-      query: `query GetUserLikes($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      likes(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
-        totalCount
-        nodes {
-          post {
-            postHash
-            body
-            timestamp
-            poster {
-              username
-              profilePic
-            }
-            likes {
-              totalCount
-            }
-          }
-        }
-      }
+}
+
+// The key a transaction endpoint builds for: the first public key parameter that decodes, as a real node would use
+function mockTransactorKey(endpoint, details, request) {
+  for (const param of [...details.params.required, ...details.params.optional]) {
+    if (!/PublicKeyBase58Check$/.test(param.name) || typeof request[param.name] !== 'string') continue;
+    try {
+      return Buffer.from(decodeDeSoPublicKey(request[param.name]).publicKeyHex, 'hex');
+    } catch {
+      // validation only checks the pattern; fall back to a mock key
     }
   }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get posts liked by ${username}` : "// Example: Get posts liked by a specific user"
-    },
-    
-    diamonds: {
-      title: "Get User Diamonds",
-      description: "Fetch diamonds sent and received by a user",
-      query: `query GetUserDiamonds($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      diamondsSent(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
-        totalCount
-        nodes {
-          diamondLevel
-          post {
-            postHash
-            body
-            poster {
-              username
-            }
-          }
-          receiver {
-            username
-          }
+  return mockPublicKey(`${endpoint}:transactor`);
+}
+
+// Unsigned version 1 BASIC_TRANSFER with no inputs or outputs, tagged with the endpoint in ExtraData so
+// decode_deso_transaction shows where it came from. It signs and submits like a real one.
+function buildMockTransaction(endpoint, details, request, feeNanos) {
+  const transactor = mockTransactorKey(endpoint, details, request);
+  const partialId = sha256(JSON.stringify(request)).readUInt32BE(0);
+  return Buffer.concat([
+    encodeUvarint(0),  // inputs
+    encodeUvarint(0),  // outputs
+    encodeUvarint(2),  // BASIC_TRANSFER
+    encodeVarBytes(Buffer.alloc(0)),
+    encodeVarBytes(transactor),
+    encodeUvarint(1),
+    encodeVarBytes(Buffer.from('MockEndpoint')),
+    encodeVarBytes(Buffer.from(endpoint)),
+    encodeUvarint(0),  // empty signature
+    encodeUvarint(1),  // TxnVersion
+    encodeUvarint(feeNanos),
+    encodeUvarint(MOCK_BLOCK_HEIGHT + 288),
+    encodeUvarint(partialId)
+  ]);
+}
+
+const MOCK_INTEGERS_BY_UNITS = {
+  'nanos per KB': 1000,
+  'basis points': 1000,
+  nanoseconds: MOCK_TIMESTAMP_NANOS,
+  seconds: MOCK_TIMESTAMP_NANOS / 1e9,
+  blocks: MOCK_BLOCK_HEIGHT,
+  cents: 2000,
+  satoshis: 10000
+};
+
+function mockScalarValue(name, field, seed, request) {
+  const echoed = request[name];
+  if (echoed !== undefined && echoed !== null && (field.type === 'integer' ? Number.isInteger(echoed) : typeof echoed === field.type)) {
+    return echoed;
+  }
+  if (field.enum) return field.enum[0];
+  const hash = sha256(seed);
+
+  if (field.type === 'boolean') return false;
+  if (field.type === 'number') return 1;
+  if (field.type === 'integer') {
+    if (field.units === 'nanos') return /Fee/.test(name) ? 1000 : 1000000000;
+    return MOCK_INTEGERS_BY_UNITS[field.units] ?? hash.readUInt8(0) % 100;
+  }
+
+  if (/PublicKey(Base58Check)?$|^publicKeyAdded$/i.test(name)) return encodeDeSoPublicKey(mockPublicKey(seed), 'mainnet');
+  if (/Hex$/i.test(name)) return hash.toString('hex');
+  if (/Base58Check$/.test(name)) return encodeBase58(hash);
+  if (field.units === 'base units') return '0xde0b6b3a7640000';
+  if (field.units === 'nanoseconds') return String(MOCK_TIMESTAMP_NANOS);
+  if (/URL$/i.test(name)) return `https://images.deso.org/${hash.toString('hex').slice(0, 16)}.webp`;
+  if (/Username/.test(name)) return `mock_${hash.toString('hex').slice(0, 8)}`;
+  if (/^error$/i.test(name)) return '';
+  return `Mock ${name}`;
+}
+
+// Fill catalog response fields. Request values with the same name are echoed back, except inside arrays and
+// maps, which list other users and posts. Arrays get two items and maps one entry; a shape already being
+// filled higher up (PostEntryResponse.RepostedPostEntryResponse) ends the recursion with null or an empty value.
+function mockResponseFields(fields, seed, request, shapeStack = []) {
+  const element = (el, elementSeed, elementRequest) => {
+    if (!el.shape) {
+      if (el.type === 'object') return {};
+      return el.type === 'array' ? [] : mockScalarValue('', { type: el.type }, elementSeed, {});
+    }
+    return mockResponseFields(API_RESPONSE_SHAPES[el.shape].fields, elementSeed, elementRequest, [...shapeStack, el.shape]);
+  };
+
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => {
+    const fieldSeed = `${seed}.${name}`;
+    if (field.type === 'array') {
+      if (field.items.shape && shapeStack.includes(field.items.shape)) return [name, []];
+      return [name, [0, 1].map(i => element(field.items, `${fieldSeed}[${i}]`, {}))];
+    }
+    if (field.type === 'map') {
+      if (field.values.shape && shapeStack.includes(field.values.shape)) return [name, {}];
+      const key = encodeDeSoPublicKey(mockPublicKey(`${fieldSeed}[key]`), 'mainnet');
+      return [name, { [key]: element(field.values, `${fieldSeed}[value]`, {}) }];
+    }
+    if (field.shape) {
+      if (shapeStack.includes(field.shape)) return [name, field.nullable ? null : {}];
+      return [name, element(field, fieldSeed, request)];
+    }
+    if (field.type === 'object') {
+      return [name, field.fields ? mockResponseFields(field.fields, fieldSeed, request, shapeStack) : {}];
+    }
+    return [name, mockScalarValue(name, field, fieldSeed, request)];
+  }));
+}
+
+function buildMockResponse(endpoint, details, request) {
+  const response = mockResponseFields(details.response.fields, endpoint, request);
+  if ('TransactionHex' in details.response.fields) {
+    const transaction = buildMockTransaction(endpoint, details, request, response.FeeNanos ?? 1000);
+    response.TransactionHex = transaction.toString('hex');
+    if ('TxnHashHex' in response) response.TxnHashHex = sha256(sha256(transaction)).toString('hex');
+  }
+  return response;
+}
+
+// Check a signed transaction the way submit-transaction would before broadcasting it: it must parse, carry a
+// signature, and that signature must verify against the signing key when the transaction names it
+function checkMockSubmission(transactionHex) {
+  const buffer = Buffer.from(transactionHex, 'hex');
+  let txn;
+  try {
+    txn = parseDeSoTransaction(buffer, 'mainnet');
+  } catch (error) {
+    throw new Error(`Problem deserializing transaction: ${error.message}`);
+  }
+  if (txn.trailingBytes > 0) throw new Error(`Problem deserializing transaction: ${txn.trailingBytes} unexpected bytes after the transaction`);
+  if (txn.signature.length === 0) throw new Error('Transaction is not signed; sign the TransactionHex before submitting it');
+
+  const signature = Buffer.from(txn.signature);
+  try {
+    parseDeSoSignature(signature);
+  } catch (error) {
+    throw new Error(`Problem parsing signature: ${error.message}`);
+  }
+  // Derived keys name themselves in ExtraData. A DeSo-DER signature (recovery id in the first byte) without
+  // that entry comes from a derived key the node recovers and looks up; the mock node keeps no derived key
+  // records, so it checks those against the transactor key like a plain DER signature.
+  const derivedKey = txn.extraData.find(entry => entry.key === 'DerivedPublicKey');
+  const desoDer = signature[0] !== 0x30;
+
+  let signer;
+  try {
+    signer = decompressSecp256k1Key(Buffer.from(decodeDeSoPublicKey(derivedKey ? derivedKey.value : txn.publicKey).publicKeyHex, 'hex'));
+  } catch (error) {
+    throw new Error(`Invalid ${derivedKey ? 'DerivedPublicKey in ExtraData' : 'transactor public key'}: ${error.message}`);
+  }
+  const key = createPublicKey({
+    key: { kty: 'EC', crv: 'secp256k1', x: signer.subarray(1, 33).toString('base64url'), y: signer.subarray(33).toString('base64url') },
+    format: 'jwk'
+  });
+  const unsigned = Buffer.concat([buffer.subarray(0, txn.signatureOffset), encodeUvarint(0), buffer.subarray(txn.signatureEnd)]);
+  signature[0] = 0x30;
+  // verify() hashes once more, so this checks the signature over the double SHA-256 digest
+  if (!verify('sha256', sha256(unsigned), key, signature)) {
+    if (desoDer && !derivedKey) {
+      throw new Error('DeSo-DER signature does not match the transactor public key; to sign with a derived key, name it in the DerivedPublicKey ExtraData entry');
+    }
+    throw new Error(`Signature does not match ${derivedKey ? 'the DerivedPublicKey in ExtraData' : 'the transactor public key'}`);
+  }
+  return buffer;
+}
+
+// Request schema for one endpoint: body fields for POST, path and query parameters for GET. Format
+// patterns are dropped because the catalog examples that generated code sends are abbreviated ("04a1b2c3...").
+function buildMockRequestSchema(details) {
+  const params = [...details.params.required, ...details.params.optional];
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(params.map(p => [p.name, parameterToJsonSchema(p)])),
+    required: details.params.required.map(p => p.name)
+  };
+  return JSON.parse(JSON.stringify(schema, (key, value) => (key === 'pattern' ? undefined : value)));
+}
+
+function createMockNodeApp(apiDetails = API_DETAILS) {
+  const app = express();
+  app.use(express.json({ limit: '4mb' }));
+
+  // Generated browser apps call the node from another origin
+  app.use((req, res, next) => {
+    res.set({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type, Authorization' });
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(204);
+      return;
+    }
+    next();
+  });
+
+  app.get('/api/v0/health-check', (req, res) => {
+    res.json(MOCK_BLOCK_HEIGHT);
+  });
+
+  // Catalog parameters carry examples and x-* annotations that are not validation keywords. Query string
+  // and path values are always text, so GET requests convert them to the schema's types first.
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const queryAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+  addFormats(ajv);
+  addFormats(queryAjv);
+  let endpointCount = 0;
+
+  for (const info of Object.values(apiDetails)) {
+    for (const [endpoint, details] of Object.entries(info.endpoints)) {
+      if (details.method !== 'GET' && details.method !== 'POST') continue;
+      const validator = details.method === 'GET' ? queryAjv : ajv;
+      const validate = validator.compile(buildMockRequestSchema(details));
+      const route = details.url.replace(/\{(\w+)\}/g, ':$1');
+
+      app[details.method.toLowerCase()](route, (req, res) => {
+        // Multipart uploads are not parsed; only their response is mocked
+        const isUpload = req.is('multipart/form-data');
+        const request = isUpload ? {} : details.method === 'GET' ? { ...req.query, ...req.params } : req.body ?? {};
+        if (!isUpload && !validate(request)) {
+          res.status(400).json({ error: `${details.handler}: Problem parsing request: ${validator.errorsText(validate.errors, { dataVar: 'request' })}` });
+          return;
         }
-      }
-      diamondsReceived(first: $first, orderBy: [PRIMARY_KEY_DESC]) {
-        totalCount
-        nodes {
-          diamondLevel
-          post {
-            postHash
-            body
-          }
-          sender {
-            username
+
+        try {
+          if (endpoint === 'submit-transaction') {
+            const transaction = checkMockSubmission(request.TransactionHex);
+            console.error(`🧪 ${details.method} ${req.path}: accepted signed transaction`);
+            res.json({ ...buildMockResponse(endpoint, details, request), TxnHashHex: sha256(sha256(transaction)).toString('hex'), PostEntryResponse: null });
+            return;
           }
+          console.error(`🧪 ${details.method} ${req.path}`);
+          res.json(buildMockResponse(endpoint, details, request));
+        } catch (error) {
+          res.status(400).json({ error: `${details.handler}: ${error.message}` });
         }
-      }
+      });
+      endpointCount++;
     }
   }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get diamonds for ${username}` : "// Example: Get diamonds for a specific user"
-    },
-    
-    nfts: {
-      title: "Get User NFTs",
-      description: "Fetch NFTs created or owned by a user",
-      query: `query GetUserNFTs($username: String!, $first: Int = 10) {
-  accounts(filter: { username: { equalToInsensitive: $username } }, first: 1) {
-    nodes {
-      username
-      posts(filter: { isNft: { equalTo: true } }, first: $first, orderBy: [TIMESTAMP_DESC]) {
-        totalCount
-        nodes {
-          postHash
-          body
-          imageUrls
-          isNft
-          numNftCopies
-          numNftCopiesForSale
-          numNftCopiesBurned
-          nftRoyaltyToCreatorBasisPoints
-          nfts(first: 5) {
-            nodes {
-              serialNumber
-              isForSale
-              minBidAmountNanos
-              owner {
-                username
-              }
-            }
-          }
-          nftBids(first: 5, orderBy: [BID_AMOUNT_NANOS_DESC]) {
-            nodes {
-              bidAmountNanos
-              bidder {
-                username
-              }
-            }
-          }
-        }
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `${req.method} ${req.path} is not in the DeSo API catalog` });
+  });
+
+  return { app, endpointCount };
+}
+
+async function startMockNode(port) {
+  const { app, endpointCount } = createMockNodeApp();
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, (error) => {
+      if (error) {
+        reject(error);
+        return;
       }
+      console.error(`🧪 Mock DeSo node listening on http://localhost:${port} (${endpointCount} catalog endpoints, fake data, nothing is broadcast)`);
+      resolve(httpServer);
+    });
+  });
+}
+
+// Mock DeSo GraphQL API (--mock-graphql): the bundled schema served over HTTP with seeded, deterministic
+// accounts, posts, follows, likes, diamonds and messages. Connections support the PostGraphile arguments the
+// helper's queries use (filter, condition, orderBy, first/last/offset, before/after); tables that are not
+// seeded return empty connections and null lookups.
+const MOCK_GRAPHQL_DEFAULT_PORT = 4000;
+const MOCK_GRAPHQL_USERNAMES = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace', 'heidi'];
+const MOCK_GRAPHQL_EPOCH = Date.UTC(2024, 0, 1);
+
+// How the seeded tables relate. `one` maps a field to [column, target type, target column];
+// `many` maps a connection field to [child type, child column, parent column].
+const MOCK_GRAPHQL_TABLES = {
+  Account: {
+    plural: 'accounts',
+    primaryKey: ['publicKey'],
+    many: {
+      posts: ['Post', 'posterPublicKey', 'publicKey'],
+      likes: ['Like', 'publicKey', 'publicKey'],
+      followers: ['Follow', 'followedPkid', 'pkid'],
+      following: ['Follow', 'followerPkid', 'pkid'],
+      diamondsSent: ['Diamond', 'senderPkid', 'pkid'],
+      diamondsReceived: ['Diamond', 'receiverPkid', 'pkid'],
+      messagesSent: ['Message', 'senderAccessGroupOwnerPublicKey', 'publicKey'],
+      messagesReceived: ['Message', 'recipientAccessGroupOwnerPublicKey', 'publicKey']
+    }
+  },
+  Post: {
+    plural: 'posts',
+    primaryKey: ['postHash'],
+    one: {
+      poster: ['posterPublicKey', 'Account', 'publicKey'],
+      parentPost: ['parentPostHash', 'Post', 'postHash'],
+      repostedPost: ['repostedPostHash', 'Post', 'postHash']
+    },
+    many: {
+      likes: ['Like', 'postHash', 'postHash'],
+      diamonds: ['Diamond', 'postHash', 'postHash'],
+      replies: ['Post', 'parentPostHash', 'postHash'],
+      reposts: ['Post', 'repostedPostHash', 'postHash']
+    }
+  },
+  Follow: {
+    plural: 'follows',
+    primaryKey: ['followerPkid', 'followedPkid'],
+    one: {
+      follower: ['followerPkid', 'Account', 'pkid'],
+      followee: ['followedPkid', 'Account', 'pkid']
+    }
+  },
+  Like: {
+    plural: 'likes',
+    primaryKey: ['publicKey', 'postHash'],
+    one: {
+      account: ['publicKey', 'Account', 'publicKey'],
+      post: ['postHash', 'Post', 'postHash']
+    }
+  },
+  Diamond: {
+    plural: 'diamonds',
+    primaryKey: ['senderPkid', 'receiverPkid', 'postHash'],
+    one: {
+      sender: ['senderPkid', 'Account', 'pkid'],
+      reciever: ['receiverPkid', 'Account', 'pkid'],  // sic: the schema spells it this way
+      post: ['postHash', 'Post', 'postHash']
+    }
+  },
+  Message: {
+    plural: 'messages',
+    primaryKey: ['timestamp', 'senderAccessGroupOwnerPublicKey'],
+    one: {
+      sender: ['senderAccessGroupOwnerPublicKey', 'Account', 'publicKey'],
+      receiver: ['recipientAccessGroupOwnerPublicKey', 'Account', 'publicKey']
     }
   }
-}`,
-      variables: username ? `{ "username": "${username}", "first": 10 }` : `{ "username": "YOUR_USERNAME_HERE", "first": 10 }`,
-      example: username ? `// Example: Get NFTs by ${username}` : "// Example: Get NFTs by a specific user"
+};
+
+// Eight accounts with three posts each (the second replies to the next account, the third is an NFT with an
+// image), a follow graph where account i follows the next 1-3 accounts, likes on the next two accounts' first
+// posts, one diamond per account on a later account's first post, and two messages from each account to the next
+function buildMockGraphQLData() {
+  const count = MOCK_GRAPHQL_USERNAMES.length;
+  const timestamp = (hours) => new Date(MOCK_GRAPHQL_EPOCH + hours * 3600000).toISOString();
+  const hash = (seed) => sha256(`graphql:${seed}`).toString('hex');
+  const rows = { Account: [], Post: [], Follow: [], Like: [], Diamond: [], Message: [] };
+
+  MOCK_GRAPHQL_USERNAMES.forEach((username, i) => {
+    const publicKey = encodeDeSoPublicKey(mockPublicKey(`graphql:account:${username}`), 'mainnet');
+    rows.Account.push({
+      publicKey,
+      pkid: publicKey,
+      username,
+      description: `Mock profile for @${username}`,
+      profilePic: `https://images.deso.org/${hash(`pic:${username}`).slice(0, 16)}.webp`,
+      creatorBasisPoints: '1000',
+      coinWatermarkNanos: String((i + 1) * 2000000000),
+      mintingDisabled: false,
+      daoCoinMintingDisabled: false,
+      daoCoinTransferRestrictionStatus: 0,
+      extraData: {},
+      coinPriceDesoNanos: String((i + 1) * 150000000),
+      desoLockedNanos: String((i + 1) * 1000000000),
+      ccCoinsInCirculationNanos: String((i + 1) * 3000000000),
+      daoCoinsInCirculationNanosHex: '0x0'
+    });
+  });
+
+  rows.Account.forEach((account, i) => {
+    const next = rows.Account[(i + 1) % count];
+    for (let j = 0; j < 3; j++) {
+      rows.Post.push({
+        postHash: hash(`post:${account.username}:${j}`),
+        posterPublicKey: account.publicKey,
+        parentPostHash: j === 1 ? hash(`post:${next.username}:0`) : null,
+        body: j === 1 ? `Reply from @${account.username} to @${next.username}` : `Post ${j + 1} from @${account.username}`,
+        imageUrls: j === 2 ? [`https://images.deso.org/${hash(`image:${account.username}`).slice(0, 16)}.webp`] : [],
+        videoUrls: [],
+        repostedPostHash: null,
+        isQuotedRepost: false,
+        timestamp: timestamp(i * 3 + j),
+        isHidden: false,
+        isPinned: j === 0 && i === 0,
+        isNft: j === 2,
+        numNftCopies: j === 2 ? '10' : '0',
+        numNftCopiesForSale: j === 2 ? '5' : '0',
+        numNftCopiesBurned: '0',
+        hasUnlockable: false,
+        nftRoyaltyToCreatorBasisPoints: j === 2 ? '500' : '0',
+        nftRoyaltyToCoinBasisPoints: '0',
+        extraData: {},
+        isFrozen: false
+      });
+    }
+    for (let k = 1; k <= (i % 3) + 1; k++) {
+      rows.Follow.push({ followerPkid: account.pkid, followedPkid: rows.Account[(i + k) % count].pkid });
+    }
+    for (let k = 1; k <= 2; k++) {
+      rows.Like.push({ publicKey: account.publicKey, postHash: hash(`post:${rows.Account[(i + k) % count].username}:0`) });
+    }
+    const receiver = rows.Account[(i + 2) % count];
+    rows.Diamond.push({ senderPkid: account.pkid, receiverPkid: receiver.pkid, postHash: hash(`post:${receiver.username}:0`), diamondLevel: (i % 3) + 1 });
+    for (let m = 0; m < 2; m++) {
+      rows.Message.push({
+        senderAccessGroupOwnerPublicKey: account.publicKey,
+        senderAccessGroupKeyName: 'default-key',
+        senderAccessGroupPublicKey: encodeDeSoPublicKey(mockPublicKey(`graphql:access-group:${account.username}`), 'mainnet'),
+        recipientAccessGroupOwnerPublicKey: next.publicKey,
+        recipientAccessGroupKeyName: 'default-key',
+        recipientAccessGroupPublicKey: encodeDeSoPublicKey(mockPublicKey(`graphql:access-group:${next.username}`), 'mainnet'),
+        encryptedText: hash(`message:${account.username}:${m}`),
+        isGroupChatMessage: false,
+        timestamp: timestamp(i * 3 + m + 0.5),
+        extraData: {}
+      });
+    }
+  });
+
+  // PostGraphile node IDs: base64 of ["<table>", ...primary key]
+  for (const [typeName, table] of Object.entries(MOCK_GRAPHQL_TABLES)) {
+    for (const row of rows[typeName]) {
+      Object.defineProperty(row, '__typename', { value: typeName });
+      row.id = Buffer.from(JSON.stringify([table.plural, ...table.primaryKey.map(column => row[column])])).toString('base64');
     }
-  };
-  
-  if (!queryType || !queries[queryType]) {
-    return { content: [{ type: "text", text: `Available query types: ${Object.keys(queries).join(', ')}` }] };
   }
-  
-  const queryInfo = queries[queryType];
-  let response = `# ${queryInfo.title}\n\n${queryInfo.description}\n\n## GraphQL Query\n\n\`\`\`graphql\n${queryInfo.query}\n\`\`\`\n\n## Variables\n\n\`\`\`json\n${queryInfo.variables}\n\`\`\`\n\n## Usage Example\n\n\`\`\`javascript\n${queryInfo.example}\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: {\n    'Content-Type': 'application/json',\n  },\n  body: JSON.stringify({\n    query: \`${queryInfo.query.replace(/`/g, '\\`')}\`,\n    variables: ${queryInfo.variables}\n  })\n});\n\nconst data = await response.json();\nconsole.log(data);\n\`\`\``;
-  
-  // Add specific usage tips based on query type
-  if (queryType === 'followers' || queryType === 'following') {
-    response += `\n\n## Tips\n\n- Use \`totalCount\` to get the exact number of ${queryType}\n- Adjust \`first\` parameter to get more/fewer results\n- Use \`orderBy: [PRIMARY_KEY_DESC]\` for most recent ${queryType}`;
+  return rows;
+}
+
+// Compare two column values the way Postgres orders them: big numbers numerically, text lexically
+function compareMockGraphQLValues(a, b) {
+  if (/^-?\d+$/.test(a) && /^-?\d+$/.test(b)) {
+    const difference = BigInt(a) - BigInt(b);
+    return difference === 0n ? 0 : difference < 0n ? -1 : 1;
   }
-  
-  return { content: [{ type: "text", text: response }] };
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
 }
 
-function exploreGraphQLSchema(queryType) {
-  const schemas = {
-    user: {
-      title: "Account/User Schema",
-      description: "The Account type represents a user profile on DeSo",
-      fields: `
-**Core Fields:**
-- \`id\`: Globally unique identifier
-- \`publicKey\`: User's public key (unique identifier)
-- \`username\`: Display username (can be null)
-- \`description\`: Profile bio/description
-- \`profilePic\`: Profile picture URL
-- \`creatorBasisPoints\`: Creator coin creator basis points
-- \`coinPriceDesoNanos\`: Current creator coin price in DeSo nanos
-- \`desoLockedNanos\`: Amount of DeSo locked in creator coin
-- \`ccCoinsInCirculationNanos\`: Creator coins in circulation
-
-**Relationships:**
-- \`followers\`: Users following this account
-- \`following\`: Users this account follows
-- \`posts\`: Posts created by this user
-- \`likes\`: Posts liked by this user
-- \`diamondsSent\`/\`diamondsReceived\`: Diamond transactions
-- \`creatorCoinBalances\`: Creator coin holdings`,
-      filters: `
-**Filtering Options:**
-- \`username: { equalToInsensitive: "username" }\` - Find by username (case-insensitive)
-- \`publicKey: { equalTo: "publickey" }\` - Find by public key
-- \`description: { includesInsensitive: "keyword" }\` - Search in bio
-- \`coinPriceDesoNanos: { greaterThan: "1000000000" }\` - Filter by coin price`
-    },
-    
-    posts: {
-      title: "Post Schema", 
-      description: "The Post type represents a post/content on DeSo",
-      fields: `
-**Core Fields:**
-- \`postHash\`: Unique identifier for the post
-- \`posterPublicKey\`: Public key of the post creator
-- \`body\`: Text content of the post
-- \`imageUrls\`: Array of image URLs
-- \`videoUrls\`: Array of video URLs
-- \`timestamp\`: When the post was created
-- \`isQuotedRepost\`: Whether this is a quote repost
-- \`isPinned\`: Whether the post is pinned
-- \`isNft\`: Whether the post is an NFT
-
-**NFT Fields:**
-- \`numNftCopies\`: Total NFT copies
-- \`numNftCopiesForSale\`: Copies currently for sale
-- \`nftRoyaltyToCreatorBasisPoints\`: Creator royalty percentage
-
-**Relationships:**
-- \`poster\`: Account that created the post
-- \`parentPost\`: Post being replied to (for comments)
-- \`repostedPost\`: Post being reposted
-- \`likes\`: Users who liked this post
-- \`diamonds\`: Diamonds given to this post
-- \`nfts\`: NFT copies if this is an NFT post`,
-      filters: `
-**Filtering Options:**
-- \`posterPublicKey: { equalTo: "publickey" }\` - Posts by specific user
-- \`body: { includesInsensitive: "keyword" }\` - Search post content
-- \`isNft: { equalTo: true }\` - Only NFT posts
-- \`timestamp: { greaterThan: "2024-01-01" }\` - Posts after date
-- \`isPinned: { equalTo: true }\` - Only pinned posts`
-    },
-    
-    followers: {
-      title: "Follow Schema",
-      description: "The Follow type represents follower relationships",
-      fields: `
-**Core Fields:**
-- \`followerPkid\`: PKID of the user doing the following
-- \`followedPkid\`: PKID of the user being followed
-
-**Relationships:**
-- \`follower\`: Account doing the following
-- \`followee\`: Account being followed`,
-      filters: `
-**Filtering Options:**
-- \`followerPkid: { equalTo: "pkid" }\` - Find who a user follows
-- \`followedPkid: { equalTo: "pkid" }\` - Find who follows a user`
+// SQL LIKE pattern (% and _) as a regular expression
+function likePatternToRegExp(pattern, flags = '') {
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${source}$`, `s${flags}`);
+}
+
+// Operators of the PostGraphile connection filter plugin; like SQL, comparisons with null are false
+const MOCK_GRAPHQL_FILTER_OPERATORS = {
+  isNull: (value, arg) => (value === null || value === undefined) === arg,
+  equalTo: (value, arg) => compareMockGraphQLValues(value, arg) === 0,
+  notEqualTo: (value, arg) => compareMockGraphQLValues(value, arg) !== 0,
+  distinctFrom: (value, arg) => (value ?? null) !== (arg ?? null) && (value == null || arg == null || compareMockGraphQLValues(value, arg) !== 0),
+  notDistinctFrom: (value, arg) => !MOCK_GRAPHQL_FILTER_OPERATORS.distinctFrom(value, arg),
+  in: (value, arg) => arg.some(item => compareMockGraphQLValues(value, item) === 0),
+  notIn: (value, arg) => !arg.some(item => compareMockGraphQLValues(value, item) === 0),
+  lessThan: (value, arg) => compareMockGraphQLValues(value, arg) < 0,
+  lessThanOrEqualTo: (value, arg) => compareMockGraphQLValues(value, arg) <= 0,
+  greaterThan: (value, arg) => compareMockGraphQLValues(value, arg) > 0,
+  greaterThanOrEqualTo: (value, arg) => compareMockGraphQLValues(value, arg) >= 0,
+  includes: (value, arg) => String(value).includes(arg),
+  notIncludes: (value, arg) => !String(value).includes(arg),
+  includesInsensitive: (value, arg) => String(value).toLowerCase().includes(arg.toLowerCase()),
+  notIncludesInsensitive: (value, arg) => !String(value).toLowerCase().includes(arg.toLowerCase()),
+  startsWith: (value, arg) => String(value).startsWith(arg),
+  notStartsWith: (value, arg) => !String(value).startsWith(arg),
+  startsWithInsensitive: (value, arg) => String(value).toLowerCase().startsWith(arg.toLowerCase()),
+  notStartsWithInsensitive: (value, arg) => !String(value).toLowerCase().startsWith(arg.toLowerCase()),
+  endsWith: (value, arg) => String(value).endsWith(arg),
+  notEndsWith: (value, arg) => !String(value).endsWith(arg),
+  endsWithInsensitive: (value, arg) => String(value).toLowerCase().endsWith(arg.toLowerCase()),
+  notEndsWithInsensitive: (value, arg) => !String(value).toLowerCase().endsWith(arg.toLowerCase()),
+  like: (value, arg) => likePatternToRegExp(arg).test(String(value)),
+  notLike: (value, arg) => !likePatternToRegExp(arg).test(String(value)),
+  likeInsensitive: (value, arg) => likePatternToRegExp(arg, 'i').test(String(value)),
+  notLikeInsensitive: (value, arg) => !likePatternToRegExp(arg, 'i').test(String(value)),
+  equalToInsensitive: (value, arg) => String(value).toLowerCase() === arg.toLowerCase(),
+  notEqualToInsensitive: (value, arg) => String(value).toLowerCase() !== arg.toLowerCase(),
+  inInsensitive: (value, arg) => arg.some(item => String(value).toLowerCase() === item.toLowerCase()),
+  notInInsensitive: (value, arg) => !arg.some(item => String(value).toLowerCase() === item.toLowerCase()),
+  contains: (value, arg) => (Array.isArray(value) ? [arg].flat().every(item => value.includes(item)) : Object.entries(arg).every(([key, item]) => value[key] === item))
+};
+
+function createMockGraphQLResolver(rows) {
+  const related = (typeName, row, [column, targetType, targetColumn]) => rows[targetType].find(target => target[targetColumn] === row[column]) ?? null;
+  const children = (row, [childType, childColumn, parentColumn]) => rows[childType].filter(child => child[childColumn] === row[parentColumn]);
+
+  const matchesFilter = (typeName, row, filter) => Object.entries(filter).every(([key, condition]) => {
+    const table = MOCK_GRAPHQL_TABLES[typeName];
+    if (key === 'and') return condition.every(part => matchesFilter(typeName, row, part));
+    if (key === 'or') return condition.some(part => matchesFilter(typeName, row, part));
+    if (key === 'not') return !matchesFilter(typeName, row, condition);
+    if (table.one?.[key]) {
+      const target = related(typeName, row, table.one[key]);
+      return target !== null && matchesFilter(table.one[key][1], target, condition);
+    }
+    const existRelation = key.endsWith('Exist') && table.many?.[key.slice(0, -'Exist'.length)];
+    if (existRelation) return (children(row, existRelation).length > 0) === condition;
+    if (table.many?.[key]) {
+      const [childType] = table.many[key];
+      const matching = children(row, table.many[key]).map(child => matchesFilter(childType, child, condition.some || condition.every || condition.none || {}));
+      if (condition.some) return matching.some(Boolean);
+      if (condition.every) return matching.every(Boolean);
+      return !matching.some(Boolean);
+    }
+    if (!(key in row)) throw new Error(`The mock GraphQL server cannot filter ${typeName} by "${key}"`);
+    return Object.entries(condition).every(([operator, arg]) => {
+      const test = MOCK_GRAPHQL_FILTER_OPERATORS[operator];
+      if (!test) throw new Error(`The mock GraphQL server does not support the "${operator}" filter operator`);
+      if (operator !== 'isNull' && !operator.includes('istinct') && (row[key] === null || row[key] === undefined)) return false;
+      return test(row[key], arg);
+    });
+  });
+
+  // TIMESTAMP_DESC -> timestamp, PRIMARY_KEY_ASC -> the table's key columns; orders on columns or
+  // aggregates the mock does not have keep the current order
+  const sortRows = (typeName, list, orderBy = []) => {
+    const keys = orderBy.filter(order => order !== 'NATURAL').flatMap(order => {
+      const descending = order.endsWith('_DESC');
+      const name = order.replace(/_(ASC|DESC)$/, '');
+      const columns = name === 'PRIMARY_KEY' ? MOCK_GRAPHQL_TABLES[typeName]?.primaryKey ?? [] : [name.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase())];
+      return columns.map(column => ({ column, descending }));
+    });
+    return [...list].sort((a, b) => {
+      for (const { column, descending } of keys) {
+        if (!(column in a)) continue;
+        const [x, y] = [a[column], b[column]];
+        // Postgres puts nulls last when ascending and first when descending
+        if (x == null || y == null) {
+          if (x == null && y == null) continue;
+          return (x == null ? 1 : -1) * (descending ? -1 : 1);
+        }
+        const order = compareMockGraphQLValues(x, y);
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+  };
+
+  const decodeCursor = (cursor) => {
+    try {
+      const [, index] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+      if (Number.isInteger(index)) return index;
+    } catch {
+      // fall through to the error below
+    }
+    throw new Error(`Invalid cursor: ${cursor}`);
+  };
+
+  const connection = (typeName, list, args) => {
+    let matching = list;
+    if (args.condition) matching = matching.filter(row => Object.entries(args.condition).every(([column, value]) => compareMockGraphQLValues(row[column], value) === 0));
+    if (args.filter) matching = matching.filter(row => matchesFilter(typeName, row, args.filter));
+    const edges = sortRows(typeName, matching, args.orderBy || []).map((node, index) => ({
+      node,
+      cursor: Buffer.from(JSON.stringify(['natural', index + 1])).toString('base64')
+    }));
+
+    let start = args.after ? decodeCursor(args.after) : 0;
+    let end = args.before ? decodeCursor(args.before) - 1 : edges.length;
+    start += args.offset ?? 0;
+    if (args.first != null) end = Math.min(end, start + args.first);
+    if (args.last != null) start = Math.max(start, end - args.last);
+    const page = edges.slice(start, Math.max(start, end));
+
+    return {
+      nodes: page.map(edge => edge.node),
+      edges: page,
+      totalCount: matching.length,
+      pageInfo: {
+        hasNextPage: end < edges.length,
+        hasPreviousPage: start > 0,
+        startCursor: page[0]?.cursor ?? null,
+        endCursor: page[page.length - 1]?.cursor ?? null
+      }
+    };
+  };
+
+  return (schema) => (parentType, parent, field, args) => {
+    if (Object.hasOwn(parent, field.name)) return parent[field.name];
+    const returnType = schema.types[namedGraphQLType(field.type)];
+    const table = MOCK_GRAPHQL_TABLES[parentType];
+
+    // Connections: a whole table from Query, related rows from a seeded parent, otherwise empty
+    if (returnType.kind === 'OBJECT' && returnType.fields.nodes && returnType.fields.pageInfo) {
+      const childType = namedGraphQLType(returnType.fields.nodes.type);
+      let list = [];
+      if (parentType === schema.queryType) list = rows[childType] ?? [];
+      else if (table?.many?.[field.name]) list = children(parent, table.many[field.name]);
+      return connection(childType, list, args);
+    }
+
+    if (parentType === schema.queryType) {
+      if (field.name === 'node') return Object.values(rows).flat().find(row => row.id === args.id) ?? null;
+      // Single-row lookups: account(publicKey), accountByUsername(username), postByPostHash(postHash), ...ById(id)
+      return rows[returnType.name]?.find(row => Object.entries(args).every(([name, value]) => row[name] === value)) ?? null;
     }
+    if (table?.one?.[field.name]) return related(parentType, parent, table.one[field.name]);
+    return null;
   };
-  
-  const schema = schemas[queryType] || schemas.user;
-  
-  let response = `# DeSo GraphQL Schema: ${schema.title}\n\n${schema.description}\n\n## Fields\n${schema.fields}\n\n## Filtering\n${schema.filters}`;
-  
-  response += `\n\n## Common Patterns\n\n**Pagination:**\n\`\`\`graphql\n{\n  accounts(first: 10, after: "cursor") {\n    nodes { ... }\n    pageInfo {\n      hasNextPage\n      endCursor\n    }\n    totalCount\n  }\n}\n\`\`\`\n\n**Ordering:**\n\`\`\`graphql\n{\n  posts(orderBy: [TIMESTAMP_DESC]) {\n    nodes { ... }\n  }\n}\n\`\`\``;
-  
-  return { content: [{ type: "text", text: response }] };
 }
 
-function getGraphQLExamples(queryType) {
-  const examples = {
-    user: [
-      {
-        title: "Get User Follower Count",
-        query: `query GetFollowerCount($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      followers {
-        totalCount
-      }
+async function startMockGraphQLServer(port) {
+  const schema = await loadGraphQLSchema();
+  const rows = buildMockGraphQLData();
+  const resolveField = createMockGraphQLResolver(rows)(schema);
+  const fieldResolver = (parent, args, context, info) => (
+    resolveField(info.parentType.name, parent, schema.types[info.parentType.name].fields[info.fieldName], args)
+  );
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+  app.use((req, res, next) => {
+    res.set({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type' });
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(204);
+      return;
     }
-  }
-}`,
-        description: "Simple query to get just the follower count for a user"
-      },
-      {
-        title: "Get User Profile Summary",
-        query: `query GetUserSummary($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      description
-      profilePic
-      followers { totalCount }
-      following { totalCount }
-      posts { totalCount }
-      coinPriceDesoNanos
+    next();
+  });
+
+  const handleGraphQL = (req, res) => {
+    let { query, variables, operationName } = req.method === 'GET' ? req.query : req.body ?? {};
+    if (typeof query !== 'string') {
+      res.status(400).json({ errors: [{ message: 'Must provide query string.' }] });
+      return;
     }
-  }
-}`,
-        description: "Complete user profile summary with all key metrics"
-      }
-    ],
-    
-    posts: [
-      {
-        title: "Get Recent Posts with Engagement",
-        query: `query GetRecentPosts($first: Int = 10) {
-  posts(first: $first, orderBy: [TIMESTAMP_DESC]) {
-    nodes {
-      postHash
-      body
-      timestamp
-      poster {
-        username
-        profilePic
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        res.status(400).json({ errors: [{ message: 'Variables are invalid JSON.' }] });
+        return;
       }
-      likes { totalCount }
-      diamonds { totalCount }
     }
-  }
-}`,
-        description: "Get recent posts across the platform with engagement metrics"
-      },
-      {
-        title: "Get User's Last Post",
-        query: `query GetLastPost($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      posts(first: 1, orderBy: [TIMESTAMP_DESC]) {
-        nodes {
-          body
-          timestamp
-          likes { totalCount }
-        }
-      }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      res.status(400).json({ errors: [{ message: 'Variables must be provided as an object where each property is a variable value.' }] });
+      return;
     }
-  }
-}`,
-        description: "Get the most recent post by a specific user"
-      }
-    ]
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      res.status(400).json({ errors: [{ message: error.message, locations: error.locations }] });
+      return;
+    }
+    const validationErrors = validateGraphQLDocument(schema, document);
+    if (validationErrors.length > 0) {
+      res.status(400).json({ errors: validationErrors });
+      return;
+    }
+    const operation = getOperationAST(document, operationName);
+    if (operation && operation.operation !== 'query') {
+      res.status(400).json({ errors: [new GraphQLError(`Only queries can be executed here, not ${operation.operation}s.`, { nodes: operation })] });
+      return;
+    }
+    // Introspection (__schema, __type) and __typename are answered by graphql-js; everything else comes from the seeded rows
+    const result = execute({ schema: schema.executable, document, rootValue: {}, variableValues: variables, operationName, fieldResolver });
+    console.error(`🧪 GraphQL ${operation?.name?.value || 'anonymous'}${result.errors ? ` (${result.errors.length} errors)` : ''}`);
+    res.status(result.data === undefined ? 400 : 200).json(result);
   };
-  
-  const typeExamples = examples[queryType] || examples.user;
-  
-  let response = `# GraphQL Examples: ${queryType}\n\n`;
-  
-  typeExamples.forEach((example, index) => {
-    response += `## ${index + 1}. ${example.title}\n\n${example.description}\n\n\`\`\`graphql\n${example.query}\n\`\`\`\n\n`;
+  app.get('/graphql', handleGraphQL);
+  app.post('/graphql', handleGraphQL);
+
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const seeded = Object.entries(rows).map(([typeName, list]) => `${list.length} ${MOCK_GRAPHQL_TABLES[typeName].plural}`).join(', ');
+      console.error(`🧪 Mock DeSo GraphQL API listening on http://localhost:${port}/graphql (${Object.keys(schema.types).length} schema types; seeded ${seeded})`);
+      resolve(httpServer);
+    });
   });
-  
-  response += `## Usage with JavaScript\n\n\`\`\`javascript\nconst query = \`...\`; // Your GraphQL query\nconst variables = { username: "nader" };\n\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({ query, variables })\n});\n\nconst data = await response.json();\nconsole.log(data.data);\n\`\`\``;
-  
-  return { content: [{ type: "text", text: response }] };
 }
 
-function buildQueryFromQuestion(question, username, publicKey) {
-  if (!question) {
-    return { content: [{ type: "text", text: "Please provide a question to convert to GraphQL. Example: 'How many followers does nader have?'" }] };
-  }
-  
-  const questionLower = question.toLowerCase();
-  let queryType, queryTemplate, explanation;
-  
-  // Determine query type based on question
-  if (questionLower.includes('follower') && questionLower.includes('how many')) {
-    queryType = 'follower-count';
-    queryTemplate = `query GetFollowerCount($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      followers {
-        totalCount
-      }
-    }
-  }
-}`;
-    explanation = "This query gets the total follower count for a user";
-  } else if (questionLower.includes('following') && questionLower.includes('how many')) {
-    queryType = 'following-count';
-    queryTemplate = `query GetFollowingCount($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      following {
-        totalCount
+// Serve MCP over HTTP so a team can share one hosted instance. Streamable HTTP
+// lives at /mcp, the legacy SSE transport at /sse + /messages.
+async function startHttpServer(port) {
+  const app = express();
+  app.use(express.json({ limit: '4mb' }));
+
+  const streamableTransports = {};
+  const sseTransports = {};
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      server: SERVER_INFO.name,
+      version: SERVER_INFO.version,
+      uptimeSeconds: Math.round(process.uptime()),
+      sessions: {
+        streamableHttp: Object.keys(streamableTransports).length,
+        sse: Object.keys(sseTransports).length
       }
-    }
-  }
-}`;
-    explanation = "This query gets the total count of users being followed";
-  } else if (questionLower.includes('last post') || questionLower.includes('recent post')) {
-    queryType = 'last-post';
-    queryTemplate = `query GetLastPost($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      posts(first: 1, orderBy: [TIMESTAMP_DESC]) {
-        nodes {
-          postHash
-          body
-          timestamp
-          likes { totalCount }
-          diamonds { totalCount }
+    });
+  });
+
+  app.post('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? streamableTransports[sessionId] : undefined;
+
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          res.status(400).json({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Bad Request: No valid session ID provided" },
+            id: null
+          });
+          return;
         }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            streamableTransports[id] = transport;
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            delete streamableTransports[transport.sessionId];
+          }
+        };
+        transport.onerror = (error) => {
+          console.error("DeSo MCP Transport error:", error);
+        };
+        await createServer().connect(transport);
       }
-    }
-  }
-}`;
-    explanation = "This query gets the most recent post by a user";
-  } else if (questionLower.includes('posts') && questionLower.includes('how many')) {
-    queryType = 'post-count';
-    queryTemplate = `query GetPostCount($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      posts {
-        totalCount
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error("Error handling MCP HTTP request:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: "2.0",
+          error: { code: -32603, message: "Internal server error" },
+          id: null
+        });
       }
     }
-  }
-}`;
-    explanation = "This query gets the total number of posts by a user";
-  } else if (questionLower.includes('profile') || questionLower.includes('info')) {
-    queryType = 'profile';
-    queryTemplate = `query GetProfile($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      description
-      profilePic
-      followers { totalCount }
-      following { totalCount }
-      posts { totalCount }
-      coinPriceDesoNanos
+  });
+
+  // GET opens the server-to-client notification stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const transport = streamableTransports[req.headers['mcp-session-id']];
+    if (!transport) {
+      res.status(400).send('Invalid or missing session ID');
+      return;
     }
-  }
-}`;
-    explanation = "This query gets complete profile information for a user";
-  } else {
-    // Default to profile query
-    queryType = 'general';
-    queryTemplate = `query GetUserInfo($username: String!) {
-  accounts(filter: { username: { equalToInsensitive: $username } }) {
-    nodes {
-      username
-      description
-      followers { totalCount }
-      following { totalCount }
-      posts { totalCount }
+    await transport.handleRequest(req, res);
+  };
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  app.get('/sse', async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sseTransports[transport.sessionId] = transport;
+    res.on('close', () => {
+      delete sseTransports[transport.sessionId];
+    });
+    transport.onerror = (error) => {
+      console.error("DeSo MCP Transport error:", error);
+    };
+    await createServer().connect(transport);
+  });
+
+  app.post('/messages', async (req, res) => {
+    const transport = sseTransports[req.query.sessionId];
+    if (!transport) {
+      res.status(400).send('No SSE session found for sessionId');
+      return;
     }
-  }
-}`;
-    explanation = "This is a general user information query based on your question";
-  }
-  
-  const targetUsername = username || (questionLower.match(/\b(\w+)\s+have/)?.[1]) || "YOUR_USERNAME_HERE";
-  const variables = `{ "username": "${targetUsername}" }`;
-  
-  let response = `# GraphQL Query for: "${question}"\n\n${explanation}\n\n## Generated Query\n\n\`\`\`graphql\n${queryTemplate}\n\`\`\`\n\n## Variables\n\n\`\`\`json\n${variables}\n\`\`\`\n\n## Complete Example\n\n\`\`\`javascript\nconst query = \`${queryTemplate.replace(/`/g, '\\`')}\`;\nconst variables = ${variables};\n\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({ query, variables })\n});\n\nconst data = await response.json();\nconsole.log(data.data.accounts.nodes[0]);\n\`\`\``;
-  
-  if (targetUsername === "YOUR_USERNAME_HERE") {
-    response += `\n\n**Note:** Replace "YOUR_USERNAME_HERE" with the actual username you want to query.`;
-  }
-  
-  return { content: [{ type: "text", text: response }] };
+    await transport.handlePostMessage(req, res, req.body);
+  });
+
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      console.error(`🌐 DeSo MCP Server listening on http://0.0.0.0:${port} (streamable HTTP: /mcp, SSE: /sse, health: /health)`);
+      resolve(httpServer);
+    });
+  });
 }
 
-function explainGraphQLQuery(customQuery) {
-  if (!customQuery) {
-    return { content: [{ type: "text", text: "Please provide a GraphQL query to explain." }] };
-  }
-  
-  let explanation = `# GraphQL Query Explanation\n\n## Your Query\n\n\`\`\`graphql\n${customQuery}\n\`\`\`\n\n## Analysis\n\n`;
-  
-  // Basic query analysis
-  if (customQuery.includes('accounts')) {
-    explanation += "- **accounts**: Querying user/account data from the DeSo blockchain\n";
-  }
-  if (customQuery.includes('posts')) {
-    explanation += "- **posts**: Querying post/content data\n";
-  }
-  if (customQuery.includes('follows')) {
-    explanation += "- **follows**: Querying follower relationship data\n";
-  }
-  if (customQuery.includes('filter:')) {
-    explanation += "- **filter**: Applying conditions to narrow down results\n";
-  }
-  if (customQuery.includes('first:')) {
-    explanation += "- **first**: Limiting the number of results (pagination)\n";
-  }
-  if (customQuery.includes('orderBy:')) {
-    explanation += "- **orderBy**: Sorting the results\n";
-  }
-  if (customQuery.includes('totalCount')) {
-    explanation += "- **totalCount**: Getting the total count without fetching all records\n";
-  }
-  
-  // Check for common patterns
-  if (customQuery.includes('username') && customQuery.includes('equalToInsensitive')) {
-    explanation += "\n## Pattern Detected: User Lookup\nThis query is looking up a user by username (case-insensitive).\n";
-  }
-  
-  if (customQuery.includes('followers') || customQuery.includes('following')) {
-    explanation += "\n## Pattern Detected: Social Relationships\nThis query is examining follower/following relationships.\n";
-  }
-  
-  if (customQuery.includes('TIMESTAMP_DESC')) {
-    explanation += "\n## Pattern Detected: Recent Content\nThis query is ordering by timestamp to get the most recent items first.\n";
-  }
-  
-  explanation += `\n## Tips for Optimization\n\n1. **Use pagination**: Always include \`first\` parameter to limit results\n2. **Request only needed fields**: Don't fetch unnecessary data\n3. **Use totalCount**: For counts, use \`totalCount\` instead of fetching all records\n4. **Case-insensitive search**: Use \`equalToInsensitive\` for username lookups\n5. **Proper ordering**: Use appropriate \`orderBy\` for your use case\n\n## Execution\n\nTo run this query:\n\n\`\`\`javascript\nconst response = await fetch('https://graphql.deso.com/graphql', {\n  method: 'POST',\n  headers: { 'Content-Type': 'application/json' },\n  body: JSON.stringify({\n    query: \`${customQuery.replace(/`/g, '\\`')}\`,\n    variables: {} // Add your variables here\n  })\n});\n\nconst data = await response.json();\nconsole.log(data);\n\`\`\``;
-  
-  return { content: [{ type: "text", text: explanation }] };
+function getCliOption(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
 }
 
 // Start server with robust error handling
 async function main() {
   try {
-    const transport = new StdioServerTransport();
-    
-    // Add transport error handling
-    transport.onerror = (error) => {
-      console.error("DeSo MCP Transport error:", error);
-    };
+    await initApiCatalog();
+    const endpointCount = Object.values(API_DETAILS).reduce((sum, info) => sum + Object.keys(info.endpoints).length, 0);
+    console.error(`📚 Loaded DeSo API catalog v${API_CATALOG_VERSION}: ${Object.keys(API_DETAILS).length} categories, ${endpointCount} endpoints`);
     
-    await server.connect(transport);
-          console.error("🚀 DeSo MCP Server v3.0 connected successfully with 10 comprehensive tools!");
+    if (process.argv.includes('--mock-node')) {
+      await startMockNode(Number(getCliOption('port') || MOCK_NODE_DEFAULT_PORT));
+      return;
+    }
+
+    if (process.argv.includes('--mock-graphql')) {
+      await startMockGraphQLServer(Number(getCliOption('port') || MOCK_GRAPHQL_DEFAULT_PORT));
+      return;
+    }
+
+    const useHttp = process.argv.includes('--http') || process.env.MCP_TRANSPORT === 'http';
+
+    if (useHttp) {
+      const port = Number(getCliOption('port') || process.env.PORT || 3000);
+      await startHttpServer(port);
+    } else {
+      const transport = new StdioServerTransport();
+
+      // Add transport error handling
+      transport.onerror = (error) => {
+        console.error("DeSo MCP Transport error:", error);
+      };
+
+      await createServer().connect(transport);
+    }
+
+    const { tools } = await listTools();
+    console.error(`🚀 DeSo MCP Server v3.0 connected successfully with ${tools.length} comprehensive tools!`);
     console.error("🛠️ NEW: Advanced debugging guide, implementation patterns, UI component library, and GraphQL helper included!");
     
     // Keep process alive
@@ -4645,4 +12718,12 @@ async function main() {
   }
 }
 
-main(); 
\ No newline at end of file
+// Start when run as a script (node deso-mcp.js, npx or an npm bin link), not when the tests import it.
+// pm2 (the Docker image) loads the script from its own wrapper and passes the path in pm_exec_path.
+const scriptPath = process.env.pm_exec_path || process.argv[1];
+const entryPoint = scriptPath ? await fs.realpath(scriptPath).catch(() => null) : null;
+if (entryPoint === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { initApiCatalog, listTools, callTool, startHttpServer, encodeDeSoPublicKey, createMockNodeApp, startMockGraphQLServer };
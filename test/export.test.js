@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import ts from 'typescript';
+import { initApiCatalog, callTool, createMockNodeApp } from '../deso-mcp.js';
+
+let httpServer;
+let nodeURL;
+let openApi;
+let definitions;
+
+before(async () => {
+  await initApiCatalog();
+  const { app } = createMockNodeApp();
+  httpServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  nodeURL = `http://127.0.0.1:${httpServer.address().port}`;
+  openApi = JSON.parse((await exportApi({ format: 'openapi' })).match(/```json\n([\s\S]*?)\n```/)[1]);
+  definitions = (await exportApi({ format: 'typescript' })).match(/```typescript\n([\s\S]*?)```/)[1];
+});
+
+after(() => httpServer.close());
+
+async function exportApi(args) {
+  const result = await callTool({ params: { name: 'export_deso_api', arguments: args } });
+  return result.content[0].text;
+}
+
+const resolveSchema = (schema) => schema.$ref ? resolveSchema(openApi.components.schemas[schema.$ref.split('/').pop()]) : schema;
+
+// Call every JSON operation on the mock node with the required parameters' examples. submit-transaction
+// needs a signed transaction (see mock-node.test.js) and uploads are multipart, so they are left out.
+async function callOperations() {
+  const calls = [];
+  for (const [route, item] of Object.entries(openApi.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      const content = operation.requestBody?.content;
+      if (route === '/api/v0/submit-transaction' || (content && !content['application/json'])) continue;
+      const url = (operation.parameters ?? []).filter(parameter => parameter.in === 'path')
+        .reduce((url, parameter) => url.replace(`{${parameter.name}}`, encodeURIComponent(parameter.schema.examples[0])), route);
+      const schema = content && resolveSchema(content['application/json'].schema);
+      const body = schema && Object.fromEntries((schema.required ?? []).map(name => [name, schema.properties[name].examples[0]]));
+      const response = await fetch(`${nodeURL}${url}`, {
+        method: method.toUpperCase(),
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      calls.push({ route, method, body, status: response.status, data: await response.json() });
+    }
+  }
+  return calls;
+}
+
+test('the OpenAPI document is complete and every reference resolves', async () => {
+  assert.equal(openApi.openapi, '3.1.0');
+  const references = JSON.stringify(openApi).match(/"\$ref":"[^"]+"/g).map(match => match.slice(8, -1));
+  for (const reference of new Set(references)) {
+    assert.match(reference, /^#\/components\/schemas\//);
+    assert.ok(openApi.components.schemas[reference.split('/').pop()], `${reference} is not defined`);
+  }
+
+  const operations = Object.values(openApi.paths).flatMap(item => Object.values(item));
+  assert.equal(new Set(operations.map(operation => operation.operationId)).size, operations.length);
+  for (const operation of operations) {
+    assert.ok(operation.responses['200'] && operation.responses.default, operation.operationId);
+  }
+  const follow = resolveSchema(openApi.paths['/api/v0/create-follow-txn-stateless'].post.requestBody.content['application/json'].schema);
+  assert.deepEqual(follow.required, ['FollowerPublicKeyBase58Check', 'FollowedPublicKeyBase58Check', 'IsUnfollow', 'MinFeeRateNanosPerKB']);
+  assert.ok(follow.properties.TransactionFees);
+  assert.match(await exportApi({ format: 'openapi', category: 'social' }), /\*\*Operations:\*\* \d+ across 1 tag\n/);
+});
+
+test('the OpenAPI response schemas describe what the node returns', async () => {
+  const ajv = new Ajv2020({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addSchema(openApi, 'openapi.json');
+  const calls = await callOperations();
+  assert.ok(calls.length > 70);
+  for (const { route, method, status, data } of calls) {
+    assert.equal(status, 200, `${method} ${route}: ${JSON.stringify(data)}`);
+    const pointer = `/paths/${route.replace(/~/g, '~0').replace(/\//g, '~1')}/${method}/responses/200/content/application~1json/schema`;
+    const validate = ajv.getSchema(`openapi.json#${pointer}`);
+    assert.ok(validate(data), `${method} ${route}: ${ajv.errorsText(validate.errors)}`);
+  }
+});
+
+test('the TypeScript definitions compile and type the node\'s requests and responses', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deso-export-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const endpoints = Object.fromEntries([...definitions.matchAll(/^ {2}'([\w-]+)': \{ method: '(GET|POST)'; path: '([^']+)';/gm)]
+    .map(([, endpoint, method, route]) => [`${method.toLowerCase()} ${route}`, endpoint]));
+
+  const calls = await callOperations();
+  const consumers = {
+    // Literal requests and responses get excess property checks, so fields missing from the types fail too
+    responses: calls.flatMap(({ route, method, body, data }, index) => {
+      const endpoint = endpoints[`${method} ${route}`];
+      assert.ok(endpoint, `${method} ${route} is not in DeSoEndpoints`);
+      return [
+        ...(body ? [`const request${index}: T.DeSoEndpoints['${endpoint}']['request'] = ${JSON.stringify(body)};`] : []),
+        `const response${index}: T.DeSoEndpoints['${endpoint}']['response'] = ${JSON.stringify(data)};`
+      ];
+    }).join('\n'),
+    wrapper: [
+      `declare function call<E extends keyof T.DeSoEndpoints>(endpoint: E, request: T.DeSoEndpoints[E]['request']): Promise<T.DeSoEndpoints[E]['response']>;`,
+      `const response = await call('create-follow-txn-stateless', { FollowerPublicKeyBase58Check: 'a', FollowedPublicKeyBase58Check: 'b', IsUnfollow: false, MinFeeRateNanosPerKB: 1000 });`,
+      `const hex: string = response.TransactionHex;`
+    ].join('\n'),
+    // Each of these must be rejected
+    missingRequired: `const request: T.CreateFollowTxnStatelessRequest = { FollowerPublicKeyBase58Check: 'a', FollowedPublicKeyBase58Check: 'b', MinFeeRateNanosPerKB: 1000 };`,
+    wrongType: `const request: Partial<T.CreateFollowTxnStatelessRequest> = { IsUnfollow: 'no' };`,
+    unknownEndpoint: `declare const endpoints: T.DeSoEndpoints;\nendpoints['create-follow'];`
+  };
+
+  await fs.writeFile(path.join(directory, 'deso-api.d.ts'), definitions);
+  for (const [name, source] of Object.entries(consumers)) {
+    await fs.writeFile(path.join(directory, `${name}.ts`), `import type * as T from './deso-api';\n${source}\nexport {};\n`);
+  }
+  const program = ts.createProgram([path.join(directory, 'deso-api.d.ts'), ...Object.keys(consumers).map(name => path.join(directory, `${name}.ts`))], {
+    strict: true, noEmit: true, target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler
+  });
+  const errors = {};
+  for (const diagnostic of ts.getPreEmitDiagnostics(program)) {
+    const name = diagnostic.file ? path.basename(diagnostic.file.fileName).replace(/\.d?\.?ts$/, '') : 'global';
+    (errors[name] ??= []).push(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+  }
+
+  for (const name of ['deso-api', 'responses', 'wrapper', 'global']) {
+    assert.equal(errors[name], undefined, `${name}: ${JSON.stringify(errors[name]?.slice(0, 5))}`);
+  }
+  for (const name of ['missingRequired', 'wrongType', 'unknownEndpoint']) {
+    assert.ok(errors[name]?.length > 0, `${name} should not type-check`);
+  }
+});
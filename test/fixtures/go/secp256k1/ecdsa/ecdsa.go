@@ -0,0 +1,47 @@
+// Package ecdsa stands in for dcrd's secp256k1/v4/ecdsa: Sign(key, hash).Serialize() returns a low-S DER signature.
+package ecdsa
+
+import (
+	"crypto/rand"
+	"math/big"
+
+	"github.com/decred/dcrd/dcrec/secp256k1/v4"
+)
+
+type Signature struct {
+	r, s *big.Int
+}
+
+func Sign(key *secp256k1.PrivateKey, hash []byte) *Signature {
+	z := new(big.Int).SetBytes(hash)
+	for {
+		k, err := rand.Int(rand.Reader, new(big.Int).Sub(secp256k1.N, big.NewInt(1)))
+		if err != nil {
+			panic(err)
+		}
+		k.Add(k, big.NewInt(1))
+		r := new(big.Int).Mod(secp256k1.ScalarBaseMult(k).X, secp256k1.N)
+		s := new(big.Int).Mul(r, key.D)
+		s.Add(s, z).Mul(s, new(big.Int).ModInverse(k, secp256k1.N)).Mod(s, secp256k1.N)
+		if r.Sign() == 0 || s.Sign() == 0 {
+			continue
+		}
+		if s.Cmp(new(big.Int).Rsh(secp256k1.N, 1)) > 0 {
+			s.Sub(secp256k1.N, s)
+		}
+		return &Signature{r: r, s: s}
+	}
+}
+
+func derInteger(value *big.Int) []byte {
+	encoded := value.Bytes()
+	if encoded[0]&0x80 != 0 {
+		encoded = append([]byte{0}, encoded...)
+	}
+	return append([]byte{0x02, byte(len(encoded))}, encoded...)
+}
+
+func (signature *Signature) Serialize() []byte {
+	body := append(derInteger(signature.r), derInteger(signature.s)...)
+	return append([]byte{0x30, byte(len(body))}, body...)
+}
@@ -0,0 +1,60 @@
+"""Stand-in for the parts of coincurve the generated signers use: PrivateKey(secret).sign(digest, hasher=None).
+
+Plain secp256k1 ECDSA so the generated code runs without the compiled library; not constant time.
+"""
+import secrets
+
+P = 2**256 - 2**32 - 977
+N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141
+G = (0x79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798,
+     0x483ADA7726A3C4655DA4FBFC0E1108A8FD17B448A68554199C47D08FFB10D4B8)
+
+
+def _add(a, b):
+    if a is None:
+        return b
+    if b is None:
+        return a
+    if a[0] == b[0] and (a[1] + b[1]) % P == 0:
+        return None
+    if a == b:
+        slope = 3 * a[0] * a[0] * pow(2 * a[1], -1, P)
+    else:
+        slope = (b[1] - a[1]) * pow(b[0] - a[0], -1, P)
+    x = (slope * slope - a[0] - b[0]) % P
+    return x, (slope * (a[0] - x) - a[1]) % P
+
+
+def _multiply(k, point):
+    result = None
+    while k:
+        if k & 1:
+            result = _add(result, point)
+        point = _add(point, point)
+        k >>= 1
+    return result
+
+
+def _der_integer(value):
+    encoded = value.to_bytes(32, "big").lstrip(b"\x00")
+    if encoded[0] & 0x80:
+        encoded = b"\x00" + encoded
+    return bytes([0x02, len(encoded)]) + encoded
+
+
+class PrivateKey:
+    def __init__(self, secret):
+        self._d = int.from_bytes(secret, "big")
+
+    def sign(self, message, hasher=None):
+        assert hasher is None and len(message) == 32, "the signers pass a precomputed 32-byte digest"
+        z = int.from_bytes(message, "big")
+        while True:
+            k = secrets.randbelow(N - 1) + 1
+            r = _multiply(k, G)[0] % N
+            s = pow(k, -1, N) * (z + r * self._d) % N
+            if r and s:
+                break
+        s = min(s, N - s)
+        body = _der_integer(r) + _der_integer(s)
+        return bytes([0x30, len(body)]) + body
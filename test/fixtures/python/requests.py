@@ -0,0 +1,37 @@
+"""Stand-in for the parts of requests the generated clients use, over urllib."""
+import json as _json
+import urllib.error
+import urllib.request
+
+
+class RequestException(Exception):
+    pass
+
+
+class Response:
+    def __init__(self, status_code, body):
+        self.status_code = status_code
+        self.ok = status_code < 400
+        self.text = body.decode("utf-8")
+
+    def json(self):
+        return _json.loads(self.text)
+
+
+def _send(request, timeout):
+    try:
+        with urllib.request.urlopen(request, timeout=timeout) as response:
+            return Response(response.status, response.read())
+    except urllib.error.HTTPError as error:
+        return Response(error.code, error.read())
+    except urllib.error.URLError as error:
+        raise RequestException(str(error)) from error
+
+
+def post(url, json=None, timeout=None):
+    body = _json.dumps(json).encode("utf-8")
+    return _send(urllib.request.Request(url, data=body, headers={"Content-Type": "application/json"}, method="POST"), timeout)
+
+
+def get(url, timeout=None):
+    return _send(urllib.request.Request(url, method="GET"), timeout)
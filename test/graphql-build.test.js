@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApiCatalog, callTool, startMockGraphQLServer } from '../deso-mcp.js';
+
+let httpServer;
+let endpoint;
+
+before(async () => {
+  await initApiCatalog();
+  httpServer = await startMockGraphQLServer(0);
+  endpoint = `http://127.0.0.1:${httpServer.address().port}/graphql`;
+});
+
+after(() => httpServer.close());
+
+async function build(question, args = {}) {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'build', question, ...args } } });
+  const text = result.content[0].text;
+  return {
+    text,
+    query: text.match(/```graphql\n([\s\S]*?)\n```/)?.[1],
+    variables: JSON.parse(text.match(/## Variables\n\n```json\n([\s\S]*?)\n```/)?.[1] ?? 'null'),
+    entity: text.match(/^- \*\*Entity:\*\* .*\(`(\w+)`/m)?.[1],
+    user: text.match(/^- \*\*User:\*\* (.*)$/m)?.[1]
+  };
+}
+
+async function run(query, variables) {
+  const response = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ query, variables }) });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a question that names no data type is not answered with a guessed profile', async () => {
+  const { text, query } = await build('what is the meaning of life');
+  assert.match(text, /^# ❌ Can't Answer: "what is the meaning of life"/);
+  assert.equal(query, undefined);
+  assert.match(text, /For the profile of "life", write `@life` or pass `username`/);
+});
+
+test('a user named explicitly with no data type gets their profile', async () => {
+  for (const [question, args] of [['tell me about @alice', {}], ['what do you know', { username: 'alice' }]]) {
+    const { entity, user, query, variables } = await build(question, args);
+    assert.equal(entity, 'Account', question);
+    assert.equal(user, '@alice as account');
+    assert.equal(variables.first, 1);
+    const { status, body } = await run(query, variables);
+    assert.equal(status, 200, JSON.stringify(body.errors));
+    assert.equal(body.data.accounts.nodes[0].username, 'alice');
+  }
+});
+
+test('count rankings fetch a full page in time order and sort client-side', async () => {
+  const { text, query, variables, entity, user } = await build('top 5 posts by diamonds from alice last week');
+  assert.equal(entity, 'Post');
+  assert.equal(user, '@alice as author (`poster`)');
+  assert.match(text, /\*\*Ranking:\*\* by `diamonds \{ totalCount \}`, sorted in your code/);
+  assert.match(text, /\*\*Limit:\*\* 5 after sorting \(fetches 100\)/);
+  assert.match(query, /timestamp: \{ greaterThanOrEqualTo: "\d{4}-\d{2}-\d{2}T[\d:.]+Z" \}/);
+  assert.match(query, /orderBy: \[TIMESTAMP_DESC\]/);
+  assert.deepEqual(variables, { username: 'alice', first: 100 });
+  assert.match(text, /\.sort\(\(a, b\) => b\.diamonds\.totalCount - a\.diamonds\.totalCount\)\n {2}\.slice\(0, 5\)/);
+  assert.equal((await run(query, variables)).status, 200);
+});
+
+test('"how many" asks for totalCount only', async () => {
+  const { text, query, variables, entity, user } = await build('how many followers does alice have?');
+  assert.equal(entity, 'Follow');
+  assert.equal(user, '@alice as followed account (`followee`)');
+  assert.match(text, /\*\*Result:\*\* a count/);
+  assert.doesNotMatch(query, /nodes|first/);
+  const { status, body } = await run(query, variables);
+  assert.equal(status, 200, JSON.stringify(body.errors));
+  assert.equal(typeof body.data.follows.totalCount, 'number');
+});
+
+test('column rankings map onto orderBy and the limit', async () => {
+  const { query, variables, entity } = await build('top 3 validators by stake');
+  assert.equal(entity, 'ValidatorEntry');
+  assert.match(query, /orderBy: \[TOTAL_STAKE_AMOUNT_NANOS_DESC\]/);
+  assert.deepEqual(variables, { first: 3 });
+  assert.equal((await run(query, variables)).status, 200);
+});
+
+test('parts of a question the schema cannot express become caveats or a refusal', async () => {
+  const noTimestamp = await build('validators staked last week');
+  assert.match(noTimestamp.text, /`ValidatorEntry` has no timestamp in the schema, so "last week" cannot be applied/);
+  assert.doesNotMatch(noTimestamp.query, /last week|greaterThan/);
+
+  const capped = await build('500 posts from alice');
+  assert.equal(capped.variables.first, 100);
+  assert.match(capped.text, /Pages are capped at 100 rows/);
+
+  const trending = await build('trending posts');
+  assert.match(trending.text, /^# ❌ Can't Answer/);
+  assert.match(trending.text, /There is no trending score in the schema/);
+});
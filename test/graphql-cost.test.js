@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApiCatalog, callTool, startMockGraphQLServer } from '../deso-mcp.js';
+
+let httpServer;
+let endpoint;
+
+before(async () => {
+  await initApiCatalog();
+  httpServer = await startMockGraphQLServer(0);
+  endpoint = `http://127.0.0.1:${httpServer.address().port}/graphql`;
+});
+
+after(() => httpServer.close());
+
+async function helper(action, customQuery, variables) {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action, customQuery, variables } } });
+  return result.content[0].text;
+}
+
+function measures(text) {
+  return Object.fromEntries([...text.matchAll(/^\| (Cost score|Depth|Connection nesting|Connection requests|Rows returned, at most) \| (.*) \|$/gm)]
+    .map(([, measure, value]) => [measure, value]));
+}
+
+function connections(text) {
+  return [...text.matchAll(/^\| `([\w.]+)` \| ([^|]+) \| ([\d,]+) \| ([\d,]+) \|$/gm)]
+    .map(([, path, pageSize, runs, rows]) => ({ path, pageSize, runs: Number(runs.replace(/,/g, '')), rows: Number(rows.replace(/,/g, '')) }));
+}
+
+function rewrites(text) {
+  return [...text.matchAll(/### Suggested Rewrite: (.*)\n\n.*Cost score [\d,]+ → \*\*([\d,]+)\*\*.*\n\n```graphql\n([\s\S]*?)\n```/g)]
+    .map(([, name, score, query]) => ({ name, score, query }));
+}
+
+const UNBOUNDED = 'query { accounts { nodes { username followers { nodes { follower { posts { nodes { body } } } } } } } }';
+
+test('unbounded nested connections multiply and are flagged', async () => {
+  const text = await helper('analyze', UNBOUNDED);
+  const rows = connections(text);
+  assert.deepEqual(rows, [
+    { path: 'accounts', pageSize: 'unbounded (100 assumed)', runs: 1, rows: 100 },
+    { path: 'accounts.nodes.followers', pageSize: 'unbounded (100 assumed)', runs: 100, rows: 10000 },
+    { path: 'accounts.nodes.followers.nodes.follower.posts', pageSize: 'unbounded (100 assumed)', runs: 10000, rows: 1000000 }
+  ]);
+
+  // The score adds up the requests and the rows of every connection
+  const requests = rows.reduce((sum, row) => sum + row.runs, 0);
+  const returned = rows.reduce((sum, row) => sum + row.rows, 0);
+  assert.deepEqual(measures(text), {
+    'Cost score': `**${(requests + returned).toLocaleString('en-US')}** (very high)`,
+    Depth: '8 levels',
+    'Connection nesting': '3',
+    'Connection requests': requests.toLocaleString('en-US'),
+    'Rows returned, at most': returned.toLocaleString('en-US')
+  });
+  assert.equal(text.match(/has no `first` or `last`/g).length, 3);
+  assert.equal(text.match(/runs once for each of up to/g).length, 2);
+});
+
+test('page sizes come from arguments, variables and variable defaults', async () => {
+  const query = 'query Q($n: Int = 50) { posts(last: 10) { nodes { postHash likes(first: $n) { totalCount nodes { account { username } } } } } }';
+  assert.deepEqual(connections(await helper('analyze', query)).map(({ path, runs, rows }) => ({ path, runs, rows })), [
+    { path: 'posts', runs: 1, rows: 10 },
+    { path: 'posts.nodes.likes', runs: 10, rows: 500 }
+  ]);
+  const withVariables = await helper('analyze', query, '{"n": 3}');
+  assert.deepEqual(connections(withVariables).map(({ rows }) => rows), [10, 30]);
+  assert.match(measures(withVariables)['Cost score'], /^\*\*51\*\* \(low\)$/);
+});
+
+test('a bounded query scores low with no warnings', async () => {
+  const text = await helper('analyze', 'query { accounts(first: 5) { nodes { username } } }');
+  assert.equal(measures(text)['Cost score'], '**6** (low)');
+  assert.doesNotMatch(text, /⚠️/);
+});
+
+test('suggested rewrites are valid, score what they claim and run', async () => {
+  const suggestions = rewrites(await helper('analyze', UNBOUNDED));
+  assert.deepEqual(suggestions.map(suggestion => suggestion.name), ['Paginated', 'Counts only for nested connections']);
+
+  for (const { name, score, query } of suggestions) {
+    assert.match(await helper('validate', query), /✅ Valid/, name);
+    assert.equal(measures(await helper('analyze', query))['Cost score'].match(/\*\*([\d,]+)\*\*/)[1], score, name);
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables: { after: null } })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, `${name}: ${JSON.stringify(body.errors)}`);
+    assert.ok(body.data.accounts.nodes.length > 0, name);
+  }
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import ts from 'typescript';
+import { initApiCatalog, callTool, startMockGraphQLServer } from '../deso-mcp.js';
+
+let httpServer;
+let endpoint;
+
+before(async () => {
+  await initApiCatalog();
+  httpServer = await startMockGraphQLServer(0);
+  endpoint = `http://127.0.0.1:${httpServer.address().port}/graphql`;
+});
+
+after(() => httpServer.close());
+
+async function paginate(args) {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'paginate', ...args } } });
+  return result.content[0].text;
+}
+
+async function request(query) {
+  const response = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ query }) });
+  return (await response.json()).data;
+}
+
+// Save the generated pagination module pointed at the mock server and import it
+async function loadPaginationModule(t, text) {
+  const source = text.match(/## Pagination Loop: `\w+\.js`\n\n```javascript\n([\s\S]*?)\n```/)[1]
+    .replace("const DESO_GRAPHQL_URL = 'https://graphql.deso.com/graphql';", `const DESO_GRAPHQL_URL = '${endpoint}';`);
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deso-paginate-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'pagination.mjs');
+  await fs.writeFile(file, source);
+  return import(pathToFileURL(file).href);
+}
+
+test('the generated loop reads every row of a root connection, page by page', async (t) => {
+  const text = await paginate({ connection: 'posts', pageSize: 5, maxPages: 10 });
+  const { fetchAllPosts, fetchPostsPage } = await loadPaginationModule(t, text);
+  const { posts } = await request('{ posts { totalCount nodes { postHash } } }');
+  assert.ok(posts.totalCount > 5);
+
+  const all = await fetchAllPosts({ pageSize: 5, maxPages: 10 });
+  assert.equal(all.hasNextPage, false);
+  assert.deepEqual(all.nodes.map(node => node.postHash), posts.nodes.map(node => node.postHash));
+
+  const first = await fetchPostsPage({ first: 5, after: null });
+  assert.equal(first.nodes.length, 5);
+  assert.equal(first.pageInfo.hasNextPage, true);
+});
+
+test('a run stops at the page budget and resumes from its endCursor', async (t) => {
+  const { fetchAllPosts } = await loadPaginationModule(t, await paginate({ connection: 'posts', pageSize: 5, maxPages: 2 }));
+  const { posts } = await request('{ posts(orderBy: [TIMESTAMP_DESC]) { nodes { postHash } } }');
+
+  const start = await fetchAllPosts({ orderBy: ['TIMESTAMP_DESC'] });
+  assert.equal(start.nodes.length, 10);
+  assert.equal(start.hasNextPage, true);
+
+  const rest = await fetchAllPosts({ orderBy: ['TIMESTAMP_DESC'], maxPages: 10, after: start.endCursor });
+  assert.equal(rest.hasNextPage, false);
+  assert.deepEqual([...start.nodes, ...rest.nodes].map(node => node.postHash), posts.nodes.map(node => node.postHash));
+});
+
+test('nested connections page under their parent and an unknown parent has no rows', async (t) => {
+  const text = await paginate({ connection: 'Account.followers', username: 'alice', pageSize: 1, maxPages: 5 });
+  assert.match(text, /✅ Validated against the bundled schema/);
+  const { fetchAllAccountFollowers } = await loadPaginationModule(t, text);
+  const { accountByUsername } = await request('{ accountByUsername(username: "alice") { followers { nodes { id } } } }');
+  assert.ok(accountByUsername.followers.nodes.length > 1);
+
+  const all = await fetchAllAccountFollowers({ username: 'alice' });
+  assert.deepEqual(all.nodes.map(node => node.id), accountByUsername.followers.nodes.map(node => node.id));
+  assert.deepEqual(await fetchAllAccountFollowers({ username: 'nobody_here' }), { nodes: [], hasNextPage: false, endCursor: null });
+});
+
+test('invalid variables surface as errors from the loop', async (t) => {
+  const { fetchAllPosts } = await loadPaginationModule(t, await paginate({ connection: 'posts' }));
+  await assert.rejects(fetchAllPosts({ orderBy: ['NEWEST_FIRST'] }), /Variable "\$orderBy" got invalid value/);
+});
+
+test('the React hook module parses', async () => {
+  const text = await paginate({ connection: 'Account.followers', username: 'alice' });
+  for (const source of [...text.matchAll(/```jsx\n([\s\S]*?)\n```/g)].map(match => match[1])) {
+    const { diagnostics } = ts.transpileModule(source, { reportDiagnostics: true, compilerOptions: { jsx: ts.JsxEmit.Preserve } });
+    assert.deepEqual(diagnostics.map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')), []);
+  }
+});
+
+test('page sizes and budgets below one are rejected and large pages are lowered with a note', async () => {
+  for (const [args, expected] of [
+    [{ pageSize: 0 }, /^# ❌ Invalid Page Size: 0\n\n`pageSize` is the number of rows per page: a whole number from 1 to 100/],
+    [{ pageSize: -5 }, /^# ❌ Invalid Page Size: -5/],
+    [{ pageSize: 2.5 }, /^# ❌ Invalid Page Size: 2\.5/],
+    [{ maxPages: -1 }, /^# ❌ Invalid Page Budget: -1\n\n`maxPages` is the most pages one run may read: a whole number of at least 1/],
+    [{ maxPages: 0 }, /^# ❌ Invalid Page Budget: 0/]
+  ]) {
+    const text = await paginate({ connection: 'posts', ...args });
+    assert.match(text, expected, JSON.stringify(args));
+    assert.doesNotMatch(text, /```javascript/);
+  }
+
+  const lowered = await paginate({ connection: 'posts', pageSize: 500, maxPages: 1 });
+  assert.match(lowered, /A page size of 500 was lowered to 100/);
+  assert.match(lowered, /pageSize = 100, maxPages = 1/);
+});
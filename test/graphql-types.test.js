@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ts from 'typescript';
+import { initApiCatalog, callTool, startMockGraphQLServer } from '../deso-mcp.js';
+
+let httpServer;
+let endpoint;
+
+before(async () => {
+  await initApiCatalog();
+  httpServer = await startMockGraphQLServer(0);
+  endpoint = `http://127.0.0.1:${httpServer.address().port}/graphql`;
+});
+
+after(() => httpServer.close());
+
+const QUERY = `query PostPage($username: String!, $first: Int, $withBody: Boolean!) {
+  accountByUsername(username: $username) {
+    publicKey
+    username
+    posts(first: $first, orderBy: [TIMESTAMP_DESC]) {
+      totalCount
+      nodes { postHash body @include(if: $withBody) timestamp copies: numNftCopies extraData imageUrls poster { username } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+}`;
+
+async function generateTypes(customQuery) {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'types', customQuery } } });
+  return result.content[0].text.match(/```typescript\n([\s\S]*?)\n```/)[1];
+}
+
+// Type-check the generated module with every consumer file in one strict program; returns each file's errors
+async function typeCheck(t, types, consumers) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deso-types-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  await fs.writeFile(path.join(directory, 'types.ts'), types);
+  for (const [name, source] of Object.entries(consumers)) {
+    await fs.writeFile(path.join(directory, `${name}.ts`), `import type * as T from './types';\n${source}\n`);
+  }
+
+  const program = ts.createProgram([path.join(directory, 'types.ts'), ...Object.keys(consumers).map(name => path.join(directory, `${name}.ts`))], {
+    strict: true, noEmit: true, target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler
+  });
+  const errors = {};
+  for (const diagnostic of ts.getPreEmitDiagnostics(program)) {
+    const name = diagnostic.file ? path.basename(diagnostic.file.fileName, '.ts') : 'global';
+    (errors[name] ??= []).push(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+  }
+  return errors;
+}
+
+test('the generated types compile and describe what the server returns', async (t) => {
+  const types = await generateTypes(QUERY);
+  const variables = { username: 'alice', first: 2, withBody: true };
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: QUERY, variables })
+  });
+  const { data, errors } = await response.json();
+  assert.equal(errors, undefined, JSON.stringify(errors));
+  assert.ok(data.accountByUsername.posts.nodes.length > 0);
+
+  const errorsByFile = await typeCheck(t, types, {
+    response: [
+      `const variables: T.PostPageQueryVariables = ${JSON.stringify(variables)};`,
+      `const data: T.PostPageQuery = ${JSON.stringify(data)};`,
+      `const row: T.PostPageAccountByUsernamePostsNode = data.accountByUsername!.posts.nodes[0]!;`,
+      `const height: bigint | null = row.copies === null ? null : BigInt(row.copies);`,
+      `const body: string | null | undefined = row.body;`
+    ].join('\n'),
+    // Each of these must be rejected
+    bigIntAsNumber: `const row: Partial<T.PostPageAccountByUsernamePostsNode> = { copies: 5 };`,
+    datetimeAsDate: `const row: Partial<T.PostPageAccountByUsernamePostsNode> = { timestamp: new Date() };`,
+    nullableNotChecked: `declare const data: T.PostPageQuery;\nconst username: string = data.accountByUsername.username;`,
+    missingVariable: `const variables: T.PostPageQueryVariables = { first: 2, withBody: false };`,
+    unselectedField: `declare const row: T.PostPageAccountByUsernamePostsNode;\nrow.isHidden;`
+  });
+
+  assert.equal(errorsByFile.types, undefined, JSON.stringify(errorsByFile.types));
+  assert.equal(errorsByFile.response, undefined, JSON.stringify(errorsByFile.response));
+  for (const name of ['bigIntAsNumber', 'datetimeAsDate', 'nullableNotChecked', 'missingVariable', 'unselectedField']) {
+    assert.ok(errorsByFile[name]?.length > 0, `${name} should not type-check`);
+  }
+});
+
+test('union and interface selections become discriminated unions', async (t) => {
+  const types = await generateTypes('query Lookup { node(id: "1") { __typename id ... on Account { username } ... on Post { postHash } } }');
+  const errorsByFile = await typeCheck(t, types, {
+    narrowing: [
+      `declare const data: T.LookupQuery;`,
+      `if (data.node?.__typename === 'Account') { const username: string | null = data.node.username; }`,
+      `if (data.node?.__typename === 'Post') { const postHash: string = data.node.postHash; }`
+    ].join('\n'),
+    notNarrowed: `declare const data: T.LookupQuery;\nconst username = data.node!.username;`
+  });
+  assert.equal(errorsByFile.types, undefined, JSON.stringify(errorsByFile.types));
+  assert.equal(errorsByFile.narrowing, undefined, JSON.stringify(errorsByFile.narrowing));
+  assert.ok(errorsByFile.notNarrowed?.length > 0);
+});
+
+test('queries that do not match the schema get no types', async () => {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'types', customQuery: 'query { accounts { nodes { usrname } } }' } } });
+  assert.match(result.content[0].text, /❌ The query does not match the schema/);
+  assert.doesNotMatch(result.content[0].text, /```typescript/);
+});
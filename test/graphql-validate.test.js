@@ -0,0 +1,86 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildSchema, parse, validate } from 'graphql';
+import { initApiCatalog, callTool } from '../deso-mcp.js';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'repos', 'graphql', 'schema.graphql');
+
+let referenceSchema;
+
+before(async () => {
+  await initApiCatalog();
+  referenceSchema = buildSchema(await fs.readFile(SCHEMA_PATH, 'utf-8'));
+});
+
+async function validateQuery(customQuery, variables) {
+  const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'validate', customQuery, variables } } });
+  return result.content[0].text;
+}
+
+// "1. **Line 2, column 5:** message" entries of the validate report
+function reportedProblems(text) {
+  return [...text.matchAll(/^\d+\. \*\*Line (\d+), column (\d+):\*\* (.*)$/gm)].map(([, line, column, message]) => ({ message, line: Number(line), column: Number(column) }));
+}
+
+function referenceProblems(query) {
+  return validate(referenceSchema, parse(query))
+    .map(error => ({ message: error.message, line: error.locations[0].line, column: error.locations[0].column }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+const CASES = {
+  'misspelled argument and field': 'query { accounts(frist: 5) { nodes { usrname } } }',
+  'invalid enum value': 'query { posts(first: 5, orderBy: [TIMESTAMP_DSC]) { nodes { postHash } } }',
+  'wrong argument type': 'query { accounts(first: "five") { nodes { username } } }',
+  'unknown input field': 'query { accounts(filter: { usrname: { equalTo: "nader" } }) { nodes { username } } }',
+  'missing subfield selection': 'query { accounts { nodes } }',
+  'undefined and unused variables': 'query Q($unused: Int) { accounts(first: $first) { nodes { username } } }',
+  'variable in the wrong position': 'query Q($first: String) { accounts(first: $first) { nodes { username } } }',
+  'fragment on the wrong type': 'query { accounts { nodes { ...PostFields } } }\nfragment PostFields on Post { postHash }',
+  'conflicting aliases': 'query { accounts { nodes { name: username name: publicKey } } }',
+  'subscription with two root fields': 'subscription { a: __typename b: __typename }',
+  'anonymous operation next to a named one': 'query { __typename }\nquery Named { __typename }',
+  'field on a union or interface': 'query { node(id: "1") { username } }'
+};
+
+for (const [name, query] of Object.entries(CASES)) {
+  test(`validate reports what graphql-js reports: ${name}`, async () => {
+    const expected = referenceProblems(query);
+    assert.ok(expected.length > 0, 'the case should be invalid');
+    assert.deepEqual(reportedProblems(await validateQuery(query)), expected);
+  });
+}
+
+test('a valid query passes', async () => {
+  const query = 'query Q($username: String!, $first: Int = 10) { accountByUsername(username: $username) { posts(first: $first) { nodes { postHash } } } }';
+  assert.deepEqual(referenceProblems(query), []);
+  assert.match(await validateQuery(query), /\*\*Result:\*\* ✅ Valid against the bundled schema/);
+});
+
+test('variable values are checked for presence and type', async () => {
+  const query = 'query Q($username: String!, $first: Int) { accountByUsername(username: $username) { posts(first: $first) { nodes { postHash } } } }';
+  const problems = reportedProblems(await validateQuery(query, '{"first": "ten"}'));
+  assert.deepEqual(problems.map(problem => problem.message), [
+    'Variable "$username" of required type "String!" was not provided.',
+    'Variable "$first" got invalid value "ten"; Int cannot represent non-integer value: "ten"'
+  ]);
+});
+
+test('PostGraphile scalars only accept the strings the API takes', async () => {
+  const literal = reportedProblems(await validateQuery('query { posts(filter: { timestamp: { greaterThan: 5 } }) { nodes { postHash } } }'));
+  assert.deepEqual(literal.map(problem => problem.message), ['Expected value of type "Datetime", found 5.']);
+
+  const variable = reportedProblems(await validateQuery('query Q($height: BigInt) { blocks(condition: { height: $height }) { nodes { height } } }', '{"height": "12x"}'));
+  assert.deepEqual(variable.map(problem => problem.message), ['Variable "$height" got invalid value "12x"; Expected type "BigInt".']);
+
+  assert.match(await validateQuery('query Q($height: BigInt) { blocks(condition: { height: $height }) { nodes { height } } }', '{"height": "400000"}'), /✅ Valid/);
+});
+
+test('syntax errors carry their position', async () => {
+  const text = await validateQuery('query { accounts(first: 1 { nodes { username } } }');
+  assert.match(text, /❌ Syntax error/);
+  assert.deepEqual(reportedProblems(text).map(({ line, column }) => ({ line, column })), [{ line: 1, column: 27 }]);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApiCatalog, callTool, startMockGraphQLServer } from '../deso-mcp.js';
+
+let httpServer;
+let endpoint;
+
+before(async () => {
+  await initApiCatalog();
+  httpServer = await startMockGraphQLServer(0);
+  endpoint = `http://127.0.0.1:${httpServer.address().port}/graphql`;
+});
+
+after(() => httpServer.close());
+
+async function request(query, variables) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('introspection describes the bundled schema', async () => {
+  const { status, body } = await request(`{
+    __schema { queryType { name } subscriptionType { name } }
+    __type(name: "Diamond") { kind fields { name } }
+  }`);
+  assert.equal(status, 200);
+  assert.equal(body.errors, undefined);
+  assert.equal(body.data.__schema.queryType.name, 'Query');
+  assert.equal(body.data.__type.kind, 'OBJECT');
+  assert.ok(body.data.__type.fields.some(field => field.name === 'reciever'));
+});
+
+test('seeded rows come back with variable defaults applied', async () => {
+  const { status, body } = await request(`query Accounts($first: Int = 2) {
+    accounts(first: $first, orderBy: [USERNAME_ASC]) { totalCount nodes { __typename username } }
+  }`);
+  assert.equal(status, 200, JSON.stringify(body.errors));
+  assert.equal(body.data.accounts.totalCount, 8);
+  assert.deepEqual(body.data.accounts.nodes, [{ __typename: 'Account', username: 'alice' }, { __typename: 'Account', username: 'bob' }]);
+});
+
+test('cursors page through a connection', async () => {
+  const query = `query Page($after: Cursor) {
+    accounts(first: 3, after: $after, orderBy: [USERNAME_ASC]) { nodes { username } pageInfo { hasNextPage endCursor } }
+  }`;
+  const usernames = [];
+  let after = null;
+  for (let page = 0; page < 5; page++) {
+    const { body } = await request(query, { after });
+    usernames.push(...body.data.accounts.nodes.map(node => node.username));
+    if (!body.data.accounts.pageInfo.hasNextPage) break;
+    after = body.data.accounts.pageInfo.endCursor;
+  }
+  assert.deepEqual(usernames, ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace', 'heidi']);
+});
+
+test('invalid queries, variables and mutations are rejected with locations', async () => {
+  const misspelled = await request('{ accounts { nodes { usrname } } }');
+  assert.equal(misspelled.status, 400);
+  assert.deepEqual(misspelled.body.errors, [{
+    message: 'Cannot query field "usrname" on type "Account". Did you mean "username"?',
+    locations: [{ line: 1, column: 22 }]
+  }]);
+
+  const missingVariable = await request('query Q($username: String!) { accountByUsername(username: $username) { publicKey } }', {});
+  assert.equal(missingVariable.status, 400);
+  assert.match(missingVariable.body.errors[0].message, /Variable "\$username" of required type "String!" was not provided/);
+
+  const syntax = await request('{ accounts(first: 1 { nodes { username } } }');
+  assert.equal(syntax.status, 400);
+  assert.match(syntax.body.errors[0].message, /^Syntax Error/);
+
+  const mutation = await request('mutation { refreshDesoSinksBurnAmounts(input: {}) { clientMutationId } }');
+  assert.equal(mutation.status, 400);
+  assert.match(mutation.body.errors[0].message, /Only queries can be executed here/);
+});
+
+test('every query type the helper builds runs unchanged', async () => {
+  // The query types the helper lists when it is asked for one it has no template for
+  const unknown = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'query', queryType: 'unknown' } } });
+  const queryTypes = unknown.content[0].text.match(/Available query types: (.*)/)[1].split(', ');
+  assert.ok(queryTypes.includes('followers'));
+
+  for (const queryType of queryTypes) {
+    const result = await callTool({ params: { name: 'deso_graphql_helper', arguments: { action: 'query', queryType, username: 'alice' } } });
+    const text = result.content[0].text;
+    const query = text.match(/```graphql\n([\s\S]*?)\n```/)[1];
+    const variables = JSON.parse(text.match(/## Variables\n\n```json\n([\s\S]*?)\n```/)?.[1] ?? '{}');
+    const { status, body } = await request(query, variables);
+    assert.equal(status, 200, `${queryType}: ${JSON.stringify(body.errors)}`);
+    assert.equal(body.errors, undefined, `${queryType}: ${JSON.stringify(body.errors)}`);
+  }
+});
+
+test('GET requests take variables as JSON and reject malformed ones', async () => {
+  const get = async (variables) => {
+    const query = 'query Q($first: Int) { accounts(first: $first, orderBy: [USERNAME_ASC]) { nodes { username } } }';
+    const response = await fetch(`${endpoint}?${new URLSearchParams({ query, variables })}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const valid = await get('{"first": 1}');
+  assert.equal(valid.status, 200, JSON.stringify(valid.body.errors));
+  assert.deepEqual(valid.body.data.accounts.nodes, [{ username: 'alice' }]);
+
+  assert.deepEqual(await get('{"first": 1'), { status: 400, body: { errors: [{ message: 'Variables are invalid JSON.' }] } });
+  const notAnObject = await get('[1]');
+  assert.equal(notAnObject.status, 400);
+  assert.match(notAnObject.body.errors[0].message, /Variables must be provided as an object/);
+});
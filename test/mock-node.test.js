@@ -0,0 +1,137 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, generateKeyPairSync, sign } from 'node:crypto';
+import { initApiCatalog, encodeDeSoPublicKey, createMockNodeApp } from '../deso-mcp.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+before(async () => {
+  await initApiCatalog();
+});
+
+function generateAccount() {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  const point = publicKey.export({ format: 'der', type: 'spki' }).subarray(-65);
+  const compressed = Buffer.concat([Buffer.from([point[64] & 1 ? 0x03 : 0x02]), point.subarray(1, 33)]);
+  return { privateKey, publicKey: encodeDeSoPublicKey(compressed, 'mainnet') };
+}
+
+// The mock transaction has an empty signature (one 0x00 length byte) followed by the version 1 fields
+// (version, fee, expiration block height, partial ID), each a single-field uvarint
+function signMockTransaction(transactionHex, privateKey, { desoDer = false } = {}) {
+  const transaction = Buffer.from(transactionHex, 'hex');
+  const signature = sign('sha256', sha256(transaction), privateKey);
+  if (desoDer) signature[0] += 1;
+  let offset = transaction.length;
+  for (let fields = 0; fields < 4; fields++) {
+    offset--;
+    while (offset > 0 && transaction[offset - 1] >= 0x80) offset--;
+  }
+  assert.equal(transaction[offset - 1], 0, 'the unsigned transaction ends with an empty signature');
+  return Buffer.concat([transaction.subarray(0, offset - 1), Buffer.from([signature.length]), signature, transaction.subarray(offset)]).toString('hex');
+}
+
+async function withMockNode(t, apiDetails) {
+  const { app } = createMockNodeApp(apiDetails);
+  const httpServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  t.after(() => httpServer.close());
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  return async (method, route, body) => {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+async function buildSendDeso(request, publicKey) {
+  const { status, body } = await request('POST', '/api/v0/send-deso', {
+    SenderPublicKeyBase58Check: publicKey,
+    RecipientPublicKeyOrUsername: 'mock_recipient',
+    AmountNanos: 1000,
+    MinFeeRateNanosPerKB: 1000
+  });
+  assert.equal(status, 200, body.error);
+  return body.TransactionHex;
+}
+
+test('submit-transaction accepts a transaction signed by the transactor key', async (t) => {
+  const request = await withMockNode(t);
+  const account = generateAccount();
+  const transactionHex = await buildSendDeso(request, account.publicKey);
+
+  const { status, body } = await request('POST', '/api/v0/submit-transaction', {
+    TransactionHex: signMockTransaction(transactionHex, account.privateKey)
+  });
+  assert.equal(status, 200, body.error);
+  assert.match(body.TxnHashHex, /^[0-9a-f]{64}$/);
+});
+
+test('submit-transaction rejects unsigned transactions and signatures from another key', async (t) => {
+  const request = await withMockNode(t);
+  const account = generateAccount();
+  const other = generateAccount();
+  const transactionHex = await buildSendDeso(request, account.publicKey);
+
+  const unsigned = await request('POST', '/api/v0/submit-transaction', { TransactionHex: transactionHex });
+  assert.equal(unsigned.status, 400);
+  assert.match(unsigned.body.error, /not signed/);
+
+  const wrongKey = await request('POST', '/api/v0/submit-transaction', {
+    TransactionHex: signMockTransaction(transactionHex, other.privateKey)
+  });
+  assert.equal(wrongKey.status, 400);
+  assert.match(wrongKey.body.error, /does not match the transactor public key/);
+});
+
+test('a DeSo-DER signature without a DerivedPublicKey entry is checked against the transactor key', async (t) => {
+  const request = await withMockNode(t);
+  const account = generateAccount();
+  const derived = generateAccount();
+  const transactionHex = await buildSendDeso(request, account.publicKey);
+
+  const fromDerivedKey = await request('POST', '/api/v0/submit-transaction', {
+    TransactionHex: signMockTransaction(transactionHex, derived.privateKey, { desoDer: true })
+  });
+  assert.equal(fromDerivedKey.status, 400);
+  assert.match(fromDerivedKey.body.error, /DeSo-DER signature does not match the transactor public key/);
+
+  const fromTransactor = await request('POST', '/api/v0/submit-transaction', {
+    TransactionHex: signMockTransaction(transactionHex, account.privateKey, { desoDer: true })
+  });
+  assert.equal(fromTransactor.status, 200, fromTransactor.body.error);
+});
+
+test('GET path and query values are converted to the parameter types', async (t) => {
+  const request = await withMockNode(t, {
+    Test: {
+      endpoints: {
+        'get-page': {
+          method: 'GET',
+          url: '/api/v0/get-page/{Page}',
+          handler: 'GetPage',
+          params: {
+            required: [{ name: 'Page', type: 'integer', description: 'Page number', constraints: { minimum: 1 } }],
+            optional: [{ name: 'Limit', type: 'integer', description: 'Page size' }, { name: 'Reverse', type: 'boolean', description: 'Newest first' }]
+          },
+          response: { fields: { Found: { type: 'boolean', description: 'Whether the page exists' } } }
+        }
+      }
+    }
+  });
+
+  const valid = await request('GET', '/api/v0/get-page/2?Limit=10&Reverse=true');
+  assert.equal(valid.status, 200, valid.body.error);
+
+  const notAnInteger = await request('GET', '/api/v0/get-page/2?Limit=ten');
+  assert.equal(notAnInteger.status, 400);
+  assert.match(notAnInteger.body.error, /^GetPage: Problem parsing request: request\/Limit must be integer/);
+
+  const belowMinimum = await request('GET', '/api/v0/get-page/0');
+  assert.equal(belowMinimum.status, 400);
+  assert.match(belowMinimum.body.error, /request\/Page must be >= 1/);
+});
@@ -0,0 +1,77 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, generateKeyPairSync } from 'node:crypto';
+import { initApiCatalog, callTool } from '../deso-mcp.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+before(async () => {
+  await initApiCatalog();
+});
+
+async function decodePublicKey(publicKey) {
+  const result = await callTool({ params: { name: 'decode_deso_public_key', arguments: { publicKey } } });
+  return result.content[0].text;
+}
+
+function formats(text) {
+  return Object.fromEntries([...text.matchAll(/^\| ([^|]+?) \| `([^`]+)` \|$/gm)].map(([, format, value]) => [format, value]));
+}
+
+// Uncompressed 04||x||y points from node's own secp256k1, one with an even and one with an odd y
+function generatePoints() {
+  const points = {};
+  while (!points.even || !points.odd) {
+    const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+    const point = publicKey.export({ format: 'der', type: 'spki' }).subarray(-65);
+    points[point[64] & 1 ? 'odd' : 'even'] = point;
+  }
+  return Object.values(points);
+}
+
+function base58Bytes(value) {
+  let number = 0n;
+  for (const char of value) number = number * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  return Buffer.from(number.toString(16).padStart(80, '0'), 'hex');
+}
+
+test('keys convert between every format and back', async () => {
+  for (const point of generatePoints()) {
+    const compressed = Buffer.concat([Buffer.from([0x02 | (point[64] & 1)]), point.subarray(1, 33)]);
+    const fromHex = formats(await decodePublicKey(point.toString('hex')));
+    assert.equal(fromHex['Compressed hex (33 bytes)'], compressed.toString('hex'));
+    assert.equal(fromHex['Uncompressed hex (65 bytes)'], point.toString('hex'));
+
+    for (const [network, prefix, lead] of [['mainnet', 'cd1400', 'BC1YL'], ['testnet', '11c200', 'tBC']]) {
+      const encoded = fromHex[`Base58Check, ${network}`];
+      assert.ok(encoded.startsWith(lead), encoded);
+      const bytes = base58Bytes(encoded);
+      assert.equal(bytes.subarray(0, 36).toString('hex'), prefix + compressed.toString('hex'));
+      assert.deepEqual(bytes.subarray(36), sha256(sha256(bytes.subarray(0, 36))).subarray(0, 4));
+
+      const text = await decodePublicKey(encoded);
+      assert.match(text, new RegExp(`✅ Valid ${network} key, checksum \`${bytes.subarray(36).toString('hex')}\` verified`));
+      assert.deepEqual(formats(text), fromHex);
+    }
+
+    assert.deepEqual(formats(await decodePublicKey(compressed.toString('hex'))), fromHex);
+  }
+});
+
+test('a typo fails the checksum', async () => {
+  const [point] = generatePoints();
+  const encoded = formats(await decodePublicKey(point.toString('hex')))['Base58Check, mainnet'];
+  const typo = encoded.slice(0, 20) + (encoded[20] === 'a' ? 'b' : 'a') + encoded.slice(21);
+  const text = await decodePublicKey(typo);
+  assert.match(text, /^# ❌ Invalid Public Key/);
+  assert.match(text, /\*\*Problem:\*\* checksum mismatch/);
+});
+
+test('points off the curve and usernames are rejected', async () => {
+  const [point] = generatePoints();
+  const offCurve = Buffer.from(point);
+  offCurve[64] ^= 0x02;
+  assert.match(await decodePublicKey(offCurve.toString('hex')), /\*\*Problem:\*\* the point is not on the secp256k1 curve/);
+  assert.match(await decodePublicKey('@nader'), /\*\*Problem:\*\* .* looks like a username/);
+});
@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { initApiCatalog, listTools, callTool, startHttpServer } from '../deso-mcp.js';
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'deso-mcp.js');
+
+let toolNames;
+
+before(async () => {
+  await initApiCatalog();
+  toolNames = (await listTools()).tools.map(tool => tool.name);
+});
+
+async function listAndCall(transport) {
+  const client = new Client({ name: 'deso-mcp-test', version: '1.0.0' });
+  await client.connect(transport);
+  try {
+    const { tools } = await client.listTools();
+    const result = await client.callTool({ name: 'deso_api_explorer', arguments: { endpoint: 'send-diamonds' } });
+    return { tools, text: result.content[0].text };
+  } finally {
+    await client.close();
+  }
+}
+
+test('stdio transport lists every tool and answers tool calls', async () => {
+  const { tools, text } = await listAndCall(new StdioClientTransport({ command: process.execPath, args: [SERVER_PATH], stderr: 'ignore' }));
+  assert.deepEqual(tools.map(tool => tool.name), toolNames);
+  assert.match(text, /send-diamonds/);
+});
+
+test('a stdio server started from another directory still finds the bundled GraphQL schema', async () => {
+  const client = new Client({ name: 'deso-mcp-test', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({ command: process.execPath, args: [SERVER_PATH], cwd: os.tmpdir(), stderr: 'ignore' }));
+  try {
+    const result = await client.callTool({ name: 'deso_graphql_helper', arguments: { action: 'schema', typeName: 'Diamond' } });
+    assert.equal(result.isError, undefined);
+    assert.match(result.content[0].text, /reciever/);
+  } finally {
+    await client.close();
+  }
+});
+
+test('streamable HTTP and SSE transports serve the same tools', async (t) => {
+  const httpServer = await startHttpServer(0);
+  t.after(() => httpServer.close());
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+
+  const health = await (await fetch(`${base}/health`)).json();
+  assert.equal(health.status, 'ok');
+
+  const streamable = await listAndCall(new StreamableHTTPClientTransport(new URL(`${base}/mcp`)));
+  assert.deepEqual(streamable.tools.map(tool => tool.name), toolNames);
+  assert.match(streamable.text, /send-diamonds/);
+
+  const sse = await listAndCall(new SSEClientTransport(new URL(`${base}/sse`)));
+  assert.deepEqual(sse.tools.map(tool => tool.name), toolNames);
+});
+
+test('a request without a session is rejected', async (t) => {
+  const httpServer = await startHttpServer(0);
+  t.after(() => httpServer.close());
+  const response = await fetch(`http://127.0.0.1:${httpServer.address().port}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  });
+  assert.equal(response.status, 400);
+});
+
+test('missing and unknown arguments come back as tool results that name the problem', async () => {
+  const cases = [
+    ['generate_deso_code', { operation: 'follow', language: 'rust' }, /^# ❌ Unknown Language: rust\n\nAvailable: javascript, typescript/],
+    ['generate_deso_code', { language: 'go' }, /^# ❌ Missing Operation/],
+    ['validate_deso_request', {}, /^# ❌ Missing Endpoint/],
+    ['export_deso_api', { format: 'yaml' }, /^# ❌ Unknown Export Format: yaml\n\nAvailable: openapi, typescript/],
+    ['export_deso_api', { format: 'openapi', category: 'nope' }, /^# ❌ Unknown Category: nope\n\nAvailable: all, social/],
+    ['scaffold_deso_app', {}, /^# ❌ Missing Template/],
+    ['scaffold_deso_app', { template: 'node', layout: 'nope' }, /^# ❌ Unknown Layout: nope/],
+    ['scaffold_deso_app', { template: 'node', network: 'regtest' }, /^# ❌ Unknown Network: regtest\n\nAvailable: mainnet, testnet/],
+    ['build_deso_spending_limits', { operations: [] }, /^# ❌ Invalid Spending Limits Request/],
+    ['decode_deso_public_key', { publicKey: ' ' }, /^# ❌ Missing Public Key/],
+    ['decode_deso_transaction', {}, /^# ❌ Missing Transaction Hex/],
+    ['decode_deso_transaction', { transactionHex: '00', network: 'regtest' }, /^# ❌ Unknown Network: regtest\n\nAvailable: mainnet, testnet/]
+  ];
+  for (const [name, args, expected] of cases) {
+    const result = await callTool({ params: { name, arguments: args } });
+    assert.match(result.content[0].text, expected, `${name} ${JSON.stringify(args)}`);
+  }
+  await assert.rejects(callTool({ params: { name: 'deso_unknown_tool', arguments: {} } }), /Unknown DeSo tool: deso_unknown_tool/);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { generateKeyPairSync } from 'node:crypto';
+import { initApiCatalog, callTool, encodeDeSoPublicKey, createMockNodeApp } from '../deso-mcp.js';
+
+// coincurve, requests and dcrd's secp256k1 stand-ins, so the generated code runs without installing them
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const run = promisify(execFile);
+
+let httpServer;
+let nodeURL;
+
+before(async () => {
+  await initApiCatalog();
+  const { app } = createMockNodeApp();
+  httpServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  nodeURL = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(() => httpServer.close());
+
+function generateAccount() {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  const point = publicKey.export({ format: 'der', type: 'spki' }).subarray(-65);
+  const compressed = Buffer.concat([Buffer.from([point[64] & 1 ? 0x03 : 0x02]), point.subarray(1, 33)]);
+  return {
+    DESO_PRIVATE_KEY_HEX: Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex'),
+    DESO_PUBLIC_KEY: encodeDeSoPublicKey(compressed, 'mainnet')
+  };
+}
+
+async function generateProgram(operation, language) {
+  const result = await callTool({ params: { name: 'generate_deso_code', arguments: { operation, language, fullExample: true, nodeUrl: nodeURL } } });
+  return result.content[0].text.match(new RegExp(`\`\`\`${language}\\n([\\s\\S]*?)\\n\`\`\``))[1];
+}
+
+async function temporaryDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deso-signer-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const installed = (command, versionFlag) => spawnSync(command, [versionFlag], { stdio: 'ignore' }).status === 0;
+
+// The mock node's submit-transaction checks the signature against the transactor key, so a submitted
+// transaction means the signer hashed the right bytes and put the signature before the version 1 fields
+for (const operation of ['send-deso', 'follow']) {
+  test(`the generated Python program builds, signs and submits ${operation}`, { skip: !installed('python3', '--version') && 'python3 is not installed' }, async (t) => {
+    const program = await generateProgram(operation, 'python');
+    const directory = await temporaryDirectory(t);
+    await fs.writeFile(path.join(directory, 'program.py'), program);
+
+    const { stdout } = await run('python3', ['program.py'], {
+      cwd: directory,
+      env: { ...process.env, ...generateAccount(), PYTHONPATH: path.join(FIXTURES, 'python'), PYTHONDONTWRITEBYTECODE: '1' },
+      timeout: 60000
+    });
+    assert.match(stdout, /^Transaction submitted: [0-9a-f]{64}$/m);
+  });
+
+  test(`the generated Go program builds, signs and submits ${operation}`, { skip: !installed('go', 'version') && 'go is not installed' }, async (t) => {
+    const program = await generateProgram(operation, 'go');
+    const directory = await temporaryDirectory(t);
+    await fs.writeFile(path.join(directory, 'main.go'), program);
+    await fs.writeFile(path.join(directory, 'go.mod'), [
+      'module desosigner',
+      'go 1.21',
+      'require github.com/decred/dcrd/dcrec/secp256k1/v4 v4.0.0',
+      `replace github.com/decred/dcrd/dcrec/secp256k1/v4 => ${path.join(FIXTURES, 'go', 'secp256k1')}`
+    ].join('\n\n') + '\n');
+
+    const { stdout } = await run('go', ['run', '.'], {
+      cwd: directory,
+      env: { ...process.env, ...generateAccount(), GOFLAGS: '-mod=mod', GOPROXY: 'off', GOTOOLCHAIN: 'local' },
+      timeout: 300000
+    });
+    assert.match(stdout, /^Transaction submitted: [0-9a-f]{64}$/m);
+  });
+}
+
+test('generated JavaScript calls the node given as nodeUrl', async (t) => {
+  const program = await generateProgram('get-single-profile', 'javascript');
+  assert.match(program, new RegExp(`^const NODE_URL = '${nodeURL}';$`, 'm'));
+  const directory = await temporaryDirectory(t);
+  await fs.writeFile(path.join(directory, 'program.mjs'), program);
+
+  const { stdout } = await run(process.execPath, ['program.mjs'], { cwd: directory, timeout: 60000 });
+  assert.match(stdout, /^get-single-profile response: \{/m);
+});
+
+test('deso-js code for another node configures it and a bad nodeUrl is refused', async () => {
+  const generate = async (nodeUrl) => (await callTool({ params: { name: 'generate_deso_code', arguments: { operation: 'follow', language: 'react', nodeUrl } } })).content[0].text;
+  assert.match(await generate('http://localhost:17001/'), /configure\(\{\n {2}appName: 'My DeSo App',\n {2}nodeURI: 'http:\/\/localhost:17001',/);
+  assert.doesNotMatch(await generate(undefined), /configure\(/);
+  assert.match(await generate('localhost:17001?x=1'), /^# ❌ Invalid Node URL: localhost:17001\?x=1/);
+});
@@ -0,0 +1,70 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initApiCatalog, callTool } from '../deso-mcp.js';
+
+const CREATOR = 'BC1YLianxEsskKYNyL959k6b6UPYtRXfZs4MF3GkbWofdoFQzZCkJRB';
+const POST_HASH = 'a'.repeat(64);
+
+before(async () => {
+  await initApiCatalog();
+});
+
+async function buildLimits(args) {
+  const result = await callTool({ params: { name: 'build_deso_spending_limits', arguments: args } });
+  return result.content[0].text;
+}
+
+// Evaluate the spendingLimitOptions literal from the generated configure() call
+async function spendingLimitOptions(args) {
+  const text = await buildLimits(args);
+  const literal = text.match(/spendingLimitOptions: ([\s\S]*?)\n\}\);\n```/)[1];
+  return new Function(`return (${literal});`)();
+}
+
+test('operations map onto the deso-protocol limit maps', async () => {
+  const options = await spendingLimitOptions({
+    operations: ['post', 'nft-bid', 'dao-coin-orders'],
+    desoBudget: 0.5,
+    counts: { post: 20 },
+    daoCoins: [CREATOR],
+    nftPosts: [POST_HASH]
+  });
+  assert.deepEqual(options, {
+    GlobalDESOLimit: 500000000,
+    TransactionCountLimitMap: { SUBMIT_POST: 20 },
+    NFTOperationLimitMap: { [POST_HASH]: { 0: { nft_bid: 10 } } },
+    DAOCoinLimitOrderLimitMap: { [CREATOR]: { DESO: 10 }, DESO: { [CREATOR]: 10 } }
+  });
+});
+
+test('operations that share a transaction type add up their counts', async () => {
+  const options = await spendingLimitOptions({ operations: ['diamonds', 'send-deso'], counts: { diamonds: 5 } });
+  assert.deepEqual(options.TransactionCountLimitMap, { BASIC_TRANSFER: 15 });
+  const unlimited = await spendingLimitOptions({ operations: ['diamonds', 'send-deso'], counts: { diamonds: 'UNLIMITED' } });
+  assert.equal(unlimited.TransactionCountLimitMap.BASIC_TRANSFER, 'UNLIMITED');
+});
+
+test('messaging is scoped to the logged-in user\'s access groups', async () => {
+  const options = await spendingLimitOptions({ operations: ['messaging'], publicKey: CREATOR });
+  assert.deepEqual(options.TransactionCountLimitMap, { NEW_MESSAGE: 'UNLIMITED', AUTHORIZE_DERIVED_KEY: 1 });
+  assert.deepEqual(options.AccessGroupLimitMap, [{
+    AccessGroupOwnerPublicKeyBase58Check: CREATOR, ScopeType: 'Any', AccessGroupKeyName: '', OperationType: 'Any', OpCount: 'UNLIMITED'
+  }]);
+});
+
+test('invalid requests are explained instead of producing limits', async () => {
+  const cases = [
+    [{ operations: ['nft-bids'] }, /Unknown operation: nft-bids\. Did you mean nft-bid/],
+    [{ operations: ['post'], counts: { post: 0 } }, /Invalid count for post: 0\. Use a positive integer or "UNLIMITED"/],
+    [{ operations: ['post'], desoBudget: -1 }, /Invalid desoBudget: -1/],
+    [{ operations: ['creator-coin-trade'], creators: [CREATOR.slice(0, -1) + 'C'] }, /Invalid public key in creators: .*checksum mismatch/],
+    [{ operations: ['nft-bid'], nftPosts: ['abc'] }, /Invalid post hash in nftPosts: abc/],
+    [{ operations: ['dao-coin-orders'] }, /dao-coin-orders needs daoCoins/]
+  ];
+  for (const [args, expected] of cases) {
+    const text = await buildLimits(args);
+    assert.match(text, /^# ❌ Invalid Spending Limits Request\n\n/, JSON.stringify(args));
+    assert.match(text, expected, JSON.stringify(args));
+    assert.doesNotMatch(text, /spendingLimitOptions/);
+  }
+});
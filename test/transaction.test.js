@@ -0,0 +1,126 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, generateKeyPairSync, sign } from 'node:crypto';
+import { initApiCatalog, callTool, encodeDeSoPublicKey, createMockNodeApp } from '../deso-mcp.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+before(async () => {
+  await initApiCatalog();
+});
+
+async function decodeTransaction(transactionHex, network) {
+  const result = await callTool({ params: { name: 'decode_deso_transaction', arguments: { transactionHex, network } } });
+  return result.content[0].text;
+}
+
+function generateAccount() {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  const point = publicKey.export({ format: 'der', type: 'spki' }).subarray(-65);
+  const compressed = Buffer.concat([Buffer.from([point[64] & 1 ? 0x03 : 0x02]), point.subarray(1, 33)]);
+  return { privateKey, compressed };
+}
+
+function uvarint(value) {
+  const bytes = [];
+  for (value = BigInt(value); value >= 0x80n; value >>= 7n) bytes.push(Number(value & 0x7fn) | 0x80);
+  return Buffer.from([...bytes, Number(value)]);
+}
+
+const varBytes = (bytes) => Buffer.concat([uvarint(bytes.length), bytes]);
+
+// A version 1 FOLLOW with one output, serialized field by field; the signature goes between the
+// ExtraData and the version 1 fields
+function buildFollow(transactor, followed, recipient, signature = Buffer.alloc(0)) {
+  const metadata = Buffer.concat([followed, Buffer.from([0])]);
+  const body = Buffer.concat([
+    uvarint(0),
+    uvarint(1), recipient, uvarint(1500000000),
+    uvarint(9), varBytes(metadata),
+    varBytes(transactor),
+    uvarint(1), varBytes(Buffer.from('Note')), varBytes(Buffer.from('hello'))
+  ]);
+  const tail = Buffer.concat([uvarint(1), uvarint(172), uvarint(400288), uvarint(123456789)]);
+  return Buffer.concat([body, varBytes(signature), tail]);
+}
+
+function field(text, name) {
+  return text.match(new RegExp(`^\\*\\*${name}:\\*\\* (.*)$`, 'm'))?.[1];
+}
+
+test('a hand-serialized transaction decodes field by field', async () => {
+  const [transactor, followed, recipient] = [generateAccount(), generateAccount(), generateAccount()];
+  const bytes = buildFollow(transactor.compressed, followed.compressed, recipient.compressed);
+  const text = await decodeTransaction(bytes.toString('hex'), 'testnet');
+
+  assert.equal(field(text, 'Type'), 'FOLLOW (9)');
+  assert.match(field(text, 'Version'), /^1 \(balance model/);
+  assert.equal(field(text, 'Transactor'), `\`${encodeDeSoPublicKey(transactor.compressed, 'testnet')}\``);
+  assert.equal(field(text, 'Fee'), '0.000000172 DESO (172 nanos)');
+  assert.equal(field(text, 'Nonce'), 'expires at block 400288, partial ID 123456789');
+  assert.equal(field(text, 'Size'), `${bytes.length} bytes`);
+  assert.match(field(text, 'Signed'), /^no/);
+  assert.equal(field(text, 'Signing digest'), `\`${sha256(sha256(bytes)).toString('hex')}\` (double SHA-256 of the unsigned bytes)`);
+
+  assert.ok(text.includes(`| \`${encodeDeSoPublicKey(recipient.compressed, 'testnet')}\` | 1.5 DESO (1500000000 nanos) |`));
+  assert.ok(text.includes(`| FollowedPublicKey | \`${encodeDeSoPublicKey(followed.compressed, 'testnet')}\` |`));
+  assert.ok(text.includes('| IsUnfollow | `false` |'));
+  assert.ok(text.includes('| Note | `"hello"` |'));
+  assert.doesNotMatch(text, /Warnings/);
+});
+
+test('signing keeps the digest and adds the signature and transaction hash', async () => {
+  const [transactor, followed, recipient] = [generateAccount(), generateAccount(), generateAccount()];
+  const unsigned = buildFollow(transactor.compressed, followed.compressed, recipient.compressed);
+  const signature = sign('sha256', sha256(unsigned), transactor.privateKey);
+  const signed = buildFollow(transactor.compressed, followed.compressed, recipient.compressed, signature);
+
+  const before = await decodeTransaction(unsigned.toString('hex'));
+  const text = await decodeTransaction(signed.toString('hex'));
+  assert.equal(field(text, 'Signed'), 'yes');
+  assert.equal(field(text, 'Signing digest'), field(before, 'Signing digest'));
+  assert.equal(field(text, 'Transaction hash'), `\`${sha256(sha256(signed)).toString('hex')}\` (TxnHashHex once submitted)`);
+
+  // r and s are the DER integers without their sign-padding zero byte
+  const rLength = signature[3];
+  const r = signature.subarray(4, 4 + rLength).toString('hex').replace(/^00/, '');
+  const s = signature.subarray(6 + rLength).toString('hex').replace(/^00/, '');
+  assert.ok(text.includes(`## Signature (${signature.length} bytes)`));
+  assert.ok(text.includes(`- **r:** \`${r}\``));
+  assert.ok(text.includes(`- **s:** \`${s}\``));
+  assert.match(text, /Standard DER/);
+});
+
+test('transactions from the mock node decode as tagged BASIC_TRANSFERs', async (t) => {
+  const { app } = createMockNodeApp();
+  const httpServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  t.after(() => httpServer.close());
+  const sender = encodeDeSoPublicKey(generateAccount().compressed, 'mainnet');
+
+  const response = await fetch(`http://127.0.0.1:${httpServer.address().port}/api/v0/send-deso`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ SenderPublicKeyBase58Check: sender, RecipientPublicKeyOrUsername: 'mock_recipient', AmountNanos: 1000, MinFeeRateNanosPerKB: 1000 })
+  });
+  const body = await response.json();
+  const text = await decodeTransaction(body.TransactionHex);
+
+  assert.equal(field(text, 'Type'), 'BASIC_TRANSFER (2)');
+  assert.equal(field(text, 'Transactor'), `\`${sender}\``);
+  assert.match(field(text, 'Fee'), new RegExp(` DESO \\(${body.FeeNanos} nanos\\)$`));
+  assert.ok(text.includes('| MockEndpoint | `"send-deso"` |'));
+});
+
+test('truncated and malformed hex are reported instead of thrown', async () => {
+  const bytes = buildFollow(generateAccount().compressed, generateAccount().compressed, generateAccount().compressed);
+  const truncated = await decodeTransaction(bytes.subarray(0, 60).toString('hex'));
+  assert.match(truncated, /^# ❌ Could Not Decode Transaction/);
+  assert.match(truncated, /\*\*Problem:\*\* unexpected end of data at byte \d+ reading metadata/);
+
+  assert.match(await decodeTransaction('abc'), /^# ❌ Invalid Transaction Hex/);
+
+  const trailing = await decodeTransaction(Buffer.concat([bytes, Buffer.from([0])]).toString('hex'));
+  assert.match(trailing, /1 bytes follow the last known field/);
+});